@@ -0,0 +1,220 @@
+import express, { NextFunction, Request, Response } from 'express';
+import { Glossary, Problem, listTags, resolveRedirect } from './glossary';
+import { GlossaryChange, GlossaryRejection, TermStore } from './store';
+
+/** Glossary context for quality deductions (see scripts/scoring.js) */
+interface ScoringOptions {
+  quality: { terms: object[]; redirects: Record<string, string> };
+}
+
+const { scoreTerm, getScoreBreakdown } = require('../../scripts/scoring') as {
+  scoreTerm(term: object, options: ScoringOptions): { score: number; badges: string[] };
+  getScoreBreakdown(term: object, options: ScoringOptions): object;
+};
+const { validateDraftTerm } = require('../../utils/draftValidation') as {
+  validateDraftTerm(
+    draft: unknown,
+    glossary: Pick<Glossary, 'terms' | 'redirects' | 'tombstones'>
+  ): Problem[];
+};
+
+export const DEFAULT_SEARCH_LIMIT = 10;
+export const MAX_SEARCH_LIMIT = 50;
+
+/** Interval between SSE comments that keep idle connections open through proxies */
+export const SSE_HEARTBEAT_MS = 30000;
+
+/**
+ * Whether a request body looks like a term draft that can be scored
+ */
+function isDraftTerm(body: unknown): body is { term: string; definition: string } {
+  const draft = body as { term?: unknown; definition?: unknown } | null;
+  return (
+    typeof draft === 'object' &&
+    draft !== null &&
+    typeof draft.term === 'string' &&
+    typeof draft.definition === 'string'
+  );
+}
+
+/**
+ * Whether an If-None-Match header matches the current ETag
+ * Checked directly rather than with req.fresh, which ignores If-None-Match when
+ * the request carries Cache-Control: no-cache, as fetch() adds to any request
+ * with a hand-set conditional header.
+ */
+function matchesEtag(header: string | undefined, etag: string): boolean {
+  if (!header) {
+    return false;
+  }
+  return header.split(',').some((value) => {
+    const tag = value.trim().replace(/^W\//, '');
+    return tag === '*' || tag === etag;
+  });
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+function sendEvent(res: Response, event: string, data: unknown) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Create the glossary API
+ * GET responses carry the glossary's ETag (export version plus content hash),
+ * so clients can revalidate with If-None-Match and get 304 until the terms
+ * change. GET /events streams store changes for live preview.
+ *
+ * @param store - Term store; each request is answered from the snapshot current when it arrived
+ */
+export function createApp(store: TermStore) {
+  const app = express();
+
+  app.set('etag', false);
+  app.use(express.json({ limit: '100kb' }));
+
+  app.use((req: Request, res: Response, next: NextFunction) => {
+    res.locals.glossary = store.glossary;
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || req.path === '/events') {
+      return next();
+    }
+    const etag = `"${res.locals.glossary.etag}"`;
+    res.setHeader('ETag', etag);
+    if (matchesEtag(req.get('If-None-Match'), etag)) {
+      return res.status(304).end();
+    }
+    return next();
+  });
+
+  app.get('/health', (_: Request, res: Response) => {
+    const glossary: Glossary = res.locals.glossary;
+    res.json({
+      status: 'ok',
+      version: glossary.version,
+      etag: glossary.etag,
+      terms_count: glossary.terms.length,
+    });
+  });
+
+  app.get('/events', (req: Request, res: Response) => {
+    const glossary: Glossary = res.locals.glossary;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    sendEvent(res, 'ready', {
+      version: glossary.version,
+      etag: glossary.etag,
+      terms_count: glossary.terms.length,
+    });
+
+    const onChange = (change: GlossaryChange) => sendEvent(res, 'change', change);
+    const onInvalid = (rejection: GlossaryRejection) => sendEvent(res, 'invalid', rejection);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+    store.on('change', onChange);
+    store.on('invalid', onInvalid);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      store.off('change', onChange);
+      store.off('invalid', onInvalid);
+    });
+  });
+
+  app.get('/terms', (_: Request, res: Response) => {
+    const glossary: Glossary = res.locals.glossary;
+    res.json({
+      version: glossary.version,
+      generated_at: glossary.generatedAt,
+      terms_count: glossary.terms.length,
+      terms: glossary.terms,
+    });
+  });
+
+  app.get('/terms/:slug', (req: Request<{ slug: string }>, res: Response) => {
+    const glossary: Glossary = res.locals.glossary;
+    const { slug } = req.params;
+    const term = glossary.bySlug.get(slug);
+    if (term) {
+      return res.json(term);
+    }
+
+    const target = resolveRedirect(glossary, slug);
+    if (target) {
+      return res.redirect(301, `/terms/${encodeURIComponent(target)}`);
+    }
+
+    const tombstone = glossary.tombstones.find((entry) => entry.slug === slug);
+    if (tombstone) {
+      return res.status(410).json({ error: `Term '${slug}' was deleted`, tombstone });
+    }
+    return res.status(404).json({ error: `Term '${slug}' not found` });
+  });
+
+  app.get('/search', (req: Request, res: Response) => {
+    const glossary: Glossary = res.locals.glossary;
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({ error: 'Missing search query: use /search?q=<text>' });
+    }
+
+    const requested = Number.parseInt(String(req.query.limit ?? DEFAULT_SEARCH_LIMIT), 10);
+    if (!Number.isInteger(requested) || requested < 1) {
+      return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+    const limit = Math.min(requested, MAX_SEARCH_LIMIT);
+
+    const results = glossary.engine.search(query, { limit }).map(({ slug, score }) => ({
+      score: Math.round(score * 1000) / 1000,
+      term: glossary.bySlug.get(slug),
+    }));
+    return res.json({ query, results_count: results.length, results });
+  });
+
+  app.get('/tags', (_: Request, res: Response) => {
+    res.json(listTags(res.locals.glossary));
+  });
+
+  app.get('/tags/:tag', (req: Request<{ tag: string }>, res: Response) => {
+    const glossary: Glossary = res.locals.glossary;
+    const { tag } = req.params;
+    const terms = glossary.terms.filter((term) => (term.tags || []).includes(tag));
+    if (terms.length === 0) {
+      return res.status(404).json({ error: `No terms are tagged '${tag}'` });
+    }
+    return res.json({ tag, terms_count: terms.length, terms });
+  });
+
+  app.post('/score', (req: Request, res: Response) => {
+    if (!isDraftTerm(req.body)) {
+      return res
+        .status(400)
+        .json({ error: 'Request body must be a term with term and definition' });
+    }
+    // Same quality deductions as quickScore, so a draft scores what it will score once merged
+    const glossary: Glossary = res.locals.glossary;
+    const options = { quality: { terms: glossary.terms, redirects: glossary.redirects } };
+    const { score, badges } = scoreTerm(req.body, options);
+    return res.json({ score, badges, breakdown: getScoreBreakdown(req.body, options) });
+  });
+
+  app.post('/validate', (req: Request, res: Response) => {
+    const problems = validateDraftTerm(req.body, res.locals.glossary);
+    res.json({ valid: !problems.some((problem) => problem.level === 'error'), problems });
+  });
+
+  // Malformed JSON bodies and other errors surface as JSON, like every other response
+  app.use((error: Error & { status?: number }, _: Request, res: Response, next: NextFunction) => {
+    if (res.headersSent) {
+      return next(error);
+    }
+    const status = error.status && error.status >= 400 && error.status < 500 ? error.status : 500;
+    return res
+      .status(status)
+      .json({ error: status === 500 ? 'Internal server error' : error.message });
+  });
+
+  return app;
+}
@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import type { FOSSGlossaryTerms } from '../../types/terms';
+
+/** Repository root, where terms.yaml and the export scripts live */
+export const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+/** Default glossary source; set TERMS_PATH to serve docs/terms.json instead */
+export const DEFAULT_TERMS_PATH = path.join(REPO_ROOT, 'terms.yaml');
+
+/** A term as it appears in the terms.json export */
+export type Term = FOSSGlossaryTerms['terms'][number] & {
+  status?: string;
+  see_also_slugs?: string[];
+};
+
+export interface Tombstone {
+  slug: string;
+  reason: string;
+  date: string;
+  category: string;
+}
+
+export interface ExportDocument {
+  version: string;
+  generated_at: string;
+  terms_count: number;
+  terms: Term[];
+  tombstones?: Tombstone[];
+}
+
+export interface Problem {
+  ruleId?: string;
+  level?: string;
+  message: string;
+  pointer?: string;
+  fix?: string | null;
+}
+
+export interface SearchEngine {
+  search(query: string, options?: { limit?: number }): { slug: string; score: number }[];
+}
+
+export interface Glossary {
+  /** File the glossary was loaded from */
+  source: string;
+  /** Export version (the Git SHA the terms were exported from) */
+  version: string;
+  /** Export version plus a hash of the source, so edits get a new ETag before they are committed */
+  etag: string;
+  generatedAt: string;
+  terms: Term[];
+  bySlug: Map<string, Term>;
+  /** Old slugs mapped to current slugs (terms.yaml only; the JSON export omits them) */
+  redirects: Record<string, string>;
+  tombstones: Tombstone[];
+  /** Search engine over this snapshot of the terms */
+  engine: SearchEngine;
+}
+
+/** A glossary source that could not be loaded, with the problems that make it invalid */
+export class GlossaryError extends Error {
+  problems: Problem[];
+
+  constructor(message: string, problems: Problem[] = []) {
+    super(message);
+    this.name = 'GlossaryError';
+    this.problems = problems;
+  }
+}
+
+// The exporter and YAML parser are the repository's CommonJS modules, shared
+// with the scripts so the API serves exactly what terms.json would contain
+const { buildExportDocumentFromYaml } = require('../../scripts/exportTerms') as {
+  buildExportDocumentFromYaml(
+    yamlText: string,
+    metadata: { version: string; generatedAt: Date }
+  ): ExportDocument;
+};
+const { buildSearchIndex, createSearchEngine } = require('../../docs/pwa/search') as {
+  buildSearchIndex(terms: Term[], options?: { version?: string }): unknown;
+  createSearchEngine(index: unknown): SearchEngine;
+};
+const { describeAjvError } = require('../../utils/validation') as {
+  describeAjvError(error: unknown): Problem;
+};
+const { getGitSha } = require('../../utils/git') as { getGitSha(): string };
+const yaml = require('js-yaml') as { load(text: string): unknown };
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validateTermsYaml = ajv.compile(require('../../config/schema.json')) as {
+  (data: unknown): boolean;
+  errors?: unknown[];
+};
+
+/**
+ * Build the glossary from an export document
+ *
+ * @param source - File the document was loaded from
+ * @param document - terms.json export document
+ * @param redirects - Old slugs mapped to current slugs
+ * @param text - Source file contents, hashed into the ETag
+ */
+export function createGlossary(
+  source: string,
+  document: ExportDocument,
+  redirects: Record<string, string> = {},
+  text: string = JSON.stringify(document.terms)
+): Glossary {
+  const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12);
+  return {
+    source,
+    version: document.version,
+    etag: `${document.version}-${hash}`,
+    generatedAt: document.generated_at,
+    terms: document.terms,
+    bySlug: new Map(document.terms.map((term) => [term.slug, term])),
+    redirects,
+    tombstones: document.tombstones || [],
+    engine: createSearchEngine(buildSearchIndex(document.terms, { version: document.version })),
+  };
+}
+
+/**
+ * Parse and validate terms.yaml text
+ * The raw YAML is checked against config/schema.json, then every term goes
+ * through normalizeTerm and the export schema via the exporter.
+ *
+ * @param text - terms.yaml contents
+ * @param source - File the text was read from, for error messages
+ * @throws {GlossaryError} If the YAML does not parse or is not a valid glossary
+ */
+export function parseGlossaryYaml(text: string, source: string): Glossary {
+  let parsed: Partial<FOSSGlossaryTerms>;
+  try {
+    parsed = yaml.load(text) as Partial<FOSSGlossaryTerms>;
+  } catch (error) {
+    throw new GlossaryError(`${source} is not valid YAML: ${(error as Error).message}`);
+  }
+
+  if (!validateTermsYaml(parsed)) {
+    const problems = (validateTermsYaml.errors || []).map((error) => ({
+      level: 'error',
+      ...describeAjvError(error),
+    }));
+    throw new GlossaryError(`${source} does not match config/schema.json`, problems);
+  }
+
+  let document: ExportDocument;
+  try {
+    document = buildExportDocumentFromYaml(text, {
+      version: getGitSha(),
+      generatedAt: new Date(),
+    });
+  } catch (error) {
+    throw new GlossaryError(`${source} could not be exported: ${(error as Error).message}`);
+  }
+  return createGlossary(source, document, parsed.redirects || {}, text);
+}
+
+/**
+ * Load the glossary from terms.yaml or a terms.json export
+ * YAML is run through the exporter, so terms get the same normalization,
+ * status, and see_also_slugs as the published export.
+ *
+ * @param sourcePath - Path to terms.yaml or terms.json
+ * @throws {GlossaryError} If the file cannot be read or is not a valid glossary
+ */
+export function loadGlossary(sourcePath: string = DEFAULT_TERMS_PATH): Glossary {
+  let text: string;
+  try {
+    text = fs.readFileSync(sourcePath, 'utf8');
+  } catch (error) {
+    throw new GlossaryError(`Cannot read ${sourcePath}: ${(error as Error).message}`);
+  }
+
+  if (!sourcePath.endsWith('.json')) {
+    return parseGlossaryYaml(text, sourcePath);
+  }
+
+  let document: ExportDocument;
+  try {
+    document = JSON.parse(text) as ExportDocument;
+  } catch (error) {
+    throw new GlossaryError(`${sourcePath} is not valid JSON: ${(error as Error).message}`);
+  }
+  if (!document || !Array.isArray(document.terms)) {
+    throw new GlossaryError(`${sourcePath} is not a terms.json export`);
+  }
+  return createGlossary(sourcePath, document, {}, text);
+}
+
+/**
+ * Follow redirects from an old slug to the current term's slug
+ *
+ * @param glossary - Loaded glossary
+ * @param slug - Requested slug
+ * @returns Current slug, or undefined if the slug does not redirect
+ */
+export function resolveRedirect(glossary: Glossary, slug: string): string | undefined {
+  const seen = new Set<string>();
+  let current = slug;
+  while (Object.prototype.hasOwnProperty.call(glossary.redirects, current) && !seen.has(current)) {
+    seen.add(current);
+    current = glossary.redirects[current];
+  }
+  return current !== slug && glossary.bySlug.has(current) ? current : undefined;
+}
+
+/**
+ * Count terms per tag
+ *
+ * @param glossary - Loaded glossary
+ * @returns Tags with their term counts, sorted by tag
+ */
+export function listTags(glossary: Glossary): { tag: string; count: number }[] {
+  const counts = new Map<string, number>();
+  for (const term of glossary.terms) {
+    for (const tag of term.tags || []) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts.keys()].sort().map((tag) => ({ tag, count: counts.get(tag) as number }));
+}
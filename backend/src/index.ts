@@ -1,13 +1,38 @@
-import express, { Request, Response } from "express";
+import { createApp } from './app';
+import { DEFAULT_TERMS_PATH, GlossaryError } from './glossary';
+import { TermStore } from './store';
 
-const app = express();
 const port = process.env.PORT || 3000;
+const termsPath = process.env.TERMS_PATH || DEFAULT_TERMS_PATH;
 
-app.get("/health", (_: Request, res: Response) => {
-  res.json({ status: "ok" });
+let store: TermStore;
+try {
+  store = new TermStore(termsPath).watch();
+} catch (error) {
+  console.error(`❌ Error: ${(error as Error).message}`);
+  for (const problem of error instanceof GlossaryError ? error.problems : []) {
+    console.error(`  ${problem.pointer || '/'}: ${problem.message}`);
+  }
+  process.exit(1);
+}
+
+store.on('change', (change) => {
+  console.log(
+    `🔄 Reloaded ${termsPath}: ${change.added.length} added, ${change.updated.length} updated, ${change.removed.length} removed`
+  );
+});
+store.on('invalid', (rejection) => {
+  console.warn(`⚠️ Warning: ${rejection.error}; still serving the last valid version`);
+  for (const problem of rejection.problems) {
+    console.warn(`  ${problem.pointer || '/'}: ${problem.message}`);
+  }
 });
 
+const app = createApp(store);
+
 app.listen(port, () => {
-  console.log(`Backend running on port ${port}`);
+  const { glossary } = store;
+  console.log(
+    `Backend running on port ${port}: ${glossary.terms.length} terms from ${termsPath} (version ${glossary.version}), watching for changes`
+  );
 });
-
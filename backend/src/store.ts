@@ -0,0 +1,171 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { Glossary, GlossaryError, Problem, loadGlossary } from './glossary';
+
+/** Delay before reloading, so an editor's burst of writes triggers one reload */
+export const DEFAULT_DEBOUNCE_MS = 150;
+
+export interface GlossaryChange {
+  version: string;
+  etag: string;
+  previous_etag: string;
+  terms_count: number;
+  added: string[];
+  removed: string[];
+  updated: string[];
+}
+
+export interface GlossaryRejection {
+  /** ETag of the last good glossary, which the store keeps serving */
+  etag: string;
+  error: string;
+  problems: Problem[];
+}
+
+/**
+ * Compare two glossary snapshots by slug
+ *
+ * @param previous - Glossary before the reload
+ * @param next - Glossary after the reload
+ */
+export function diffGlossaries(previous: Glossary, next: Glossary): GlossaryChange {
+  const added: string[] = [];
+  const updated: string[] = [];
+  for (const [slug, term] of next.bySlug) {
+    const before = previous.bySlug.get(slug);
+    if (!before) {
+      added.push(slug);
+    } else if (JSON.stringify(before) !== JSON.stringify(term)) {
+      updated.push(slug);
+    }
+  }
+  const removed = [...previous.bySlug.keys()].filter((slug) => !next.bySlug.has(slug));
+
+  return {
+    version: next.version,
+    etag: next.etag,
+    previous_etag: previous.etag,
+    terms_count: next.terms.length,
+    added: added.sort(),
+    removed: removed.sort(),
+    updated: updated.sort(),
+  };
+}
+
+/**
+ * In-memory glossary that follows its source file
+ *
+ * The store always holds a complete, valid snapshot. A reload parses and
+ * validates the file into a new snapshot and swaps it in with one assignment,
+ * so requests see either the old glossary or the new one, never a mix. An
+ * invalid file leaves the last good snapshot in place.
+ *
+ * Events:
+ * - `change` (GlossaryChange) after a new snapshot is swapped in
+ * - `invalid` (GlossaryRejection) when the file changed but could not be loaded,
+ *   or when watching it failed
+ */
+export class TermStore extends EventEmitter {
+  readonly sourcePath: string;
+  private current: Glossary;
+  private watcher: fs.FSWatcher | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  private readonly debounceMs: number;
+
+  /**
+   * @param sourcePath - Path to terms.yaml or terms.json
+   * @param options.debounceMs - Delay between a file event and the reload
+   * @throws {GlossaryError} If the initial load fails; there is no good version to fall back on
+   */
+  constructor(sourcePath: string, { debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+    super();
+    // Every GET /events client adds a change and an invalid listener
+    this.setMaxListeners(0);
+    this.sourcePath = sourcePath;
+    this.debounceMs = debounceMs;
+    this.current = loadGlossary(sourcePath);
+  }
+
+  /** Current glossary snapshot; hold on to it for the whole request */
+  get glossary(): Glossary {
+    return this.current;
+  }
+
+  /**
+   * Reload the source file now
+   *
+   * @returns The change that was applied, or null if the file was invalid or unchanged
+   */
+  reload(): GlossaryChange | null {
+    let next: Glossary;
+    try {
+      next = loadGlossary(this.sourcePath);
+    } catch (error) {
+      const rejection: GlossaryRejection = {
+        etag: this.current.etag,
+        error: (error as Error).message,
+        problems: error instanceof GlossaryError ? error.problems : [],
+      };
+      this.emit('invalid', rejection);
+      return null;
+    }
+
+    if (next.etag === this.current.etag) {
+      return null;
+    }
+    const change = diffGlossaries(this.current, next);
+    this.current = next;
+    this.emit('change', change);
+    return change;
+  }
+
+  /**
+   * Start watching the source file
+   * Watches the directory rather than the file, because editors often save by
+   * writing a new file and renaming it over the old one. If the watcher fails
+   * (for example because the directory was removed), the store stops watching,
+   * emits `invalid`, and keeps serving the last good glossary.
+   */
+  watch(): this {
+    if (this.watcher) {
+      return this;
+    }
+    const directory = path.dirname(this.sourcePath);
+    const filename = path.basename(this.sourcePath);
+    this.watcher = fs.watch(directory, (_, changed) => {
+      if (changed && changed.toString() !== filename) {
+        return;
+      }
+      if (this.timer) {
+        clearTimeout(this.timer);
+      }
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.reload();
+      }, this.debounceMs);
+    });
+    this.watcher.on('error', (error: Error) => {
+      this.close();
+      const rejection: GlossaryRejection = {
+        etag: this.current.etag,
+        error: `Stopped watching ${this.sourcePath}: ${error.message}`,
+        problems: [],
+      };
+      this.emit('invalid', rejection);
+    });
+    return this;
+  }
+
+  /** Stop watching the source file */
+  close(): void {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
@@ -0,0 +1,176 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { AddressInfo } from 'net';
+import { Server } from 'http';
+import { createApp } from '../src/app';
+import { TermStore } from '../src/store';
+import { DEFINITION, removeTempTerms, writeTempTerms } from './helpers';
+
+let termsPath: string;
+let store: TermStore;
+let server: Server;
+let baseUrl: string;
+
+test.before(async () => {
+  termsPath = writeTempTerms();
+  store = new TermStore(termsPath);
+  server = createApp(store).listen(0);
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+test.after(() => {
+  server.close();
+  removeTempTerms(termsPath);
+});
+
+function get(route: string, headers: Record<string, string> = {}) {
+  return fetch(`${baseUrl}${route}`, { headers, redirect: 'manual' });
+}
+
+function post(route: string, body: string) {
+  return fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+  });
+}
+
+test('GET /terms: lists every term with export metadata', async () => {
+  const response = await get('/terms');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.terms_count, 2);
+  assert.deepEqual(
+    body.terms.map((term: { slug: string }) => term.slug),
+    ['bus-factor', 'fork']
+  );
+  assert.equal(body.version, store.glossary.version);
+});
+
+test('GET: sends the glossary ETag and answers 304 when it matches', async () => {
+  const etag = `"${store.glossary.etag}"`;
+  const first = await get('/terms/fork');
+  assert.equal(first.headers.get('etag'), etag);
+
+  const cached = await get('/terms/fork', { 'If-None-Match': etag });
+  assert.equal(cached.status, 304);
+  assert.equal(await cached.text(), '');
+
+  const listed = await get('/tags', { 'If-None-Match': `"old-version", W/${etag}` });
+  assert.equal(listed.status, 304);
+
+  const stale = await get('/tags', { 'If-None-Match': '"old-version"' });
+  assert.equal(stale.status, 200);
+});
+
+test('GET /terms/:slug: returns the term, redirects old slugs, and explains deleted ones', async () => {
+  const term = await get('/terms/bus-factor');
+  assert.equal(term.status, 200);
+  assert.equal((await term.json()).term, 'Bus Factor');
+
+  const redirected = await get('/terms/truck-factor');
+  assert.equal(redirected.status, 301);
+  assert.equal(redirected.headers.get('location'), '/terms/bus-factor');
+
+  const deleted = await get('/terms/spam-term');
+  const deletedBody = await deleted.json();
+  assert.equal(deleted.status, 410);
+  assert.equal(deletedBody.tombstone.category, 'spam');
+
+  const missing = await get('/terms/nope');
+  assert.equal(missing.status, 404);
+  assert.equal((await get('/terms/constructor')).status, 404, 'not an inherited redirect');
+  assert.match((await missing.json()).error, /not found/);
+});
+
+test('GET /search: ranks terms and validates the query', async () => {
+  const response = await get('/search?q=forks');
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(body.results[0].term.slug, 'fork');
+  assert.ok(body.results[0].score > 0);
+
+  const limited = await (await get('/search?q=definition&limit=1')).json();
+  assert.equal(limited.results_count, 1);
+
+  assert.equal((await get('/search')).status, 400);
+  assert.equal((await get('/search?q=fork&limit=0')).status, 400);
+});
+
+test('GET /tags and /tags/:tag: count and list tagged terms', async () => {
+  assert.deepEqual(await (await get('/tags')).json(), [
+    { tag: 'community', count: 2 },
+    { tag: 'risk', count: 1 },
+  ]);
+
+  const risk = await (await get('/tags/risk')).json();
+  assert.equal(risk.terms_count, 1);
+  assert.equal(risk.terms[0].slug, 'bus-factor');
+
+  assert.equal((await get('/tags/unknown')).status, 404);
+});
+
+test('POST /score: scores a draft and rejects bodies that are not terms', async () => {
+  const response = await post(
+    '/score',
+    JSON.stringify({ term: 'Toil', definition: DEFINITION, tags: ['ops'] })
+  );
+  const body = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(typeof body.score, 'number');
+  assert.ok(Array.isArray(body.badges));
+  assert.ok(Array.isArray(body.breakdown.components));
+
+  assert.equal((await post('/score', JSON.stringify({ term: 'Toil' }))).status, 400);
+
+  const malformed = await post('/score', '{bad');
+  assert.equal(malformed.status, 400);
+  assert.ok((await malformed.json()).error);
+});
+
+test('POST /score: resolves see_also against the loaded glossary, like quickScore', async () => {
+  const draft = { term: 'Toil', definition: DEFINITION, see_also: ['Truck Factor', 'Nope'] };
+  const body = await (await post('/score', JSON.stringify(draft))).json();
+  const references = body.breakdown.components.find(
+    (component: { id: string }) => component.id === 'crossReferences'
+  );
+  assert.equal(references.points, 5, 'only the alias counts');
+  assert.equal(references.deduction, 5);
+  assert.ok(
+    body.breakdown.issues.some((issue: { code: string }) => issue.code === 'unresolved-see-also')
+  );
+});
+
+test('POST /validate: checks drafts against the schema and the loaded glossary', async () => {
+  const valid = await (
+    await post('/validate', JSON.stringify({ slug: 'toil', term: 'Toil', definition: DEFINITION }))
+  ).json();
+  assert.deepEqual(valid, { valid: true, problems: [] });
+
+  const constructor = await (
+    await post(
+      '/validate',
+      JSON.stringify({ slug: 'constructor', term: 'Constructor', definition: DEFINITION })
+    )
+  ).json();
+  assert.deepEqual(constructor, { valid: true, problems: [] }, 'not an inherited redirect');
+
+  const duplicate = await (
+    await post(
+      '/validate',
+      JSON.stringify({ slug: 'truck-factor', term: 'Truck Factor', definition: DEFINITION })
+    )
+  ).json();
+  assert.equal(duplicate.valid, false);
+  assert.deepEqual(
+    duplicate.problems.map((problem: { ruleId: string }) => problem.ruleId),
+    ['duplicate-slug', 'duplicate-name']
+  );
+
+  const invalid = await (await post('/validate', JSON.stringify({ slug: 'Toil' }))).json();
+  assert.equal(invalid.valid, false);
+  assert.ok(invalid.problems.some((problem: { pointer: string }) => problem.pointer === '/slug'));
+});
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const yaml = require('js-yaml') as { dump(value: unknown): string };
+
+export const DEFINITION =
+  'A definition that is comfortably longer than the eighty character minimum the schema asks for.';
+
+/** A small glossary with a redirect and a tombstone */
+export function sampleGlossary() {
+  return {
+    terms: [
+      {
+        slug: 'bus-factor',
+        term: 'Bus Factor',
+        definition: DEFINITION,
+        tags: ['community', 'risk'],
+        aliases: ['Truck Factor'],
+      },
+      {
+        slug: 'fork',
+        term: 'Fork',
+        definition: `${DEFINITION} Forks copy a project.`,
+        tags: ['community'],
+      },
+    ],
+    redirects: { 'truck-factor': 'bus-factor' },
+    tombstones: {
+      'spam-term': { reason: 'Spam submission removed', date: '2024-01-01', category: 'spam' },
+    },
+  };
+}
+
+/**
+ * Write a glossary to terms.yaml in a new temporary directory
+ *
+ * @returns Path of the written file
+ */
+export function writeTempTerms(document: unknown = sampleGlossary()): string {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-'));
+  const file = path.join(dir, 'terms.yaml');
+  fs.writeFileSync(file, yaml.dump(document));
+  return file;
+}
+
+/** Remove the directory created by writeTempTerms */
+export function removeTempTerms(file: string): void {
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+}
@@ -0,0 +1,232 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import fs from 'fs';
+import http from 'http';
+import { AddressInfo } from 'net';
+import { createApp } from '../src/app';
+import { GlossaryChange, GlossaryRejection, TermStore } from '../src/store';
+import { DEFINITION, removeTempTerms, sampleGlossary, writeTempTerms } from './helpers';
+
+const yaml = require('js-yaml') as { dump(value: unknown): string };
+
+const DEBOUNCE_MS = 30;
+
+/** sampleGlossary() with one more term */
+function withToil() {
+  const document = sampleGlossary();
+  document.terms.push({ slug: 'toil', term: 'Toil', definition: DEFINITION, tags: ['ops'] });
+  return document;
+}
+
+function writeYaml(file: string, document: unknown) {
+  fs.writeFileSync(file, yaml.dump(document));
+}
+
+function delay(ms: number) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('TermStore: reload swaps in a valid file and reports what changed', () => {
+  const file = writeTempTerms();
+  try {
+    const store = new TermStore(file);
+    const before = store.glossary;
+    assert.equal(store.reload(), null, 'an unchanged file is not a change');
+
+    const document = withToil();
+    document.terms[1].tags = ['community', 'git'];
+    document.terms.shift();
+    writeYaml(file, document);
+    const change = store.reload() as GlossaryChange;
+
+    assert.deepEqual(
+      { added: change.added, removed: change.removed, updated: change.updated },
+      { added: ['toil'], removed: ['bus-factor'], updated: ['fork'] }
+    );
+    assert.equal(change.previous_etag, before.etag);
+    assert.equal(change.etag, store.glossary.etag);
+    assert.notEqual(store.glossary, before);
+    assert.equal(store.glossary.engine.search('toil')[0].slug, 'toil');
+    assert.equal(before.bySlug.has('toil'), false, 'old snapshots are never mutated');
+  } finally {
+    removeTempTerms(file);
+  }
+});
+
+test('TermStore: keeps the last good glossary when the file becomes invalid', () => {
+  const file = writeTempTerms();
+  try {
+    const store = new TermStore(file);
+    const before = store.glossary;
+    const rejections: GlossaryRejection[] = [];
+    store.on('invalid', (rejection) => rejections.push(rejection));
+
+    fs.writeFileSync(file, 'terms:\n  - slug: Not A Slug\n');
+    assert.equal(store.reload(), null);
+    fs.writeFileSync(file, 'terms: [unclosed\n');
+    assert.equal(store.reload(), null);
+
+    assert.equal(store.glossary, before);
+    assert.equal(rejections.length, 2);
+    assert.match(rejections[0].error, /does not match config\/schema\.json/);
+    assert.ok(rejections[0].problems.some((problem) => problem.pointer === '/terms/0/slug'));
+    assert.equal(rejections[0].etag, before.etag);
+    assert.match(rejections[1].error, /not valid YAML/);
+  } finally {
+    removeTempTerms(file);
+  }
+});
+
+test('TermStore: the initial load fails on an invalid file', () => {
+  const file = writeTempTerms({ terms: [{ slug: 'x' }] });
+  try {
+    assert.throws(() => new TermStore(file), /does not match config\/schema\.json/);
+  } finally {
+    removeTempTerms(file);
+  }
+});
+
+test('TermStore.watch: reloads once per burst of writes', { timeout: 10000 }, async () => {
+  const file = writeTempTerms();
+  const store = new TermStore(file, { debounceMs: DEBOUNCE_MS }).watch();
+  try {
+    const changes: GlossaryChange[] = [];
+    store.on('change', (change) => changes.push(change));
+
+    const document = withToil();
+    for (let i = 1; i <= 5; i += 1) {
+      document.terms[2].tags = [`ops-${i}`];
+      writeYaml(file, document);
+    }
+    await once(store, 'change');
+    await delay(DEBOUNCE_MS * 5);
+
+    assert.equal(changes.length, 1);
+    assert.deepEqual(changes[0].added, ['toil']);
+    assert.deepEqual(store.glossary.bySlug.get('toil')?.tags, ['ops-5']);
+  } finally {
+    store.close();
+    removeTempTerms(file);
+  }
+});
+
+test('TermStore.watch: follows files replaced by rename', { timeout: 10000 }, async () => {
+  const file = writeTempTerms();
+  const store = new TermStore(file, { debounceMs: DEBOUNCE_MS }).watch();
+  try {
+    const changed = once(store, 'change');
+    writeYaml(`${file}.tmp`, withToil());
+    fs.renameSync(`${file}.tmp`, file);
+    const [change] = (await changed) as [GlossaryChange];
+    assert.deepEqual(change.added, ['toil']);
+
+    const rejected = once(store, 'invalid');
+    fs.writeFileSync(file, 'terms: 42\n');
+    await rejected;
+    assert.equal(store.glossary.etag, change.etag);
+  } finally {
+    store.close();
+    removeTempTerms(file);
+  }
+});
+
+test('TermStore.watch: a watcher error stops watching without crashing', () => {
+  const file = writeTempTerms();
+  const store = new TermStore(file, { debounceMs: DEBOUNCE_MS }).watch();
+  try {
+    const before = store.glossary;
+    const rejections: GlossaryRejection[] = [];
+    store.on('invalid', (rejection) => rejections.push(rejection));
+
+    const { watcher } = store as unknown as { watcher: fs.FSWatcher };
+    watcher.emit('error', new Error('EPERM: operation not permitted'));
+
+    assert.equal(rejections.length, 1);
+    assert.match(rejections[0].error, /^Stopped watching .*terms\.yaml: EPERM/);
+    assert.equal(rejections[0].etag, before.etag);
+    assert.equal(store.glossary, before, 'the last good glossary is still served');
+    assert.equal((store as unknown as { watcher: null }).watcher, null);
+  } finally {
+    store.close();
+    removeTempTerms(file);
+  }
+});
+
+test('TermStore: any number of SSE clients can subscribe without a leak warning', () => {
+  const file = writeTempTerms();
+  try {
+    const store = new TermStore(file);
+    assert.equal(store.getMaxListeners(), 0);
+  } finally {
+    removeTempTerms(file);
+  }
+});
+
+/**
+ * Read Server-Sent Events from a response until `count` events have arrived
+ */
+function readEvents(response: http.IncomingMessage, count: number) {
+  return new Promise<{ event: string; data: unknown }[]>((resolve) => {
+    let buffer = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk: string) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n').filter((block) => block.startsWith('event:'));
+      if (blocks.length >= count) {
+        resolve(
+          blocks.slice(0, count).map((block) => {
+            const [eventLine, dataLine] = block.split('\n');
+            return {
+              event: eventLine.slice('event: '.length),
+              data: JSON.parse(dataLine.slice('data: '.length)),
+            };
+          })
+        );
+      }
+    });
+  });
+}
+
+test('GET /events: streams change and invalid events to clients', { timeout: 10000 }, async () => {
+  const file = writeTempTerms();
+  const store = new TermStore(file, { debounceMs: DEBOUNCE_MS }).watch();
+  const server = createApp(store).listen(0);
+  try {
+    await once(server, 'listening');
+    const { port } = server.address() as AddressInfo;
+    const request = http.get({ host: '127.0.0.1', port, path: '/events' });
+    const [response] = (await once(request, 'response')) as [http.IncomingMessage];
+    assert.equal(response.statusCode, 200);
+    assert.match(String(response.headers['content-type']), /^text\/event-stream/);
+
+    const events = readEvents(response, 3);
+    const before = store.glossary.etag;
+    const changed = once(store, 'change');
+    writeYaml(file, withToil());
+    await changed;
+    fs.writeFileSync(file, 'terms: 42\n');
+
+    const [ready, change, invalid] = await events;
+    assert.deepEqual(ready, {
+      event: 'ready',
+      data: { version: store.glossary.version, etag: before, terms_count: 2 },
+    });
+    assert.equal(change.event, 'change');
+    assert.deepEqual((change.data as GlossaryChange).added, ['toil']);
+    assert.equal(invalid.event, 'invalid');
+    assert.equal((invalid.data as GlossaryRejection).etag, store.glossary.etag);
+
+    const served = await fetch(`http://127.0.0.1:${port}/terms/toil`);
+    assert.equal(served.status, 200, 'the last valid version is still served');
+
+    request.destroy();
+    await delay(DEBOUNCE_MS);
+    assert.equal(store.listenerCount('change'), 0, 'disconnected clients are unsubscribed');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+    store.close();
+    removeTempTerms(file);
+  }
+});
@@ -2,22 +2,33 @@
 
 // Constants
 const TERMS_API_BASE_URL = '../terms.json';
+const TERMS_MANIFEST_URL = '../terms-index/manifest.json'; // Sharded export (see exportShards.js)
+const LOCALES_URL = '../locales.json'; // Locale index (see exportLocales.js)
+const SEARCH_INDEX_URL = '../search-index.json'; // Prebuilt search index (see exportTerms.js)
 const FAVORITES_KEY = 'foss-glossary-favorites';
 const THEME_KEY = 'foss-glossary-theme';
 const VERSION_KEY = 'foss-glossary-version';
+const LOCALE_KEY = 'foss-glossary-locale';
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_DELAY_MS = 2000;
 const SEARCH_DEBOUNCE_MS = 200; // Debounce delay in milliseconds (150-250ms range)
-const FUZZY_MATCH_BONUS_MULTIPLIER = 3.5; // Max score multiplier accounting for bonuses
 const GITHUB_REPO_TERMS_URL = 'https://github.com/LuminLynx/FOSS-Glossary/edit/main/terms.yaml';
 
 // State
 let allTerms = [];
+let allTombstones = []; // Deleted slugs with their removal reason (see deletion-policy.md)
 let filteredTerms = [];
 let favorites = new Set();
 let currentView = 'all'; // 'all' or 'favorites'
+let statusFilter = 'all'; // 'all' or a term status (draft, stable, deprecated)
+let localeTranslations = null; // Translations keyed by slug for the selected locale (null = English)
 let expandedTerms = new Set();
 let termsVersion = null; // Store the version from terms.json
+let termsManifestBaseUrl = null; // Set when terms come from the sharded manifest
+let termsManifestData = null; // Manifest document, used to resolve shard paths
+let prebuiltSearchIndex = null; // Search index exported for the loaded terms version
+let searchEngine = null; // Engine for the current terms and locale, built on first search
+const loadedShards = new Map(); // Shard key -> Promise resolving once the shard is merged
 let searchDebounceTimer = null;
 let appVersion = '1.0.0'; // Default version
 let serviceWorkerRegistration = null;
@@ -29,6 +40,8 @@ let currentDrafterStep = 1;
 
 // DOM Elements
 let searchInput;
+let statusFilterSelect;
+let languageSelect;
 let termsGrid;
 let statsBar;
 let themeToggle;
@@ -45,6 +58,7 @@ document.addEventListener('DOMContentLoaded', () => {
   loadTheme();
   loadFavorites();
   loadTerms();
+  loadLocales();
   setupEventListeners();
   setupUpdateNotification();
   initializeDrafter();
@@ -53,6 +67,8 @@ document.addEventListener('DOMContentLoaded', () => {
 // Initialize DOM references
 function initializeDOM() {
   searchInput = document.getElementById('search-input');
+  statusFilterSelect = document.getElementById('status-filter');
+  languageSelect = document.getElementById('language-select');
   termsGrid = document.getElementById('terms-grid');
   statsBar = document.getElementById('stats-bar');
   themeToggle = document.getElementById('theme-toggle');
@@ -199,6 +215,76 @@ function saveFavorites() {
   }
 }
 
+// Load the list of exported locales and restore the saved language
+// The switcher stays hidden when the site publishes no translations
+async function loadLocales() {
+  let index;
+  try {
+    // Versioned like terms.<locale>.json so the service worker cache cannot go stale
+    const response = await fetch(`${LOCALES_URL}?ver=${termsVersion || Date.now()}`);
+    if (!response.ok) return;
+    index = await response.json();
+  } catch {
+    return;
+  }
+  if (!index || !Array.isArray(index.locales) || index.locales.length === 0) return;
+
+  languageSelect.innerHTML = [
+    '<option value="en">English</option>',
+    ...index.locales.map(
+      (entry) =>
+        `<option value="${escapeHtml(entry.locale)}">${escapeHtml(entry.name)} (${escapeHtml(entry.coverage)}%)</option>`
+    ),
+  ].join('');
+  languageSelect.hidden = false;
+
+  const saved = localStorage.getItem(LOCALE_KEY);
+  if (saved && index.locales.some((entry) => entry.locale === saved)) {
+    languageSelect.value = saved;
+    await setLocale(saved);
+  }
+}
+
+// Switch the displayed language; English needs no extra download
+async function setLocale(locale) {
+  let selected = locale;
+  if (selected === 'en') {
+    localeTranslations = null;
+  } else {
+    try {
+      const response = await fetch(`../terms.${selected}.json?ver=${termsVersion || Date.now()}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const data = await response.json();
+      localeTranslations = data.translations || {};
+    } catch (error) {
+      console.error('Error loading translations:', error);
+      showToast('⚠️ Could not load translations; showing English');
+      selected = 'en';
+      languageSelect.value = 'en';
+      localeTranslations = null;
+    }
+  }
+
+  searchEngine = null;
+  localStorage.setItem(LOCALE_KEY, selected);
+  document.documentElement.lang = selected;
+  if (allTerms.length > 0) {
+    filterTerms();
+    updateStats();
+    renderTerms();
+  }
+}
+
+// Overlay the selected locale's translation on a term; untranslated fields stay English
+function localizeTerm(term) {
+  const translation = localeTranslations && localeTranslations[term.slug];
+  if (!translation) return term;
+  const { stale, ...fields } = translation;
+  return { ...term, ...fields, translationStale: Boolean(stale) };
+}
+
 // Build terms URL with cache busting
 function buildTermsUrl(version = null) {
   // Use version from previous load or timestamp for cache busting
@@ -206,19 +292,152 @@ function buildTermsUrl(version = null) {
   return `${TERMS_API_BASE_URL}?ver=${ver}`;
 }
 
-// Load terms from API with retry logic
-async function loadTerms(retryCount = 0) {
+// Fetch the sharded export manifest
+// Returns null when the site does not publish one (404, offline), so callers fall
+// back to terms.json without a code change
+async function fetchTermsManifest() {
+  termsManifestBaseUrl = null;
+  const url = new URL(TERMS_MANIFEST_URL, window.location.href);
+  url.searchParams.set('ver', termsVersion || Date.now());
+
+  let response;
   try {
-    termsGrid.innerHTML = '<div class="loading">Loading terms...</div>';
+    response = await fetch(url);
+  } catch {
+    return null;
+  }
+  if (!response.ok) {
+    return null;
+  }
 
-    const url = buildTermsUrl();
+  const manifest = await response.json();
+  if (!manifest || !Array.isArray(manifest.terms) || !manifest.shards) {
+    throw new Error('Invalid data format received');
+  }
+
+  termsManifestBaseUrl = new URL('./', url);
+  return manifest;
+}
+
+// Build the URL of a file referenced by the manifest
+function buildManifestFileUrl(relativePath) {
+  const url = new URL(relativePath, termsManifestBaseUrl);
+  url.searchParams.set('ver', termsVersion);
+  return url;
+}
+
+// Load the prebuilt search index in the background
+// Until it arrives (or if it is missing or stale) searches index the loaded terms locally
+async function loadSearchIndex(url) {
+  try {
     const response = await fetch(url);
+    if (!response.ok) return;
+    const data = await response.json();
+    if (data.version !== termsVersion) return;
+    prebuiltSearchIndex = data;
+    searchEngine = null;
+    if (searchInput.value.trim()) {
+      filterTerms();
+      updateStats();
+      renderTerms();
+    }
+  } catch (error) {
+    console.error('Error loading search index:', error);
+  }
+}
+
+// Get the search engine (docs/pwa/search.js, shared with the CLI) for the current terms
+// The prebuilt index only covers English, so other locales index their translations
+function getSearchEngine() {
+  if (!searchEngine) {
+    const index =
+      prebuiltSearchIndex && !localeTranslations
+        ? prebuiltSearchIndex
+        : GlossarySearch.buildSearchIndex(allTerms.map(localizeTerm));
+    searchEngine = GlossarySearch.createSearchEngine(index);
+  }
+  return searchEngine;
+}
 
+// Check whether a term still needs its shard before it can be shown in full
+function isTermLoaded(term) {
+  return !termsManifestBaseUrl || Boolean(term.definition);
+}
+
+// Fetch a shard and merge its full term objects into allTerms
+function loadShard(shardKey) {
+  if (loadedShards.has(shardKey)) {
+    return loadedShards.get(shardKey);
+  }
+
+  const promise = (async () => {
+    const ref = termsManifestData.shards[shardKey];
+    if (!ref) {
+      throw new Error(`Unknown shard: ${shardKey}`);
+    }
+    const response = await fetch(buildManifestFileUrl(ref.path));
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
+    const shard = await response.json();
+    const bySlug = new Map(allTerms.map((term) => [term.slug, term]));
+    for (const fullTerm of shard.terms || []) {
+      const existing = bySlug.get(fullTerm.slug);
+      if (existing) {
+        Object.assign(existing, fullTerm);
+      }
+    }
+    searchEngine = null;
+  })();
 
-    const data = await response.json();
+  // Allow a retry on the next expand if the fetch failed
+  promise.catch(() => loadedShards.delete(shardKey));
+  loadedShards.set(shardKey, promise);
+  return promise;
+}
+
+// Make sure the full term for a slug is available, fetching its shard if needed
+async function ensureTermLoaded(slug) {
+  const term = allTerms.find((t) => t.slug === slug);
+  if (!term || isTermLoaded(term)) {
+    return term;
+  }
+
+  try {
+    await loadShard(term.shard);
+  } catch (error) {
+    console.error('Error loading term shard:', error);
+    showToast('❌ Failed to load term details');
+    return term;
+  }
+
+  const card = document.querySelector(`[data-slug="${slug}"]`);
+  if (card) {
+    card.outerHTML = createTermCard(term);
+    bindTermCard(document.querySelector(`[data-slug="${slug}"]`));
+  }
+  return term;
+}
+
+// Load terms from API with retry logic
+// Prefers the sharded manifest and falls back to the single terms.json export
+async function loadTerms(retryCount = 0) {
+  try {
+    termsGrid.innerHTML = '<div class="loading">Loading terms...</div>';
+
+    const manifest = await fetchTermsManifest();
+    let data = manifest;
+
+    if (!manifest) {
+      const url = buildTermsUrl();
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      data = await response.json();
+    }
 
     // Validate data structure
     if (!data || typeof data !== 'object') {
@@ -232,15 +451,27 @@ async function loadTerms(retryCount = 0) {
 
     // Handle empty terms
     allTerms = data.terms || [];
+    allTombstones = data.tombstones || [];
+    termsManifestData = manifest;
+    loadedShards.clear();
+    prebuiltSearchIndex = null;
+    searchEngine = null;
 
     if (allTerms.length === 0) {
       showEmptyState();
       return;
     }
 
+    loadSearchIndex(
+      manifest
+        ? buildManifestFileUrl(manifest.search_index)
+        : `${SEARCH_INDEX_URL}?ver=${termsVersion || Date.now()}`
+    );
+
     filterTerms();
     updateStats();
     renderTerms();
+    handleHashChange();
   } catch (error) {
     console.error('Error loading terms:', error);
 
@@ -384,96 +615,6 @@ function getErrorMessage(error) {
   return 'An unexpected error occurred while loading terms.';
 }
 
-/**
- * Calculate fuzzy match score between query and text
- * Returns a score from 0 to 1, where 1 is perfect match
- * Uses character position matching with bonus for consecutive matches
- * @param {string} query - The search query string
- * @param {string} text - The text to search within
- * @returns {number} Match score from 0 to 1
- */
-function fuzzyMatch(query, text) {
-  if (!query) return 1; // Empty query matches everything
-  if (!text) return 0;
-
-  query = query.toLowerCase();
-  text = text.toLowerCase();
-
-  // Exact match gets highest score
-  if (text === query) return 1;
-  if (text.includes(query)) return 0.9;
-
-  let queryIndex = 0;
-  let textIndex = 0;
-  let score = 0;
-  let consecutiveMatches = 0;
-
-  while (queryIndex < query.length && textIndex < text.length) {
-    if (query[queryIndex] === text[textIndex]) {
-      // Character matches
-      score += 1;
-      consecutiveMatches++;
-
-      // Bonus for consecutive matches (makes sequential matches rank higher)
-      if (consecutiveMatches > 1) {
-        score += consecutiveMatches * 0.5;
-      }
-
-      // Bonus for matching at word boundaries
-      if (textIndex === 0 || text[textIndex - 1] === ' ' || text[textIndex - 1] === '-') {
-        score += 2;
-      }
-
-      queryIndex++;
-    } else {
-      consecutiveMatches = 0;
-    }
-    textIndex++;
-  }
-
-  // If we didn't match all query characters, it's not a match
-  if (queryIndex < query.length) return 0;
-
-  // Normalize score based on query length and text length
-  // Prefer shorter matches with same score
-  const maxPossibleScore = query.length * FUZZY_MATCH_BONUS_MULTIPLIER;
-  const normalizedScore = score / maxPossibleScore;
-  const lengthPenalty = Math.min(1, query.length / text.length);
-
-  return normalizedScore * lengthPenalty;
-}
-
-/**
- * Search across multiple fields with fuzzy matching
- * Returns the best match score across all searchable fields
- * @param {Object} term - The term object with properties: term, definition, explanation, humor, aliases, tags
- * @param {string} query - The search query string
- * @returns {number} Best match score across all fields
- */
-function fuzzySearchTerm(term, query) {
-  if (!query) return 1; // Empty query matches everything
-
-  const fields = [
-    { text: term.term, weight: 3 }, // Term name is most important
-    { text: term.definition, weight: 2 }, // Definition is second
-    { text: term.explanation || '', weight: 1.5 },
-    { text: term.humor || '', weight: 1 },
-    { text: (term.aliases || []).join(' '), weight: 2.5 }, // Aliases are important
-    { text: (term.tags || []).join(' '), weight: 1.5 },
-  ];
-
-  let bestScore = 0;
-
-  for (const field of fields) {
-    if (field.text) {
-      const fieldScore = fuzzyMatch(query, field.text) * field.weight;
-      bestScore = Math.max(bestScore, fieldScore);
-    }
-  }
-
-  return bestScore;
-}
-
 // Filter terms based on search query and current view
 function filterTerms() {
   const query = searchInput.value.toLowerCase().trim();
@@ -482,19 +623,21 @@ function filterTerms() {
   let terms =
     currentView === 'favorites' ? allTerms.filter((term) => favorites.has(term.slug)) : allTerms;
 
-  // Then, filter by search query using fuzzy matching
-  if (query) {
-    // Score each term
-    const scoredTerms = terms.map((term) => ({
-      term,
-      score: fuzzySearchTerm(term, query),
-    }));
+  // Then by lifecycle status; terms without one are stable
+  if (statusFilter !== 'all') {
+    terms = terms.filter((term) => (term.status || 'stable') === statusFilter);
+  }
 
-    // Filter out terms with no match (score = 0) and sort by score descending
-    terms = scoredTerms
-      .filter((item) => item.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .map((item) => item.term);
+  // Finally, keep the terms matching the search query, best match first
+  if (query) {
+    const scores = new Map(
+      getSearchEngine()
+        .search(query)
+        .map((result) => [result.slug, result.score])
+    );
+    terms = terms
+      .filter((term) => scores.has(term.slug))
+      .sort((a, b) => scores.get(b.slug) - scores.get(a.slug));
   }
 
   filteredTerms = terms;
@@ -521,37 +664,54 @@ function renderTerms() {
   termsGrid.innerHTML = filteredTerms.map((term) => createTermCard(term)).join('');
 
   // Add event listeners to cards
-  document.querySelectorAll('.term-card').forEach((card) => {
-    const slug = card.dataset.slug;
+  document.querySelectorAll('.term-card').forEach(bindTermCard);
+}
 
-    // Toggle expand on card click (but not on buttons)
-    card.addEventListener('click', (e) => {
-      if (!e.target.closest('.term-actions')) {
-        toggleExpand(slug);
-      }
-    });
+// Attach click handlers to a rendered term card
+function bindTermCard(card) {
+  if (!card) return;
+  const slug = card.dataset.slug;
 
-    // Favorite button
-    const favoriteBtn = card.querySelector('.favorite-btn');
-    favoriteBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      toggleFavorite(slug);
-    });
+  // Toggle expand on card click (but not on buttons)
+  card.addEventListener('click', (e) => {
+    if (!e.target.closest('.term-actions')) {
+      toggleExpand(slug);
+    }
+  });
 
-    // Share button
-    const shareBtn = card.querySelector('.share-btn');
-    shareBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const term = allTerms.find((t) => t.slug === slug);
-      if (term) {
-        showShareModal(term);
-      }
-    });
+  // Favorite button
+  const favoriteBtn = card.querySelector('.favorite-btn');
+  favoriteBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleFavorite(slug);
   });
+
+  // Share button
+  const shareBtn = card.querySelector('.share-btn');
+  shareBtn.addEventListener('click', async (e) => {
+    e.stopPropagation();
+    const term = await ensureTermLoaded(slug);
+    if (term) {
+      showShareModal(term);
+    }
+  });
+}
+
+// Describe how an AI-assisted term was generated (manifest entries only carry the flag)
+function describeProvenance(term) {
+  const provenance = term.provenance;
+  if (!provenance) {
+    return 'Drafted with an AI model';
+  }
+  const reviewer = provenance.reviewed_by
+    ? `reviewed by @${provenance.reviewed_by}`
+    : 'not yet reviewed by a human';
+  return `Drafted with ${provenance.model} on ${provenance.generated_at.slice(0, 10)}, ${reviewer}`;
 }
 
-// Create HTML for a term card
-function createTermCard(term) {
+// Create HTML for a term card, in the selected language
+function createTermCard(sourceTerm) {
+  const term = localizeTerm(sourceTerm);
   const isFavorite = favorites.has(term.slug);
   const isExpanded = expandedTerms.has(term.slug);
 
@@ -559,6 +719,16 @@ function createTermCard(term) {
     <div class="term-card ${isExpanded ? 'expanded' : ''}" data-slug="${term.slug}">
       <div class="term-header">
         <h2 class="term-title">${escapeHtml(term.term)}</h2>
+        ${
+          term.status && term.status !== 'stable'
+            ? `<span class="status-badge status-${escapeHtml(term.status)}">${escapeHtml(term.status)}</span>`
+            : ''
+        }
+        ${
+          term.provenance || term.ai_assisted
+            ? `<span class="ai-badge" title="${escapeHtml(describeProvenance(term))}">🤖 AI-assisted</span>`
+            : ''
+        }
         <div class="term-actions">
           <button class="icon-btn favorite-btn ${isFavorite ? 'active' : ''}" 
                   aria-label="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}"
@@ -573,7 +743,17 @@ function createTermCard(term) {
         </div>
       </div>
       
-      <div class="term-definition">${escapeHtml(term.definition)}</div>
+      ${
+        isTermLoaded(term)
+          ? `<div class="term-definition">${escapeHtml(term.definition)}</div>`
+          : '<div class="term-definition pending">Tap to load definition…</div>'
+      }
+      
+      ${
+        term.translationStale
+          ? '<div class="translation-stale">⚠️ The English text has changed since this was translated</div>'
+          : ''
+      }
       
       ${term.explanation ? `<div class="term-explanation">${escapeHtml(term.explanation)}</div>` : ''}
       
@@ -614,6 +794,10 @@ function toggleExpand(slug) {
   if (card) {
     card.classList.toggle('expanded');
   }
+
+  if (expandedTerms.has(slug)) {
+    ensureTermLoaded(slug);
+  }
 }
 
 // Toggle favorite status
@@ -680,7 +864,7 @@ function showShareModal(term) {
   const modal = document.getElementById('share-modal');
   const modalText = document.getElementById('share-modal-text');
 
-  const shareText = `${term.term}: ${term.definition}`;
+  const shareText = term.definition ? `${term.term}: ${term.definition}` : term.term;
   const shareUrl = `${window.location.origin}${window.location.pathname}#${term.slug}`;
 
   modalText.textContent = shareText;
@@ -774,6 +958,17 @@ function setupEventListeners() {
     }, SEARCH_DEBOUNCE_MS);
   });
 
+  // Status filter
+  statusFilterSelect.addEventListener('change', () => {
+    statusFilter = statusFilterSelect.value;
+    filterTerms();
+    updateStats();
+    renderTerms();
+  });
+
+  // Language switcher
+  languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+
   // Theme toggle
   themeToggle.addEventListener('click', toggleTheme);
 
@@ -793,6 +988,7 @@ function handleHashChange() {
     const term = allTerms.find((t) => t.slug === hash);
     if (term) {
       expandedTerms.add(hash);
+      ensureTermLoaded(hash);
 
       // Scroll to term after a short delay to ensure rendering
       setTimeout(() => {
@@ -802,15 +998,25 @@ function handleHashChange() {
           card.classList.add('expanded');
         }
       }, 100);
+    } else {
+      const tombstone = allTombstones.find((t) => t.slug === hash);
+      if (tombstone) {
+        showToast(
+          `🪦 "${hash}" was removed from the glossary on ${tombstone.date}: ${tombstone.reason}`
+        );
+      }
     }
   }
 }
 
-// Utility: Escape HTML to prevent XSS
+// Utility: Escape text for HTML content and quoted attribute values to prevent XSS
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
 }
 
 // Handle keyboard shortcuts
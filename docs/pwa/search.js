@@ -0,0 +1,349 @@
+/**
+ * Lexical search engine for FOSS Glossary
+ *
+ * One ranking for every client: the PWA loads this file with a <script> tag
+ * (it becomes window.GlossarySearch) and Node scripts require() it. It lives
+ * next to app.js because GitHub Pages only publishes docs/.
+ *
+ * Ranking is BM25F over the term, aliases, tags, definition, explanation, and
+ * humor fields: per-field term frequencies are length-normalized, weighted,
+ * and summed before BM25 saturation. Text is lowercased, stripped of accents
+ * and stop words, and reduced with a light English suffix stemmer.
+ *
+ * Query words that are not in the vocabulary still match:
+ * - as prefixes of indexed words, so results update while typing
+ * - within a small edit distance (1 for 4+ letters, 2 for 8+), for typos
+ * Both kinds of match count for less than an exact one.
+ *
+ * The index (buildSearchIndex) is plain JSON, so exportTerms.js builds it ahead
+ * of time and clients only create the engine (createSearchEngine).
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GlossarySearch = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // cspell:ignore sses aeiouylsz
+
+  const SEARCH_INDEX_FORMAT = 'bm25f-1';
+
+  // Indexed fields, in the order postings refer to them
+  const SEARCH_FIELDS = ['term', 'aliases', 'tags', 'definition', 'explanation', 'humor'];
+
+  const DEFAULT_FIELD_WEIGHTS = {
+    term: 3,
+    aliases: 2.5,
+    tags: 2,
+    definition: 1.5,
+    explanation: 1,
+    humor: 0.5,
+  };
+
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+  const MIN_TOKEN_LENGTH = 2;
+  const MIN_PREFIX_LENGTH = 3;
+  const PREFIX_MATCH_WEIGHT = 0.7;
+  const TYPO_MATCH_WEIGHT = 0.5;
+
+  const STOP_WORDS = new Set(
+    (
+      'a an and are as at be been but by can could did do does doing for from had has have how ' +
+      'i if in into is it its me my of on or our should so than that the their them then there ' +
+      'these they this those to was we were what when where which while who whom why will with ' +
+      'would you your'
+    ).split(' ')
+  );
+
+  /**
+   * Lowercase text and strip accents
+   *
+   * @param {string|string[]} value - Text or array of text values
+   * @returns {string} Normalized text
+   */
+  function normalizeText(value) {
+    const text = Array.isArray(value) ? value.join(' ') : String(value || '');
+    return text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Reduce an English word to a stem with a few suffix rules
+   * Deliberately lighter than Porter: it only has to map a word and its common
+   * inflections (plural, -ing, -ed, -er, -ly, -ion) onto the same token.
+   *
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem
+   */
+  function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) {
+      return word;
+    }
+    let stemmed = word;
+    if (stemmed.endsWith('ies') && stemmed.length > 4) {
+      stemmed = `${stemmed.slice(0, -3)}y`;
+    } else if (stemmed.endsWith('sses')) {
+      stemmed = stemmed.slice(0, -2);
+    } else if (stemmed.endsWith('s') && !/(ss|us|is)$/.test(stemmed)) {
+      stemmed = stemmed.slice(0, -1);
+    }
+
+    for (const suffix of ['ing', 'ion', 'ed', 'er', 'ly']) {
+      if (stemmed.endsWith(suffix) && stemmed.length - suffix.length >= 3) {
+        stemmed = stemmed.slice(0, -suffix.length);
+        break;
+      }
+    }
+
+    if (/([^aeiouylsz])\1$/.test(stemmed)) {
+      stemmed = stemmed.slice(0, -1);
+    } else if (stemmed.endsWith('e') && !stemmed.endsWith('ee') && stemmed.length > 3) {
+      stemmed = stemmed.slice(0, -1);
+    }
+    return stemmed;
+  }
+
+  /**
+   * Split text into words, dropping short words and stop words
+   *
+   * @param {string|string[]} value - Text or array of text values
+   * @returns {string[]} Words in order, duplicates kept
+   */
+  function splitWords(value) {
+    return normalizeText(value)
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(word));
+  }
+
+  /**
+   * Turn text into search tokens (stemmed words)
+   *
+   * @param {string|string[]} value - Text or array of text values
+   * @returns {string[]} Tokens in order, duplicates kept (they count towards term frequency)
+   */
+  function tokenize(value) {
+    return splitWords(value).map(stem);
+  }
+
+  /**
+   * Edit distance between two words, counting adjacent swaps as one edit
+   * Stops early once the distance is known to exceed max
+   *
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 if it is larger than max
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i += 1) {
+      const nextRow = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousRow[j - 2] + 1);
+        }
+        nextRow.push(value);
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previousRow = row;
+      row = nextRow;
+    }
+    return row[b.length];
+  }
+
+  /**
+   * Number of typos tolerated for a query word
+   *
+   * @param {string} word - Query word
+   * @returns {number} 0, 1, or 2
+   */
+  function allowedTypos(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+  }
+
+  /**
+   * Build a search index for terms
+   * Postings map each token to [document, field, frequency] triples; documents
+   * and fields are indexes into `slugs` and `fields`.
+   *
+   * @param {Object[]} terms - Term objects (slug plus any searchable fields)
+   * @param {Object} [options] - Index options
+   * @param {string} [options.version] - Version of the terms the index was built from
+   * @returns {Object} Index with format, version, fields, slugs, lengths, average_lengths,
+   *   tokens_count, and postings
+   */
+  function buildSearchIndex(terms, { version } = {}) {
+    const postings = new Map();
+    const lengths = [];
+    const totals = SEARCH_FIELDS.map(() => 0);
+
+    terms.forEach((term, doc) => {
+      const docLengths = SEARCH_FIELDS.map((field, fieldIndex) => {
+        const tokens = tokenize(term[field]);
+        const counts = new Map();
+        for (const token of tokens) {
+          counts.set(token, (counts.get(token) || 0) + 1);
+        }
+        for (const [token, count] of counts) {
+          if (!postings.has(token)) {
+            postings.set(token, []);
+          }
+          postings.get(token).push([doc, fieldIndex, count]);
+        }
+        totals[fieldIndex] += tokens.length;
+        return tokens.length;
+      });
+      lengths.push(docLengths);
+    });
+
+    const sortedPostings = {};
+    for (const token of [...postings.keys()].sort()) {
+      sortedPostings[token] = postings.get(token);
+    }
+
+    const index = {
+      format: SEARCH_INDEX_FORMAT,
+      fields: SEARCH_FIELDS,
+      slugs: terms.map((term) => term.slug),
+      lengths,
+      average_lengths: totals.map((total) =>
+        terms.length > 0 ? Math.round((total / terms.length) * 1000) / 1000 : 0
+      ),
+      tokens_count: postings.size,
+      postings: sortedPostings,
+    };
+    return version ? { version, ...index } : index;
+  }
+
+  /**
+   * Create a search engine over an index
+   *
+   * @param {Object} index - Index from buildSearchIndex()
+   * @param {Object} [options] - Engine options
+   * @param {Object<string, number>} [options.weights=DEFAULT_FIELD_WEIGHTS] - Field weights
+   * @returns {Object} Engine with search(query, { limit }) returning [{ slug, score }] sorted
+   *   by score descending
+   * @throws {Error} If the index was built by an incompatible version of this module
+   */
+  function createSearchEngine(index, { weights = DEFAULT_FIELD_WEIGHTS } = {}) {
+    if (!index || index.format !== SEARCH_INDEX_FORMAT) {
+      throw new Error(`Unsupported search index format: ${index && index.format}`);
+    }
+    const fieldWeights = index.fields.map((field) => weights[field] || 0);
+    const vocabulary = Object.keys(index.postings);
+    const documentCount = index.slugs.length;
+
+    // Inverse document frequency of a token (BM25 variant that stays positive)
+    function idf(token) {
+      const documents = new Set(index.postings[token].map(([doc]) => doc));
+      return Math.log(1 + (documentCount - documents.size + 0.5) / (documents.size + 0.5));
+    }
+
+    // BM25F score of every document containing a token
+    function scoreToken(token) {
+      const frequencies = new Map();
+      for (const [doc, field, count] of index.postings[token]) {
+        const averageLength = index.average_lengths[field] || 1;
+        const normalization = 1 - BM25_B + (BM25_B * index.lengths[doc][field]) / averageLength;
+        frequencies.set(
+          doc,
+          (frequencies.get(doc) || 0) + (fieldWeights[field] * count) / normalization
+        );
+      }
+      const weight = idf(token);
+      const scores = new Map();
+      for (const [doc, frequency] of frequencies) {
+        scores.set(doc, (weight * frequency) / (BM25_K1 + frequency));
+      }
+      return scores;
+    }
+
+    // Indexed tokens a query word can stand for, with how much each match counts
+    function expandWord(word) {
+      const token = stem(word);
+      const expansions = new Map();
+      if (index.postings[token]) {
+        expansions.set(token, 1);
+      }
+      if (word.length >= MIN_PREFIX_LENGTH) {
+        for (const candidate of vocabulary) {
+          if (candidate !== token && (candidate.startsWith(word) || candidate.startsWith(token))) {
+            expansions.set(candidate, PREFIX_MATCH_WEIGHT);
+          }
+        }
+      }
+      const maxTypos = allowedTypos(word);
+      if (expansions.size === 0 && maxTypos > 0) {
+        for (const candidate of vocabulary) {
+          if (editDistance(token, candidate, maxTypos) <= maxTypos) {
+            expansions.set(candidate, TYPO_MATCH_WEIGHT);
+          }
+        }
+      }
+      return expansions;
+    }
+
+    /**
+     * Rank documents for a query
+     * Each query word contributes its best-matching expansion per document.
+     *
+     * @param {string} query - Free-text query
+     * @param {Object} [options] - Search options
+     * @param {number} [options.limit] - Maximum number of results
+     * @returns {Object[]} Array of { slug, score } with score > 0
+     */
+    function search(query, { limit } = {}) {
+      const totals = new Map();
+      for (const word of new Set(splitWords(query))) {
+        const best = new Map();
+        for (const [token, matchWeight] of expandWord(word)) {
+          for (const [doc, score] of scoreToken(token)) {
+            best.set(doc, Math.max(best.get(doc) || 0, score * matchWeight));
+          }
+        }
+        for (const [doc, score] of best) {
+          totals.set(doc, (totals.get(doc) || 0) + score);
+        }
+      }
+
+      const results = [...totals]
+        .filter(([, score]) => score > 0)
+        .map(([doc, score]) => ({ slug: index.slugs[doc], score }))
+        .sort((a, b) => b.score - a.score || a.slug.localeCompare(b.slug));
+      return limit === undefined ? results : results.slice(0, limit);
+    }
+
+    return { search };
+  }
+
+  return {
+    SEARCH_INDEX_FORMAT,
+    SEARCH_FIELDS,
+    DEFAULT_FIELD_WEIGHTS,
+    STOP_WORDS,
+    normalizeText,
+    stem,
+    tokenize,
+    editDistance,
+    buildSearchIndex,
+    createSearchEngine,
+  };
+});
@@ -3,6 +3,10 @@ import type { NextConfig } from 'next';
 const nextConfig: NextConfig = {
   /* config options here */
   reactStrictMode: true,
+  // API routes share the LLM provider layer and helpers in the repository's utils/
+  experimental: {
+    externalDir: true,
+  },
 };
 
 export default nextConfig;
@@ -1,8 +1,12 @@
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from './auth/[...nextauth]';
+import { createProvider, formatUsage } from '../../../utils/llm';
+import { buildProvenance } from '../../../utils/provenance';
 
 const MAX_TERM_NAME_LENGTH = 200;
 const MAX_AI_RESPONSE_TOKENS = 500;
+const GENERATOR = 'foss-glossary-app/pages/api/generate-term.js';
+const SYSTEM_PROMPT = `You are an expert in FOSS terminology. Generate a concise and accurate glossary entry in YAML format for the given term. The output must be a single YAML object. Include the fields: term, slug, definition, explanation, humorous_description, see_also, and tags. The slug should be a URL-friendly version of the term.`;
 
 export default async function handler(req, res) {
   // 1. Check for authentication
@@ -28,56 +32,36 @@ export default async function handler(req, res) {
     });
   }
 
-  // Validate API key exists
-  if (!process.env.GITHUB_MODELS_API_KEY) {
-    console.error('GITHUB_MODELS_API_KEY is not configured');
+  // Endpoint, model, and API key come from the generateTerm scope of config/llm.json
+  let provider;
+  try {
+    provider = createProvider('generateTerm');
+  } catch (error) {
+    console.error(`LLM provider is not configured: ${error.message}`);
     return res.status(500).json({ error: 'Server configuration error' });
   }
 
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `Generate a YAML entry for the term: "${termName}"` },
+  ];
+
   try {
-    // 3. Call the GitHub Models API on the server
-    const response = await fetch('https://models.inference.ai.azure.com/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${process.env.GITHUB_MODELS_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: `You are an expert in FOSS terminology. Generate a concise and accurate glossary entry in YAML format for the given term. The output must be a single YAML object. Include the fields: term, slug, definition, explanation, humorous_description, see_also, and tags. The slug should be a URL-friendly version of the term.`,
-          },
-          {
-            role: 'user',
-            content: `Generate a YAML entry for the term: "${termName}"`,
-          },
-        ],
-        max_tokens: MAX_AI_RESPONSE_TOKENS,
-      }),
+    // 3. Call the model on the server (retries and error messages come from utils/llm.js)
+    const { content: generatedContent } = await provider.complete({
+      messages,
+      maxTokens: MAX_AI_RESPONSE_TOKENS,
     });
+    console.log(`generate-term: ${formatUsage(provider.usage)}`);
 
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`AI API request failed with status ${response.status}: ${errorBody}`);
-    }
-
-    const aiResult = await response.json();
-
-    // Validate response structure
-    if (!aiResult.choices || !Array.isArray(aiResult.choices) || aiResult.choices.length === 0) {
-      throw new Error('Invalid response structure from AI API');
-    }
-
-    const generatedContent = aiResult.choices[0].message?.content;
-
-    if (!generatedContent) {
-      throw new Error('No content generated by AI API');
-    }
-
-    // 4. Return the generated content to the client
-    res.status(200).json({ content: generatedContent });
+    // 4. Return the generated content with the provenance block the term must carry
+    // (the prompt is stored only as a hash)
+    const provenance = buildProvenance({
+      generator: GENERATOR,
+      model: provider.model,
+      prompt: messages.map((message) => message.content).join('\n\n'),
+    });
+    res.status(200).json({ content: generatedContent, provenance });
   } catch (error) {
     console.error('Error calling AI API:', error.message);
     res.status(500).json({ error: 'Failed to generate term from AI API' });
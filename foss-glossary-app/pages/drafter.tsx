@@ -2,6 +2,15 @@ import { useState } from 'react';
 import { useSession, signIn } from 'next-auth/react';
 import Link from 'next/link';
 
+// Provenance block returned by /api/generate-term (see config/schema.json)
+type Provenance = Record<string, string>;
+
+// Render the provenance block as YAML to paste under the generated term
+function formatProvenance(provenance: Provenance): string {
+  const lines = Object.entries(provenance).map(([key, value]) => `  ${key}: '${value}'`);
+  return ['provenance:', ...lines].join('\n');
+}
+
 export default function DrafterPage() {
   const { data: session, status } = useSession();
   const [termName, setTermName] = useState('');
@@ -9,12 +18,14 @@ export default function DrafterPage() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [generatedContent, setGeneratedContent] = useState('');
+  const [provenance, setProvenance] = useState<Provenance | null>(null);
 
   const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
     setIsLoading(true);
     setError(null);
     setGeneratedContent('');
+    setProvenance(null);
 
     try {
       const response = await fetch('/api/generate-term', {
@@ -29,6 +40,7 @@ export default function DrafterPage() {
       } else {
         const data = await response.json();
         setGeneratedContent(data.content);
+        setProvenance(data.provenance || null);
       }
     } catch {
       setError('Network error: Unable to connect to the server. Please try again.');
@@ -126,6 +138,17 @@ export default function DrafterPage() {
             <pre className="bg-gray-800 text-white p-4 rounded-md overflow-x-auto">
               <code>{generatedContent}</code>
             </pre>
+            {provenance && (
+              <>
+                <p className="mt-4 mb-2 text-gray-700">
+                  Keep this provenance block on the term so it is marked as AI-assisted. Add
+                  <code> reviewed_by</code> with your GitHub username once you have checked it.
+                </p>
+                <pre className="bg-gray-800 text-white p-4 rounded-md overflow-x-auto">
+                  <code>{formatProvenance(provenance)}</code>
+                </pre>
+              </>
+            )}
           </div>
         )}
       </main>
@@ -1,26 +1,33 @@
 #!/usr/bin/env node
-const { OpenAI } = require('openai');
+const fs = require('fs');
+const readline = require('readline');
 const { loadTermsYaml } = require('../utils/fileSystem');
+const { createProvider, formatUsage } = require('../utils/llm');
+const { createEmbedder, rankBySimilarity } = require('../utils/embeddings');
+const { buildSearchIndex, createSearchEngine } = require('../docs/pwa/search');
 
-// Configuration constants (consistent with other AI tools)
-const DEFAULT_BASE_URL = 'https://models.inference.ai.azure.com';
-const DEFAULT_MODEL = 'gpt-4o';
+// Configuration constants (endpoint and model settings live in config/llm.json)
 const DEFAULT_TEMPERATURE = 0.3;
 const DEFAULT_MAX_TOKENS = 1500;
-const DEFAULT_TIMEOUT = 120000;
 const DEFAULT_TOP_K = 5;
+const DEFAULT_EMBEDDINGS_PATH = 'docs/terms.embeddings.json'; // see scripts/exportEmbeddings.js
 
-// Relevance scoring weights for different field matches
-// Higher weights indicate more important matches
-const SCORE_WEIGHT = {
-  TERM_EXACT: 10, // Exact match of full term name
-  ALIAS_EXACT: 8, // Exact match of an alias
-  TERM_WORD: 3, // Word from question found in term name
-  ALIAS_WORD: 2, // Word from question found in alias
-  SLUG_WORD: 2, // Word from question found in slug
-  TAG_MATCH: 2, // Tag matches question
-  DEFINITION_WORD: 1, // Word from question found in definition
-  EXPLANATION_WORD: 0.5, // Word from question found in explanation
+// Hybrid retrieval: cosine similarity carries most of the weight, keyword
+// matches (normalized to the best match) break ties and catch exact names
+const SEMANTIC_WEIGHT = 0.7;
+const KEYWORD_WEIGHT = 0.3;
+const MIN_SIMILARITY = 0.2;
+
+// Conversations keep this many previous question/answer pairs in the prompt
+const MAX_HISTORY_TURNS = 5;
+
+// Answers cite terms as [slug]; a following "(" means a Markdown link, not a citation
+const CITATION_PATTERN = /\[([a-z0-9]+(?:-[a-z0-9]+)*)\](?!\()/g;
+
+const REPL_COMMANDS = {
+  '/help': 'Show this help',
+  '/reset': 'Forget the conversation so far',
+  '/exit': 'Leave the session (or press Ctrl+D)',
 };
 
 /**
@@ -41,12 +48,17 @@ function truncateForLogging(str, maxLength = 100) {
  * Parse command line arguments
  *
  * @param {string[]} argv - Command line arguments
- * @returns {Object} Options object with question property
+ * @returns {Object} Options object with question, topK, keywordOnly, embeddingsPath,
+ *   interactive, and json
  */
 function parseArgs(argv) {
   const options = {
     question: null,
     topK: DEFAULT_TOP_K,
+    keywordOnly: false,
+    embeddingsPath: DEFAULT_EMBEDDINGS_PATH,
+    interactive: false,
+    json: false,
   };
 
   for (let i = 0; i < argv.length; i += 1) {
@@ -56,6 +68,17 @@ function parseArgs(argv) {
         options.topK = parseInt(argv[i + 1], 10);
         i += 1;
       }
+    } else if (arg === '--keyword-only') {
+      options.keywordOnly = true;
+    } else if (arg === '--interactive' || arg === '-i') {
+      options.interactive = true;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--embeddings') {
+      if (i + 1 < argv.length) {
+        options.embeddingsPath = argv[i + 1];
+        i += 1;
+      }
     } else if (!arg.startsWith('-')) {
       // Positional argument is the question
       options.question = arg;
@@ -66,78 +89,17 @@ function parseArgs(argv) {
 }
 
 /**
- * Calculate a simple relevance score between a question and a term
- * Uses keyword matching with field-specific weights
+ * Rank terms against a question with the shared BM25 search engine
+ * The PWA uses the same engine (docs/pwa/search.js), so both agree on relevance
  *
- * @param {string} question - The user's question (lowercase)
- * @param {Object} term - A term object from the glossary
- * @returns {number} Relevance score (higher is better)
+ * @param {string} question - The user's question
+ * @param {Object[]} terms - Array of term objects
+ * @returns {Object[]} Array of { term, score } for matching terms, sorted by score descending
  */
-function calculateRelevance(question, term) {
-  const questionLower = question.toLowerCase();
-  const questionWords = questionLower.split(/\s+/);
-  let score = 0;
-
-  // Check term name (highest weight)
-  const termLower = term.term.toLowerCase();
-  if (questionLower.includes(termLower)) {
-    score += SCORE_WEIGHT.TERM_EXACT;
-  }
-  for (const word of questionWords) {
-    if (word.length > 2 && termLower.includes(word)) {
-      score += SCORE_WEIGHT.TERM_WORD;
-    }
-  }
-
-  // Check aliases
-  if (term.aliases) {
-    for (const alias of term.aliases) {
-      const aliasLower = alias.toLowerCase();
-      if (questionLower.includes(aliasLower)) {
-        score += SCORE_WEIGHT.ALIAS_EXACT;
-      }
-      for (const word of questionWords) {
-        if (word.length > 2 && aliasLower.includes(word)) {
-          score += SCORE_WEIGHT.ALIAS_WORD;
-        }
-      }
-    }
-  }
-
-  // Check slug
-  const slugWords = term.slug.split('-');
-  for (const slugWord of slugWords) {
-    if (questionLower.includes(slugWord)) {
-      score += SCORE_WEIGHT.SLUG_WORD;
-    }
-  }
-
-  // Check definition (medium weight)
-  const defLower = (term.definition || '').toLowerCase();
-  for (const word of questionWords) {
-    if (word.length > 3 && defLower.includes(word)) {
-      score += SCORE_WEIGHT.DEFINITION_WORD;
-    }
-  }
-
-  // Check explanation (lower weight)
-  const explanationLower = (term.explanation || '').toLowerCase();
-  for (const word of questionWords) {
-    if (word.length > 3 && explanationLower.includes(word)) {
-      score += SCORE_WEIGHT.EXPLANATION_WORD;
-    }
-  }
-
-  // Check tags
-  if (term.tags) {
-    for (const tag of term.tags) {
-      if (questionLower.includes(tag)) {
-        score += SCORE_WEIGHT.TAG_MATCH;
-      }
-    }
-  }
-
-  return score;
+function searchTerms(question, terms) {
+  const engine = createSearchEngine(buildSearchIndex(terms));
+  const bySlug = new Map(terms.map((term) => [term.slug, term]));
+  return engine.search(question).map(({ slug, score }) => ({ term: bySlug.get(slug), score }));
 }
 
 /**
@@ -149,19 +111,102 @@ function calculateRelevance(question, term) {
  * @returns {Object[]} Array of relevant terms with scores
  */
 function retrieveRelevantTerms(question, terms, topK = DEFAULT_TOP_K) {
-  const questionLower = question.toLowerCase();
+  return searchTerms(question, terms).slice(0, topK);
+}
 
-  // Calculate relevance for all terms
-  const scoredTerms = terms.map((term) => ({
+/**
+ * Retrieve terms by combining embedding similarity with keyword relevance
+ * A term qualifies when it is similar enough to the question or matches a keyword
+ *
+ * @param {string} question - The user's question
+ * @param {Object[]} terms - Array of term objects
+ * @param {Object} index - Embeddings index (see scripts/exportEmbeddings.js)
+ * @param {number[]} questionVector - Embedded question
+ * @param {number} topK - Number of top terms to retrieve
+ * @returns {Object[]} Array of { term, score, similarity, keywordScore } sorted by score
+ */
+function retrieveHybridTerms(question, terms, index, questionVector, topK = DEFAULT_TOP_K) {
+  const keywordScores = new Map(
+    searchTerms(question, terms).map((entry) => [entry.term.slug, entry.score])
+  );
+  const similarities = new Map(
+    rankBySimilarity(questionVector, index).map((entry) => [entry.slug, entry.similarity])
+  );
+  const scored = terms.map((term) => ({
     term,
-    score: calculateRelevance(questionLower, term),
+    similarity: similarities.get(term.slug) || 0,
+    keywordScore: keywordScores.get(term.slug) || 0,
   }));
+  const maxKeyword = Math.max(0, ...scored.map((entry) => entry.keywordScore));
+
+  return scored
+    .filter((entry) => entry.similarity >= MIN_SIMILARITY || entry.keywordScore > 0)
+    .map((entry) => ({
+      ...entry,
+      score:
+        SEMANTIC_WEIGHT * entry.similarity +
+        (maxKeyword > 0 ? (KEYWORD_WEIGHT * entry.keywordScore) / maxKeyword : 0),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/**
+ * Load the embeddings index written by scripts/exportEmbeddings.js
+ *
+ * @param {string} filePath - Path to the index
+ * @returns {Object|null} Index, or null if it is missing or unreadable
+ */
+function loadEmbeddingIndex(filePath) {
+  try {
+    const index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return index && Array.isArray(index.terms) ? index : null;
+  } catch {
+    return null;
+  }
+}
 
-  // Sort by score descending and take top K
-  scoredTerms.sort((a, b) => b.score - a.score);
+/**
+ * Retrieve terms for a question, semantically when an embeddings index is available
+ * Falls back to keyword retrieval when there is no index, the embedder does not
+ * match the index, or embedding the question fails
+ *
+ * @param {string} question - The user's question
+ * @param {Object[]} terms - Array of term objects
+ * @param {Object} options - Retrieval options
+ * @param {number} options.topK - Number of top terms to retrieve
+ * @param {Object|null} options.index - Embeddings index (null for keyword retrieval)
+ * @param {Object} [options.embedder] - Embedder for the question (defaults to one for the
+ *   index backend)
+ * @returns {Promise<Object>} Object with mode ('hybrid' or 'keyword'), results, and notice
+ *   (why keyword retrieval was used, or null)
+ */
+async function retrieveTerms(question, terms, { topK, index, embedder }) {
+  const keyword = (notice) => ({
+    mode: 'keyword',
+    results: retrieveRelevantTerms(question, terms, topK),
+    notice,
+  });
+  if (!index) {
+    return keyword(null);
+  }
 
-  // Filter out terms with zero score and take top K
-  return scoredTerms.filter((st) => st.score > 0).slice(0, topK);
+  try {
+    const questionEmbedder = embedder || createEmbedder({ backend: index.backend });
+    if (questionEmbedder.model !== index.model) {
+      return keyword(
+        `Embeddings index was built with ${index.model}, but ${questionEmbedder.model} is configured`
+      );
+    }
+    const [questionVector] = await questionEmbedder.embed([question]);
+    return {
+      mode: 'hybrid',
+      results: retrieveHybridTerms(question, terms, index, questionVector, topK),
+      notice: null,
+    };
+  } catch (error) {
+    return keyword(`Could not embed the question (${error.message})`);
+  }
 }
 
 /**
@@ -200,16 +245,60 @@ function formatTermsContext(retrievedTerms) {
     .join('\n---\n');
 }
 
+/**
+ * Find the [slug] citations in an answer
+ *
+ * @param {string} answer - Model answer
+ * @returns {string[]} Cited slugs in order of first appearance
+ */
+function extractCitations(answer) {
+  return [...new Set([...answer.matchAll(CITATION_PATTERN)].map((match) => match[1]))];
+}
+
+/**
+ * Check an answer's citations against the terms it was given
+ * Citations of slugs outside the retrieved set are hallucinated; they are removed
+ * from the answer so readers never follow a reference the glossary cannot back.
+ *
+ * @param {string} answer - Model answer
+ * @param {Object[]} retrievedTerms - Array of retrieved terms with scores
+ * @returns {Object} Object with answer (hallucinated citations removed), citations
+ *   ([{ slug, term }] in order of first appearance), and rejected (hallucinated slugs)
+ */
+function validateCitations(answer, retrievedTerms) {
+  const retrieved = new Map(retrievedTerms.map((rt) => [rt.term.slug, rt.term]));
+  const cited = extractCitations(answer);
+  const rejected = cited.filter((slug) => !retrieved.has(slug));
+
+  const cleaned =
+    rejected.length === 0
+      ? answer
+      : answer
+          .replace(CITATION_PATTERN, (match, slug) => (retrieved.has(slug) ? match : ''))
+          .replace(/[ \t]+([.,;:!?])/g, '$1')
+          .replace(/[ \t]{2,}/g, ' ');
+
+  return {
+    answer: cleaned,
+    citations: cited
+      .filter((slug) => retrieved.has(slug))
+      .map((slug) => ({ slug, term: retrieved.get(slug).term })),
+    rejected,
+  };
+}
+
 /**
  * Generate an answer using the AI model
  *
  * @param {string} question - The user's question
  * @param {Object[]} retrievedTerms - Array of retrieved terms with scores
- * @param {OpenAI} client - OpenAI client instance
- * @param {string} model - Model name to use
- * @returns {Promise<Object>} Answer object with response and sources
+ * @param {Object} provider - LLM provider from utils/llm.js
+ * @param {Object} [options] - Generation options
+ * @param {Object[]} [options.history=[]] - Earlier turns as { role, content } messages
+ * @returns {Promise<Object>} Answer object with answer, sources, retrievedCount, citations,
+ *   and rejectedCitations
  */
-async function generateAnswer(question, retrievedTerms, client, model) {
+async function generateAnswer(question, retrievedTerms, provider, { history = [] } = {}) {
   const context = formatTermsContext(retrievedTerms);
   const sourceTerms = retrievedTerms.map((rt) => rt.term.term);
 
@@ -219,152 +308,294 @@ Important guidelines:
 1. Answer ONLY based on the glossary content provided. If the information is not in the glossary, say so clearly.
 2. Be accurate and helpful, matching the informative yet humorous tone of the glossary.
 3. When relevant, include the humor from the glossary to make answers engaging.
-4. Always attribute information to the specific terms you're referencing.
+4. Cite every term you use by its slug in square brackets right after the statement, e.g. [fork]. Only cite slugs that appear in the context below.
 5. If the question is about something not covered in the glossary, suggest related terms that might be helpful.
 6. Keep answers concise but complete.
+7. Earlier messages are the conversation so far; use them to resolve follow-up questions, but take facts only from the context below.
 
 GLOSSARY CONTEXT:
 ${context}`;
 
   const userPrompt = `Question: ${question}
 
-Please answer based on the glossary content above. If applicable, mention which terms you're referencing.`;
+Please answer based on the glossary content above, citing the terms you use as [slug].`;
 
-  let response;
-  try {
-    response = await client.chat.completions.create({
-      model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: DEFAULT_TEMPERATURE,
-      max_tokens: DEFAULT_MAX_TOKENS,
+  const { content } = await provider.complete({
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...history,
+      { role: 'user', content: userPrompt },
+    ],
+    temperature: DEFAULT_TEMPERATURE,
+    maxTokens: DEFAULT_MAX_TOKENS,
+  });
+  const { answer, citations, rejected } = validateCitations(content, retrievedTerms);
+
+  return {
+    answer,
+    sources: sourceTerms,
+    retrievedCount: retrievedTerms.length,
+    citations,
+    rejectedCitations: rejected,
+  };
+}
+
+/**
+ * Build the text used to retrieve terms for a conversation turn
+ * Follow-ups like "and who coined it?" name nothing to search for, so the
+ * previous question is searched along with the current one.
+ *
+ * @param {string} question - The current question
+ * @param {Object[]} history - Earlier turns as { role, content } messages
+ * @returns {string} Retrieval query
+ */
+function buildRetrievalQuery(question, history) {
+  const previous = history.filter((message) => message.role === 'user').pop();
+  return previous ? `${previous.content}\n${question}` : question;
+}
+
+/**
+ * Create a multi-turn conversation over the glossary
+ * Every turn re-retrieves terms, so the context follows the topic as it moves.
+ *
+ * @param {Object} options - Conversation options
+ * @param {Object[]} options.terms - Array of term objects
+ * @param {Object} options.provider - LLM provider from utils/llm.js
+ * @param {number} [options.topK=DEFAULT_TOP_K] - Number of terms to retrieve per turn
+ * @param {Object|null} [options.index=null] - Embeddings index (null for keyword retrieval)
+ * @param {Object} [options.embedder] - Embedder for questions (see retrieveTerms())
+ * @returns {Object} Conversation with ask(question), reset(), and history
+ */
+function createConversation({ terms, provider, topK = DEFAULT_TOP_K, index = null, embedder }) {
+  const history = [];
+
+  /**
+   * Answer the next question in the conversation
+   *
+   * @param {string} question - The user's question
+   * @returns {Promise<Object>} Turn with question, answer (null when no terms matched),
+   *   citations, rejectedCitations, sources ([{ slug, term, score }]), and retrieval
+   *   ({ mode, notice })
+   */
+  async function ask(question) {
+    const retrieval = await retrieveTerms(buildRetrievalQuery(question, history), terms, {
+      topK,
+      index,
+      embedder,
     });
-  } catch (error) {
-    // Handle specific API errors with informative messages
-    if (error.status === 401) {
-      throw new Error('Authentication failed. Please check your GITHUB_TOKEN is valid.');
-    }
-    if (error.status === 429) {
-      throw new Error('Rate limit exceeded. Please wait a moment and try again.');
-    }
-    if (error.status === 503 || error.status === 502) {
-      throw new Error('AI service temporarily unavailable. Please try again later.');
+    const turn = {
+      question,
+      answer: null,
+      citations: [],
+      rejectedCitations: [],
+      sources: retrieval.results.map((rt) => ({
+        slug: rt.term.slug,
+        term: rt.term.term,
+        score: rt.score,
+      })),
+      retrieval: { mode: retrieval.mode, notice: retrieval.notice },
+    };
+    if (retrieval.results.length === 0) {
+      return turn;
     }
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-      throw new Error('Network error. Please check your internet connection.');
-    }
-    if (error.code === 'ETIMEDOUT') {
-      throw new Error('Request timed out. The AI service may be busy, please try again.');
-    }
-    // Re-throw with original message for other errors
-    throw new Error(`AI API error: ${error.message}`);
-  }
-
-  // Validate response structure
-  if (!response.choices || response.choices.length === 0) {
-    throw new Error('AI response did not contain any choices');
-  }
 
-  const messageContent = response.choices[0].message?.content;
-  if (!messageContent) {
-    throw new Error('AI response did not contain message content');
+    const result = await generateAnswer(question, retrieval.results, provider, { history });
+    history.push(
+      { role: 'user', content: question },
+      { role: 'assistant', content: result.answer }
+    );
+    history.splice(0, Math.max(0, history.length - MAX_HISTORY_TURNS * 2));
+    return {
+      ...turn,
+      answer: result.answer,
+      citations: result.citations,
+      rejectedCitations: result.rejectedCitations,
+    };
   }
 
   return {
-    answer: messageContent.trim(),
-    sources: sourceTerms,
-    retrievedCount: retrievedTerms.length,
+    ask,
+    reset: () => history.splice(0),
+    history,
   };
 }
 
 /**
- * Create an OpenAI client configured for GitHub Models
+ * Format a conversation turn for the terminal
  *
- * @returns {Object} Object containing client and model
+ * @param {Object} turn - Turn returned by conversation.ask()
+ * @returns {string[]} Output lines
  */
-function createClient() {
-  // GITHUB_TOKEN is used for GitHub Models API (models.inference.ai.azure.com)
-  const apiKey = process.env.GITHUB_TOKEN;
-  if (!apiKey) {
-    throw new Error('GITHUB_TOKEN environment variable is required for GitHub Models API access');
+function formatTurn(turn) {
+  if (turn.answer === null) {
+    return [
+      'No directly relevant terms found.',
+      '💡 Tip: Try rephrasing your question or using specific FOSS terms.',
+    ];
   }
 
-  const baseURL = process.env.ASK_GLOSSARY_BASE_URL || DEFAULT_BASE_URL;
-  const model = process.env.ASK_GLOSSARY_MODEL || DEFAULT_MODEL;
-  const timeout = parseInt(process.env.ASK_GLOSSARY_TIMEOUT, 10) || DEFAULT_TIMEOUT;
+  const lines = ['='.repeat(60), '📖 ANSWER:', '='.repeat(60), turn.answer, '='.repeat(60)];
+  if (turn.rejectedCitations.length > 0) {
+    lines.push(
+      `⚠️ Warning: Removed citations of terms that were not retrieved: ${turn.rejectedCitations.join(', ')}`
+    );
+  }
+  const cited = new Set(turn.citations.map((citation) => citation.slug));
+  lines.push('', '📌 Sources:');
+  for (const source of turn.sources) {
+    lines.push(`   - ${source.term} [${source.slug}]${cited.has(source.slug) ? ' (cited)' : ''}`);
+  }
+  return lines;
+}
 
-  const client = new OpenAI({
-    baseURL,
-    apiKey,
-    timeout,
+/**
+ * Run an interactive ask-the-glossary session
+ * Reads one question per line until /exit or end of input. With json, every
+ * turn is written as one JSON line and no prompt or banner is shown.
+ *
+ * @param {Object} conversation - Conversation from createConversation()
+ * @param {Object} [options] - Session options
+ * @param {stream.Readable} [options.input=process.stdin] - Question input
+ * @param {stream.Writable} [options.output=process.stdout] - Answer output
+ * @param {boolean} [options.json=false] - Write turns as JSON lines
+ * @returns {Promise<number>} Number of questions answered
+ */
+async function runRepl(
+  conversation,
+  { input = process.stdin, output = process.stdout, json = false } = {}
+) {
+  const write = (line = '') => output.write(`${line}\n`);
+  const rl = readline.createInterface({
+    input,
+    output: json ? undefined : output,
+    prompt: '❓ ',
+    terminal: !json && Boolean(output.isTTY),
   });
+  let answered = 0;
+
+  if (!json) {
+    write('💬 Ask a question, or type /help for commands');
+    rl.prompt();
+  }
 
-  return { client, model };
+  for await (const line of rl) {
+    const question = line.trim();
+    if (question === '/exit' || question === '/quit') {
+      break;
+    }
+    if (question === '/help') {
+      if (json) {
+        write(JSON.stringify({ commands: REPL_COMMANDS }));
+      } else {
+        for (const [command, description] of Object.entries(REPL_COMMANDS)) {
+          write(`   ${command.padEnd(8)} ${description}`);
+        }
+      }
+    } else if (question === '/reset') {
+      conversation.reset();
+      write(json ? JSON.stringify({ reset: true }) : 'ℹ️ Conversation cleared');
+    } else if (question) {
+      try {
+        const turn = await conversation.ask(question);
+        answered += 1;
+        if (json) {
+          write(JSON.stringify(turn));
+        } else {
+          if (turn.retrieval.notice) {
+            write(`⚠️ Warning: ${turn.retrieval.notice}; using keyword search`);
+          }
+          formatTurn(turn).forEach((text) => write(text));
+        }
+      } catch (error) {
+        write(
+          json ? JSON.stringify({ question, error: error.message }) : `❌ Error: ${error.message}`
+        );
+      }
+    }
+    if (!json) {
+      write();
+      rl.prompt();
+    }
+  }
+
+  rl.close();
+  return answered;
 }
 
 /**
  * Main function to answer questions using the glossary
+ * Answers one question, or starts an interactive session with --interactive.
+ * With --json, progress messages are skipped and results are printed as JSON.
  *
  * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
  */
 async function main(argv = process.argv.slice(2)) {
   const options = parseArgs(argv);
+  const log = options.json ? () => {} : (...args) => console.log(...args);
 
-  if (!options.question) {
+  if (!options.question && !options.interactive) {
     console.error('❌ Error: Question is required');
     console.error('Usage: npm run ask "Your question about FOSS terminology"');
     console.error('       node scripts/askGlossary.js "What is a fork?"');
+    console.error('       npm run ask:chat');
     console.error('');
     console.error('Options:');
     console.error('  --top-k, -k <number>  Number of terms to retrieve (default: 5)');
+    console.error(`  --embeddings <path>   Embeddings index (default: ${DEFAULT_EMBEDDINGS_PATH})`);
+    console.error('  --keyword-only        Skip semantic retrieval');
+    console.error('  --interactive, -i     Ask follow-up questions in a conversation');
+    console.error('  --json                Print answers as JSON (one line per turn with -i)');
     process.exit(1);
   }
 
-  console.log('🤖 FOSS Glossary Q&A');
-  console.log(`   Question: "${truncateForLogging(options.question, 60)}"`);
-  console.log(`   Top-K: ${options.topK}`);
+  log('🤖 FOSS Glossary Q&A');
+  if (options.question) {
+    log(`   Question: "${truncateForLogging(options.question, 60)}"`);
+  }
+  log(`   Top-K: ${options.topK}`);
 
   // Load terms
-  console.log('\n📚 Loading glossary...');
+  log('\n📚 Loading glossary...');
   const terms = loadTermsYaml();
-  console.log(`   Loaded ${terms.length} terms`);
+  log(`   Loaded ${terms.length} terms`);
+
+  const index = options.keywordOnly ? null : loadEmbeddingIndex(options.embeddingsPath);
+  if (!index && !options.keywordOnly) {
+    log(
+      `   ℹ️ No embeddings index at ${options.embeddingsPath}; using keyword search ` +
+        '(run "npm run export:embeddings" to build it)'
+    );
+  }
 
-  // Retrieve relevant terms
-  console.log('\n🔍 Searching for relevant terms...');
-  const retrievedTerms = retrieveRelevantTerms(options.question, terms, options.topK);
+  const provider = createProvider('askGlossary');
+  const conversation = createConversation({ terms, provider, topK: options.topK, index });
 
-  if (retrievedTerms.length === 0) {
-    console.log('   No directly relevant terms found.');
-    console.log('\n💡 Tip: Try rephrasing your question or using specific FOSS terms.');
-    process.exit(0);
+  if (options.interactive) {
+    log('');
+    const answered = await runRepl(conversation, { json: options.json });
+    if (!options.json && answered > 0) {
+      console.log(`\n${formatUsage(provider.usage)}`);
+    }
+    return;
   }
 
-  console.log(`   Found ${retrievedTerms.length} relevant term(s):`);
-  for (const rt of retrievedTerms) {
-    console.log(`   - ${rt.term.term} (score: ${rt.score.toFixed(1)})`);
+  log('\n🔍 Searching for relevant terms and generating an answer...');
+  const turn = await conversation.ask(options.question);
+  if (options.json) {
+    console.log(JSON.stringify({ ...turn, usage: provider.usage }, null, 2));
+    return;
   }
 
-  // Generate answer
-  console.log('\n💭 Generating answer...');
-  const { client, model } = createClient();
-  const result = await generateAnswer(options.question, retrievedTerms, client, model);
-
-  // Display answer
-  console.log('\n' + '='.repeat(60));
-  console.log('📖 ANSWER:');
-  console.log('='.repeat(60));
-  console.log(result.answer);
-  console.log('='.repeat(60));
-
-  // Display sources
-  console.log('\n📌 Sources:');
-  for (const source of result.sources) {
-    console.log(`   - ${source}`);
+  if (turn.retrieval.notice) {
+    console.log(`   ⚠️ Warning: ${turn.retrieval.notice}; using keyword search`);
+  }
+  console.log(`   Found ${turn.sources.length} relevant term(s) (${turn.retrieval.mode} search)`);
+  console.log('');
+  formatTurn(turn).forEach((line) => console.log(line));
+  if (turn.answer !== null) {
+    console.log(`\n${formatUsage(provider.usage)}`);
+    console.log('\n✅ Done!');
   }
-
-  console.log('\n✅ Done!');
 }
 
 if (require.main === module) {
@@ -376,18 +607,27 @@ if (require.main === module) {
 
 module.exports = {
   parseArgs,
-  calculateRelevance,
+  searchTerms,
   retrieveRelevantTerms,
+  retrieveHybridTerms,
+  loadEmbeddingIndex,
+  retrieveTerms,
   formatTermsContext,
+  extractCitations,
+  validateCitations,
   generateAnswer,
-  createClient,
+  buildRetrievalQuery,
+  createConversation,
+  formatTurn,
+  runRepl,
   truncateForLogging,
   // Export constants for testing
-  DEFAULT_BASE_URL,
-  DEFAULT_MODEL,
   DEFAULT_TEMPERATURE,
   DEFAULT_MAX_TOKENS,
-  DEFAULT_TIMEOUT,
   DEFAULT_TOP_K,
-  SCORE_WEIGHT,
+  DEFAULT_EMBEDDINGS_PATH,
+  SEMANTIC_WEIGHT,
+  KEYWORD_WEIGHT,
+  MIN_SIMILARITY,
+  MAX_HISTORY_TURNS,
 };
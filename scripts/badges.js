@@ -0,0 +1,199 @@
+/**
+ * Contributor badge catalogue for FOSS Glossary
+ *
+ * Per-term badges (Comedy Gold, Perfectionist...) come from scoring. The
+ * badges here are contributor-level achievements computed from the whole
+ * terms set plus git history: how many terms someone wrote, how regularly,
+ * whether their work is referenced by other entries, and translations.
+ *
+ * Output (docs/badges.json) lists the catalogue with icons and descriptions,
+ * who holds each badge, and the badges of every contributor.
+ */
+
+const path = require('path');
+const { collectLeaderboard, IGNORED_AUTHORS } = require('./leaderboard');
+const { resolveSeeAlso } = require('../utils/crossReferences');
+const { collectTermHistory } = require('../utils/termHistory');
+const { loadYaml } = require('../utils/fileSystem');
+const { listLocaleFiles } = require('../utils/locales');
+
+const BADGES_VERSION = 1;
+
+const BADGE_CATALOGUE = [
+  {
+    id: 'first-term',
+    icon: '🌱',
+    name: 'First Term',
+    description: 'Added a first term to the glossary',
+    rule: 'terms',
+    threshold: 1,
+  },
+  {
+    id: 'high-five',
+    icon: '🖐️',
+    name: 'High Five',
+    description: 'Added five terms to the glossary',
+    rule: 'terms',
+    threshold: 5,
+  },
+  {
+    id: 'monthly-regular',
+    icon: '📅',
+    name: 'Monthly Regular',
+    description: 'Added a term every month for three months in a row',
+    rule: 'streak',
+    threshold: 3,
+  },
+  {
+    id: 'most-referenced',
+    icon: '🔗',
+    name: 'Most Referenced',
+    description: 'Wrote the term that other entries link to most via see_also',
+    rule: 'most-referenced',
+  },
+  {
+    id: 'first-translation',
+    icon: '🌍',
+    name: 'First Translation',
+    description: 'Contributed a first translated term',
+    rule: 'translations',
+    threshold: 1,
+  },
+];
+
+// Rule evaluators: (contributor, context, badge) => boolean
+const RULES = {
+  terms: (contributor, context, badge) => contributor.terms_count >= badge.threshold,
+  streak: (contributor, context, badge) => contributor.streak.longest >= badge.threshold,
+  'most-referenced': (contributor, context) =>
+    contributor.terms.some((slug) => context.mostReferenced.includes(slug)),
+  translations: (contributor, context, badge) =>
+    (context.translations.get(contributor.name) || 0) >= badge.threshold,
+};
+
+/**
+ * Count how many other terms reference each term through see_also
+ *
+ * @param {Object[]} terms - Array of term objects
+ * @param {Object<string, string>} [redirects={}] - Redirect map from terms.yaml
+ * @returns {Map<string, number>} Map of slug to incoming reference count
+ */
+function countReferences(terms, redirects = {}) {
+  const counts = new Map();
+  const { resolved } = resolveSeeAlso(terms, redirects);
+  for (const slugs of resolved.values()) {
+    for (const slug of slugs) {
+      counts.set(slug, (counts.get(slug) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Find the most referenced terms (all of them, on a tie)
+ *
+ * @param {Map<string, number>} counts - Reference counts from countReferences()
+ * @returns {string[]} Slugs with the highest non-zero count
+ */
+function findMostReferenced(counts) {
+  const max = Math.max(0, ...counts.values());
+  if (max === 0) {
+    return [];
+  }
+  return [...counts.entries()]
+    .filter(([, count]) => count === max)
+    .map(([slug]) => slug)
+    .sort();
+}
+
+/**
+ * Count translated terms per author across terms.<lang>.yaml files
+ *
+ * @param {string} [dir='.'] - Directory containing the translation files
+ * @returns {Map<string, number>} Map of author name to translated terms introduced
+ */
+function collectTranslationCredits(dir = '.') {
+  const credits = new Map();
+  for (const { path: file } of listLocaleFiles(dir)) {
+    for (const entry of collectTermHistory(file).values()) {
+      if (entry.created_by) {
+        credits.set(entry.created_by, (credits.get(entry.created_by) || 0) + 1);
+      }
+    }
+  }
+  return credits;
+}
+
+/**
+ * Award catalogue badges to contributors
+ *
+ * @param {Object} leaderboard - Leaderboard from buildLeaderboard()
+ * @param {Object} context - Glossary context
+ * @param {Object[]} context.terms - All terms
+ * @param {Object<string, string>} [context.redirects] - Redirect map
+ * @param {Map<string, number>} [context.translations] - Translation credits per author
+ * @param {string} [context.generatedAt] - ISO-8601 timestamp (defaults to now)
+ * @returns {Object} Badge document with catalogue (including holders) and contributors
+ */
+function buildBadgeDocument(leaderboard, context) {
+  const translations = context.translations || new Map();
+  const ruleContext = {
+    translations,
+    mostReferenced: findMostReferenced(countReferences(context.terms, context.redirects)),
+  };
+
+  // Translators without terms of their own still earn translation badges
+  const contributors = leaderboard.contributors.map((contributor) => ({ ...contributor }));
+  for (const name of translations.keys()) {
+    if (!IGNORED_AUTHORS.includes(name) && !contributors.some((c) => c.name === name)) {
+      contributors.push({ name, terms_count: 0, terms: [], streak: { current: 0, longest: 0 } });
+    }
+  }
+
+  const awarded = contributors.map((contributor) => ({
+    name: contributor.name,
+    badges: BADGE_CATALOGUE.filter((badge) =>
+      RULES[badge.rule](contributor, ruleContext, badge)
+    ).map((badge) => badge.id),
+  }));
+
+  const catalogue = BADGE_CATALOGUE.map(({ id, icon, name, description }) => ({
+    id,
+    icon,
+    name,
+    description,
+    holders: awarded.filter((c) => c.badges.includes(id)).map((c) => c.name),
+  }));
+
+  return {
+    version: BADGES_VERSION,
+    generated_at: context.generatedAt || leaderboard.generated_at || new Date().toISOString(),
+    catalogue,
+    contributors: awarded.filter((contributor) => contributor.badges.length > 0),
+  };
+}
+
+/**
+ * Collect contributor badges for a terms file from the local Git repository
+ *
+ * @param {string} [filePath='terms.yaml'] - Repository-relative path of the terms file
+ * @returns {Object} Badge document
+ */
+function collectBadges(filePath = 'terms.yaml') {
+  const data = loadYaml(filePath);
+  const leaderboard = collectLeaderboard(filePath);
+  return buildBadgeDocument(leaderboard, {
+    terms: data && Array.isArray(data.terms) ? data.terms : [],
+    redirects: (data && data.redirects) || {},
+    translations: collectTranslationCredits(path.dirname(filePath)),
+  });
+}
+
+module.exports = {
+  BADGE_CATALOGUE,
+  countReferences,
+  findMostReferenced,
+  collectTranslationCredits,
+  buildBadgeDocument,
+  collectBadges,
+};
@@ -2,14 +2,13 @@
 const fs = require('fs');
 const { execSync } = require('child_process');
 const yaml = require('js-yaml');
-const { OpenAI } = require('openai');
+const { buildProvenance } = require('../utils/provenance');
+const { createProvider, formatUsage } = require('../utils/llm');
 
-// Configuration constants
-const DEFAULT_BASE_URL = 'https://models.inference.ai.azure.com';
-const DEFAULT_MODEL = 'gpt-4o';
+// Configuration constants (endpoint and model settings live in config/llm.json)
 const DEFAULT_TEMPERATURE = 0.7;
 const DEFAULT_MAX_TOKENS = 2000;
-const DEFAULT_TIMEOUT = 120000;
+const GENERATOR = 'scripts/draftTerm.js';
 
 /**
  * Normalize a string to kebab-case (lowercase with hyphens)
@@ -64,12 +63,13 @@ function parseArgs(argv) {
 
 /**
  * Generate a glossary term using AI
+ * The term carries a provenance block recording this script, the model, and a
+ * hash of the prompt, so it is marked as AI-assisted until a human reviews it
  * @param {string} termName - The term name to generate content for
- * @param {OpenAI} client - OpenAI client instance
- * @param {string} model - Model name to use
+ * @param {Object} provider - LLM provider from utils/llm.js
  * @returns {Promise<Object>} Generated term object
  */
-async function generateTerm(termName, client, model) {
+async function generateTerm(termName, provider) {
   const slug = toSlug(termName);
 
   const prompt = `You are an expert in FOSS (Free and Open Source Software) terminology and culture. Generate a glossary entry for the term "${termName}".
@@ -98,25 +98,12 @@ Requirements:
 
 Respond ONLY with the JSON object, no additional text or markdown formatting.`;
 
-  const response = await client.chat.completions.create({
-    model,
+  let { content } = await provider.complete({
     messages: [{ role: 'user', content: prompt }],
     temperature: DEFAULT_TEMPERATURE,
-    max_tokens: DEFAULT_MAX_TOKENS,
+    maxTokens: DEFAULT_MAX_TOKENS,
   });
 
-  // Validate response structure
-  if (!response.choices || response.choices.length === 0) {
-    throw new Error('AI response did not contain any choices');
-  }
-
-  const messageContent = response.choices[0].message?.content;
-  if (!messageContent) {
-    throw new Error('AI response did not contain message content');
-  }
-
-  let content = messageContent.trim();
-
   // Remove markdown code block formatting if present
   if (content.startsWith('```json')) {
     content = content.slice(7);
@@ -152,6 +139,9 @@ Respond ONLY with the JSON object, no additional text or markdown formatting.`;
     parsed.tags = parsed.tags.map((tag) => toKebabCase(tag));
   }
 
+  // Record how the term was generated (never trust a provenance block from the model)
+  parsed.provenance = buildProvenance({ generator: GENERATOR, model: provider.model, prompt });
+
   return parsed;
 }
 
@@ -210,11 +200,12 @@ async function main(argv = process.argv.slice(2)) {
     process.exit(1);
   }
 
-  // Check for GITHUB_TOKEN
-  const apiKey = process.env.GITHUB_TOKEN;
-  if (!apiKey) {
-    console.error('❌ Error: GITHUB_TOKEN environment variable is required');
-    console.error('   Set your GitHub token with: export GITHUB_TOKEN=your_token');
+  // Fails early when the API key is missing (see config/llm.json)
+  let provider;
+  try {
+    provider = createProvider('draftTerm');
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
     process.exit(1);
   }
 
@@ -222,21 +213,10 @@ async function main(argv = process.argv.slice(2)) {
   console.log(`   Term: "${options.termName}"`);
   console.log(`   Slug: "${toSlug(options.termName)}"`);
 
-  // Configuration via environment variables with sensible defaults
-  const baseURL = process.env.DRAFT_TERM_BASE_URL || DEFAULT_BASE_URL;
-  const model = process.env.DRAFT_TERM_MODEL || DEFAULT_MODEL;
-  const timeout = parseInt(process.env.DRAFT_TERM_TIMEOUT, 10) || DEFAULT_TIMEOUT;
-
-  const client = new OpenAI({
-    baseURL,
-    apiKey,
-    timeout,
-  });
-
   console.log('\n📝 Generating term with AI...');
 
   try {
-    const generatedTerm = await generateTerm(options.termName, client, model);
+    const generatedTerm = await generateTerm(options.termName, provider);
 
     console.log('\n✨ Generated term:');
     console.log(`   Definition: ${generatedTerm.definition.substring(0, 60)}...`);
@@ -249,6 +229,11 @@ async function main(argv = process.argv.slice(2)) {
     console.log(`   Tags: ${generatedTerm.tags?.join(', ') || 'none'}`);
     console.log(`   See also: ${generatedTerm.see_also?.join(', ') || 'none'}`);
     console.log(`   Controversy: ${generatedTerm.controversy_level || 'low'}`);
+    console.log(
+      `   Provenance: ${generatedTerm.provenance.model}, prompt ${generatedTerm.provenance.prompt_hash.slice(0, 12)}`
+    );
+
+    console.log(`   ${formatUsage(provider.usage)}`);
 
     console.log('\n📄 Appending to terms.yaml...');
     appendToTermsYaml(generatedTerm);
@@ -260,6 +245,9 @@ async function main(argv = process.argv.slice(2)) {
     console.log('\n✅ Done! Term has been added to terms.yaml');
     console.log('   Run "npm run validate" to verify the term is valid.');
     console.log('   Run "npm run score" to see the term score.');
+    console.log(
+      '   After checking the content, add your GitHub username as provenance.reviewed_by.'
+    );
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}`);
     process.exit(1);
@@ -280,9 +268,7 @@ module.exports = {
   generateTerm,
   appendToTermsYaml,
   runFormat,
-  DEFAULT_BASE_URL,
-  DEFAULT_MODEL,
   DEFAULT_TEMPERATURE,
   DEFAULT_MAX_TOKENS,
-  DEFAULT_TIMEOUT,
+  GENERATOR,
 };
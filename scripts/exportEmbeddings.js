@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Embeddings export for FOSS Glossary
+ *
+ * Writes docs/terms.embeddings.json next to docs/terms.json: one vector per
+ * term, used by askGlossary for semantic retrieval. Vectors are cached by term
+ * content hash (see utils/embeddings.js), so a rebuild only embeds new and
+ * changed terms. The cache file is kept outside docs/ so CI can persist it.
+ *
+ * Usage: node scripts/exportEmbeddings.js [--out <path>] [--cache <path>] [--backend <llm|hash>]
+ */
+
+const fs = require('fs');
+const { ExporterError, buildExportDocumentFromYaml, serializeDocument } = require('./exportTerms');
+const { getGitSha } = require('../utils/git');
+const { ensureDirectoryForFile } = require('../utils/fileSystem');
+const { EMBEDDING_BACKENDS, createEmbedder, buildEmbeddingIndex } = require('../utils/embeddings');
+const { formatUsage } = require('../utils/llm');
+
+const DEFAULT_OUT_PATH = 'docs/terms.embeddings.json';
+const DEFAULT_CACHE_PATH = '.cache/term-embeddings.json';
+
+/**
+ * Parse command line arguments
+ * Supported flags:
+ * - --out <path> or --out=<path>: Output file (default docs/terms.embeddings.json)
+ * - --cache <path> or --cache=<path>: Cache file (default .cache/term-embeddings.json)
+ * - --backend <llm|hash> or --backend=<llm|hash>: Embeddings backend (default
+ *   EMBEDDINGS_BACKEND or llm)
+ *
+ * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
+ * @returns {Object} Options object with outPath, cachePath, and backend
+ * @throws {ExporterError} If an unknown flag is given or a value is missing or invalid
+ */
+function parseArgs(argv) {
+  const options = { outPath: DEFAULT_OUT_PATH, cachePath: DEFAULT_CACHE_PATH, backend: null };
+  const flags = { '--out': 'outPath', '--cache': 'cachePath', '--backend': 'backend' };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [flag, inline] = arg.split(/=(.*)/s);
+    if (!flags[flag]) {
+      throw new ExporterError(`Error: Unknown flag: ${arg}`);
+    }
+    const value = inline !== undefined ? inline : argv[(i += 1)];
+    if (!value) {
+      throw new ExporterError(`Error: Missing value for ${flag}`);
+    }
+    options[flags[flag]] = value;
+  }
+
+  if (options.backend && !EMBEDDING_BACKENDS.includes(options.backend)) {
+    throw new ExporterError(
+      `Error: --backend must be one of: ${EMBEDDING_BACKENDS.join(', ')} (got '${options.backend}')`
+    );
+  }
+  return options;
+}
+
+/**
+ * Read a previous index to reuse vectors from
+ *
+ * @param {string[]} paths - Candidate files, in priority order
+ * @returns {Object|null} First readable index, or null
+ */
+function loadCache(paths) {
+  for (const filePath of paths) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (data && Array.isArray(data.terms)) {
+        return data;
+      }
+    } catch {
+      // Missing or unreadable caches are rebuilt
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the embeddings document for an export
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} embedder - Embedder from createEmbedder()
+ * @param {Object} [options] - Build options
+ * @param {Object} [options.cache] - Previous index to reuse vectors from
+ * @returns {Promise<Object>} Object with document ({ version, generated_at, backend, model,
+ *   dimensions, terms }) and stats ({ embedded, reused })
+ */
+async function buildEmbeddingsDocument(document, embedder, { cache } = {}) {
+  const { index, stats } = await buildEmbeddingIndex(document.terms, embedder, { cache });
+  return {
+    document: { version: document.version, generated_at: document.generated_at, ...index },
+    stats,
+  };
+}
+
+/**
+ * Main function to export the embeddings index
+ *
+ * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
+ */
+async function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const document = buildExportDocumentFromYaml(fs.readFileSync('terms.yaml', 'utf8'), {
+    version: getGitSha(),
+    generatedAt: new Date(),
+  });
+  const embedder = createEmbedder({ backend: options.backend });
+  console.log(`🧭 Embedding ${document.terms.length} terms with ${embedder.model}...`);
+
+  const cache = loadCache([options.cachePath, options.outPath]);
+  const { document: embeddings, stats } = await buildEmbeddingsDocument(document, embedder, {
+    cache,
+  });
+
+  const serialized = serializeDocument(embeddings, { pretty: false });
+  for (const filePath of [options.outPath, options.cachePath]) {
+    ensureDirectoryForFile(filePath);
+    fs.writeFileSync(filePath, serialized, 'utf8');
+  }
+
+  console.log(
+    `✅ Wrote ${options.outPath} (${embeddings.terms.length} terms: ` +
+      `${stats.embedded} embedded, ${stats.reused} reused from cache)`
+  );
+  if (embedder.usage) {
+    console.log(formatUsage(embedder.usage));
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    if (error instanceof ExporterError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error(`❌ Error: ${error.message}`);
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_OUT_PATH,
+  DEFAULT_CACHE_PATH,
+  parseArgs,
+  loadCache,
+  buildEmbeddingsDocument,
+};
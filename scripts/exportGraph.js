@@ -0,0 +1,331 @@
+/**
+ * Knowledge-graph export for the terms export
+ *
+ * Terms are linked through see_also, tags, aliases and redirects. This module
+ * turns an export document into a graph and serializes it for visualization
+ * tools:
+ * - graphml: GraphML XML (Gephi, yEd, Cytoscape)
+ * - dot: Graphviz DOT
+ * - jsonld: JSON-LD @graph using schema.org terms
+ *
+ * Node ids are prefixed by kind (`term:<slug>`, `tag:<tag>`, `redirect:<slug>`).
+ * Edges are directed: see_also (term → term), tagged (term → tag) and
+ * redirect (old slug → term). Aliases are kept as node attributes.
+ *
+ * The graph analysis reports orphans (terms no other term links to via
+ * see_also) and hubs (terms with at least HUB_MIN_INCOMING incoming links).
+ */
+
+const GRAPH_FORMATS = ['graphml', 'dot', 'jsonld'];
+const GRAPH_ID = 'foss-glossary';
+const SITE_URL = 'https://luminlynx.github.io/FOSS-Glossary/';
+const HUB_MIN_INCOMING = 3;
+
+// File extension written for each graph format
+const GRAPH_EXTENSIONS = {
+  graphml: 'graphml',
+  dot: 'dot',
+  jsonld: 'graph.jsonld',
+};
+
+/**
+ * Build the graph for an export document
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} [options] - Graph options
+ * @param {Object<string, string>} [options.redirects={}] - Map of old slugs to current slugs
+ * @returns {Object} Graph with nodes ({ id, kind, label, slug?, aliases? }) and
+ *   edges ({ source, target, relation })
+ */
+function buildTermGraph(document, { redirects = {} } = {}) {
+  const nodes = [];
+  const edges = [];
+  const tagNodes = new Map();
+  const slugs = new Set(document.terms.map((term) => term.slug));
+
+  for (const term of document.terms) {
+    const node = { id: `term:${term.slug}`, kind: 'term', label: term.term, slug: term.slug };
+    if (term.aliases && term.aliases.length > 0) {
+      node.aliases = term.aliases;
+    }
+    nodes.push(node);
+
+    for (const target of term.see_also_slugs || []) {
+      edges.push({ source: node.id, target: `term:${target}`, relation: 'see_also' });
+    }
+
+    for (const tag of term.tags || []) {
+      if (!tagNodes.has(tag)) {
+        tagNodes.set(tag, { id: `tag:${tag}`, kind: 'tag', label: tag });
+      }
+      edges.push({ source: node.id, target: `tag:${tag}`, relation: 'tagged' });
+    }
+  }
+
+  nodes.push(...[...tagNodes.values()].sort((a, b) => a.label.localeCompare(b.label)));
+
+  for (const [from, to] of Object.entries(redirects || {}).sort(([a], [b]) => a.localeCompare(b))) {
+    if (slugs.has(to)) {
+      nodes.push({ id: `redirect:${from}`, kind: 'redirect', label: from, slug: from });
+      edges.push({ source: `redirect:${from}`, target: `term:${to}`, relation: 'redirect' });
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Find orphan and hub terms in a graph
+ *
+ * @param {Object} graph - Graph from buildTermGraph()
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.hubMinIncoming=HUB_MIN_INCOMING] - Incoming links needed to be a hub
+ * @returns {Object} Object with orphans (slugs, sorted) and hubs ({ slug, incoming },
+ *   most linked first)
+ */
+function analyzeGraph(graph, { hubMinIncoming = HUB_MIN_INCOMING } = {}) {
+  const incoming = new Map();
+  for (const node of graph.nodes) {
+    if (node.kind === 'term') {
+      incoming.set(node.slug, 0);
+    }
+  }
+  for (const edge of graph.edges) {
+    if (edge.relation === 'see_also') {
+      const slug = edge.target.slice('term:'.length);
+      incoming.set(slug, (incoming.get(slug) || 0) + 1);
+    }
+  }
+
+  const orphans = [...incoming.entries()]
+    .filter(([, count]) => count === 0)
+    .map(([slug]) => slug)
+    .sort();
+  const hubs = [...incoming.entries()]
+    .filter(([, count]) => count >= hubMinIncoming)
+    .map(([slug, count]) => ({ slug, incoming: count }))
+    .sort((a, b) => b.incoming - a.incoming || a.slug.localeCompare(b.slug));
+
+  return { orphans, hubs };
+}
+
+/**
+ * Escape text for XML content and attribute values
+ *
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quote a DOT identifier or attribute value
+ *
+ * @param {string} value - Text to quote
+ * @returns {string} Double-quoted DOT string
+ */
+function quoteDot(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * Serialize a graph as GraphML
+ * Orphan and hub flags are emitted as node data so tools can filter on them
+ *
+ * @param {Object} graph - Graph from buildTermGraph()
+ * @param {Object} analysis - Result of analyzeGraph()
+ * @returns {string} GraphML document with trailing newline
+ */
+function serializeGraphml(graph, analysis) {
+  const orphans = new Set(analysis.orphans);
+  const hubs = new Set(analysis.hubs.map((hub) => hub.slug));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="kind" for="node" attr.name="kind" attr.type="string"/>',
+    '  <key id="aliases" for="node" attr.name="aliases" attr.type="string"/>',
+    '  <key id="orphan" for="node" attr.name="orphan" attr.type="boolean"/>',
+    '  <key id="hub" for="node" attr.name="hub" attr.type="boolean"/>',
+    '  <key id="relation" for="edge" attr.name="relation" attr.type="string"/>',
+    `  <graph id="${GRAPH_ID}" edgedefault="directed">`,
+  ];
+
+  for (const node of graph.nodes) {
+    lines.push(`    <node id="${escapeXml(node.id)}">`);
+    lines.push(`      <data key="label">${escapeXml(node.label)}</data>`);
+    lines.push(`      <data key="kind">${node.kind}</data>`);
+    if (node.aliases) {
+      lines.push(`      <data key="aliases">${escapeXml(node.aliases.join(', '))}</data>`);
+    }
+    if (node.kind === 'term') {
+      lines.push(`      <data key="orphan">${orphans.has(node.slug)}</data>`);
+      lines.push(`      <data key="hub">${hubs.has(node.slug)}</data>`);
+    }
+    lines.push('    </node>');
+  }
+
+  graph.edges.forEach((edge, index) => {
+    lines.push(
+      `    <edge id="e${index}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`
+    );
+    lines.push(`      <data key="relation">${edge.relation}</data>`);
+    lines.push('    </edge>');
+  });
+
+  lines.push('  </graph>', '</graphml>');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialize a graph as Graphviz DOT
+ * Tags are drawn as ellipses, redirects as notes; orphans are dashed and hubs bold
+ *
+ * @param {Object} graph - Graph from buildTermGraph()
+ * @param {Object} analysis - Result of analyzeGraph()
+ * @returns {string} DOT document with trailing newline
+ */
+function serializeDot(graph, analysis) {
+  const orphans = new Set(analysis.orphans);
+  const hubs = new Set(analysis.hubs.map((hub) => hub.slug));
+  const shapes = { term: 'box', tag: 'ellipse', redirect: 'note' };
+  const edgeStyles = { see_also: 'solid', tagged: 'dotted', redirect: 'dashed' };
+  const lines = [`digraph ${quoteDot(GRAPH_ID)} {`, '  rankdir=LR;'];
+
+  for (const node of graph.nodes) {
+    const attributes = [`label=${quoteDot(node.label)}`, `shape=${shapes[node.kind]}`];
+    if (node.kind === 'term' && orphans.has(node.slug)) {
+      attributes.push('style=dashed');
+    }
+    if (node.kind === 'term' && hubs.has(node.slug)) {
+      attributes.push('penwidth=3');
+    }
+    lines.push(`  ${quoteDot(node.id)} [${attributes.join(', ')}];`);
+  }
+
+  for (const edge of graph.edges) {
+    lines.push(
+      `  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)} [label=${quoteDot(edge.relation)}, style=${edgeStyles[edge.relation]}];`
+    );
+  }
+
+  lines.push('}');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Build a JSON-LD document for a graph
+ * Terms are schema.org DefinedTerms linked with rdfs:seeAlso, tags are
+ * CategoryCodes referenced through keywords, and redirects point at their
+ * term with sameAs
+ *
+ * @param {Object} graph - Graph from buildTermGraph()
+ * @param {Object} analysis - Result of analyzeGraph()
+ * @returns {Object} JSON-LD document
+ */
+function buildGraphJsonld(graph, analysis) {
+  const orphans = new Set(analysis.orphans);
+  const hubs = new Set(analysis.hubs.map((hub) => hub.slug));
+  const byId = new Map();
+
+  const items = graph.nodes.map((node) => {
+    let item;
+    if (node.kind === 'term') {
+      item = { '@id': node.id, '@type': 'DefinedTerm', name: node.label };
+      if (node.aliases) {
+        item.alternateName = node.aliases;
+      }
+      item.orphan = orphans.has(node.slug);
+      item.hub = hubs.has(node.slug);
+    } else if (node.kind === 'tag') {
+      item = { '@id': node.id, '@type': 'CategoryCode', name: node.label };
+    } else {
+      item = { '@id': node.id, name: node.label };
+    }
+    byId.set(node.id, item);
+    return item;
+  });
+
+  const properties = { see_also: 'seeAlso', tagged: 'keywords', redirect: 'sameAs' };
+  for (const edge of graph.edges) {
+    const item = byId.get(edge.source);
+    const property = properties[edge.relation];
+    item[property] = [...(item[property] || []), edge.target];
+  }
+
+  return {
+    '@context': {
+      '@vocab': 'https://schema.org/',
+      rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+      fg: `${SITE_URL}vocab#`,
+      term: `${SITE_URL}terms/`,
+      tag: `${SITE_URL}tags/`,
+      redirect: `${SITE_URL}terms/`,
+      seeAlso: { '@id': 'rdfs:seeAlso', '@type': '@id' },
+      keywords: { '@type': '@id' },
+      sameAs: { '@type': '@id' },
+      orphan: 'fg:orphan',
+      hub: 'fg:hub',
+    },
+    '@graph': items,
+  };
+}
+
+/**
+ * Serialize a graph in one of GRAPH_FORMATS
+ *
+ * @param {Object} graph - Graph from buildTermGraph()
+ * @param {string} format - One of GRAPH_FORMATS
+ * @param {Object} [options] - Serialization options
+ * @param {Object} [options.analysis] - Result of analyzeGraph() (computed when omitted)
+ * @param {boolean} [options.pretty=false] - Indent JSON-LD output
+ * @returns {string} Serialized graph with trailing newline
+ * @throws {Error} If the format is not supported
+ */
+function serializeGraph(graph, format, { analysis = analyzeGraph(graph), pretty = false } = {}) {
+  switch (format) {
+    case 'graphml':
+      return serializeGraphml(graph, analysis);
+    case 'dot':
+      return serializeDot(graph, analysis);
+    case 'jsonld':
+      return `${JSON.stringify(buildGraphJsonld(graph, analysis), null, pretty ? 2 : undefined)}\n`;
+    default:
+      throw new Error(
+        `Unsupported graph format '${format}'. Use one of: ${GRAPH_FORMATS.join(', ')}`
+      );
+  }
+}
+
+/**
+ * Format the orphan and hub summary printed after a graph export
+ *
+ * @param {Object} analysis - Result of analyzeGraph()
+ * @returns {string[]} Summary lines
+ */
+function formatGraphSummary(analysis) {
+  const hubs = analysis.hubs.map((hub) => `${hub.slug} (${hub.incoming})`);
+  return [
+    `🔗 Hubs (${analysis.hubs.length}): ${hubs.length > 0 ? hubs.join(', ') : 'none'}`,
+    `🏝️ Orphans (${analysis.orphans.length}): ${
+      analysis.orphans.length > 0 ? analysis.orphans.join(', ') : 'none'
+    }`,
+  ];
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  GRAPH_EXTENSIONS,
+  HUB_MIN_INCOMING,
+  buildTermGraph,
+  analyzeGraph,
+  buildGraphJsonld,
+  serializeGraph,
+  formatGraphSummary,
+};
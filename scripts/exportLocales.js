@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+/**
+ * Locale export for FOSS Glossary
+ *
+ * Writes one docs/terms.<locale>.json per terms.<locale>.yaml file plus a
+ * docs/locales.json index the PWA uses for its language switcher. Locale
+ * documents only carry the translated fields keyed by slug; clients overlay
+ * them on terms.json and fall back to English for missing translations.
+ * Stale translations are exported with `stale: true` so clients can say the
+ * English text has changed since.
+ *
+ * Usage: node scripts/exportLocales.js [--out-dir <path>] [--pretty] [--check]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const {
+  ExporterError,
+  buildExportDocumentFromYaml,
+  serializeDocument,
+  checkSizeLimit,
+} = require('./exportTerms');
+const { validateLocale } = require('./validateLocales');
+const { getGitSha } = require('../utils/git');
+const { loadYaml } = require('../utils/fileSystem');
+const {
+  SOURCE_LOCALE,
+  TRANSLATABLE_FIELDS,
+  getLanguageName,
+  listLocaleFiles,
+  checkLocale,
+} = require('../utils/locales');
+
+const DEFAULT_OUT_DIR = 'docs';
+const LOCALE_INDEX_FILE = 'locales.json';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const localeDocumentSchema = {
+  type: 'object',
+  required: [
+    'version',
+    'generated_at',
+    'locale',
+    'source_locale',
+    'terms_count',
+    'coverage',
+    'translations',
+  ],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    generated_at: { type: 'string', format: 'date-time' },
+    locale: { type: 'string', minLength: 2 },
+    source_locale: { const: SOURCE_LOCALE },
+    terms_count: { type: 'integer', minimum: 0 },
+    coverage: { type: 'number', minimum: 0, maximum: 100 },
+    translations: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['definition'],
+        additionalProperties: false,
+        properties: {
+          ...Object.fromEntries(
+            TRANSLATABLE_FIELDS.map((field) => [field, { type: 'string', minLength: 1 }])
+          ),
+          stale: { const: true },
+        },
+      },
+    },
+  },
+};
+
+const localeIndexSchema = {
+  type: 'object',
+  required: ['version', 'generated_at', 'source_locale', 'locales'],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    generated_at: { type: 'string', format: 'date-time' },
+    source_locale: { const: SOURCE_LOCALE },
+    locales: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['locale', 'name', 'path', 'terms_count', 'coverage'],
+        additionalProperties: false,
+        properties: {
+          locale: { type: 'string', minLength: 2 },
+          name: { type: 'string', minLength: 1 },
+          path: { type: 'string', minLength: 1 },
+          terms_count: { type: 'integer', minimum: 0 },
+          coverage: { type: 'number', minimum: 0, maximum: 100 },
+        },
+      },
+    },
+  },
+};
+
+const validateLocaleDocument = ajv.compile(localeDocumentSchema);
+const validateLocaleIndex = ajv.compile(localeIndexSchema);
+
+/**
+ * Parse command line arguments
+ * Supported flags:
+ * - --out-dir <path> or --out-dir=<path>: Output directory (default docs)
+ * - --pretty: Pretty-print JSON output
+ * - --check: Validate without writing files
+ *
+ * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
+ * @returns {Object} Options object with outDir, pretty, and check
+ * @throws {ExporterError} If an unknown flag is given or --out-dir has no value
+ */
+function parseArgs(argv) {
+  const options = { outDir: DEFAULT_OUT_DIR, pretty: false, check: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--pretty') {
+      options.pretty = true;
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--out-dir') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new ExporterError('Error: Missing value for --out-dir');
+      }
+      options.outDir = next;
+      i += 1;
+    } else if (arg.startsWith('--out-dir=')) {
+      options.outDir = arg.slice('--out-dir='.length);
+    } else {
+      throw new ExporterError(`Error: Unknown flag: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Build the export document for one locale
+ * Translations for slugs that are not in the export are left out
+ *
+ * @param {Object} localeData - Parsed terms.<locale>.yaml ({ locale, translations })
+ * @param {Object} document - Export document produced by buildDocument()
+ * @returns {Object} Locale document with translated fields keyed by slug
+ * @throws {ExporterError} If the document does not match the locale export schema
+ */
+function buildLocaleDocument(localeData, document) {
+  const report = checkLocale(localeData.translations, document.terms);
+  const stale = new Set(report.stale);
+  const translations = {};
+
+  for (const { slug } of document.terms) {
+    const entry = localeData.translations[slug];
+    if (!entry) {
+      continue;
+    }
+    const translation = {};
+    for (const field of TRANSLATABLE_FIELDS) {
+      if (entry[field]) {
+        translation[field] = entry[field];
+      }
+    }
+    if (stale.has(slug)) {
+      translation.stale = true;
+    }
+    translations[slug] = translation;
+  }
+
+  const localeDocument = {
+    version: document.version,
+    generated_at: document.generated_at,
+    locale: localeData.locale,
+    source_locale: SOURCE_LOCALE,
+    terms_count: Object.keys(translations).length,
+    coverage: report.coverage,
+    translations,
+  };
+
+  if (!validateLocaleDocument(localeDocument)) {
+    throw new ExporterError(
+      `Error: Invalid ${localeData.locale} locale export: ${ajv.errorsText(validateLocaleDocument.errors)}`
+    );
+  }
+  return localeDocument;
+}
+
+/**
+ * Build the locale index listing every exported locale
+ *
+ * @param {Object[]} localeDocuments - Documents produced by buildLocaleDocument()
+ * @param {Object} document - Export document the locales were built against
+ * @returns {Object} Index with one { locale, name, path, terms_count, coverage } per locale
+ * @throws {ExporterError} If the index does not match the locale index schema
+ */
+function buildLocaleIndex(localeDocuments, document) {
+  const index = {
+    version: document.version,
+    generated_at: document.generated_at,
+    source_locale: SOURCE_LOCALE,
+    locales: localeDocuments.map((localeDocument) => ({
+      locale: localeDocument.locale,
+      name: getLanguageName(localeDocument.locale),
+      path: `terms.${localeDocument.locale}.json`,
+      terms_count: localeDocument.terms_count,
+      coverage: localeDocument.coverage,
+    })),
+  };
+
+  if (!validateLocaleIndex(index)) {
+    throw new ExporterError(
+      `Error: Invalid locale index: ${ajv.errorsText(validateLocaleIndex.errors)}`
+    );
+  }
+  return index;
+}
+
+/**
+ * Main function to export locale documents
+ *
+ * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
+ * @throws {ExporterError} If a locale file is invalid or an export fails validation
+ */
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const headYaml = fs.readFileSync('terms.yaml', 'utf8');
+  const source = yaml.load(headYaml);
+  const document = buildExportDocumentFromYaml(headYaml, {
+    version: getGitSha(),
+    generatedAt: new Date(),
+  });
+
+  const localeDocuments = listLocaleFiles('.').map((file) => {
+    const localeData = loadYaml(file.path);
+    const { errors } = validateLocale(localeData, file.locale, source);
+    if (errors.length > 0) {
+      throw new ExporterError(
+        `Error: ${file.path} is invalid (run npm run validate:locales):\n  - ${errors.join('\n  - ')}`
+      );
+    }
+    return buildLocaleDocument(localeData, document);
+  });
+  const index = buildLocaleIndex(localeDocuments, document);
+
+  if (options.check) {
+    console.log(`✅ Locale export validation passed (${localeDocuments.length} locales)`);
+    return;
+  }
+
+  fs.mkdirSync(options.outDir, { recursive: true });
+  for (const localeDocument of localeDocuments) {
+    const serialized = serializeDocument(localeDocument, { pretty: options.pretty });
+    checkSizeLimit(serialized, { termsCount: localeDocument.terms_count });
+    const outPath = path.join(options.outDir, `terms.${localeDocument.locale}.json`);
+    fs.writeFileSync(outPath, serialized, 'utf8');
+    console.log(
+      `✅ Wrote ${outPath} (${localeDocument.terms_count} translations, ${localeDocument.coverage}% coverage)`
+    );
+  }
+  const indexPath = path.join(options.outDir, LOCALE_INDEX_FILE);
+  fs.writeFileSync(indexPath, serializeDocument(index, { pretty: options.pretty }), 'utf8');
+  console.log(`✅ Wrote ${indexPath} (${localeDocuments.length} locales)`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    if (error instanceof ExporterError) {
+      console.error(`❌ ${error.message}`);
+    } else {
+      console.error(error);
+    }
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  DEFAULT_OUT_DIR,
+  LOCALE_INDEX_FILE,
+  parseArgs,
+  buildLocaleDocument,
+  buildLocaleIndex,
+};
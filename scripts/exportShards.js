@@ -0,0 +1,218 @@
+/**
+ * Sharded prebuilt index for the terms export
+ *
+ * Splits an export document into a lightweight manifest, per-letter term
+ * shards and an inverted token index so clients can load the term list
+ * without downloading every definition up front.
+ *
+ * Output layout (relative to the output directory):
+ * - manifest.json: slug, term, aliases, tags, score, status, ai_assisted and shard key
+ *   for every term, plus the export's tombstones
+ * - shards/<key>.json: full term objects whose slug starts with <key>
+ * - search-index.json: BM25 search index over all text fields (see docs/pwa/search.js)
+ *
+ * See docs/technical/prebuilt-index-strategy.md for the client contract.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { scoreTerm } = require('./scoring');
+const { formatAjvError } = require('../utils/validation');
+const { TERM_STATUSES, getTermStatus } = require('../utils/termStatus');
+const { isAiAssisted } = require('../utils/provenance');
+const { buildSearchIndex } = require('../docs/pwa/search');
+
+const SHARD_STRATEGY = 'first-letter';
+const NUMERIC_SHARD_KEY = '0-9';
+const SHARDS_DIR = 'shards';
+const SEARCH_INDEX_FILE = 'search-index.json';
+const MANIFEST_FILE = 'manifest.json';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+const manifestSchema = {
+  type: 'object',
+  required: [
+    'version',
+    'generated_at',
+    'terms_count',
+    'shard_strategy',
+    'shards',
+    'search_index',
+    'terms',
+  ],
+  additionalProperties: false,
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    generated_at: { type: 'string', format: 'date-time' },
+    terms_count: { type: 'integer', minimum: 0 },
+    shard_strategy: { type: 'string', enum: [SHARD_STRATEGY] },
+    shards: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['path', 'terms_count'],
+        additionalProperties: false,
+        properties: {
+          path: { type: 'string', minLength: 1 },
+          terms_count: { type: 'integer', minimum: 1 },
+        },
+      },
+    },
+    search_index: { type: 'string', minLength: 1 },
+    terms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['slug', 'term', 'score', 'status', 'shard'],
+        additionalProperties: false,
+        properties: {
+          slug: { type: 'string', minLength: 1 },
+          term: { type: 'string', minLength: 1 },
+          aliases: { type: 'array', items: { type: 'string' } },
+          tags: { type: 'array', items: { type: 'string' } },
+          score: { type: 'integer', minimum: 0, maximum: 100 },
+          status: { enum: TERM_STATUSES },
+          ai_assisted: { const: true },
+          shard: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+    tombstones: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['slug', 'reason', 'date', 'category'],
+        properties: { slug: { type: 'string', minLength: 1 } },
+      },
+    },
+  },
+};
+
+const validateManifest = ajv.compile(manifestSchema);
+
+/**
+ * Get the shard key for a slug
+ * Slugs starting with a letter go to that letter's shard; digits share one shard
+ *
+ * @param {string} slug - Term slug
+ * @returns {string} Shard key (a-z or '0-9')
+ */
+function getShardKey(slug) {
+  const first = slug.charAt(0);
+  return /[a-z]/.test(first) ? first : NUMERIC_SHARD_KEY;
+}
+
+/**
+ * Build the manifest entry for a term
+ *
+ * @param {Object} term - Normalized term object
+ * @param {Object} [quality] - Scoring quality context ({ terms, redirects }), so manifest
+ *   scores match quickScore and the leaderboard
+ * @returns {Object} Manifest entry with slug, term, aliases, tags, score, status, shard, and
+ *   ai_assisted (only for terms with a provenance block)
+ */
+function buildManifestEntry(term, quality) {
+  const entry = { slug: term.slug, term: term.term };
+  if (term.aliases) {
+    entry.aliases = term.aliases;
+  }
+  if (term.tags) {
+    entry.tags = term.tags;
+  }
+  entry.score = scoreTerm(term, { quality: quality || true }).score;
+  entry.status = getTermStatus(term);
+  if (isAiAssisted(term)) {
+    entry.ai_assisted = true;
+  }
+  entry.shard = getShardKey(term.slug);
+  return entry;
+}
+
+/**
+ * Build the sharded export bundle from an export document
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} [options] - Export options
+ * @param {Object<string, string>} [options.redirects={}] - Redirects used to resolve see_also
+ *   when scoring manifest entries
+ * @returns {Object} Bundle with manifest, shards (key → shard document) and searchIndex
+ * @throws {Error} If the manifest fails schema validation
+ */
+function buildShardedExport(document, { redirects = {} } = {}) {
+  const shardTerms = new Map();
+  for (const term of document.terms) {
+    const key = getShardKey(term.slug);
+    if (!shardTerms.has(key)) {
+      shardTerms.set(key, []);
+    }
+    shardTerms.get(key).push(term);
+  }
+
+  const shardKeys = [...shardTerms.keys()].sort();
+  const shards = {};
+  const shardRefs = {};
+  for (const key of shardKeys) {
+    const terms = shardTerms.get(key);
+    shards[key] = {
+      version: document.version,
+      shard: key,
+      terms_count: terms.length,
+      terms,
+    };
+    shardRefs[key] = { path: `${SHARDS_DIR}/${key}.json`, terms_count: terms.length };
+  }
+
+  const manifest = {
+    version: document.version,
+    generated_at: document.generated_at,
+    terms_count: document.terms_count,
+    shard_strategy: SHARD_STRATEGY,
+    shards: shardRefs,
+    search_index: SEARCH_INDEX_FILE,
+    terms: document.terms.map((term) =>
+      buildManifestEntry(term, { terms: document.terms, redirects })
+    ),
+  };
+  if (document.tombstones) {
+    manifest.tombstones = document.tombstones;
+  }
+
+  if (!validateManifest(manifest)) {
+    throw new Error(
+      `Sharded manifest failed validation: ${formatAjvError(validateManifest.errors)}`
+    );
+  }
+
+  const searchIndex = buildSearchIndex(document.terms, { version: document.version });
+
+  return { manifest, shards, searchIndex };
+}
+
+/**
+ * List the files of a sharded bundle with their paths relative to the output directory
+ *
+ * @param {Object} bundle - Bundle produced by buildShardedExport()
+ * @returns {Object[]} Array of { path, data } entries, manifest first
+ */
+function listShardedFiles(bundle) {
+  return [
+    { path: MANIFEST_FILE, data: bundle.manifest },
+    { path: SEARCH_INDEX_FILE, data: bundle.searchIndex },
+    ...Object.keys(bundle.shards).map((key) => ({
+      path: bundle.manifest.shards[key].path,
+      data: bundle.shards[key],
+    })),
+  ];
+}
+
+module.exports = {
+  getShardKey,
+  buildManifestEntry,
+  buildShardedExport,
+  listShardedFiles,
+  MANIFEST_FILE,
+  SEARCH_INDEX_FILE,
+  SHARD_STRATEGY,
+};
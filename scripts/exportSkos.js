@@ -0,0 +1,185 @@
+/**
+ * SKOS / schema.org DefinedTermSet export for the terms export
+ *
+ * Maps an export document onto vocabularies other terminology services
+ * understand, using the JSON-LD context bundled in config/skos-context.json:
+ * - the glossary is a skos:ConceptScheme and schema:DefinedTermSet
+ * - each term is a skos:Concept and schema:DefinedTerm: slug → @id,
+ *   term → prefLabel/name, aliases → altLabel, definition → definition/description,
+ *   explanation → scopeNote, see_also → related
+ * - each tag is a skos:ConceptScheme its terms belong to (inScheme)
+ * - each redirect is a deprecated concept with skos:exactMatch to its current term
+ *
+ * validateSkosDocument() checks a document against the bundled context so
+ * every property and type expands to a known IRI and every reference resolves.
+ */
+
+const bundledContext = require('../config/skos-context.json');
+const { resolveRedirectTarget } = require('../utils/crossReferences');
+
+const SCHEME_ID = 'https://luminlynx.github.io/FOSS-Glossary/';
+const SCHEME_NAME = 'FOSS Glossary';
+const ABSOLUTE_IRI_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+/**
+ * Build a SKOS / DefinedTermSet JSON-LD document from an export document
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} [options] - Export options
+ * @param {Object<string, string>} [options.redirects={}] - Map of old slugs to current slugs
+ * @returns {Object} JSON-LD document with the bundled @context and an @graph
+ */
+function buildSkosDocument(document, { redirects = {} } = {}) {
+  const slugs = new Set(document.terms.map((term) => term.slug));
+  const tagMembers = new Map();
+  const concepts = [];
+
+  for (const term of document.terms) {
+    const id = `term:${term.slug}`;
+    const tagIds = (term.tags || []).map((tag) => `tag:${tag}`);
+    const concept = {
+      '@id': id,
+      '@type': ['Concept', 'DefinedTerm'],
+      termCode: term.slug,
+      prefLabel: term.term,
+      name: term.term,
+    };
+    if (term.aliases && term.aliases.length > 0) {
+      concept.altLabel = term.aliases;
+    }
+    concept.definition = term.definition;
+    concept.description = term.definition;
+    if (term.explanation) {
+      concept.scopeNote = term.explanation;
+    }
+    concept.inScheme = [SCHEME_ID, ...tagIds];
+    concept.inDefinedTermSet = SCHEME_ID;
+    if (term.see_also_slugs && term.see_also_slugs.length > 0) {
+      concept.related = term.see_also_slugs.map((slug) => `term:${slug}`);
+    }
+    concepts.push(concept);
+
+    for (const tag of term.tags || []) {
+      if (!tagMembers.has(tag)) {
+        tagMembers.set(tag, []);
+      }
+      tagMembers.get(tag).push(id);
+    }
+  }
+
+  const tagSchemes = [...tagMembers.keys()].sort().map((tag) => ({
+    '@id': `tag:${tag}`,
+    '@type': 'ConceptScheme',
+    prefLabel: tag,
+    hasTopConcept: tagMembers.get(tag),
+  }));
+
+  const deprecated = Object.keys(redirects || {})
+    .sort()
+    .map((slug) => ({ slug, target: resolveRedirectTarget(slug, redirects, slugs) }))
+    .filter(({ slug, target }) => target && !slugs.has(slug))
+    .map(({ slug, target }) => ({
+      '@id': `term:${slug}`,
+      '@type': 'Concept',
+      termCode: slug,
+      deprecated: true,
+      exactMatch: `term:${target}`,
+      inScheme: SCHEME_ID,
+    }));
+
+  const conceptIds = concepts.map((concept) => concept['@id']);
+  const scheme = {
+    '@id': SCHEME_ID,
+    '@type': ['ConceptScheme', 'DefinedTermSet'],
+    prefLabel: SCHEME_NAME,
+    name: SCHEME_NAME,
+    version: document.version,
+    dateModified: document.generated_at,
+    hasTopConcept: conceptIds,
+    hasDefinedTerm: conceptIds,
+  };
+
+  return {
+    '@context': bundledContext['@context'],
+    '@graph': [scheme, ...concepts, ...tagSchemes, ...deprecated],
+  };
+}
+
+/**
+ * Check whether an IRI is absolute or a compact IRI with a prefix from the context
+ *
+ * @param {string} value - IRI to check
+ * @param {Object} context - JSON-LD context object
+ * @returns {boolean} True if the IRI can be expanded
+ */
+function isExpandableIri(value, context) {
+  if (ABSOLUTE_IRI_PATTERN.test(value)) {
+    return true;
+  }
+  const separator = value.indexOf(':');
+  return separator > 0 && typeof context[value.slice(0, separator)] === 'string';
+}
+
+/**
+ * Validate a SKOS document against the bundled JSON-LD context
+ * Every property and @type must be defined by the context, @id values must
+ * expand to IRIs, and every @id-typed reference must point at a node in the graph
+ *
+ * @param {Object} document - Document from buildSkosDocument()
+ * @param {Object} [context=bundledContext['@context']] - JSON-LD context to validate against
+ * @returns {string[]} Array of error messages (empty if the document is valid)
+ */
+function validateSkosDocument(document, context = bundledContext['@context']) {
+  const errors = [];
+  if (!document || !Array.isArray(document['@graph'])) {
+    return ['document must contain an @graph array'];
+  }
+  if (JSON.stringify(document['@context']) !== JSON.stringify(context)) {
+    errors.push('@context does not match the bundled context');
+  }
+
+  const ids = new Set(document['@graph'].map((node) => node && node['@id']));
+  document['@graph'].forEach((node, index) => {
+    const where = `@graph/${index}`;
+    if (!node || typeof node['@id'] !== 'string') {
+      errors.push(`${where} is missing an @id`);
+      return;
+    }
+    if (!isExpandableIri(node['@id'], context)) {
+      errors.push(`${where} @id '${node['@id']}' does not expand to an IRI`);
+    }
+
+    for (const type of [].concat(node['@type'] || [])) {
+      if (!Object.prototype.hasOwnProperty.call(context, type)) {
+        errors.push(`${where} (${node['@id']}) has @type '${type}' not defined in the context`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@id' || key === '@type') {
+        continue;
+      }
+      const definition = context[key];
+      if (definition === undefined) {
+        errors.push(`${where} (${node['@id']}) uses property '${key}' not defined in the context`);
+        continue;
+      }
+      if (definition && definition['@type'] === '@id') {
+        for (const reference of [].concat(value)) {
+          if (typeof reference !== 'string' || !ids.has(reference)) {
+            errors.push(`${where} (${node['@id']}) ${key} '${reference}' does not resolve`);
+          }
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  SCHEME_ID,
+  bundledContext,
+  buildSkosDocument,
+  validateSkosDocument,
+};
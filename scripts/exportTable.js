@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Table Exporter for FOSS Glossary
+ *
+ * Writes terms.yaml as a CSV, TSV, or Markdown table so reviewers can read
+ * and edit terms in a spreadsheet. Edited tables go back in through
+ * scripts/importTable.js. See utils/termTable.js for the cell format.
+ *
+ * Usage:
+ *   node scripts/exportTable.js --format csv --out terms.csv
+ *   node scripts/exportTable.js --out review.md      # format inferred from extension
+ *   node scripts/exportTable.js --format tsv          # print to stdout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadTermsYaml, ensureDirectoryForFile } = require('../utils/fileSystem');
+const { TABLE_FORMATS, FORMAT_EXTENSIONS, serializeTable } = require('../utils/termTable');
+
+/**
+ * Parse command line arguments
+ * Supported flags:
+ * - --format <csv|tsv|md> or --format=<name>: Table format (default: from --out, else csv)
+ * - --out <path> or --out=<path>: Output file (default: stdout)
+ *
+ * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
+ * @returns {Object} Options object with format and outPath (null for stdout)
+ * @throws {Error} If a flag is unknown, a value is missing, or the format is unsupported
+ */
+function parseArgs(argv) {
+  const options = { format: null, outPath: null };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--format' || arg === '--out') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[arg === '--format' ? 'format' : 'outPath'] = next;
+      i += 1;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('--out=')) {
+      options.outPath = arg.slice('--out='.length);
+    } else {
+      throw new Error(`Unknown flag: ${arg}`);
+    }
+  }
+
+  if (!options.format) {
+    const extension = options.outPath ? path.extname(options.outPath).toLowerCase() : '';
+    options.format = FORMAT_EXTENSIONS[extension] || 'csv';
+  }
+  if (!TABLE_FORMATS.includes(options.format)) {
+    throw new Error(
+      `Unsupported --format '${options.format}'. Use one of: ${TABLE_FORMATS.join(', ')}`
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Main function
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const terms = loadTermsYaml();
+  const table = serializeTable(terms, options.format);
+
+  if (!options.outPath) {
+    process.stdout.write(table);
+    return;
+  }
+
+  ensureDirectoryForFile(options.outPath);
+  fs.writeFileSync(options.outPath, table, 'utf8');
+  console.log(`✅ Wrote ${options.outPath} (${terms.length} terms as ${options.format})`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseArgs,
+};
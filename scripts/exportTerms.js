@@ -1,5 +1,6 @@
 #!/usr/bin/env node
 const fs = require('fs');
+const path = require('path');
 const { execSync } = require('child_process');
 const process = require('process');
 const yaml = require('js-yaml');
@@ -10,16 +11,64 @@ const yamlSchema = require('../config/schema.json');
 const { normalizeString, normalizeArray, normalizeTerm } = require('../utils/normalization');
 const { formatAjvError } = require('../utils/validation');
 const { getGitSha } = require('../utils/git');
+const { collectTermHistory, fingerprint } = require('../utils/termHistory');
+const { resolveSeeAlso } = require('../utils/crossReferences');
+const { getTermStatus } = require('../utils/termStatus');
 const { ensureDirectoryForFile } = require('../utils/fileSystem');
+const { buildShardedExport, listShardedFiles, SEARCH_INDEX_FILE } = require('./exportShards');
+const { buildSearchIndex } = require('../docs/pwa/search');
+const {
+  GRAPH_FORMATS,
+  GRAPH_EXTENSIONS,
+  buildTermGraph,
+  analyzeGraph,
+  serializeGraph,
+  formatGraphSummary,
+} = require('./exportGraph');
+const { buildSkosDocument, validateSkosDocument } = require('./exportSkos');
 
 const DEFAULT_OUT_PATH = 'docs/terms.json';
+const DEFAULT_SHARDED_OUT_DIR = 'docs/terms-index';
 const SIZE_WARN_THRESHOLD_BYTES = 2 * 1024 * 1024; // 2 MB
+const EXPORT_FORMATS = ['json', ...GRAPH_FORMATS, 'skos'];
+const SKOS_OUT_PATH = 'docs/terms.skos.jsonld';
 
 class ExporterError extends Error {}
 
 const ajv = new Ajv({ allErrors: true, strict: false });
 addFormats(ajv);
 
+// Revision fields are derived from Git history at export time, so they are
+// allowed in terms.json even though terms.yaml must not contain them
+const HISTORY_FIELDS = ['created_at', 'created_commit', 'updated_at', 'updated_commit'];
+const commitShaSchema = { type: 'string', pattern: '^[0-9a-f]{40}$' };
+
+const yamlTermSchema = yamlSchema.properties.terms.items;
+const exportTermSchema = {
+  ...yamlTermSchema,
+  required: [...yamlTermSchema.required, 'status'],
+  properties: {
+    ...yamlTermSchema.properties,
+    see_also_slugs: {
+      type: 'array',
+      items: yamlTermSchema.properties.slug,
+      uniqueItems: true,
+    },
+    created_at: { type: 'string', format: 'date-time' },
+    created_commit: commitShaSchema,
+    updated_at: { type: 'string', format: 'date-time' },
+    updated_commit: commitShaSchema,
+  },
+};
+
+// Tombstones are keyed by slug in terms.yaml and exported as a slug-sorted array
+const yamlTombstoneSchema = Object.values(yamlSchema.properties.tombstones.patternProperties)[0];
+const exportTombstoneSchema = {
+  ...yamlTombstoneSchema,
+  required: ['slug', ...yamlTombstoneSchema.required],
+  properties: { slug: yamlTermSchema.properties.slug, ...yamlTombstoneSchema.properties },
+};
+
 const exportSchema = {
   type: 'object',
   required: ['version', 'generated_at', 'terms_count', 'terms'],
@@ -28,7 +77,8 @@ const exportSchema = {
     version: { type: 'string', minLength: 1 },
     generated_at: { type: 'string', format: 'date-time' },
     terms_count: { type: 'integer', minimum: 0 },
-    terms: yamlSchema.properties.terms,
+    terms: { type: 'array', items: exportTermSchema },
+    tombstones: { type: 'array', items: exportTombstoneSchema },
   },
 };
 
@@ -39,20 +89,33 @@ const validateExport = ajv.compile(exportSchema);
  * Supported flags:
  * - --pretty: Format JSON with indentation
  * - --check: Validate without writing file
- * - --only-if-new: Only export if new terms detected
- * - --out <path> or --out=<path>: Custom output path
+ * - --only-if-new: Only export if terms.yaml content changed
+ * - --no-history: Skip Git history lookup (omits created_at/updated_at fields)
+ * - --sharded: Write a manifest, per-letter shards, and a search index instead of terms.json
+ * - --format <name> or --format=<name>: json (default), graphml, dot, jsonld, or skos;
+ *   other formats write docs/terms.<ext> unless --out is given
+ * - --out <path> or --out=<path>: Custom output path (the json format also writes
+ *   search-index.json next to it)
+ * - --out-dir <path> or --out-dir=<path>: Custom output directory for --sharded
  *
  * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
- * @returns {Object} Options object with outPath, pretty, check, and onlyIfNew properties
- * @throws {ExporterError} If unknown flag or missing value for --out
+ * @returns {Object} Options object with outPath, outDir, pretty, check, onlyIfNew, history,
+ *   sharded, and format properties
+ * @throws {ExporterError} If unknown flag, unsupported format, or missing value for --out,
+ *   --out-dir, or --format
  */
 function parseArgs(argv) {
   const options = {
     outPath: DEFAULT_OUT_PATH,
+    outDir: DEFAULT_SHARDED_OUT_DIR,
     pretty: false,
     check: false,
     onlyIfNew: false,
+    history: true,
+    sharded: false,
+    format: 'json',
   };
+  let outPathSet = false;
 
   for (let i = 0; i < argv.length; i += 1) {
     const arg = argv[i];
@@ -62,20 +125,58 @@ function parseArgs(argv) {
       options.check = true;
     } else if (arg === '--only-if-new') {
       options.onlyIfNew = true;
+    } else if (arg === '--no-history') {
+      options.history = false;
     } else if (arg === '--out') {
       const next = argv[i + 1];
       if (!next) {
         throw new ExporterError('Error: Missing value for --out');
       }
       options.outPath = next;
+      outPathSet = true;
       i += 1;
     } else if (arg.startsWith('--out=')) {
       options.outPath = arg.slice('--out='.length);
+      outPathSet = true;
+    } else if (arg === '--format') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new ExporterError('Error: Missing value for --format');
+      }
+      options.format = next;
+      i += 1;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--sharded') {
+      options.sharded = true;
+    } else if (arg === '--out-dir') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new ExporterError('Error: Missing value for --out-dir');
+      }
+      options.outDir = next;
+      i += 1;
+    } else if (arg.startsWith('--out-dir=')) {
+      options.outDir = arg.slice('--out-dir='.length);
     } else {
       throw new ExporterError(`Error: Unknown flag: ${arg}`);
     }
   }
 
+  if (!EXPORT_FORMATS.includes(options.format)) {
+    throw new ExporterError(
+      `Error: Unsupported --format '${options.format}'. Use one of: ${EXPORT_FORMATS.join(', ')}`
+    );
+  }
+  if (options.format !== 'json' && options.sharded) {
+    throw new ExporterError('Error: --sharded only supports the json format');
+  }
+  if (options.format === 'skos' && !outPathSet) {
+    options.outPath = SKOS_OUT_PATH;
+  } else if (options.format !== 'json' && !outPathSet) {
+    options.outPath = `docs/terms.${GRAPH_EXTENSIONS[options.format]}`;
+  }
+
   return options;
 }
 
@@ -156,6 +257,63 @@ function prepareTerms(rawTerms) {
   return sortTerms(normalized);
 }
 
+/**
+ * Emit every term's lifecycle status explicitly
+ * Terms without a status are stable, so clients never have to know the default
+ *
+ * @param {Object[]} terms - Array of normalized term objects
+ * @returns {Object[]} New array of terms that all carry a status
+ */
+function applyTermStatus(terms) {
+  return terms.map((term) => ({ ...term, status: getTermStatus(term) }));
+}
+
+/**
+ * Attach resolved cross-reference slugs to terms
+ * Each see_also entry that matches a term name, alias, slug, or redirect is emitted
+ * as see_also_slugs; dangling entries are left out (validateTerms reports them)
+ *
+ * @param {Object[]} terms - Array of normalized term objects
+ * @param {Object<string, string>} [redirects={}] - Map of old slugs to current slugs
+ * @returns {Object[]} New array of terms with see_also_slugs where any entry resolved
+ */
+function applySeeAlsoSlugs(terms, redirects = {}) {
+  const { resolved } = resolveSeeAlso(terms, redirects);
+  return terms.map((term) => {
+    const slugs = resolved.get(term.slug);
+    return slugs && slugs.length > 0 ? { ...term, see_also_slugs: slugs } : term;
+  });
+}
+
+/**
+ * Attach revision history fields to terms
+ * Copies created_at, created_commit, updated_at, and updated_commit from the
+ * history entry for each slug; terms without history are returned unchanged
+ *
+ * @param {Object[]} terms - Array of normalized term objects
+ * @param {Map<string, Object>} history - Map of slug to history entry (see utils/termHistory)
+ * @returns {Object[]} New array of terms with history fields where available
+ */
+function applyTermHistory(terms, history) {
+  if (!history || history.size === 0) {
+    return terms;
+  }
+
+  return terms.map((term) => {
+    const entry = history.get(term.slug);
+    if (!entry) {
+      return term;
+    }
+    const withHistory = { ...term };
+    for (const field of HISTORY_FIELDS) {
+      if (entry[field]) {
+        withHistory[field] = entry[field];
+      }
+    }
+    return withHistory;
+  });
+}
+
 /**
  * Build export document with terms and metadata
  * Creates the final JSON structure with version, timestamp, count, and terms
@@ -165,6 +323,9 @@ function prepareTerms(rawTerms) {
  * @param {Object} [metadata={}] - Metadata object with optional version and generatedAt
  * @param {string} [metadata.version] - Git SHA or version string
  * @param {Date|string} [metadata.generatedAt] - Timestamp for generation
+ * @param {Map<string, Object>} [metadata.history] - Per-slug revision history to emit
+ * @param {Object<string, string>} [metadata.redirects] - Redirects used to resolve see_also
+ * @param {Object<string, Object>} [metadata.tombstones] - Deleted slugs to emit as tombstones
  * @returns {Object} Complete export document
  * @throws {ExporterError} If document fails schema validation
  */
@@ -180,9 +341,17 @@ function buildDocument(terms, metadata = {}) {
     version,
     generated_at: generatedAt,
     terms_count: terms.length,
-    terms,
+    terms: applyTermHistory(
+      applySeeAlsoSlugs(applyTermStatus(terms), metadata.redirects),
+      metadata.history
+    ),
   };
 
+  const tombstones = listTombstones(metadata.tombstones);
+  if (tombstones.length > 0) {
+    document.tombstones = tombstones;
+  }
+
   if (!validateExport(document)) {
     throw new ExporterError(formatAjvError(validateExport.errors));
   }
@@ -190,6 +359,19 @@ function buildDocument(terms, metadata = {}) {
   return document;
 }
 
+/**
+ * Convert the tombstones map from terms.yaml into export records
+ * Clients use these to tell a removed term apart from a slug that never existed
+ *
+ * @param {Object<string, Object>} [tombstones={}] - Map of deleted slugs to { reason, date, category }
+ * @returns {Object[]} Array of { slug, reason, date, category } sorted by slug
+ */
+function listTombstones(tombstones = {}) {
+  return Object.keys(tombstones || {})
+    .sort()
+    .map((slug) => ({ slug, ...tombstones[slug] }));
+}
+
 /**
  * Build export document from YAML text
  * Parses YAML, prepares terms, and builds complete export document
@@ -206,7 +388,11 @@ function buildExportDocumentFromYaml(yamlText, metadata) {
   }
 
   const terms = prepareTerms(parsed.terms);
-  return buildDocument(terms, metadata);
+  return buildDocument(terms, {
+    redirects: parsed.redirects,
+    tombstones: parsed.tombstones,
+    ...metadata,
+  });
 }
 
 /**
@@ -248,7 +434,8 @@ function checkSizeLimit(serializedJson, options = {}) {
       `   Size limit: ${SIZE_WARN_THRESHOLD_BYTES} bytes\n` +
       `   \n` +
       `   The terms.json file has grown too large for efficient client-side loading.\n` +
-      `   See docs/PREBUILT_INDEX_STRATEGY.md for the migration path to a prebuilt index.`;
+      `   See docs/PREBUILT_INDEX_STRATEGY.md for the migration path to a prebuilt index,\n` +
+      `   or re-run with --sharded to write a manifest with lazily loaded shards.`;
     logger.error(errorMsg);
     throw new ExporterError(errorMsg);
   }
@@ -306,10 +493,169 @@ function hasNewTerms(currentYaml, previousYaml) {
   return false;
 }
 
+/**
+ * Check if current YAML differs in content from the previous version
+ * Compares fingerprints of the parsed documents, so edits to existing terms,
+ * redirects, and tombstones all count while formatting-only changes (indentation,
+ * key order, comments) do not. --only-if-new uses this so edits publish their
+ * updated_at/updated_commit.
+ *
+ * @param {string} currentYaml - Current terms.yaml content
+ * @param {string} previousYaml - Previous terms.yaml content (or null)
+ * @returns {boolean} True if the content changed, or either version cannot be parsed
+ */
+function hasContentChanges(currentYaml, previousYaml) {
+  if (!previousYaml) {
+    return true;
+  }
+  try {
+    return fingerprint(yaml.load(currentYaml)) !== fingerprint(yaml.load(previousYaml));
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Build the sharded export files for a document
+ * Serializes the manifest, search index, and every shard, enforcing the size limit per file
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} [options] - Serialization options
+ * @param {boolean} [options.pretty=false] - Format with 2-space indentation
+ * @param {Object<string, string>} [options.redirects={}] - Redirects from terms.yaml, used to
+ *   score manifest entries
+ * @returns {Object[]} Array of { path, serialized } entries relative to the output directory
+ * @throws {ExporterError} If the manifest is invalid or any file exceeds the size limit
+ */
+function buildShardedFiles(document, { pretty = false, redirects = {} } = {}) {
+  let bundle;
+  try {
+    bundle = buildShardedExport(document, { redirects });
+  } catch (error) {
+    throw new ExporterError(`Error: ${error.message}`);
+  }
+
+  return listShardedFiles(bundle).map((file) => {
+    const serialized = serializeDocument(file.data, { pretty });
+    checkSizeLimit(serialized, { termsCount: file.data.terms_count });
+    return { path: file.path, serialized };
+  });
+}
+
+/**
+ * Write sharded export files below an output directory
+ * Removes stale shards from previous runs so deleted letters do not linger
+ *
+ * @param {string} outDir - Output directory
+ * @param {Object[]} files - Entries produced by buildShardedFiles()
+ */
+function writeShardedFiles(outDir, files) {
+  fs.rmSync(path.join(outDir, 'shards'), { recursive: true, force: true });
+  for (const file of files) {
+    const target = path.join(outDir, file.path);
+    ensureDirectoryForFile(target);
+    fs.writeFileSync(target, file.serialized, 'utf8');
+  }
+}
+
+/**
+ * Get the path of the search index written next to a terms.json export
+ *
+ * @param {string} outPath - Path of the terms.json export
+ * @returns {string} Path of the search index
+ */
+function getSearchIndexPath(outPath) {
+  return path.join(path.dirname(outPath), SEARCH_INDEX_FILE);
+}
+
+/**
+ * Serialize the prebuilt search index for a document
+ * The PWA loads it instead of indexing every term on startup
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} [options] - Serialization options
+ * @param {boolean} [options.pretty=false] - Format with 2-space indentation
+ * @returns {string} Serialized index (see docs/pwa/search.js)
+ */
+function serializeSearchIndex(document, { pretty = false } = {}) {
+  const index = buildSearchIndex(document.terms, { version: document.version });
+  const serialized = serializeDocument(index, { pretty });
+  checkSizeLimit(serialized, { termsCount: document.terms_count });
+  return serialized;
+}
+
+/**
+ * Write a knowledge-graph export for a document
+ * Prints node and edge counts plus the orphan and hub summary
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} options - Options from parseArgs()
+ * @param {Object<string, string>} [redirects={}] - Map of old slugs to current slugs
+ */
+function exportGraph(document, options, redirects = {}) {
+  const graph = buildTermGraph(document, { redirects });
+  const analysis = analyzeGraph(graph);
+  const serialized = serializeGraph(graph, options.format, { analysis, pretty: options.pretty });
+  checkSizeLimit(serialized, { termsCount: document.terms_count });
+
+  if (options.check) {
+    console.log(`✅ ${options.format} graph export validation passed`);
+  } else {
+    ensureDirectoryForFile(options.outPath);
+    fs.writeFileSync(options.outPath, serialized, 'utf8');
+    console.log(
+      `✅ Wrote ${options.outPath} (${graph.nodes.length} nodes, ${graph.edges.length} edges)`
+    );
+  }
+  for (const line of formatGraphSummary(analysis)) {
+    console.log(line);
+  }
+}
+
+/**
+ * Write a SKOS / DefinedTermSet export for a document
+ * The document is validated against the bundled JSON-LD context before writing
+ *
+ * @param {Object} document - Export document produced by buildDocument()
+ * @param {Object} options - Options from parseArgs()
+ * @param {Object<string, string>} [redirects={}] - Map of old slugs to current slugs
+ * @throws {ExporterError} If the SKOS document does not match the bundled context
+ */
+function exportSkos(document, options, redirects = {}) {
+  const skos = buildSkosDocument(document, { redirects });
+  const errors = validateSkosDocument(skos);
+  if (errors.length > 0) {
+    throw new ExporterError(`Error: Invalid SKOS export:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const serialized = serializeDocument(skos, { pretty: options.pretty });
+  checkSizeLimit(serialized, { termsCount: document.terms_count });
+
+  const counts = { Concept: 0, ConceptScheme: 0, deprecated: 0 };
+  for (const node of skos['@graph']) {
+    if (node.deprecated) {
+      counts.deprecated += 1;
+    } else if (node['@type'] === 'ConceptScheme') {
+      counts.ConceptScheme += 1;
+    } else if ([].concat(node['@type']).includes('Concept')) {
+      counts.Concept += 1;
+    }
+  }
+  const summary = `${counts.Concept} concepts, ${counts.ConceptScheme} tag schemes, ${counts.deprecated} deprecated`;
+
+  if (options.check) {
+    console.log(`✅ SKOS export validation passed (${summary})`);
+    return;
+  }
+  ensureDirectoryForFile(options.outPath);
+  fs.writeFileSync(options.outPath, serialized, 'utf8');
+  console.log(`✅ Wrote ${options.outPath} (${summary})`);
+}
+
 /**
  * Main export function
  * Parses arguments, reads YAML, builds export document, and writes output
- * Supports --only-if-new flag to skip export if no new terms detected
+ * Supports --only-if-new flag to skip export if terms.yaml content did not change
  *
  * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
  * @throws {ExporterError} If export process fails
@@ -320,8 +666,8 @@ function main(argv = process.argv.slice(2)) {
 
   if (options.onlyIfNew) {
     const prevYaml = readPrevYaml();
-    if (!hasNewTerms(headYaml, prevYaml)) {
-      console.log('ℹ️ No new terms detected; skipping export');
+    if (!hasContentChanges(headYaml, prevYaml)) {
+      console.log('ℹ️ No term changes detected; skipping export');
       return;
     }
   }
@@ -329,19 +675,48 @@ function main(argv = process.argv.slice(2)) {
   const document = buildExportDocumentFromYaml(headYaml, {
     version: getGitSha(),
     generatedAt: new Date(),
+    history: options.history ? collectTermHistory('terms.yaml') : undefined,
   });
 
+  if (options.format === 'skos') {
+    exportSkos(document, options, (yaml.load(headYaml) || {}).redirects);
+    return;
+  }
+  if (options.format !== 'json') {
+    exportGraph(document, options, (yaml.load(headYaml) || {}).redirects);
+    return;
+  }
+
+  if (options.sharded) {
+    const files = buildShardedFiles(document, {
+      pretty: options.pretty,
+      redirects: (yaml.load(headYaml) || {}).redirects,
+    });
+    if (options.check) {
+      console.log('✅ Sharded export validation passed');
+      return;
+    }
+    writeShardedFiles(options.outDir, files);
+    console.log(
+      `✅ Wrote ${options.outDir} (${document.terms_count} terms in ${files.length - 2} shards)`
+    );
+    return;
+  }
+
   const serialized = serializeDocument(document, { pretty: options.pretty });
   checkSizeLimit(serialized, { termsCount: document.terms_count });
+  const serializedIndex = serializeSearchIndex(document, { pretty: options.pretty });
 
   if (options.check) {
     console.log('✅ Export validation passed');
     return;
   }
 
+  const searchIndexPath = getSearchIndexPath(options.outPath);
   ensureDirectoryForFile(options.outPath);
   fs.writeFileSync(options.outPath, serialized, 'utf8');
-  console.log(`✅ Wrote ${options.outPath} (${document.terms_count} terms)`);
+  fs.writeFileSync(searchIndexPath, serializedIndex, 'utf8');
+  console.log(`✅ Wrote ${options.outPath} (${document.terms_count} terms) and ${searchIndexPath}`);
 }
 
 if (require.main === module) {
@@ -362,15 +737,27 @@ module.exports = {
   parseArgs,
   normalizeTerm: normalizeTermWithError,
   prepareTerms,
+  applySeeAlsoSlugs,
+  applyTermStatus,
+  applyTermHistory,
   buildDocument,
   buildExportDocumentFromYaml,
   serializeDocument,
   checkSizeLimit,
+  buildShardedFiles,
+  writeShardedFiles,
+  getSearchIndexPath,
+  serializeSearchIndex,
+  exportGraph,
+  exportSkos,
   sortTerms,
   hasNewTerms,
+  hasContentChanges,
+  listTombstones,
   extractSlugsFromYaml,
   normalizeArray,
   normalizeString,
   formatAjvError,
   SIZE_WARN_THRESHOLD_BYTES,
+  EXPORT_FORMATS,
 };
@@ -13,7 +13,7 @@
  * 3. Prepare data structures for each section (meta tags, stats, term cards, etc.)
  * 4. Load and compile Handlebars template from templates/landing-page.hbs
  * 5. Render HTML by passing data to template
- * 6. Write output to docs/index.html
+ * 6. Write output to docs/index.html (and the contributor badges to docs/badges.json)
  *
  * Security:
  * - Handlebars automatically escapes HTML content to prevent XSS attacks
@@ -24,13 +24,19 @@ const fs = require('fs');
 const path = require('path');
 const Handlebars = require('handlebars');
 const { scoreTerm } = require('./scoring');
+const { collectBadges } = require('./badges');
 const { getGitSha } = require('../utils/git');
-const { loadTermsYaml } = require('../utils/fileSystem');
+const { DEFAULT_TERM_STATUS, getTermStatus } = require('../utils/termStatus');
+const { loadTermsYaml, loadYaml } = require('../utils/fileSystem');
+
+const SITE_URL = 'https://luminlynx.github.io/FOSS-Glossary/';
 
 // Module-level variables will be initialized in main()
 let artifactVersion;
 let terms;
+let scoringOptions;
 let stats;
+let badges;
 
 /**
  * Initialize data by loading terms and calculating statistics
@@ -39,6 +45,8 @@ let stats;
 function initializeData() {
   artifactVersion = getGitSha('dev');
   terms = loadTermsYaml();
+  // Score with the same quality context as quickScore and the leaderboard
+  scoringOptions = { quality: { terms, redirects: loadYaml('terms.yaml').redirects || {} } };
 
   // Calculate statistics
   stats = {
@@ -52,6 +60,8 @@ function initializeData() {
       .map((t) => t.term),
     topScorers: [], // We'll calculate this when we have contributor data
   };
+
+  badges = collectBadges('terms.yaml');
 }
 
 /**
@@ -105,12 +115,14 @@ function getScoreColor(score) {
  * @param {string} term.definition - Term definition
  * @param {string} [term.humor] - Humorous description
  * @param {string[]} [term.tags] - Category tags
- * @returns {Object} Prepared term card data with term, slug, score, scoreColor, definition, humor, tags, tagsString, and sortDate
+ * @param {string} [term.status] - Lifecycle status (stable when omitted)
+ * @returns {Object} Prepared term card data with term, slug, score, scoreColor, definition, humor, tags, tagsString, status, and sortDate
  */
 function prepareTermCardData(term) {
-  const { score } = scoreTerm(term);
+  const { score } = scoreTerm(term, scoringOptions);
   const scoreColor = getScoreColor(score);
   const tags = term.tags && term.tags.length > 0 ? term.tags : [];
+  const status = getTermStatus(term);
 
   return {
     term: term.term, // Handlebars auto-escapes
@@ -121,6 +133,8 @@ function prepareTermCardData(term) {
     humor: term.humor || null, // Handlebars auto-escapes
     tags: tags, // Array for iteration in template
     tagsString: tags.join(' '), // Space-separated string for data attribute
+    status, // draft, stable, or deprecated
+    showStatus: status !== DEFAULT_TERM_STATUS, // Only non-stable terms get a badge
     sortDate: new Date().toISOString(), // For client-side sorting
   };
 }
@@ -161,20 +175,23 @@ function prepareTermCardsData(count = 10) {
 
 /**
  * Prepare featured term data for spotlight section
- * Selects the highest-scoring term or a random one
+ * Selects the highest-scoring stable term, falling back to any term when none
+ * is stable so drafts and deprecated terms are never promoted over vetted ones
  *
  * @returns {Object|null} Featured term card data or null if no terms available
  */
 function prepareFeaturedTermData() {
-  const validTerms = terms.filter(isValidTerm);
-  if (validTerms.length === 0) return null;
+  const displayable = terms.filter(isValidTerm);
+  if (displayable.length === 0) return null;
+  const stableTerms = displayable.filter((term) => getTermStatus(term) === DEFAULT_TERM_STATUS);
+  const validTerms = stableTerms.length > 0 ? stableTerms : displayable;
 
   // Get the highest scoring term
   let featuredTerm = validTerms[0];
   let maxScore = -1;
 
   validTerms.forEach((term) => {
-    const { score } = scoreTerm(term);
+    const { score } = scoreTerm(term, scoringOptions);
     if (score > maxScore) {
       maxScore = score;
       featuredTerm = term;
@@ -187,38 +204,46 @@ function prepareFeaturedTermData() {
 /**
  * Prepare meta tags data for HTML head
  * Creates structured meta tag objects for primary, Open Graph, and Twitter Card tags
+ * Defaults describe the landing page; per-term pages pass their own title, URL, and text
  *
  * @param {Object} stats - Statistics object with totalTerms and other metrics
+ * @param {Object} [page] - Overrides for pages other than the landing page
+ * @param {string} [page.title] - Page title for title, og:title, and twitter:title
+ * @param {string} [page.description] - Description for the description meta tag
+ * @param {string} [page.socialDescription] - Description for Open Graph and Twitter cards
+ * @param {string} [page.url] - Canonical page URL
+ * @param {string} [page.type='website'] - Open Graph type
+ * @param {string} [page.keywords] - Comma-separated keywords
  * @returns {Object} Meta tags organized by type (primary, og, twitter)
  */
-function prepareMetaTags(stats) {
-  const description = `A gamified glossary of FOSS terms with humor. ${stats.totalTerms} terms defined by the community! Score points, unlock achievements, and learn with fun.`;
-  const url = 'https://luminlynx.github.io/FOSS-Glossary/';
+function prepareMetaTags(stats, page = {}) {
+  const title = page.title || 'FOSS Glossary - Gamified Open Source Terms';
+  const description =
+    page.description ||
+    `A gamified glossary of FOSS terms with humor. ${stats.totalTerms} terms defined by the community! Score points, unlock achievements, and learn with fun.`;
+  const socialDescription =
+    page.socialDescription ||
+    page.description ||
+    `Score points, unlock achievements, and learn FOSS terms with humor! ${stats.totalTerms} terms and growing.`;
+  const url = page.url || SITE_URL;
+  const keywords =
+    page.keywords ||
+    'FOSS, open source, glossary, gamification, github, programming, developer, community';
   const imageUrl =
     'https://raw.githubusercontent.com/LuminLynx/FOSS-Glossary/main/assets/twitter-card.png';
 
   return {
     primary: [
-      { name: 'title', content: 'FOSS Glossary - Gamified Open Source Terms' },
+      { name: 'title', content: title },
       { name: 'description', content: description },
-      {
-        name: 'keywords',
-        content:
-          'FOSS, open source, glossary, gamification, github, programming, developer, community',
-      },
+      { name: 'keywords', content: keywords },
       { name: 'author', content: 'LuminLynx' },
     ],
     og: [
-      { property: 'og:type', content: 'website' },
+      { property: 'og:type', content: page.type || 'website' },
       { property: 'og:url', content: url },
-      {
-        property: 'og:title',
-        content: 'FOSS Glossary - Gamified Open Source Terms',
-      },
-      {
-        property: 'og:description',
-        content: `Score points, unlock achievements, and learn FOSS terms with humor! ${stats.totalTerms} terms and growing.`,
-      },
+      { property: 'og:title', content: title },
+      { property: 'og:description', content: socialDescription },
       { property: 'og:image', content: imageUrl },
       { property: 'og:image:width', content: '1200' },
       { property: 'og:image:height', content: '628' },
@@ -227,14 +252,8 @@ function prepareMetaTags(stats) {
     twitter: [
       { name: 'twitter:card', content: 'summary_large_image' },
       { name: 'twitter:url', content: url },
-      {
-        name: 'twitter:title',
-        content: 'FOSS Glossary - Gamified Open Source Terms',
-      },
-      {
-        name: 'twitter:description',
-        content: `Score points, unlock achievements, and learn FOSS terms with humor! ${stats.totalTerms} terms and growing.`,
-      },
+      { name: 'twitter:title', content: title },
+      { name: 'twitter:description', content: socialDescription },
       { name: 'twitter:image', content: imageUrl },
     ],
   };
@@ -777,6 +796,22 @@ const CSS_STYLES = `
             background: #b2ebf2;
             border-color: #00a3b8;
         }
+        .status-badge {
+            padding: 0.2rem 0.6rem;
+            border-radius: 12px;
+            font-size: 0.75rem;
+            font-weight: 600;
+            text-transform: uppercase;
+            white-space: nowrap;
+        }
+        .status-draft {
+            background: #fff3cd;
+            color: #856404;
+        }
+        .status-deprecated {
+            background: #f8d7da;
+            color: #721c24;
+        }
         .empty-state {
             text-align: center;
             padding: 3rem 2rem;
@@ -834,6 +869,12 @@ const CSS_STYLES = `
             color: #00838f;
             margin: 0;
         }
+        .achievement-holders {
+            margin-top: 0.6rem !important;
+            font-size: 0.85rem !important;
+            font-style: italic;
+            opacity: 0.8;
+        }
         
         /* CTA Section */
         .cta-section {
@@ -1246,6 +1287,22 @@ function prepareScoringItemsData() {
   ];
 }
 
+/**
+ * Prepare contributor achievements data for the achievements section
+ * Lists every catalogue badge with its icon, description, and current holders
+ *
+ * @param {Object} badgeDocument - Badge document from collectBadges()
+ * @returns {Object[]} Array of achievement objects with icon, name, description, and holders
+ */
+function prepareAchievementsData(badgeDocument) {
+  return badgeDocument.catalogue.map((badge) => ({
+    icon: badge.icon,
+    name: badge.name,
+    description: badge.description,
+    holders: badge.holders.length > 0 ? badge.holders.join(', ') : 'Up for grabs!',
+  }));
+}
+
 /**
  * Prepare CTA (Call to Action) buttons data
  * Creates array of button objects with text, href, and CSS class
@@ -1327,7 +1384,7 @@ function generateHTML(stats, artifactVersion) {
   // Prepare all data for the template
   const templateData = {
     title: `FOSS Glossary - ${stats.totalTerms} Terms and Growing!`,
-    canonicalUrl: 'https://luminlynx.github.io/FOSS-Glossary/',
+    canonicalUrl: SITE_URL,
     metaTags: prepareMetaTags(stats),
     styles: CSS_STYLES, // Use triple-braces in template for unescaped CSS
     release: prepareReleaseData(),
@@ -1335,6 +1392,7 @@ function generateHTML(stats, artifactVersion) {
     recentTermsList: stats.recentTerms.join(', '), // Handlebars auto-escapes
     featuredTerm: prepareFeaturedTermData(), // Highest-scoring term
     scoringItems: prepareScoringItemsData(),
+    achievements: prepareAchievementsData(badges),
     ctaButtons: prepareCTAButtonsData(stats),
     lastUpdated: new Date().toLocaleString('en-US', {
       dateStyle: 'medium',
@@ -1374,6 +1432,22 @@ function writeOutputFile(html) {
   }
 }
 
+/**
+ * Write contributor badges to docs/badges.json
+ *
+ * @param {Object} badgeDocument - Badge document from collectBadges()
+ * @throws {Error} Exits process with code 1 if file write fails
+ */
+function writeBadgesFile(badgeDocument) {
+  try {
+    fs.writeFileSync('docs/badges.json', `${JSON.stringify(badgeDocument, null, 2)}\n`);
+    console.log(`🏅 Wrote ${badgeDocument.contributors.length} contributor badge records`);
+  } catch (error) {
+    console.error('❌ Error writing badges file:', error.message);
+    process.exit(1);
+  }
+}
+
 /**
  * Main function to generate the landing page
  * Initializes data, generates HTML, and writes output
@@ -1385,9 +1459,19 @@ function main() {
   // Generate HTML with current data
   const html = generateHTML(stats, artifactVersion);
 
-  // Write output file
+  // Write output files
   writeOutputFile(html);
+  writeBadgesFile(badges);
+}
+
+// Run the main function when executed directly (prepareMetaTags is shared with
+// scripts/generateTermPages.js)
+if (require.main === module) {
+  main();
 }
 
-// Run the main function
-main();
+module.exports = {
+  SITE_URL,
+  getScoreColor,
+  prepareMetaTags,
+};
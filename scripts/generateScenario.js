@@ -1,8 +1,8 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
-const { OpenAI } = require('openai');
 const { loadTermsYaml, ensureDirectoryForFile } = require('../utils/fileSystem');
+const { createProvider, formatUsage } = require('../utils/llm');
 
 const EXAMPLES_DIR = 'examples';
 
@@ -75,28 +75,13 @@ function findTermBySlug(slug, terms) {
 }
 
 /**
- * Generate scenario content using GitHub Models (OpenAI-compatible API)
+ * Generate scenario content using the configured LLM provider (config/llm.json)
  *
  * @param {Object} term - The term object containing slug, term name, definition, etc.
+ * @param {Object} provider - LLM provider from utils/llm.js
  * @returns {Promise<Object>} Generated scenario content with title, story, lesson, and takeaways
  */
-async function generateScenarioContent(term) {
-  // GITHUB_TOKEN is used for GitHub Models API (models.inference.ai.azure.com)
-  // See: https://docs.github.com/en/github-models/prototyping-with-ai-models
-  const apiKey = process.env.GITHUB_TOKEN;
-  if (!apiKey) {
-    throw new Error('GITHUB_TOKEN environment variable is required for GitHub Models API access');
-  }
-
-  const client = new OpenAI({
-    baseURL: 'https://models.inference.ai.azure.com',
-    apiKey,
-    timeout: 60000, // 60 second timeout for API calls
-  });
-
-  // Model can be configured via environment variable
-  const model = process.env.SCENARIO_GENERATOR_MODEL || 'gpt-4o';
-
+async function generateScenarioContent(term, provider) {
   const prompt = `You are creating an educational scenario to help developers understand the concept: "${term.term}"
 
 Definition: ${term.definition}
@@ -131,25 +116,12 @@ Example format:
 
 Respond ONLY with the JSON object, no additional text.`;
 
-  const response = await client.chat.completions.create({
-    model,
+  const { content } = await provider.complete({
     messages: [{ role: 'user', content: prompt }],
     temperature: 0.7,
-    max_tokens: 1500,
+    maxTokens: 1500,
   });
 
-  // Validate response structure
-  if (!response.choices || response.choices.length === 0) {
-    throw new Error('AI response did not contain any choices');
-  }
-
-  const messageContent = response.choices[0].message?.content;
-  if (!messageContent) {
-    throw new Error('AI response did not contain message content');
-  }
-
-  const content = messageContent.trim();
-
   // Parse the JSON response
   let parsed;
   try {
@@ -235,7 +207,9 @@ async function main(argv = process.argv.slice(2)) {
 
   // Generate scenario content using AI
   console.log('Generating scenario content using AI...');
-  const scenario = await generateScenarioContent(term);
+  const provider = createProvider('generateScenario');
+  const scenario = await generateScenarioContent(term, provider);
+  console.log(formatUsage(provider.usage));
 
   // Generate markdown content
   const markdownContent = generateMarkdownContent(term, scenario);
@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+/**
+ * Per-term static page generator for FOSS Glossary
+ *
+ * Writes one static page per term to docs/terms/<slug>/index.html so every
+ * term has a stable canonical URL with its own Open Graph and Twitter card
+ * tags. Each page links its resolved see_also entries and the terms that
+ * reference it. Every entry in terms.yaml `redirects` gets a meta-refresh stub
+ * at docs/terms/<old-slug>/index.html pointing at the current term page, and
+ * every entry in `tombstones` gets a page explaining why the term was removed.
+ *
+ * Usage: node scripts/generateTermPages.js [--out-dir <path>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { scoreTerm } = require('./scoring');
+const { SITE_URL, getScoreColor, prepareMetaTags } = require('./generateLandingPage');
+const { loadYaml } = require('../utils/fileSystem');
+const {
+  buildReferenceIndex,
+  resolveReference,
+  resolveSeeAlso,
+  resolveRedirectTarget,
+} = require('../utils/crossReferences');
+
+const DEFAULT_OUT_DIR = 'docs/terms';
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const POLICY_URL = 'https://github.com/LuminLynx/FOSS-Glossary/blob/main/docs/deletion-policy.md';
+const CATEGORY_LABELS = {
+  duplicate: 'duplicate entry',
+  'policy-violation': 'policy violation',
+  spam: 'spam or test data',
+  legal: 'legal requirement',
+};
+
+/**
+ * Parse command line arguments
+ * Supported flags:
+ * - --out-dir <path> or --out-dir=<path>: Output directory (default docs/terms)
+ *
+ * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
+ * @returns {Object} Options object with outDir
+ * @throws {Error} If an unknown flag is given or --out-dir has no value
+ */
+function parseArgs(argv) {
+  const options = { outDir: DEFAULT_OUT_DIR };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--out-dir') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('Missing value for --out-dir');
+      }
+      options.outDir = next;
+      i += 1;
+    } else if (arg.startsWith('--out-dir=')) {
+      options.outDir = arg.slice('--out-dir='.length);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Get the canonical URL of a term page
+ *
+ * @param {string} slug - Term slug
+ * @returns {string} Absolute URL of docs/terms/<slug>/
+ */
+function termPageUrl(slug) {
+  return `${SITE_URL}terms/${slug}/`;
+}
+
+/**
+ * Serialize JSON-LD for an inline <script> block
+ * `<` is escaped so term text can never close the script element early
+ *
+ * @param {Object} value - JSON-LD object
+ * @returns {string} JSON text safe to embed unescaped in HTML
+ */
+function serializeJsonLd(value) {
+  return JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+}
+
+/**
+ * Build the template data for every term page, redirect stub, and tombstone page
+ * Terms without a valid slug are skipped, as are redirects whose chain does
+ * not reach an existing term and redirects or tombstones for a live slug
+ *
+ * @param {Object[]} terms - Array of term objects from terms.yaml
+ * @param {Object<string, string>} [redirects={}] - Map of old slugs to current slugs
+ * @param {Object<string, Object>} [tombstones={}] - Map of deleted slugs to { reason, date, category }
+ * @returns {Object} Object with `pages`, `stubs`, and `tombstones`, arrays of { slug, data }
+ */
+function buildTermPages(terms, redirects = {}, tombstones = {}) {
+  const validTerms = (terms || []).filter(
+    (term) => term && typeof term.slug === 'string' && SLUG_PATTERN.test(term.slug)
+  );
+  const bySlug = new Map(validTerms.map((term) => [term.slug, term]));
+  const slugs = new Set(bySlug.keys());
+  const { resolved } = resolveSeeAlso(validTerms, redirects);
+  const index = buildReferenceIndex(validTerms, redirects);
+
+  const referencedBy = new Map();
+  for (const [slug, targets] of resolved) {
+    for (const target of targets) {
+      if (!referencedBy.has(target)) {
+        referencedBy.set(target, []);
+      }
+      referencedBy.get(target).push(slug);
+    }
+  }
+
+  const link = (slug) => ({ label: bySlug.get(slug).term, href: `../${slug}/` });
+
+  const quality = { terms: validTerms, redirects };
+  const pages = validTerms.map((term) => {
+    const { score } = scoreTerm(term, { quality });
+    const tags = Array.isArray(term.tags) ? term.tags : [];
+    const aliases = Array.isArray(term.aliases) ? term.aliases : [];
+    const canonicalUrl = termPageUrl(term.slug);
+    const title = `${term.term} | FOSS Glossary`;
+
+    const seeAlso = (term.see_also || []).map((entry) => {
+      const reference = resolveReference(entry, index);
+      const slug = slugs.has(reference)
+        ? reference
+        : resolveRedirectTarget(reference, redirects, slugs);
+      return slug ? link(slug) : { label: entry, href: null };
+    });
+
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'DefinedTerm',
+      '@id': canonicalUrl,
+      url: canonicalUrl,
+      name: term.term,
+      termCode: term.slug,
+      description: term.definition,
+      inDefinedTermSet: SITE_URL,
+    };
+    if (aliases.length > 0) {
+      jsonLd.alternateName = aliases;
+    }
+
+    return {
+      slug: term.slug,
+      data: {
+        title,
+        canonicalUrl,
+        metaTags: prepareMetaTags(
+          { totalTerms: validTerms.length },
+          {
+            title,
+            description: term.definition,
+            url: canonicalUrl,
+            type: 'article',
+            keywords: ['FOSS', 'open source', 'glossary', term.term, ...tags].join(', '),
+          }
+        ),
+        jsonLd: serializeJsonLd(jsonLd),
+        term: {
+          term: term.term,
+          slug: term.slug,
+          definition: term.definition,
+          explanation: term.explanation || null,
+          humor: term.humor || null,
+          aliases,
+          tags,
+          score,
+          scoreColor: getScoreColor(score),
+        },
+        seeAlso,
+        referencedBy: (referencedBy.get(term.slug) || []).map(link),
+        appUrl: `../../pwa/#${term.slug}`,
+        homeUrl: '../../',
+      },
+    };
+  });
+
+  const stubs = Object.keys(redirects || {})
+    .filter((slug) => SLUG_PATTERN.test(slug) && !slugs.has(slug))
+    .sort()
+    .map((slug) => ({ slug, target: resolveRedirectTarget(slug, redirects, slugs) }))
+    .filter(({ target }) => target)
+    .map(({ slug, target }) => ({
+      slug,
+      data: {
+        fromSlug: slug,
+        target: { term: bySlug.get(target).term, slug: target },
+        targetHref: `../${target}/`,
+        canonicalUrl: termPageUrl(target),
+      },
+    }));
+
+  const removed = Object.keys(tombstones || {})
+    .filter((slug) => SLUG_PATTERN.test(slug) && !slugs.has(slug))
+    .filter((slug) => !Object.prototype.hasOwnProperty.call(redirects || {}, slug))
+    .sort()
+    .map((slug) => ({
+      slug,
+      data: {
+        slug,
+        reason: tombstones[slug].reason,
+        date: tombstones[slug].date,
+        categoryLabel: CATEGORY_LABELS[tombstones[slug].category] || tombstones[slug].category,
+        policyUrl: POLICY_URL,
+        homeUrl: '../../',
+      },
+    }));
+
+  return { pages, stubs, tombstones: removed };
+}
+
+/**
+ * Load and compile a Handlebars template from templates/
+ *
+ * @param {string} name - Template file name
+ * @returns {Function} Compiled Handlebars template function
+ */
+function loadTemplate(name) {
+  const templatePath = path.join(__dirname, '..', 'templates', name);
+  return Handlebars.compile(fs.readFileSync(templatePath, 'utf8'));
+}
+
+/**
+ * Render and write every term page, redirect stub, and tombstone page
+ * The output directory is recreated so pages of removed terms do not linger
+ *
+ * @param {Object} data - Parsed terms.yaml
+ * @param {Object[]} data.terms - Array of term objects
+ * @param {Object<string, string>} [data.redirects] - Map of old slugs to current slugs
+ * @param {Object<string, Object>} [data.tombstones] - Map of deleted slugs to removal records
+ * @param {string} [outDir='docs/terms'] - Output directory
+ * @returns {Object} Object with `pages`, `stubs`, and `tombstones` counts
+ */
+function writeTermPages(data, outDir = DEFAULT_OUT_DIR) {
+  const { pages, stubs, tombstones } = buildTermPages(data.terms, data.redirects, data.tombstones);
+  const renderPage = loadTemplate('term-page.hbs');
+  const renderStub = loadTemplate('redirect-stub.hbs');
+  const renderTombstone = loadTemplate('tombstone-page.hbs');
+
+  fs.rmSync(outDir, { recursive: true, force: true });
+  const write = (slug, html) => {
+    const dir = path.join(outDir, slug);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html);
+  };
+  pages.forEach(({ slug, data: page }) => write(slug, renderPage(page)));
+  stubs.forEach(({ slug, data: stub }) => write(slug, renderStub(stub)));
+  tombstones.forEach(({ slug, data: tombstone }) => write(slug, renderTombstone(tombstone)));
+
+  return { pages: pages.length, stubs: stubs.length, tombstones: tombstones.length };
+}
+
+/**
+ * Main function to generate the term pages
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const data = loadYaml('terms.yaml');
+  if (!data || !Array.isArray(data.terms)) {
+    console.error('❌ Error: terms.yaml must contain a "terms" array');
+    process.exit(1);
+  }
+
+  try {
+    const counts = writeTermPages(data, options.outDir);
+    console.log(
+      `✅ Generated ${counts.pages} term pages, ${counts.stubs} redirect stubs, and ` +
+        `${counts.tombstones} tombstone pages in ${options.outDir}/`
+    );
+  } catch (error) {
+    console.error('❌ Error writing term pages:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  DEFAULT_OUT_DIR,
+  parseArgs,
+  termPageUrl,
+  serializeJsonLd,
+  buildTermPages,
+  writeTermPages,
+};
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+/**
+ * Table Importer for FOSS Glossary
+ *
+ * Reads a CSV, TSV, or Markdown table (see scripts/exportTable.js) and
+ * turns it back into terms.yaml. The table is the complete term set: rows
+ * become terms in table order. Terms missing from the table are an error
+ * unless --allow-removals is passed, because deleting a term also needs a
+ * redirect or tombstone (see docs/deletion-policy.md).
+ *
+ * Every row goes through normalizeTerm and the terms.yaml JSON schema, and a
+ * diff report against the current terms.yaml is printed. Nothing is written
+ * unless --write is passed and the table is valid.
+ *
+ * Usage:
+ *   node scripts/importTable.js terms.csv            # validate and show the diff
+ *   node scripts/importTable.js terms.csv --write    # also update terms.yaml
+ *   node scripts/importTable.js review.txt --format md
+ *   node scripts/importTable.js terms.csv --write --allow-removals
+ *
+ * Exit codes:
+ *   0: Table is valid (written with --write)
+ *   1: Invalid arguments, unreadable table, or validation errors
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const schema = require('../config/schema.json');
+const { normalizeTerm } = require('../utils/normalization');
+const { describeAjvError } = require('../utils/validation');
+const { TABLE_FORMATS, FORMAT_EXTENSIONS, parseTable } = require('../utils/termTable');
+const { diffTerms, hasChanges, formatDiffReport } = require('../utils/termDiff');
+const { sortTermKeys, serializeYaml, loadTermsDocument } = require('./sortYaml');
+
+const TERMS_FILE = 'terms.yaml';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Parse command line arguments
+ * Supported arguments:
+ * - <file>: Table to import (required)
+ * - --format <csv|tsv|md> or --format=<name>: Table format (default: from the file extension)
+ * - --write: Update terms.yaml when the table is valid
+ * - --allow-removals: Delete terms that are missing from the table
+ *
+ * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
+ * @returns {Object} Options object with inputPath, format, write, and allowRemovals
+ * @throws {Error} If the file is missing, a flag is unknown, or the format is unsupported
+ */
+function parseArgs(argv) {
+  const options = { inputPath: null, format: null, write: false, allowRemovals: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--write') {
+      options.write = true;
+    } else if (arg === '--allow-removals') {
+      options.allowRemovals = true;
+    } else if (arg === '--format') {
+      const next = argv[i + 1];
+      if (!next) {
+        throw new Error('Missing value for --format');
+      }
+      options.format = next;
+      i += 1;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg.startsWith('-')) {
+      throw new Error(`Unknown flag: ${arg}`);
+    } else if (!options.inputPath) {
+      options.inputPath = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!options.inputPath) {
+    throw new Error('Missing table file. Usage: node scripts/importTable.js <file> [--write]');
+  }
+  if (!options.format) {
+    options.format = FORMAT_EXTENSIONS[path.extname(options.inputPath).toLowerCase()];
+    if (!options.format) {
+      throw new Error(
+        `Cannot infer the table format of ${options.inputPath}. Pass --format ${TABLE_FORMATS.join('|')}`
+      );
+    }
+  }
+  if (!TABLE_FORMATS.includes(options.format)) {
+    throw new Error(
+      `Unsupported --format '${options.format}'. Use one of: ${TABLE_FORMATS.join(', ')}`
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Convert a table into terms.yaml data and compare it with the current data
+ * Provenance is not a table column, so each imported term keeps the provenance
+ * block of the current term with the same slug
+ *
+ * @param {string} text - Table text
+ * @param {string} format - One of TABLE_FORMATS
+ * @param {Object} currentData - Parsed terms.yaml ({ terms, redirects? })
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.allowRemovals=false] - Accept terms missing from the table
+ *   instead of reporting them as errors
+ * @returns {Object} Object with data (proposed terms.yaml data), diff (see utils/termDiff),
+ *   and errors (messages naming the table row)
+ * @throws {Error} If the table header is invalid
+ */
+function importTable(text, format, currentData, { allowRemovals = false } = {}) {
+  const { terms: rows, errors } = parseTable(text, format);
+  const terms = [];
+  const rowNumbers = [];
+  const seen = new Map();
+  const currentBySlug = new Map(
+    (currentData.terms || []).filter((term) => term && term.slug).map((term) => [term.slug, term])
+  );
+
+  for (const { row, term } of rows) {
+    const label = term.slug ? `Row ${row} (${term.slug})` : `Row ${row}`;
+    let normalized;
+    try {
+      const current = currentBySlug.get(term.slug);
+      normalized = sortTermKeys(
+        normalizeTerm(
+          current && current.provenance ? { ...term, provenance: current.provenance } : term
+        )
+      );
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+      continue;
+    }
+    if (seen.has(normalized.slug)) {
+      errors.push(`${label}: duplicate slug, already used in row ${seen.get(normalized.slug)}`);
+      continue;
+    }
+    seen.set(normalized.slug, row);
+    terms.push(normalized);
+    rowNumbers.push(row);
+  }
+
+  const data = { ...currentData, terms };
+  if (!validateSchema(data)) {
+    for (const error of validateSchema.errors || []) {
+      const { pointer, message } = describeAjvError(error);
+      const match = /^\/terms\/(\d+)/.exec(pointer);
+      const term = match ? terms[Number(match[1])] : null;
+      errors.push(
+        term ? `Row ${rowNumbers[Number(match[1])]} (${term.slug}): ${message}` : message
+      );
+    }
+  }
+
+  const diff = diffTerms(currentData.terms, terms);
+  // Rows that failed validation are reported above, not as removals
+  const tableSlugs = new Set(rows.map(({ term }) => term.slug));
+  const missing = diff.removed.filter((slug) => !tableSlugs.has(slug));
+  if (missing.length > 0 && !allowRemovals) {
+    errors.push(
+      `${missing.length} term(s) are missing from the table (${missing.join(', ')}). ` +
+        'Restore the rows, or re-run with --allow-removals and add a redirect or tombstone ' +
+        'for each slug (see docs/deletion-policy.md)'
+    );
+  }
+
+  return { data, diff, errors };
+}
+
+/**
+ * Main function
+ */
+function main() {
+  let options;
+  let text;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    text = fs.readFileSync(options.inputPath, 'utf8');
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { data: currentData, headerComment } = loadTermsDocument();
+
+  let result;
+  try {
+    result = importTable(text, options.format, currentData, {
+      allowRemovals: options.allowRemovals,
+    });
+  } catch (error) {
+    console.error(`❌ Error: ${options.inputPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  for (const line of formatDiffReport(result.diff)) {
+    console.log(line);
+  }
+  if (result.diff.removed.length > 0 && options.allowRemovals) {
+    console.warn(
+      `⚠️ Warning: ${result.diff.removed.length} term(s) are missing from the table and will be removed; ` +
+        'add a redirect or tombstone for each or validation fails with slug-removed'
+    );
+  }
+
+  if (result.errors.length > 0) {
+    console.error(`❌ Error: ${options.inputPath} has ${result.errors.length} problem(s):`);
+    for (const error of result.errors) {
+      console.error(`  - ${error}`);
+    }
+    process.exit(1);
+  }
+
+  if (!hasChanges(result.diff)) {
+    console.log(`✅ ${options.inputPath} matches ${TERMS_FILE}; nothing to import`);
+    return;
+  }
+  if (!options.write) {
+    console.log(`ℹ️ Dry run: re-run with --write to update ${TERMS_FILE}`);
+    return;
+  }
+
+  fs.writeFileSync(TERMS_FILE, headerComment + serializeYaml(result.data), 'utf8');
+  console.log(`✅ Updated ${TERMS_FILE} from ${options.inputPath}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseArgs,
+  importTable,
+};
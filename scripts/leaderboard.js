@@ -0,0 +1,258 @@
+/**
+ * Contributor leaderboard for FOSS Glossary
+ *
+ * Each term is attributed to the author of the commit that introduced its
+ * slug (from the terms.yaml history), falling back to `git blame` on the slug
+ * line when the history is incomplete (e.g. shallow clones). Scores use
+ * quality-aware scoring so padded entries don't climb the board.
+ */
+
+const { scoreTerm } = require('./scoring');
+const { getBlameAuthors } = require('../utils/git');
+const { collectTermHistory } = require('../utils/termHistory');
+const { loadYaml } = require('../utils/fileSystem');
+
+// Automation accounts that commit generated files rather than authoring terms
+const IGNORED_AUTHORS = ['github-actions[bot]'];
+
+const LEADERBOARD_VERSION = 1;
+
+/**
+ * Get the calendar month of an ISO timestamp
+ *
+ * @param {string} isoDate - ISO-8601 timestamp
+ * @returns {string} Month key in YYYY-MM form (UTC)
+ */
+function toMonthKey(isoDate) {
+  return isoDate.slice(0, 7);
+}
+
+/**
+ * Count the months between two YYYY-MM keys
+ *
+ * @param {string} from - Earlier month key
+ * @param {string} to - Later month key
+ * @returns {number} Number of months from `from` to `to`
+ */
+function monthsBetween(from, to) {
+  const [fromYear, fromMonth] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+/**
+ * Compute monthly contribution streaks
+ * A streak is a run of consecutive calendar months with at least one new term.
+ * The current streak only counts if it reaches this month or last month.
+ *
+ * @param {string[]} dates - ISO-8601 timestamps of contributions
+ * @param {string} now - ISO-8601 timestamp the board is generated at
+ * @returns {{current: number, longest: number}} Streak lengths in months
+ */
+function computeStreaks(dates, now) {
+  const months = [...new Set(dates.map(toMonthKey))].sort();
+  if (months.length === 0) {
+    return { current: 0, longest: 0 };
+  }
+
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < months.length; i++) {
+    run = monthsBetween(months[i - 1], months[i]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  const sinceLast = monthsBetween(months[months.length - 1], toMonthKey(now));
+  return { current: sinceLast <= 1 ? run : 0, longest };
+}
+
+/**
+ * Work out who authored each term
+ *
+ * @param {Object[]} terms - Array of term objects
+ * @param {Map<string, Object>} history - Per-slug history from collectTermHistory()
+ * @param {Object} [blame] - Blame fallback
+ * @param {Map<number, string>} [blame.authors] - Line number to author from getBlameAuthors()
+ * @param {Map<string, {line: number}>} [blame.positions] - JSON pointer positions of terms.yaml
+ * @returns {Map<string, {author: string, created_at: string|null}>} Map of slug to attribution
+ */
+function attributeTerms(terms, history, blame = {}) {
+  const attribution = new Map();
+
+  terms.forEach((term, index) => {
+    if (!term || typeof term.slug !== 'string') {
+      return;
+    }
+
+    const entry = history.get(term.slug);
+    if (entry && entry.created_by) {
+      attribution.set(term.slug, { author: entry.created_by, created_at: entry.created_at });
+      return;
+    }
+
+    const position = blame.positions && blame.positions.get(`/terms/${index}/slug`);
+    const author = position && blame.authors ? blame.authors.get(position.line) : undefined;
+    if (author) {
+      attribution.set(term.slug, { author, created_at: null });
+    }
+  });
+
+  return attribution;
+}
+
+/**
+ * Build the contributor leaderboard
+ * Contributors are ranked by total score, then number of terms, then name
+ *
+ * @param {Object[]} terms - Array of term objects
+ * @param {Map<string, {author: string, created_at: string|null}>} attribution - From attributeTerms()
+ * @param {Object} [options] - Build options
+ * @param {Object<string, string>} [options.redirects] - Redirect map, for see_also resolution
+ * @param {string} [options.generatedAt] - ISO-8601 timestamp (defaults to now)
+ * @returns {Object} Leaderboard document with generated_at, counts, and ranked contributors
+ */
+function buildLeaderboard(terms, attribution, options = {}) {
+  const generatedAt = options.generatedAt || new Date().toISOString();
+  const quality = { terms, redirects: options.redirects || {} };
+  const contributors = new Map();
+  let unattributed = 0;
+
+  for (const term of terms) {
+    const credit = term && attribution.get(term.slug);
+    if (!credit) {
+      unattributed += 1;
+      continue;
+    }
+    if (IGNORED_AUTHORS.includes(credit.author)) {
+      continue;
+    }
+
+    if (!contributors.has(credit.author)) {
+      contributors.set(credit.author, { name: credit.author, terms: [], dates: [] });
+    }
+    const { score, badges } = scoreTerm(term, { quality });
+    const contributor = contributors.get(credit.author);
+    contributor.terms.push({ slug: term.slug, term: term.term, score, badges });
+    if (credit.created_at) {
+      contributor.dates.push(credit.created_at);
+    }
+  }
+
+  const ranked = [...contributors.values()]
+    .map(({ name, terms: authored, dates }) => {
+      const totalScore = authored.reduce((sum, entry) => sum + entry.score, 0);
+      const badges = {};
+      for (const entry of authored) {
+        for (const badge of entry.badges) {
+          badges[badge] = (badges[badge] || 0) + 1;
+        }
+      }
+      const top = authored.reduce((best, entry) => (entry.score > best.score ? entry : best));
+      const sortedDates = [...dates].sort();
+
+      return {
+        name,
+        terms_count: authored.length,
+        total_score: totalScore,
+        average_score: Math.round(totalScore / authored.length),
+        badges,
+        top_term: { slug: top.slug, term: top.term, score: top.score },
+        first_contribution_at: sortedDates[0] || null,
+        last_contribution_at: sortedDates[sortedDates.length - 1] || null,
+        streak: computeStreaks(dates, generatedAt),
+        terms: authored.map((entry) => entry.slug),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.total_score - a.total_score ||
+        b.terms_count - a.terms_count ||
+        a.name.localeCompare(b.name)
+    )
+    .map((contributor, index) => ({ rank: index + 1, ...contributor }));
+
+  return {
+    version: LEADERBOARD_VERSION,
+    generated_at: generatedAt,
+    contributors_count: ranked.length,
+    unattributed_terms: unattributed,
+    contributors: ranked,
+  };
+}
+
+/**
+ * Serialize the leaderboard for docs/leaderboard.json
+ * Keeps the previous generated_at when nothing else changed, so scheduled
+ * runs leave the committed file untouched until the standings move.
+ *
+ * @param {Object} leaderboard - Leaderboard from buildLeaderboard()
+ * @param {string|null} [previousJson] - Current contents of the file, if any
+ * @returns {string} JSON with a trailing newline
+ */
+function serializeLeaderboard(leaderboard, previousJson = null) {
+  let previous = null;
+  try {
+    previous = previousJson ? JSON.parse(previousJson) : null;
+  } catch {
+    previous = null;
+  }
+
+  const withoutTimestamp = (document) => JSON.stringify({ ...document, generated_at: null });
+  const document =
+    previous && withoutTimestamp(previous) === withoutTimestamp(leaderboard)
+      ? { ...leaderboard, generated_at: previous.generated_at }
+      : leaderboard;
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * Render the top of the leaderboard as a single Markdown line
+ *
+ * @param {Object} leaderboard - Leaderboard from buildLeaderboard()
+ * @param {number} [limit=5] - Number of contributors to show
+ * @returns {string} Markdown line, or a call to action if the board is empty
+ */
+function renderLeaderboardMarkdown(leaderboard, limit = 5) {
+  const line = leaderboard.contributors
+    .slice(0, limit)
+    .map((contributor, i) => {
+      const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '🌟';
+      const noun = contributor.terms_count === 1 ? 'term' : 'terms';
+      const streak =
+        contributor.streak.current > 1 ? `, 🔥 ${contributor.streak.current}-month streak` : '';
+      return `${medal} ${contributor.name} (${contributor.terms_count} ${noun}, ${contributor.total_score} pts${streak})`;
+    })
+    .join(' | ');
+  return line || 'Be the first contributor!';
+}
+
+/**
+ * Collect the leaderboard for a terms file from the local Git repository
+ *
+ * @param {string} [filePath='terms.yaml'] - Repository-relative path of the terms file
+ * @param {Object} [options] - Options passed to buildLeaderboard()
+ * @returns {Object} Leaderboard document
+ */
+function collectLeaderboard(filePath = 'terms.yaml', options = {}) {
+  const { data, positions } = loadYaml(filePath, { positions: true });
+  const terms = data && Array.isArray(data.terms) ? data.terms : [];
+  const history = collectTermHistory(filePath);
+  const attribution = attributeTerms(terms, history, {
+    authors: getBlameAuthors(filePath),
+    positions,
+  });
+  return buildLeaderboard(terms, attribution, {
+    redirects: (data && data.redirects) || {},
+    ...options,
+  });
+}
+
+module.exports = {
+  IGNORED_AUTHORS,
+  computeStreaks,
+  attributeTerms,
+  buildLeaderboard,
+  serializeLeaderboard,
+  renderLeaderboardMarkdown,
+  collectLeaderboard,
+};
@@ -7,7 +7,8 @@ const { scoreTerm, getScoreBreakdown } = require('./scoring');
  * Main function to score a term from terms.yaml and display results
  * Scores either the term specified by TARGET_SLUG environment variable
  * or the latest term (last in the array)
- * Outputs score, badges, breakdown, and GitHub Actions compatible variables
+ * Outputs score, badges, breakdown (with quality deductions), and GitHub Actions
+ * compatible variables
  *
  * @throws {Error} Exits process with code 1 if terms.yaml is invalid or term not found
  */
@@ -40,8 +41,11 @@ function main() {
       process.exit(1);
     }
 
-    // Score the term
-    const { score, badges } = scoreTerm(termToScore);
+    // Score the term, ignoring filler, copied text, duplicate tags, and unresolved references
+    const scoringOptions = {
+      quality: { terms: termsData.terms, redirects: termsData.redirects || {} },
+    };
+    const { score, badges } = scoreTerm(termToScore, scoringOptions);
 
     // Output for GitHub Actions
     console.log(`\n📊 Scoring Results for "${termToScore.term}":\n`);
@@ -56,17 +60,19 @@ function main() {
     console.log(`TERM_SLUG:${termToScore.slug || ''}`);
 
     // Detailed breakdown using the breakdown function
-    const breakdown = getScoreBreakdown(termToScore);
+    const breakdown = getScoreBreakdown(termToScore, scoringOptions);
     console.log('\n📋 Score Breakdown:');
-    console.log(`- Base definition: ${breakdown.base}/${breakdown.maxScores.base}`);
-    console.log(`- Humor: ${breakdown.humor}/${breakdown.maxScores.humor}`);
-    console.log(`- Explanation: ${breakdown.explanation}/${breakdown.maxScores.explanation}`);
-    console.log(`- Tags: ${breakdown.tags}/${breakdown.maxScores.tags}`);
-    console.log(
-      `- Cross-references: ${breakdown.crossReferences}/${breakdown.maxScores.crossReferences}`
-    );
+    for (const component of breakdown.components) {
+      const deduction = component.deduction > 0 ? ` (-${component.deduction} quality)` : '';
+      console.log(`- ${component.label}: ${component.points}/${component.max}${deduction}`);
+    }
+
+    if (breakdown.issues.length > 0) {
+      console.log('\n🔍 Quality deductions:');
+      breakdown.issues.forEach((issue) => console.log(`- ${issue.message}`));
+    }
 
-    console.log(`\nTotal: ${score}/100`);
+    console.log(`\nTotal: ${score}/${breakdown.maxScore}`);
 
     if (score >= 90) {
       console.log('\n🎉 OUTSTANDING! This is a legendary contribution!');
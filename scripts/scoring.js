@@ -2,7 +2,16 @@
  * Unified scoring module for FOSS Glossary terms
  * This module provides consistent scoring logic across all scripts
  *
- * Scoring Formula:
+ * Components, caps, and badge thresholds are declared in config/scoring.json
+ * and evaluated by utils/scoringEngine.js. Set SCORING_CONFIG to the path of
+ * another config to experiment with different rules.
+ *
+ * Pass `{ quality: { terms, redirects } }` to score only substantive content:
+ * filler text, copies of the definition, duplicate tags, and unresolved
+ * see_also entries are ignored (see utils/termQuality.js) and the points they
+ * would have earned are reported as deductions.
+ *
+ * Default Scoring Formula:
  * - Base Score: 20 points (requires both term.term and term.definition)
  * - Humor: min(30, floor(humor.length / 5)) points
  * - Explanation: 20 points (requires explanation.length > 20)
@@ -10,7 +19,7 @@
  * - Cross-references: min(20, see_also.length × 5) points
  * - Total: min(100, sum of all components)
  *
- * Achievement Badges:
+ * Default Achievement Badges:
  * - 😂 Comedy Gold: humor length > 100 characters
  * - 🔥 Flame Warrior: controversy_level = 'high'
  * - 🌶️ Spicy Take: controversy_level = 'medium'
@@ -19,72 +28,79 @@
  * - 💪 Strong Entry: score >= 70
  */
 
-/**
- * Calculate the score for a glossary term
- * @param {Object} term - The term object to score
- * @param {string} term.term - The term name (required for base score)
- * @param {string} term.definition - The term definition (required for base score)
- * @param {string} [term.humor] - Humorous take on the term (1 point per 5 chars, max 30)
- * @param {string} [term.explanation] - Detailed explanation (20 points if length > 20)
- * @param {string[]} [term.tags] - Category tags (3 points each, max 10 points)
- * @param {string[]} [term.see_also] - Cross-references (5 points each, max 20 points)
- * @param {string} [term.controversy_level] - 'high' or 'medium' for controversy badges
- * @returns {Object} Object containing score (number 0-100) and badges (string array)
- */
-function scoreTerm(term) {
-  let score = 0;
-  let badges = [];
+const path = require('path');
+const { loadScoringConfig, createScoringEngine } = require('../utils/scoringEngine');
+const { analyzeTermQuality } = require('../utils/termQuality');
 
-  // Base score for having required fields (20 points)
-  if (term.term && term.definition) {
-    score += 20;
-  }
-
-  // Humor (up to 30 points)
-  if (term.humor) {
-    const humorLength = term.humor.length;
-    const humorPoints = Math.min(30, Math.floor(humorLength / 5));
-    score += humorPoints;
+const DEFAULT_SCORING_CONFIG_PATH = path.join(__dirname, '..', 'config', 'scoring.json');
 
-    if (humorLength > 100) {
-      badges.push('😂 Comedy Gold');
-    }
-  }
+let engine = null;
 
-  // Explanation (20 points)
-  if (term.explanation && term.explanation.length > 20) {
-    score += 20;
+/**
+ * Get the scoring engine, loading the config on first use
+ *
+ * @returns {Object} Scoring engine created by createScoringEngine()
+ * @throws {Error} If the scoring config is missing or invalid
+ */
+function getScoringEngine() {
+  if (!engine) {
+    const configPath = process.env.SCORING_CONFIG
+      ? path.resolve(process.env.SCORING_CONFIG)
+      : DEFAULT_SCORING_CONFIG_PATH;
+    engine = createScoringEngine(loadScoringConfig(configPath));
   }
+  return engine;
+}
 
-  // Tags (10 points)
-  if (term.tags && Array.isArray(term.tags) && term.tags.length > 0) {
-    score += Math.min(10, term.tags.length * 3);
+/**
+ * Evaluate a term, applying quality analysis when requested
+ *
+ * @param {Object} term - The term object to score
+ * @param {Object} [options] - Scoring options
+ * @param {Object|boolean} [options.quality] - Quality context ({ terms, redirects }), or
+ *   true to run the checks that need no other terms
+ * @returns {Object} Engine result plus `issues` and per-component `deductions`
+ */
+function evaluateTerm(term, options = {}) {
+  const { evaluate } = getScoringEngine();
+  if (!options.quality) {
+    return { ...evaluate(term), issues: [], deductions: {} };
   }
 
-  // See also / cross-references (up to 20 points)
-  if (term.see_also && Array.isArray(term.see_also)) {
-    score += Math.min(20, term.see_also.length * 5);
-  }
+  const context = options.quality === true ? {} : options.quality;
+  const analysis = analyzeTermQuality(term, context);
+  const raw = evaluate(term);
+  const result = evaluate(analysis.term);
 
-  // Controversy bonus
-  if (term.controversy_level) {
-    if (term.controversy_level === 'high') {
-      badges.push('🔥 Flame Warrior');
-    } else if (term.controversy_level === 'medium') {
-      badges.push('🌶️ Spicy Take');
+  const deductions = {};
+  result.components.forEach((component, index) => {
+    const lost = raw.components[index].points - component.points;
+    if (lost > 0) {
+      deductions[component.id] = lost;
     }
-  }
+  });
 
-  // Achievement badges based on score
-  if (score >= 90) {
-    badges.push('💯 Perfectionist');
-  } else if (score >= 80) {
-    badges.push('⭐ Star Contributor');
-  } else if (score >= 70) {
-    badges.push('💪 Strong Entry');
-  }
+  return { ...result, issues: analysis.issues, deductions };
+}
 
-  return { score: Math.min(100, score), badges };
+/**
+ * Calculate the score for a glossary term
+ * @param {Object} term - The term object to score
+ * @param {string} term.term - The term name (required for base score)
+ * @param {string} term.definition - The term definition (required for base score)
+ * @param {string} [term.humor] - Humorous take on the term (1 point per 5 chars, max 30)
+ * @param {string} [term.explanation] - Detailed explanation (20 points if length > 20)
+ * @param {string[]} [term.tags] - Category tags (3 points each, max 10 points)
+ * @param {string[]} [term.see_also] - Cross-references (5 points each, max 20 points)
+ * @param {string} [term.controversy_level] - 'high' or 'medium' for controversy badges
+ * @param {Object} [options] - Scoring options
+ * @param {Object|boolean} [options.quality] - Enable quality deductions (see evaluateTerm)
+ * @returns {Object} Object containing score (number 0-100) and badges (string array),
+ *   plus quality `issues` when options.quality is set
+ */
+function scoreTerm(term, options = {}) {
+  const { score, badges, issues } = evaluateTerm(term, options);
+  return options.quality ? { score, badges, issues } : { score, badges };
 }
 
 /**
@@ -99,59 +115,38 @@ function scoreTerm(term) {
  * @param {string} [term.explanation] - Detailed explanation
  * @param {string[]} [term.tags] - Category tags
  * @param {string[]} [term.see_also] - Cross-references
- * @returns {Object} Object containing detailed scoring breakdown
+ * @param {Object} [options] - Scoring options
+ * @param {Object|boolean} [options.quality] - Enable quality deductions (see evaluateTerm)
+ * @returns {Object} Object containing detailed scoring breakdown, keyed by component id
  * @returns {number} return.base - Points earned for base definition (0-20)
  * @returns {number} return.humor - Points earned for humor (0-30)
  * @returns {number} return.explanation - Points earned for explanation (0-20)
  * @returns {number} return.tags - Points earned for tags (0-10)
  * @returns {number} return.crossReferences - Points earned for cross-references (0-20)
  * @returns {Object} return.maxScores - Maximum possible score for each component
+ * @returns {Object[]} return.components - Ordered { id, label, points, max, deduction } entries
+ * @returns {number} return.maxScore - Maximum possible total score
+ * @returns {Object[]} return.issues - Quality issues ({ field, code, message })
  */
-function getScoreBreakdown(term) {
-  const breakdown = {
-    base: 0,
-    humor: 0,
-    explanation: 0,
-    tags: 0,
-    crossReferences: 0,
-    maxScores: {
-      base: 20,
-      humor: 30,
-      explanation: 20,
-      tags: 10,
-      crossReferences: 20,
-    },
-  };
-
-  // Base definition
-  if (term.term && term.definition) {
-    breakdown.base = 20;
-  }
-
-  // Humor
-  if (term.humor) {
-    breakdown.humor = Math.min(30, Math.floor(term.humor.length / 5));
-  }
-
-  // Explanation
-  if (term.explanation && term.explanation.length > 20) {
-    breakdown.explanation = 20;
-  }
-
-  // Tags
-  if (term.tags && Array.isArray(term.tags) && term.tags.length > 0) {
-    breakdown.tags = Math.min(10, term.tags.length * 3);
+function getScoreBreakdown(term, options = {}) {
+  const { maxScore } = getScoringEngine();
+  const { components: evaluated, issues, deductions } = evaluateTerm(term, options);
+  const components = evaluated.map((component) => ({
+    ...component,
+    deduction: deductions[component.id] || 0,
+  }));
+
+  const breakdown = { maxScores: {}, components, maxScore, issues };
+  for (const component of components) {
+    breakdown[component.id] = component.points;
+    breakdown.maxScores[component.id] = component.max;
   }
-
-  // Cross-references
-  if (term.see_also && Array.isArray(term.see_also)) {
-    breakdown.crossReferences = Math.min(20, term.see_also.length * 5);
-  }
-
   return breakdown;
 }
 
 module.exports = {
   scoreTerm,
   getScoreBreakdown,
+  getScoringEngine,
+  DEFAULT_SCORING_CONFIG_PATH,
 };
@@ -34,10 +34,12 @@ function parseArgs() {
 }
 
 /**
- * Load and parse terms.yaml, preserving header comment
+ * Load and parse the whole terms.yaml document, preserving header comment
+ * Unlike loadTermsYaml() in utils/fileSystem.js, this returns the raw document
+ * (terms, redirects, tombstones) rather than normalized terms
  * @returns {Object} Object with data, headerComment, and original content
  */
-function loadTermsYaml() {
+function loadTermsDocument() {
   try {
     const content = fs.readFileSync(TERMS_FILE, 'utf8');
 
@@ -78,6 +80,8 @@ const TERM_KEY_ORDER = [
   'tags',
   'aliases',
   'controversy_level',
+  'status',
+  'provenance',
 ];
 
 /**
@@ -145,7 +149,7 @@ function main() {
   const options = parseArgs();
 
   // Load terms.yaml
-  const { data, headerComment, originalContent } = loadTermsYaml();
+  const { data, headerComment, originalContent } = loadTermsDocument();
 
   if (!data.terms || !Array.isArray(data.terms)) {
     console.error('❌ Error: terms.yaml must contain a "terms" array');
@@ -190,6 +194,6 @@ module.exports = {
   sortTerms,
   sortTermKeys,
   serializeYaml,
-  loadTermsYaml,
+  loadTermsDocument,
   parseArgs,
 };
@@ -1,15 +1,12 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const yaml = require('js-yaml');
-const { OpenAI } = require('openai');
 const { loadTermsYaml } = require('../utils/fileSystem');
+const { createProvider, formatUsage } = require('../utils/llm');
 
-// Configuration constants
-const DEFAULT_BASE_URL = 'https://models.inference.ai.azure.com';
-const DEFAULT_MODEL = 'gpt-4o';
+// Configuration constants (endpoint and model settings live in config/llm.json)
 const DEFAULT_TEMPERATURE = 0.3;
 const DEFAULT_MAX_TOKENS = 2000;
-const DEFAULT_TIMEOUT = 120000;
 const DEFINITION_PREVIEW_LENGTH = 150;
 const MAX_SUGGESTIONS = 15;
 
@@ -91,28 +88,13 @@ function buildTermLookup(terms) {
  * Analyze terms and suggest missing cross-references using AI
  *
  * @param {Object[]} terms - Array of term objects
+ * @param {Object} provider - LLM provider from utils/llm.js
  * @returns {Promise<Object[]>} Array of suggestion objects
  */
-async function analyzeSuggestedLinks(terms) {
-  // GITHUB_TOKEN is used for GitHub Models API (models.inference.ai.azure.com)
-  // See: https://docs.github.com/en/github-models/prototyping-with-ai-models
-  const apiKey = process.env.GITHUB_TOKEN;
-  if (!apiKey) {
-    throw new Error('GITHUB_TOKEN environment variable is required for GitHub Models API access');
-  }
-
-  // Configuration via environment variables with sensible defaults
-  const baseURL = process.env.SUGGEST_LINKS_BASE_URL || DEFAULT_BASE_URL;
-  const model = process.env.SUGGEST_LINKS_MODEL || DEFAULT_MODEL;
+async function analyzeSuggestedLinks(terms, provider) {
+  // Sampling settings can be tuned via environment variables
   const temperature = parseFloat(process.env.SUGGEST_LINKS_TEMPERATURE) || DEFAULT_TEMPERATURE;
   const maxTokens = parseInt(process.env.SUGGEST_LINKS_MAX_TOKENS, 10) || DEFAULT_MAX_TOKENS;
-  const timeout = parseInt(process.env.SUGGEST_LINKS_TIMEOUT, 10) || DEFAULT_TIMEOUT;
-
-  const client = new OpenAI({
-    baseURL,
-    apiKey,
-    timeout,
-  });
 
   // Build a summary of all terms for context
   const termsSummary = terms
@@ -156,25 +138,12 @@ Example format:
 Be selective - only suggest the most valuable missing connections (up to ${MAX_SUGGESTIONS} suggestions max).
 Respond ONLY with the JSON object, no additional text.`;
 
-  const response = await client.chat.completions.create({
-    model,
+  const { content } = await provider.complete({
     messages: [{ role: 'user', content: prompt }],
     temperature,
-    max_tokens: maxTokens,
+    maxTokens,
   });
 
-  // Validate response structure
-  if (!response.choices || response.choices.length === 0) {
-    throw new Error('AI response did not contain any choices');
-  }
-
-  const messageContent = response.choices[0].message?.content;
-  if (!messageContent) {
-    throw new Error('AI response did not contain message content');
-  }
-
-  const content = messageContent.trim();
-
   // Parse the JSON response
   let parsed;
   try {
@@ -341,8 +310,10 @@ async function main(argv = process.argv.slice(2)) {
 
   // Analyze and get suggestions using AI
   console.log('Analyzing term relationships using AI...');
-  const rawSuggestions = await analyzeSuggestedLinks(terms);
+  const provider = createProvider('suggestLinks');
+  const rawSuggestions = await analyzeSuggestedLinks(terms, provider);
   console.log(`AI returned ${rawSuggestions.length} suggestions.`);
+  console.log(formatUsage(provider.usage));
 
   // Validate and filter suggestions
   const validSuggestions = validateSuggestions(rawSuggestions, terms);
@@ -384,11 +355,8 @@ module.exports = {
   displaySuggestions,
   truncateForLogging,
   // Export constants for testing
-  DEFAULT_BASE_URL,
-  DEFAULT_MODEL,
   DEFAULT_TEMPERATURE,
   DEFAULT_MAX_TOKENS,
-  DEFAULT_TIMEOUT,
   DEFINITION_PREVIEW_LENGTH,
   MAX_SUGGESTIONS,
 };
@@ -1,31 +1,39 @@
 #!/usr/bin/env node
+/**
+ * Machine translation for FOSS Glossary
+ *
+ * Translates terms.yaml into terms.<lang>.yaml incrementally. Each entry's
+ * source_hash (see utils/locales.js) is the cache key: only terms that are new
+ * or whose English text changed since their translation are sent to the model.
+ * Entries with reviewed_by were checked by a native speaker and are kept as-is.
+ *
+ * After updating a reviewed translation by hand, --mark-reviewed re-stamps its
+ * source_hash and reviewed_by without calling the model, so the entry is
+ * current again for validate:locales --strict.
+ *
+ * Usage: node scripts/translateTerms.js [lang] [--slug <slug>]... [--dry-run]
+ *        node scripts/translateTerms.js [lang] --mark-reviewed <slug>... --reviewer <username>
+ */
+
 const fs = require('fs');
 const yaml = require('js-yaml');
-const { OpenAI } = require('openai');
-const { loadTermsYaml } = require('../utils/fileSystem');
+const { loadTermsYaml, loadYaml } = require('../utils/fileSystem');
+const { createProvider, formatUsage } = require('../utils/llm');
+const {
+  LANGUAGE_NAMES,
+  LOCALE_PATTERN,
+  getLanguageName,
+  localeFilePath,
+  hashSourceTerm,
+  checkLocale,
+  formatLocaleSummary,
+} = require('../utils/locales');
 
-// Configuration constants
-const DEFAULT_BASE_URL = 'https://models.inference.ai.azure.com';
-const DEFAULT_MODEL = 'gpt-4o';
+// Configuration constants (endpoint and model settings live in config/llm.json)
 const DEFAULT_TEMPERATURE = 0.3;
 const DEFAULT_MAX_TOKENS = 2000;
-const DEFAULT_TIMEOUT = 120000;
 const DEFAULT_LANGUAGE = 'es';
 
-// Language display names for user-friendly output
-const LANGUAGE_NAMES = {
-  es: 'Spanish',
-  fr: 'French',
-  de: 'German',
-  pt: 'Portuguese',
-  it: 'Italian',
-  ja: 'Japanese',
-  ko: 'Korean',
-  zh: 'Chinese',
-  ru: 'Russian',
-  ar: 'Arabic',
-};
-
 /**
  * Truncate a string for safe logging (avoid exposing sensitive data)
  *
@@ -42,13 +50,27 @@ function truncateForLogging(str, maxLength = 100) {
 
 /**
  * Parse command line arguments for translateTerms script
+ * Supported flags:
+ * - [lang], --lang <lang>, or -l <lang>: Target language code (default es)
+ * - --slug <slug> or --slug=<slug>: Only translate this term (repeatable, comma-separated)
+ * - --dry-run: Show what would be translated without calling the model or writing files
+ * - --mark-reviewed <slug>: Mark this translation as reviewed and current (repeatable,
+ *   comma-separated); requires --reviewer
+ * - --reviewer <username>: GitHub username recorded as reviewed_by
  *
  * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
- * @returns {Object} Options object with language property
+ * @returns {Object} Options object with language, slugs (null for all terms), dryRun,
+ *   markReviewed (null unless given), and reviewer
+ * @throws {Error} If an unknown flag is given, a value is missing, the language is invalid,
+ *   or --mark-reviewed is given without --reviewer
  */
 function parseArgs(argv) {
   const options = {
     language: DEFAULT_LANGUAGE,
+    slugs: null,
+    dryRun: false,
+    markReviewed: null,
+    reviewer: null,
   };
 
   for (let i = 0; i < argv.length; i += 1) {
@@ -56,39 +78,175 @@ function parseArgs(argv) {
     if (!arg.startsWith('-')) {
       // Positional argument is the language code
       options.language = arg.toLowerCase();
-      break;
+      continue;
     }
-    if (arg === '--lang' || arg === '-l') {
-      if (i + 1 < argv.length) {
-        options.language = argv[i + 1].toLowerCase();
-        i += 1;
-      }
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+      continue;
+    }
+    const [flag, inline] = arg.split(/=(.*)/s);
+    if (!['--lang', '-l', '--slug', '--mark-reviewed', '--reviewer'].includes(flag)) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    const value = inline !== undefined ? inline : argv[(i += 1)];
+    if (!value) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    if (flag === '--slug') {
+      options.slugs = [...(options.slugs || []), ...value.split(',').filter(Boolean)];
+    } else if (flag === '--mark-reviewed') {
+      options.markReviewed = [...(options.markReviewed || []), ...value.split(',').filter(Boolean)];
+    } else if (flag === '--reviewer') {
+      options.reviewer = value;
+    } else {
+      options.language = value.toLowerCase();
     }
   }
 
+  if (!LOCALE_PATTERN.test(options.language)) {
+    throw new Error(`Invalid language code '${options.language}'`);
+  }
+  if (options.markReviewed && !options.reviewer) {
+    throw new Error('--mark-reviewed needs --reviewer <github-username>');
+  }
+
   return options;
 }
 
 /**
- * Get the display name for a language code
+ * Load the existing translations for a language
+ *
+ * @param {string} targetLang - Target language code
+ * @returns {Object<string, Object>} Translation entries keyed by slug (empty if there is no file)
+ */
+function loadExistingTranslations(targetLang) {
+  const filePath = localeFilePath(targetLang);
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  const data = loadYaml(filePath);
+  return (data && data.translations) || {};
+}
+
+/**
+ * Decide which terms need to be sent to the model
+ * A term is translated when it has no entry or its English text changed since
+ * (source_hash mismatch). Terms named with --slug are re-translated even when
+ * current. Entries with reviewed_by are never re-translated.
+ *
+ * @param {Object[]} terms - Source terms from terms.yaml
+ * @param {Object<string, Object>} existing - Existing translations keyed by slug
+ * @param {Object} [options] - Planning options
+ * @param {string[]|null} [options.slugs=null] - Only consider these slugs
+ * @returns {Object} Plan with pending (terms to translate, each with a reason of 'new',
+ *   'changed', or 'requested'), current (up-to-date slugs), and reviewed (stale slugs kept
+ *   because a human reviewed them)
+ * @throws {Error} If a requested slug is not in terms.yaml
+ */
+function planTranslations(terms, existing, { slugs = null } = {}) {
+  const requested = slugs ? new Set(slugs) : null;
+  if (requested) {
+    const known = new Set(terms.map((term) => term.slug));
+    const unknown = slugs.filter((slug) => !known.has(slug));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown slug(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  const plan = { pending: [], current: [], reviewed: [] };
+  for (const term of terms) {
+    if (requested && !requested.has(term.slug)) {
+      continue;
+    }
+    const entry = existing[term.slug];
+    const upToDate = entry && entry.source_hash === hashSourceTerm(term);
+    if (entry && entry.reviewed_by) {
+      (upToDate ? plan.current : plan.reviewed).push(term.slug);
+    } else if (!entry) {
+      plan.pending.push({ term, reason: 'new' });
+    } else if (!upToDate) {
+      plan.pending.push({ term, reason: 'changed' });
+    } else if (requested) {
+      plan.pending.push({ term, reason: 'requested' });
+    } else {
+      plan.current.push(term.slug);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Mark translations as reviewed against the current English source
+ * Sets reviewed_by and re-stamps source_hash, so a translation updated by hand
+ * after a source edit is no longer stale.
+ *
+ * @param {Object[]} terms - Source terms from terms.yaml
+ * @param {Object<string, Object>} existing - Existing translations keyed by slug
+ * @param {string[]} slugs - Slugs whose translations were reviewed
+ * @param {string} reviewer - GitHub username to record as reviewed_by
+ * @returns {Object<string, Object>} Updated entries keyed by slug (see mergeTranslations)
+ * @throws {Error} If a slug is not in terms.yaml or has no translation yet
+ */
+function markReviewed(terms, existing, slugs, reviewer) {
+  const bySlug = new Map(terms.map((term) => [term.slug, term]));
+  const unknown = slugs.filter((slug) => !bySlug.has(slug));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown slug(s): ${unknown.join(', ')}`);
+  }
+  const untranslated = slugs.filter((slug) => !existing[slug]);
+  if (untranslated.length > 0) {
+    throw new Error(`No translation to mark as reviewed for: ${untranslated.join(', ')}`);
+  }
+
+  const updates = {};
+  for (const slug of slugs) {
+    const { reviewed_by: _reviewedBy, source_hash: _sourceHash, ...fields } = existing[slug];
+    updates[slug] = {
+      ...fields,
+      reviewed_by: reviewer,
+      source_hash: hashSourceTerm(bySlug.get(slug)),
+    };
+  }
+  return updates;
+}
+
+/**
+ * Merge new translations into the existing ones
+ * Entries follow terms.yaml order; entries for unknown slugs are kept at the
+ * end so validate:locales can point them at their redirect target.
  *
- * @param {string} langCode - Two-letter language code
- * @returns {string} Human-readable language name
+ * @param {Object<string, Object>} existing - Existing translations keyed by slug
+ * @param {Object<string, Object>} updates - New translations keyed by slug
+ * @param {Object[]} terms - Source terms from terms.yaml
+ * @returns {Object<string, Object>} Merged translations keyed by slug
  */
-function getLanguageName(langCode) {
-  return LANGUAGE_NAMES[langCode] || langCode.toUpperCase();
+function mergeTranslations(existing, updates, terms) {
+  const merged = {};
+  for (const { slug } of terms) {
+    const entry = updates[slug] || existing[slug];
+    if (entry) {
+      merged[slug] = entry;
+    }
+  }
+  for (const [slug, entry] of Object.entries(existing)) {
+    if (!(slug in merged)) {
+      merged[slug] = entry;
+    }
+  }
+  return merged;
 }
 
 /**
  * Translate a single term's translatable fields using AI
+ * The term name is kept in English (it's usually a proper noun/concept)
  *
  * @param {Object} term - The term object to translate
  * @param {string} targetLang - Target language code (e.g., 'es', 'fr')
- * @param {OpenAI} client - OpenAI client instance
- * @param {string} model - Model name to use
- * @returns {Promise<Object>} Translated term object
+ * @param {Object} provider - LLM provider from utils/llm.js
+ * @returns {Promise<Object>} Translation entry with definition, explanation, humor, and
+ *   source_hash (see utils/locales.js)
  */
-async function translateTerm(term, targetLang, client, model) {
+async function translateTerm(term, targetLang, provider) {
   const languageName = getLanguageName(targetLang);
 
   // Build the fields to translate
@@ -121,25 +279,12 @@ Requirements:
 
 Respond ONLY with the translated JSON object, no additional text.`;
 
-  const response = await client.chat.completions.create({
-    model,
+  const { content } = await provider.complete({
     messages: [{ role: 'user', content: prompt }],
     temperature: DEFAULT_TEMPERATURE,
-    max_tokens: DEFAULT_MAX_TOKENS,
+    maxTokens: DEFAULT_MAX_TOKENS,
   });
 
-  // Validate response structure
-  if (!response.choices || response.choices.length === 0) {
-    throw new Error(`AI response did not contain any choices for term: ${term.slug}`);
-  }
-
-  const messageContent = response.choices[0].message?.content;
-  if (!messageContent) {
-    throw new Error(`AI response did not contain message content for term: ${term.slug}`);
-  }
-
-  const content = messageContent.trim();
-
   // Parse the JSON response
   let parsed;
   try {
@@ -150,61 +295,32 @@ Respond ONLY with the translated JSON object, no additional text.`;
     );
   }
 
-  // Build the translated term, keeping non-translatable fields as-is
-  const translatedTerm = {
-    slug: term.slug,
-    term: term.term, // Keep original term name (it's a proper noun/concept)
-    definition: parsed.definition || term.definition,
-  };
-
-  // Add optional translatable fields (prefer translated, fallback to original)
-  const optionalTranslatableFields = ['explanation', 'humor'];
-  for (const field of optionalTranslatableFields) {
-    if (parsed[field]) {
-      translatedTerm[field] = parsed[field];
-    } else if (term[field]) {
-      translatedTerm[field] = term[field];
-    }
+  if (typeof parsed.definition !== 'string' || !parsed.definition.trim()) {
+    throw new Error(`AI response did not contain a translated definition for term: ${term.slug}`);
   }
 
-  // Preserve non-translatable fields as-is
-  const preservedFields = ['see_also', 'tags', 'aliases', 'controversy_level'];
-  for (const field of preservedFields) {
-    if (term[field] !== undefined) {
-      translatedTerm[field] = term[field];
+  // Only fields the model actually translated are kept; clients fall back to English
+  const translation = { definition: parsed.definition };
+  for (const field of ['explanation', 'humor']) {
+    if (term[field] && typeof parsed[field] === 'string' && parsed[field].trim()) {
+      translation[field] = parsed[field];
     }
   }
+  translation.source_hash = hashSourceTerm(term);
 
-  return translatedTerm;
+  return translation;
 }
 
 /**
- * Translate all terms in the glossary
+ * Translate the given terms
  *
- * @param {Object[]} terms - Array of term objects
+ * @param {Object[]} terms - Array of term objects to translate
  * @param {string} targetLang - Target language code
- * @returns {Promise<Object>} Object with translatedTerms array and failedTerms array
+ * @param {Object} provider - LLM provider from utils/llm.js
+ * @returns {Promise<Object>} Object with translations (keyed by slug) and failedTerms array
  */
-async function translateAllTerms(terms, targetLang) {
-  // GITHUB_TOKEN is used for GitHub Models API (models.inference.ai.azure.com)
-  // See: https://docs.github.com/en/github-models/prototyping-with-ai-models
-  const apiKey = process.env.GITHUB_TOKEN;
-  if (!apiKey) {
-    throw new Error('GITHUB_TOKEN environment variable is required for GitHub Models API access');
-  }
-
-  // Configuration via environment variables with sensible defaults
-  const baseURL = process.env.TRANSLATE_TERMS_BASE_URL || DEFAULT_BASE_URL;
-  const model = process.env.TRANSLATE_TERMS_MODEL || DEFAULT_MODEL;
-  const timeout = parseInt(process.env.TRANSLATE_TERMS_TIMEOUT, 10) || DEFAULT_TIMEOUT;
-
-  const client = new OpenAI({
-    baseURL,
-    apiKey,
-    timeout,
-  });
-
-  const translatedTerms = [];
+async function translateAllTerms(terms, targetLang, provider) {
+  const translations = {};
   const failedTerms = [];
   const languageName = getLanguageName(targetLang);
 
@@ -216,31 +332,29 @@ async function translateAllTerms(terms, targetLang) {
 
     try {
       process.stdout.write(`${progress} Translating "${term.term}"...`);
-      const translatedTerm = await translateTerm(term, targetLang, client, model);
-      translatedTerms.push(translatedTerm);
+      translations[term.slug] = await translateTerm(term, targetLang, provider);
       console.log(' ✓');
     } catch (error) {
       console.log(` ✗`);
       console.error(`   Error: ${error.message}`);
-      // Continue with the original term if translation fails, but track the failure
-      translatedTerms.push(term);
+      // Leave the term untranslated (clients show the English text) and track the failure
       failedTerms.push({ slug: term.slug, term: term.term, error: error.message });
     }
   }
 
-  return { translatedTerms, failedTerms };
+  return { translations, failedTerms };
 }
 
 /**
- * Write translated terms to a YAML file
+ * Write translations to the locale file
  *
- * @param {Object[]} terms - Array of translated term objects
+ * @param {Object<string, Object>} translations - Translation entries keyed by slug
  * @param {string} targetLang - Target language code
- * @returns {string} Path to the output file
+ * @returns {string} Path to the output file (terms.<lang>.yaml)
  */
-function writeTranslatedTerms(terms, targetLang) {
-  const outputPath = `terms.${targetLang}.yaml`;
-  const data = { terms };
+function writeTranslatedTerms(translations, targetLang) {
+  const outputPath = localeFilePath(targetLang);
+  const data = { locale: targetLang, translations };
 
   const yamlContent = yaml.dump(data, {
     indent: 2,
@@ -254,7 +368,7 @@ function writeTranslatedTerms(terms, targetLang) {
 }
 
 /**
- * Main function to translate terms to a target language
+ * Main function to translate new and changed terms to a target language
  *
  * @param {string[]} [argv=process.argv.slice(2)] - Command line arguments
  */
@@ -266,22 +380,69 @@ async function main(argv = process.argv.slice(2)) {
   console.log(`🌐 FOSS Glossary Translation Tool`);
   console.log(`   Target language: ${languageName} (${language})`);
 
-  // Load terms from terms.yaml
+  // Load terms from terms.yaml and the translations made so far
   console.log('\nLoading terms from terms.yaml...');
   const terms = loadTermsYaml();
   console.log(`Loaded ${terms.length} terms from glossary.`);
+  const existing = loadExistingTranslations(language);
+
+  if (options.markReviewed) {
+    const updates = markReviewed(terms, existing, options.markReviewed, options.reviewer);
+    const merged = mergeTranslations(existing, updates, terms);
+    if (options.dryRun) {
+      console.log(`ℹ️ Dry run: would mark ${Object.keys(updates).join(', ')} as reviewed.`);
+      return;
+    }
+    const outputPath = writeTranslatedTerms(merged, language);
+    console.log(
+      `\n✅ Marked ${Object.keys(updates).length} translation(s) in ${outputPath} as reviewed by ${options.reviewer}`
+    );
+    console.log(formatLocaleSummary(language, checkLocale(merged, terms)));
+    return;
+  }
 
-  // Translate all terms
-  const { translatedTerms, failedTerms } = await translateAllTerms(terms, language);
+  const plan = planTranslations(terms, existing, { slugs: options.slugs });
+  console.log(
+    `${plan.pending.length} to translate, ${plan.current.length} up to date, ` +
+      `${plan.reviewed.length} reviewed and kept`
+  );
+  for (const slug of plan.reviewed) {
+    console.log(
+      `⚠️  Warning: ${slug} changed in English but its translation was reviewed; update it by hand, then run with --mark-reviewed ${slug}`
+    );
+  }
+
+  if (options.dryRun) {
+    for (const { term, reason } of plan.pending) {
+      console.log(`   - ${term.slug} (${reason})`);
+    }
+    console.log(`\n${formatLocaleSummary(language, checkLocale(existing, terms))}`);
+    console.log('ℹ️ Dry run: no terms were translated and no files were written.');
+    return;
+  }
+
+  if (plan.pending.length === 0) {
+    console.log(`\n✅ ${localeFilePath(language)} is up to date; nothing to translate.`);
+    console.log(formatLocaleSummary(language, checkLocale(existing, terms)));
+    return;
+  }
+
+  const provider = createProvider('translateTerms');
+  const { translations, failedTerms } = await translateAllTerms(
+    plan.pending.map(({ term }) => term),
+    language,
+    provider
+  );
+  const merged = mergeTranslations(existing, translations, terms);
 
   // Write to output file
-  const outputPath = writeTranslatedTerms(translatedTerms, language);
+  const outputPath = writeTranslatedTerms(merged, language);
 
   console.log(`\n✅ Translation complete!`);
   console.log(`   Output: ${outputPath}`);
-  console.log(
-    `   Terms translated: ${translatedTerms.length - failedTerms.length}/${terms.length}`
-  );
+  console.log(`   Terms translated: ${Object.keys(translations).length}/${plan.pending.length}`);
+  console.log(formatLocaleSummary(language, checkLocale(merged, terms)));
+  console.log(formatUsage(provider.usage));
 
   // Report failed translations if any
   if (failedTerms.length > 0) {
@@ -289,7 +450,7 @@ async function main(argv = process.argv.slice(2)) {
     for (const failed of failedTerms) {
       console.log(`   - ${failed.term} (${failed.slug})`);
     }
-    console.log(`   These terms were kept in their original English form.`);
+    console.log(`   Their previous translation (if any) is kept; run again to retry.`);
   }
 }
 
@@ -303,16 +464,17 @@ if (require.main === module) {
 module.exports = {
   parseArgs,
   getLanguageName,
+  loadExistingTranslations,
+  planTranslations,
+  markReviewed,
+  mergeTranslations,
   translateTerm,
   translateAllTerms,
   writeTranslatedTerms,
   truncateForLogging,
   // Export constants for testing
-  DEFAULT_BASE_URL,
-  DEFAULT_MODEL,
   DEFAULT_TEMPERATURE,
   DEFAULT_MAX_TOKENS,
-  DEFAULT_TIMEOUT,
   DEFAULT_LANGUAGE,
   LANGUAGE_NAMES,
 };
@@ -1,8 +1,9 @@
 #!/usr/bin/env node
 const yaml = require('js-yaml');
-const { OpenAI } = require('openai');
 const { loadTermsYaml } = require('../utils/fileSystem');
 const { normalizeName } = require('../utils/normalization');
+const { buildProvenance } = require('../utils/provenance');
+const { createProvider, formatUsage } = require('../utils/llm');
 
 // Candidate trending terms to simulate discovery
 const TRENDING_CANDIDATES = ['Agentic Workflow', 'Data Gravity', 'Shifting Left'];
@@ -56,27 +57,13 @@ function generateSlug(term) {
 }
 
 /**
- * Generate term content using OpenAI
+ * Generate term content using the configured LLM provider
  *
  * @param {string} term - The term to generate content for
- * @returns {Promise<Object>} Generated term object
+ * @param {Object} provider - LLM provider from utils/llm.js
+ * @returns {Promise<Object>} Generated term object, with a provenance block marking it as AI-assisted
  */
-async function generateTermContent(term) {
-  // GITHUB_TOKEN is used for GitHub Models API (models.inference.ai.azure.com)
-  // See: https://docs.github.com/en/github-models/prototyping-with-ai-models
-  const apiKey = process.env.GITHUB_TOKEN;
-  if (!apiKey) {
-    throw new Error('GITHUB_TOKEN environment variable is required for GitHub Models API access');
-  }
-
-  const client = new OpenAI({
-    baseURL: 'https://models.inference.ai.azure.com',
-    apiKey,
-  });
-
-  // Model can be configured via environment variable
-  const model = process.env.TREND_WATCHER_MODEL || 'gpt-4o';
-
+async function generateTermContent(term, provider) {
   const prompt = `You are helping to create a glossary entry for FOSS (Free and Open Source Software) terms.
 
 Generate content for the term: "${term}"
@@ -95,26 +82,14 @@ Example format:
 
 Respond ONLY with the JSON object, no additional text. Return ONLY the JSON object with no markdown code fences, no surrounding text, and nothing else.`;
 
-  const response = await client.chat.completions.create({
-    model,
+  const response = await provider.complete({
     messages: [{ role: 'user', content: prompt }],
     temperature: 0.7,
-    max_tokens: 500,
+    maxTokens: 500,
   });
 
-  // Validate response structure
-  if (!response.choices || response.choices.length === 0) {
-    throw new Error('AI response did not contain any choices');
-  }
-
-  const messageContent = response.choices[0].message?.content;
-  if (!messageContent) {
-    throw new Error('AI response did not contain message content');
-  }
-
   // Sanitize model output to tolerate fenced code blocks and stray text
-  let content = messageContent
-    .trim()
+  let content = response.content
     .replace(/^```(?:json)?\s*/i, '') // remove opening ``` or ```json
     .replace(/\s*```$/i, ''); // remove trailing ```
   const m = content.match(/\{[\s\S]*\}/); // extract first {...} block if present
@@ -147,6 +122,11 @@ Respond ONLY with the JSON object, no additional text. Return ONLY the JSON obje
     definition: parsed.definition,
     humor: parsed.humor,
     tags: parsed.tags,
+    provenance: buildProvenance({
+      generator: 'scripts/trendWatcher.js',
+      model: provider.model,
+      prompt,
+    }),
   };
 }
 
@@ -186,7 +166,9 @@ async function main() {
 
   // Generate content using AI
   console.log('Generating content using AI...');
-  const termData = await generateTermContent(newTerm);
+  const provider = createProvider('trendWatcher');
+  const termData = await generateTermContent(newTerm, provider);
+  console.log(formatUsage(provider.usage));
 
   // Output the generated term as YAML
   console.log('\n--- Generated Term (YAML) ---');
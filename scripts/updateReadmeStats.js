@@ -2,7 +2,14 @@
 const fs = require('fs');
 const { execSync } = require('child_process');
 const { scoreTerm } = require('./scoring');
-const { loadYaml } = require('../utils/fileSystem');
+const {
+  collectLeaderboard,
+  serializeLeaderboard,
+  renderLeaderboardMarkdown,
+} = require('./leaderboard');
+const { loadYaml, ensureDirectoryForFile } = require('../utils/fileSystem');
+
+const LEADERBOARD_PATH = 'docs/leaderboard.json';
 
 /**
  * Update README.md with current glossary statistics
@@ -12,7 +19,7 @@ const { loadYaml } = require('../utils/fileSystem');
  * - Terms with humor count and percentage
  * - Current champion (highest scoring term)
  * - Recent additions (last 3 terms)
- * - Top contributors list
+ * - Top contributors leaderboard (also written to docs/leaderboard.json)
  *
  * The function replaces content between <!-- STATS-START --> and <!-- STATS-END -->
  * markers, or inserts new stats section if markers don't exist
@@ -52,8 +59,9 @@ function updateReadmeStats() {
 
     // Calculate high scores (terms with 80+ score potential)
     let highScorers = [];
+    const quality = { terms, redirects: termsData.redirects || {} };
     terms.forEach((term) => {
-      const { score } = scoreTerm(term);
+      const { score } = scoreTerm(term, { quality });
 
       if (score >= 80) {
         highScorers.push({ term: term.term, score });
@@ -64,6 +72,14 @@ function updateReadmeStats() {
     highScorers.sort((a, b) => b.score - a.score);
     const topScorer = highScorers[0];
 
+    // Rank contributors by the terms they authored
+    const leaderboard = collectLeaderboard('terms.yaml');
+    ensureDirectoryForFile(LEADERBOARD_PATH);
+    const previousLeaderboard = fs.existsSync(LEADERBOARD_PATH)
+      ? fs.readFileSync(LEADERBOARD_PATH, 'utf8')
+      : null;
+    fs.writeFileSync(LEADERBOARD_PATH, serializeLeaderboard(leaderboard, previousLeaderboard));
+
     // Read current README
     let readme = fs.readFileSync('README.md', 'utf8');
 
@@ -78,15 +94,7 @@ ${topScorer ? `**🏆 Current Champion:** \`${topScorer.term}\` with ~${topScore
 **Recent additions:** ${recentTerms || 'No terms yet'}
 
 ### 🎮 Top Contributors
-${
-  Array.from(contributors)
-    .slice(0, 5)
-    .map((name, i) => {
-      const medal = i === 0 ? '🥇' : i === 1 ? '🥈' : i === 2 ? '🥉' : '🌟';
-      return `${medal} ${name}`;
-    })
-    .join(' | ') || 'Be the first contributor!'
-}
+${renderLeaderboardMarkdown(leaderboard)}
 <!-- STATS-END -->`;
 
     // Update README with stats
@@ -134,6 +142,7 @@ ${
     console.log('✅ README stats updated!');
     console.log(`   Total terms: ${totalTerms}`);
     console.log(`   Contributors: ${contributors.size}`);
+    console.log(`   Leaderboard: ${leaderboard.contributors_count} ranked (${LEADERBOARD_PATH})`);
     console.log(`   Terms with humor: ${humorPercentage}%`);
     if (topScorer) {
       console.log(`   Top scorer: ${topScorer.term} (${topScorer.score}/100)`);
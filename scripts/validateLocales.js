@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * Locale validator for FOSS Glossary
+ *
+ * Checks every terms.<locale>.yaml file against config/locale-schema.json and
+ * against terms.yaml:
+ * - translations for slugs that are not terms are errors (rename them to the
+ *   redirect target when the term was renamed)
+ * - stale translations (the English term changed since it was translated) are
+ *   warnings, or errors with --strict
+ * - coverage below --min-coverage is an error
+ *
+ * Usage: node scripts/validateLocales.js [--locale <code>] [--min-coverage <percent>] [--strict]
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const localeSchema = require('../config/locale-schema.json');
+const { loadYaml } = require('../utils/fileSystem');
+const { formatAjvError } = require('../utils/validation');
+const {
+  LOCALE_PATTERN,
+  listLocaleFiles,
+  checkLocale,
+  formatLocaleSummary,
+} = require('../utils/locales');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validateSchema = ajv.compile(localeSchema);
+
+/**
+ * Parse command line arguments
+ * Supported flags:
+ * - --locale <code> or --locale=<code>: Only validate this locale
+ * - --min-coverage <percent> or --min-coverage=<percent>: Fail below this coverage (0-100)
+ * - --strict: Treat stale translations as errors
+ *
+ * @param {string[]} argv - Command line arguments (typically process.argv.slice(2))
+ * @returns {Object} Options object with locale, minCoverage, and strict
+ * @throws {Error} If an unknown flag is given or a value is missing or invalid
+ */
+function parseArgs(argv) {
+  const options = { locale: null, minCoverage: 0, strict: false };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    if (flag === '--strict') {
+      options.strict = true;
+      continue;
+    }
+    if (flag !== '--locale' && flag !== '--min-coverage') {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    const value = inline !== undefined ? inline : argv[(i += 1)];
+    if (!value) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    if (flag === '--locale') {
+      if (!LOCALE_PATTERN.test(value)) {
+        throw new Error(`Invalid locale '${value}'`);
+      }
+      options.locale = value;
+    } else {
+      const percent = Number(value);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        throw new Error(`--min-coverage must be a number from 0 to 100, got '${value}'`);
+      }
+      options.minCoverage = percent;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Validate one parsed locale file
+ *
+ * @param {Object} data - Parsed terms.<locale>.yaml
+ * @param {string} locale - Locale code from the file name
+ * @param {Object} source - Parsed terms.yaml ({ terms, redirects? })
+ * @param {Object} [options] - Options from parseArgs()
+ * @returns {Object} Object with errors and warnings (message arrays) and report
+ *   (see checkLocale(), or null if the file does not match the schema)
+ */
+function validateLocale(data, locale, source, options = {}) {
+  const errors = [];
+  const warnings = [];
+
+  if (!validateSchema(data)) {
+    for (const error of validateSchema.errors || []) {
+      errors.push(formatAjvError(error));
+    }
+    return { errors, warnings, report: null };
+  }
+  if (data.locale !== locale) {
+    errors.push(`locale '${data.locale}' does not match the file name (terms.${locale}.yaml)`);
+  }
+
+  const report = checkLocale(data.translations, source.terms);
+  const redirects = source.redirects || {};
+  for (const slug of report.orphaned) {
+    errors.push(
+      redirects[slug]
+        ? `Translation '${slug}' is for a renamed term; move it to '${redirects[slug]}'`
+        : `Translation '${slug}' does not match any term in terms.yaml`
+    );
+  }
+
+  const stale = report.stale.map(
+    (slug) =>
+      `Translation '${slug}' is stale: the English term changed since it was translated; ` +
+      `update it, then run npm run translate -- ${locale} --mark-reviewed ${slug} --reviewer <username>`
+  );
+  (options.strict ? errors : warnings).push(...stale);
+
+  if (report.coverage < (options.minCoverage || 0)) {
+    errors.push(`Coverage ${report.coverage}% is below the required ${options.minCoverage}%`);
+  }
+
+  return { errors, warnings, report };
+}
+
+/**
+ * Main function to validate locale files
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const files = listLocaleFiles('.').filter(
+    ({ locale }) => !options.locale || locale === options.locale
+  );
+  if (files.length === 0) {
+    console.log(
+      options.locale
+        ? `ℹ️ No terms.${options.locale}.yaml file found`
+        : 'ℹ️ No locale files found; nothing to validate'
+    );
+    return;
+  }
+
+  const source = loadYaml('terms.yaml');
+  let failed = false;
+
+  for (const file of files) {
+    const { errors, warnings, report } = validateLocale(
+      loadYaml(file.path),
+      file.locale,
+      source,
+      options
+    );
+    if (report) {
+      console.log(formatLocaleSummary(file.locale, report));
+    }
+    warnings.forEach((message) => console.warn(`⚠️ Warning: ${file.path}: ${message}`));
+    errors.forEach((message) => console.error(`❌ Error: ${file.path}: ${message}`));
+    failed = failed || errors.length > 0;
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+  console.log(`✅ ${files.length} locale file(s) are valid`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseArgs,
+  validateLocale,
+};
@@ -1,43 +1,73 @@
 #!/usr/bin/env node
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
 const { normalizeName } = require('../utils/normalization');
-const { formatAjvError } = require('../utils/validation');
+const { resolveSeeAlso } = require('../utils/crossReferences');
+const { describeAjvError } = require('../utils/validation');
 const { loadJson } = require('../utils/fileSystem');
+const {
+  STATUS_TRANSITIONS,
+  getTermStatus,
+  isAllowedStatusTransition,
+} = require('../utils/termStatus');
+const {
+  analyzeRedirects,
+  collapseRedirectChains,
+  rewriteRedirectTargets,
+} = require('../utils/redirectGraph');
+const {
+  parseYamlWithPositions,
+  escapePointerSegment,
+  locate,
+  formatCodeFrame,
+} = require('../utils/yamlPositions');
+const {
+  SUPPORTED_FORMATS,
+  formatJsonReport,
+  formatSarifReport,
+} = require('../utils/validationReport');
+
+const TERMS_FILE = 'terms.yaml';
 
 /**
  * Load and parse a YAML file with user-friendly error handling
+ * In json/sarif formats, parse errors are reported as a structured yaml-parse problem
  *
  * @param {string} filePath - Path to the YAML file
- * @returns {*} Parsed YAML content
+ * @param {string} [format='text'] - Output format (text, json, or sarif)
+ * @returns {{data: *, positions: Map<string, {line: number, column: number}>, source: string}}
+ *   Parsed YAML content, JSON pointer → source position map, and raw source
  * @throws {Error} Exits process with code 1 if file cannot be read or parsed
  */
-function loadYamlWithFriendlyErrors(filePath) {
+function loadYamlWithFriendlyErrors(filePath, format = 'text') {
   try {
     const content = fs.readFileSync(filePath, 'utf8');
-    return yaml.load(content);
+    return { ...parseYamlWithPositions(content), source: content };
   } catch (error) {
     // Handle YAML parse errors with detailed, user-friendly output
     if (error.name === 'YAMLException' && error.mark) {
       const line = error.mark.line + 1;
       const col = error.mark.column + 1;
 
-      // Read file lines for context
-      const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/);
-      const startLine = Math.max(0, line - 2);
-      const endLine = Math.min(lines.length, line + 2);
-      const contextLines = [];
-
-      for (let i = startLine; i < endLine; i++) {
-        const lineNum = i + 1;
-        const marker = lineNum === line ? '→' : ' ';
-        contextLines.push(`${marker} ${lineNum}: ${lines[i]}`);
+      if (format !== 'text') {
+        emitReport(format, [
+          {
+            ruleId: 'yaml-parse',
+            level: 'error',
+            message: error.message.split('\n')[0],
+            file: filePath,
+            line,
+            column: col,
+            fix: 'Use spaces (not tabs) and consistent indentation for keys under "- slug:"',
+          },
+        ]);
+        process.exit(1);
       }
 
-      const context = contextLines.join('\n');
+      // Read file lines for context
+      const context = formatCodeFrame(fs.readFileSync(filePath, 'utf8'), line);
 
       // Extract the main error message
       const mainError = error.message.split('\n')[0];
@@ -112,6 +142,132 @@ function resolveBasePathFromArgs() {
   return resolved;
 }
 
+/**
+ * Check whether strict mode was requested on the command line
+ * In strict mode, warnings such as dangling see_also references fail validation
+ *
+ * @returns {boolean} True if --strict was passed
+ */
+function isStrictMode() {
+  return process.argv.slice(2).includes('--strict');
+}
+
+/**
+ * Check whether fix mode was requested on the command line
+ * In fix mode, redirect chains are collapsed in terms.yaml before validation
+ *
+ * @returns {boolean} True if --fix was passed
+ */
+function isFixMode() {
+  return process.argv.slice(2).includes('--fix');
+}
+
+/**
+ * Resolve the output format from command line arguments
+ * Supports --format <name> and --format=<name>; defaults to text
+ *
+ * @returns {string} One of SUPPORTED_FORMATS
+ * @throws {Error} Exits process with code 1 if the format is missing or unknown
+ */
+function resolveFormatFromArgs() {
+  const args = process.argv.slice(2);
+  let format = 'text';
+
+  for (let index = 0; index < args.length; index += 1) {
+    const arg = args[index];
+    if (arg === '--format') {
+      format = args[index + 1];
+      index += 1;
+    } else if (arg.startsWith('--format=')) {
+      format = arg.slice('--format='.length);
+    }
+  }
+
+  if (!SUPPORTED_FORMATS.includes(format)) {
+    console.error(
+      `❌ Error: Unsupported --format '${format || ''}'. Use one of: ${SUPPORTED_FORMATS.join(', ')}`
+    );
+    process.exit(1);
+  }
+
+  return format;
+}
+
+/**
+ * Print a machine-readable validation report to stdout
+ *
+ * @param {string} format - Output format (json or sarif)
+ * @param {Object[]} problems - Structured validation problems
+ * @param {Object} [meta] - Extra report metadata passed to the JSON formatter
+ */
+function emitReport(format, problems, meta = {}) {
+  const output =
+    format === 'sarif' ? formatSarifReport(problems) : formatJsonReport(problems, meta);
+  process.stdout.write(output);
+}
+
+/**
+ * Format the source location of a problem for text output
+ * Errors get a code frame of the offending line; warnings only get the file:line:column
+ *
+ * @param {Object} problem - Structured validation problem
+ * @param {Map<string, string>} sources - Map of file path to raw file content
+ * @param {boolean} [withFrame=true] - Whether to include a code frame
+ * @returns {string[]} Indented output lines (empty if the problem has no position)
+ */
+function formatProblemLocation(problem, sources, withFrame = true) {
+  const locations = [problem, ...(problem.related || [])].filter((location) => location.line);
+  const output = [];
+
+  for (const location of locations) {
+    const label = location === problem ? 'at' : location.message;
+    output.push(`    ${label} ${location.file}:${location.line}:${location.column}`);
+    const source = sources.get(location.file);
+    if (withFrame && typeof source === 'string') {
+      const frame = formatCodeFrame(source, location.line, { column: location.column });
+      output.push(...frame.split('\n').map((row) => `      ${row}`));
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Print problems as an indented text list with their source locations
+ *
+ * @param {Object[]} problems - Structured validation problems
+ * @param {Map<string, string>} sources - Map of file path to raw file content
+ * @param {Function} log - Console method to print with
+ * @param {boolean} [withFrame=true] - Whether to include code frames
+ */
+function printProblems(problems, sources, log, withFrame = true) {
+  for (const problem of problems) {
+    log(`  - ${problem.message}`);
+    for (const row of formatProblemLocation(problem, sources, withFrame)) {
+      log(row);
+    }
+  }
+}
+
+/**
+ * Get the term index and slug a JSON pointer refers to
+ *
+ * @param {string} pointer - JSON pointer such as /terms/3/definition
+ * @param {Object[]} terms - Array of term objects
+ * @returns {{termIndex?: number, slug?: string}} Term index (0-based) and slug, if any
+ */
+function getTermContext(pointer, terms) {
+  const match = /^\/terms\/(\d+)(?:\/|$)/.exec(pointer || '');
+  if (!match) {
+    return {};
+  }
+  const termIndex = Number(match[1]);
+  const term = terms[termIndex];
+  const slug =
+    term && typeof term === 'object' && typeof term.slug === 'string' ? term.slug : undefined;
+  return { termIndex, slug };
+}
+
 /**
  * Main validation function for FOSS Glossary terms
  * Validates terms.yaml against schema.json and performs additional checks:
@@ -119,67 +275,133 @@ function resolveBasePathFromArgs() {
  * - Duplicate slug detection
  * - Duplicate term/alias name detection (normalized)
  * - Slug change detection (when base terms file is provided)
+ * - Redirect graph analysis: chains, cycles, and missing targets
+ * - Deletion policy (when base terms file is provided): base slugs, redirects, and
+ *   tombstones must not disappear unless a redirect or tombstone accounts for them
+ * - Status lifecycle (when base terms file is provided): draft → stable → deprecated,
+ *   and deprecated terms may only be reinstated as stable
+ * - Dangling see_also references (warnings, or errors with --strict)
+ *
+ * With --fix, redirect chains are collapsed in terms.yaml so every old slug
+ * points straight at its final term.
+ *
+ * With --format json or --format sarif, every problem is reported with its rule id,
+ * slug, term index, YAML line/column, and a suggested fix instead of text output.
  *
  * @throws {Error} Exits process with code 1 if validation fails
  */
 function main() {
-  const data = loadYamlWithFriendlyErrors('terms.yaml');
+  const format = resolveFormatFromArgs();
+  const { data, positions, source } = loadYamlWithFriendlyErrors(TERMS_FILE, format);
   const schema = loadJson('config/schema.json');
+  const sources = new Map([[TERMS_FILE, source]]);
 
   const basePath = resolveBasePathFromArgs();
   let baseTerms = [];
+  let baseRedirects = {};
+  let baseTombstones = {};
+  let baseFile = null;
+  let basePositions = null;
   if (basePath) {
-    const baseData = loadYamlWithFriendlyErrors(basePath);
-    if (baseData && Array.isArray(baseData.terms)) {
-      baseTerms = baseData.terms;
+    const base = loadYamlWithFriendlyErrors(basePath, format);
+    baseFile = path.relative(process.cwd(), basePath) || basePath;
+    basePositions = base.positions;
+    sources.set(baseFile, base.source);
+    if (base.data && Array.isArray(base.data.terms)) {
+      baseTerms = base.data.terms;
+    }
+    if (base.data && base.data.redirects && typeof base.data.redirects === 'object') {
+      baseRedirects = base.data.redirects;
+    }
+    if (base.data && base.data.tombstones && typeof base.data.tombstones === 'object') {
+      baseTombstones = base.data.tombstones;
     }
   }
 
+  const allTerms = data && Array.isArray(data.terms) ? data.terms : [];
+  const problems = [];
+
+  /**
+   * Record a validation problem, resolving its source position and term context
+   *
+   * @param {Object} problem - Problem with ruleId, level, message, and optional pointer/fix
+   */
+  const addProblem = (problem) => {
+    const position = locate(positions, problem.pointer);
+    problems.push({
+      file: TERMS_FILE,
+      ...getTermContext(problem.pointer, allTerms),
+      ...problem,
+      line: position ? position.line : undefined,
+      column: position ? position.column : undefined,
+    });
+  };
+
   const ajv = new Ajv({ allErrors: true, strict: false });
   addFormats(ajv);
 
   const validate = ajv.compile(schema);
   if (!validate(data)) {
-    console.error('❌ Error: Schema validation failed');
     for (const err of validate.errors || []) {
-      console.error(`  - ${formatAjvError(err)}`);
+      addProblem({ level: 'error', ...describeAjvError(err) });
     }
+    if (format !== 'text') {
+      emitReport(format, problems, { termsCount: allTerms.length });
+      process.exit(1);
+    }
+    console.error('❌ Error: Schema validation failed');
+    printProblems(problems, sources, console.error);
     process.exit(1);
   }
 
-  const errors = [];
   const slugSet = new Map();
   const nameSet = new Map();
 
   const terms = Array.isArray(data.terms) ? data.terms : [];
-  const redirects = data.redirects || {};
+  let redirects = data.redirects || {};
+  const tombstones = data.tombstones || {};
+  const renamedSlugs = new Set();
 
   (terms || []).forEach((term, index) => {
     const pos = `term #${index + 1}`;
 
     if (slugSet.has(term.slug)) {
       const other = slugSet.get(term.slug);
-      errors.push(`${pos} slug '${term.slug}' duplicates ${other}`);
+      addProblem({
+        ruleId: 'duplicate-slug',
+        level: 'error',
+        message: `${pos} slug '${term.slug}' duplicates ${other}`,
+        pointer: `/terms/${index}/slug`,
+        fix: `Choose a unique slug; '${term.slug}' is already used by ${other}`,
+      });
     } else {
       slugSet.set(term.slug, pos);
     }
 
-    const addName = (raw, label) => {
+    const addName = (raw, label, pointer) => {
       if (!raw) return;
       const key = normalizeName(raw);
       if (!key) return;
       if (nameSet.has(key)) {
         const prev = nameSet.get(key);
-        errors.push(`${pos} ${label} '${raw}' conflicts with ${prev}`);
+        addProblem({
+          ruleId: 'duplicate-name',
+          level: 'error',
+          message: `${pos} ${label} '${raw}' conflicts with ${prev}`,
+          pointer,
+          fix: `Remove or rename the ${label}, or merge this term with ${prev}`,
+        });
       } else {
         nameSet.set(key, `${pos} ${label} '${raw}'`);
       }
     };
 
-    addName(term.term, 'term');
+    addName(term.term, 'term', `/terms/${index}/term`);
 
     if (Array.isArray(term.aliases)) {
-      term.aliases.forEach((alias) => addName(alias, 'alias'));
+      term.aliases.forEach((alias, aliasIndex) =>
+        addName(alias, 'alias', `/terms/${index}/aliases/${aliasIndex}`)
+      );
     }
   });
 
@@ -260,10 +482,23 @@ function main() {
         if (baseNameMap.has(key)) {
           const baseInfo = baseNameMap.get(key);
           if (baseInfo.slug !== slug) {
-            errors.push(
-              `Slug immutability violation: Term '${baseInfo.term}' slug changed from '${baseInfo.slug}' to '${slug}'. ` +
-                `Use redirects instead: add 'redirects: { "${baseInfo.slug}": "${slug}" }' to preserve the old URL.`
-            );
+            renamedSlugs.add(baseInfo.slug);
+            addProblem({
+              ruleId: 'slug-immutability',
+              level: 'error',
+              message:
+                `Slug immutability violation: Term '${baseInfo.term}' slug changed from '${baseInfo.slug}' to '${slug}'. ` +
+                `Use redirects instead: add 'redirects: { "${baseInfo.slug}": "${slug}" }' to preserve the old URL.`,
+              pointer: `/terms/${i}/slug`,
+              fix: `Restore the slug '${baseInfo.slug}' or add redirects: { "${baseInfo.slug}": "${slug}" }`,
+              related: [
+                {
+                  message: 'previously',
+                  file: baseFile,
+                  ...locate(basePositions, `/terms/${baseInfo.index - 1}/slug`),
+                },
+              ],
+            });
           }
         }
 
@@ -280,20 +515,227 @@ function main() {
     }
   }
 
+  // Collapse redirect chains in place before analyzing the redirect graph
+  if (isFixMode()) {
+    const updates = collapseRedirectChains(redirects, slugSet.keys());
+    if (Object.keys(updates).length > 0) {
+      const fixed = rewriteRedirectTargets(source, redirects, updates, (slug) =>
+        locate(positions, `/redirects/${escapePointerSegment(slug)}`)
+      );
+      if (fixed.applied.length > 0) {
+        fs.writeFileSync(TERMS_FILE, fixed.source, 'utf8');
+        sources.set(TERMS_FILE, fixed.source);
+        redirects = { ...redirects };
+        fixed.applied.forEach((slug) => {
+          redirects[slug] = updates[slug];
+        });
+      }
+      if (format === 'text') {
+        console.log(`🔧 Collapsed ${fixed.applied.length} redirect chain(s) in ${TERMS_FILE}`);
+        fixed.applied.forEach((slug) => console.log(`  ${slug} → ${updates[slug]}`));
+        fixed.skipped.forEach((slug) =>
+          console.warn(`⚠️ Warning: Could not rewrite redirect '${slug}'; edit it by hand`)
+        );
+      }
+    }
+  }
+
   // Validate redirects: old slugs must not exist, target slugs must exist
   // Note: slugSet is already populated from the terms loop above, enabling O(1) lookups
-  Object.entries(redirects).forEach(([oldSlug, newSlug]) => {
+  Object.keys(redirects).forEach((oldSlug) => {
     if (slugSet.has(oldSlug)) {
-      errors.push(`Redirect source '${oldSlug}' conflicts with an active term slug`);
+      addProblem({
+        ruleId: 'redirect-source-conflict',
+        level: 'error',
+        message: `Redirect source '${oldSlug}' conflicts with an active term slug`,
+        pointer: `/redirects/${escapePointerSegment(oldSlug)}`,
+        fix: `Remove the redirect for '${oldSlug}' or rename the term that uses it`,
+      });
     }
-    if (!slugSet.has(newSlug)) {
-      errors.push(`Redirect target '${newSlug}' does not exist in terms`);
+  });
+
+  const baseSlugs = baseTerms
+    .filter((term) => term && typeof term.slug === 'string' && term.slug)
+    .map((term) => term.slug);
+  const redirectGraph = analyzeRedirects(redirects, slugSet.keys(), {
+    slugs: baseSlugs.filter((slug) => !renamedSlugs.has(slug)),
+    redirects: baseRedirects,
+  });
+
+  redirectGraph.dangling.forEach(({ source: oldSlug, target }) => {
+    addProblem({
+      ruleId: 'redirect-target-missing',
+      level: 'error',
+      message: `Redirect target '${target}' does not exist in terms`,
+      pointer: `/redirects/${escapePointerSegment(oldSlug)}`,
+      fix: `Point '${oldSlug}' at an existing term slug`,
+    });
+  });
+
+  redirectGraph.chains.forEach(({ source: oldSlug, path: chain, target }) => {
+    addProblem({
+      ruleId: 'redirect-chain',
+      level: 'error',
+      message: `Redirect chain ${chain.join(' → ')}: '${chain[1]}' is itself redirected`,
+      pointer: `/redirects/${escapePointerSegment(oldSlug)}`,
+      fix: target
+        ? `Point '${oldSlug}' directly at '${target}' (or run with --fix)`
+        : `Point '${oldSlug}' at an existing term slug`,
+    });
+  });
+
+  redirectGraph.cycles.forEach((cycle) => {
+    addProblem({
+      ruleId: 'redirect-cycle',
+      level: 'error',
+      message: `Redirect cycle ${cycle.join(' → ')} never reaches a term`,
+      pointer: `/redirects/${escapePointerSegment(cycle[0])}`,
+      fix: 'Point every slug in the cycle at an existing term slug',
+    });
+  });
+
+  const locateInBase = (pointer) => ({ file: baseFile, ...locate(basePositions, pointer) });
+
+  // Deleted slugs need a redirect or a tombstone; tombstones must not shadow live slugs
+  const hasTombstone = (slug) => Object.prototype.hasOwnProperty.call(tombstones, slug);
+  Object.keys(tombstones).forEach((slug) => {
+    if (slugSet.has(slug) || Object.prototype.hasOwnProperty.call(redirects, slug)) {
+      addProblem({
+        ruleId: 'tombstone-conflict',
+        level: 'error',
+        message: `Tombstone '${slug}' conflicts with an active ${slugSet.has(slug) ? 'term slug' : 'redirect'}`,
+        pointer: `/tombstones/${escapePointerSegment(slug)}`,
+        fix: `Remove the tombstone for '${slug}'; live slugs must not be marked as deleted`,
+      });
     }
   });
 
+  redirectGraph.removedSlugs
+    .filter((slug) => !hasTombstone(slug))
+    .forEach((slug) => {
+      addProblem({
+        ruleId: 'slug-removed',
+        level: 'error',
+        message: `Slug '${slug}' was removed without a redirect or tombstone`,
+        pointer: '/redirects',
+        fix:
+          `Add redirects: { "${slug}": "<replacement-slug>" }, or tombstones: { "${slug}": ` +
+          `{ reason, date, category } } as described in docs/deletion-policy.md`,
+        related: [
+          {
+            message: 'previously',
+            ...locateInBase(
+              `/terms/${baseTerms.findIndex((term) => term && term.slug === slug)}/slug`
+            ),
+          },
+        ],
+      });
+    });
+
+  redirectGraph.removedRedirects
+    .filter((slug) => !hasTombstone(slug))
+    .forEach((slug) => {
+      addProblem({
+        ruleId: 'redirect-removed',
+        level: 'error',
+        message: `Redirect '${slug}' was removed; redirects must be kept indefinitely`,
+        pointer: '/redirects',
+        fix: `Restore redirects: { "${slug}": "${baseRedirects[slug]}" } (pointing at its current term)`,
+        related: [
+          {
+            message: 'previously',
+            ...locateInBase(`/redirects/${escapePointerSegment(slug)}`),
+          },
+        ],
+      });
+    });
+
+  Object.keys(baseTombstones)
+    .filter((slug) => !hasTombstone(slug) && !slugSet.has(slug))
+    .filter((slug) => !Object.prototype.hasOwnProperty.call(redirects, slug))
+    .sort()
+    .forEach((slug) => {
+      addProblem({
+        ruleId: 'tombstone-removed',
+        level: 'error',
+        message: `Tombstone '${slug}' was removed; tombstones must be kept indefinitely`,
+        pointer: '/tombstones',
+        fix: `Restore the tombstones entry for '${slug}'`,
+        related: [
+          {
+            message: 'previously',
+            ...locateInBase(`/tombstones/${escapePointerSegment(slug)}`),
+          },
+        ],
+      });
+    });
+
+  // Status may only move along the lifecycle; new terms may start with any status
+  const baseStatuses = new Map(
+    baseTerms
+      .filter((term) => term && typeof term.slug === 'string' && term.slug)
+      .map((term) => [term.slug, { status: getTermStatus(term), term }])
+  );
+  terms.forEach((term, index) => {
+    if (!term || !baseStatuses.has(term.slug)) {
+      return;
+    }
+    const previous = baseStatuses.get(term.slug);
+    const status = getTermStatus(term);
+    if (isAllowedStatusTransition(previous.status, status)) {
+      return;
+    }
+    const allowed = [previous.status, ...(STATUS_TRANSITIONS[previous.status] || [])];
+    addProblem({
+      ruleId: 'status-transition',
+      level: 'error',
+      message: `Status of '${term.slug}' cannot change from '${previous.status}' to '${status}'`,
+      pointer: term.status === undefined ? `/terms/${index}` : `/terms/${index}/status`,
+      fix: `Set status to one of: ${allowed.join(', ')}`,
+      related: [
+        {
+          message: 'previously',
+          ...locateInBase(
+            previous.term.status === undefined
+              ? `/terms/${baseTerms.indexOf(previous.term)}`
+              : `/terms/${baseTerms.indexOf(previous.term)}/status`
+          ),
+        },
+      ],
+    });
+  });
+
+  // Validate cross-references: every see_also entry should resolve to a term, alias, or redirect
+  const strict = isStrictMode();
+  const { dangling } = resolveSeeAlso(terms, redirects);
+  dangling.forEach(({ slug, index, entryIndex, entry }) => {
+    addProblem({
+      ruleId: 'dangling-see-also',
+      level: strict ? 'error' : 'warning',
+      message: `term #${index + 1} '${slug}' see_also '${entry}' does not resolve to any term, alias, or redirect`,
+      pointer: `/terms/${index}/see_also/${entryIndex}`,
+      fix: 'Use the name, alias, or slug of an existing term, or remove the entry',
+    });
+  });
+
+  const errors = problems.filter((problem) => problem.level === 'error');
+  const warnings = problems.filter((problem) => problem.level === 'warning');
+
+  if (format !== 'text') {
+    emitReport(format, problems, { termsCount: terms.length });
+    process.exit(errors.length > 0 ? 1 : 0);
+  }
+
+  if (warnings.length > 0) {
+    console.warn(
+      `⚠️ Warning: ${warnings.length} dangling cross-reference(s) (use --strict to fail)`
+    );
+    printProblems(warnings, sources, console.warn, false);
+  }
+
   if (errors.length > 0) {
     console.error('❌ Error: Validation failed\n');
-    errors.forEach((err) => console.error(`  - ${err}`));
+    printProblems(errors, sources, console.error);
     process.exit(1);
   }
 
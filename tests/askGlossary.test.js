@@ -1,13 +1,20 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
 
 const {
   parseArgs,
-  calculateRelevance,
+  searchTerms,
   retrieveRelevantTerms,
   formatTermsContext,
   truncateForLogging,
+  extractCitations,
+  validateCitations,
+  buildRetrievalQuery,
+  createConversation,
+  runRepl,
   DEFAULT_TOP_K,
+  MAX_HISTORY_TURNS,
 } = require('../scripts/askGlossary');
 
 // Sample terms for testing
@@ -90,30 +97,43 @@ test('parseArgs: handles empty arguments', () => {
   assert.equal(options.topK, DEFAULT_TOP_K);
 });
 
-// calculateRelevance tests
-test('calculateRelevance: exact term name match scores highest', () => {
-  const score = calculateRelevance('what is a fork', sampleTerms[0]);
-  assert.ok(score >= 10, `Expected score >= 10, got ${score}`);
+test('parseArgs: enables interactive and JSON modes', () => {
+  assert.deepEqual(
+    (({ interactive, json }) => ({ interactive, json }))(parseArgs(['-i', '--json'])),
+    { interactive: true, json: true }
+  );
+  assert.equal(parseArgs(['--interactive']).interactive, true);
+  assert.equal(parseArgs([]).json, false);
+});
+
+// searchTerms tests
+function scoreOf(question, slug) {
+  const match = searchTerms(question, sampleTerms).find((entry) => entry.term.slug === slug);
+  return match ? match.score : 0;
+}
+
+test('searchTerms: exact term name match ranks first', () => {
+  const results = searchTerms('what is a fork', sampleTerms);
+  assert.equal(results[0].term.slug, 'fork');
 });
 
-test('calculateRelevance: alias match scores high', () => {
-  const score = calculateRelevance('what does looks good to me mean', sampleTerms[1]);
-  assert.ok(score >= 8, `Expected score >= 8, got ${score}`);
+test('searchTerms: alias match ranks first', () => {
+  const results = searchTerms('what does looks good to me mean', sampleTerms);
+  assert.equal(results[0].term.slug, 'lgtm');
 });
 
-test('calculateRelevance: tag match contributes to score', () => {
-  const score = calculateRelevance('tell me about licensing', sampleTerms[2]);
-  assert.ok(score > 0, `Expected score > 0, got ${score}`);
+test('searchTerms: stemmed tag match contributes to score', () => {
+  assert.ok(scoreOf('tell me about licenses', 'copyleft') > 0);
 });
 
-test('calculateRelevance: unrelated question scores zero or low', () => {
-  const score = calculateRelevance('tell me about quantum physics', sampleTerms[0]);
-  assert.ok(score < 3, `Expected score < 3, got ${score}`);
+test('searchTerms: unrelated question does not match', () => {
+  assert.equal(scoreOf('tell me about quantum physics', 'fork'), 0);
 });
 
-test('calculateRelevance: slug words contribute to score', () => {
-  const score = calculateRelevance('what is a bus factor', sampleTerms[4]);
-  assert.ok(score > 0, `Expected score > 0 for bus-factor term`);
+test('searchTerms: tolerates typos in longer words', () => {
+  // cspell:ignore facter
+  const results = searchTerms('what is a bus facter', sampleTerms);
+  assert.equal(results[0].term.slug, 'bus-factor');
 });
 
 // retrieveRelevantTerms tests
@@ -207,20 +227,20 @@ test('truncateForLogging: uses default max length of 100', () => {
 });
 
 // Edge cases
-test('calculateRelevance: handles term with minimal fields', () => {
+test('searchTerms: handles term with minimal fields', () => {
   const minimalTerm = {
     slug: 'test',
     term: 'Test',
     definition: 'A test term.',
   };
-  const score = calculateRelevance('test', minimalTerm);
-  assert.ok(score >= 0, 'Score should be non-negative');
+  const [result] = searchTerms('test', [minimalTerm]);
+  assert.ok(result.score > 0, 'Score should be positive');
 });
 
-test('calculateRelevance: case-insensitive matching', () => {
-  const score1 = calculateRelevance('FORK', sampleTerms[0]);
-  const score2 = calculateRelevance('fork', sampleTerms[0]);
-  const score3 = calculateRelevance('Fork', sampleTerms[0]);
+test('searchTerms: case-insensitive matching', () => {
+  const score1 = scoreOf('FORK', 'fork');
+  const score2 = scoreOf('fork', 'fork');
+  const score3 = scoreOf('Fork', 'fork');
   assert.equal(score1, score2, 'Scores should be equal regardless of case');
   assert.equal(score2, score3, 'Scores should be equal regardless of case');
 });
@@ -229,3 +249,105 @@ test('retrieveRelevantTerms: handles empty terms array', () => {
   const results = retrieveRelevantTerms('any question', [], 5);
   assert.deepEqual(results, [], 'Should return empty array for empty terms');
 });
+
+// Citation and conversation tests
+
+// Provider that records prompts and replies with canned answers in order
+function scriptedProvider(answers) {
+  const requests = [];
+  return {
+    requests,
+    usage: { requests: 0 },
+    async complete({ messages }) {
+      requests.push(messages);
+      return { content: answers[requests.length - 1] };
+    },
+  };
+}
+
+test('extractCitations: lists cited slugs once, skipping Markdown links', () => {
+  assert.deepEqual(
+    extractCitations('A copy [fork], again [fork]; see [lgtm] and [the docs](https://x).'),
+    ['fork', 'lgtm']
+  );
+});
+
+test('validateCitations: removes citations of terms that were not retrieved', () => {
+  const retrieved = [{ term: sampleTerms[0], score: 1 }];
+  const result = validateCitations('Forks copy code [fork], unlike [hard-fork].', retrieved);
+
+  assert.equal(result.answer, 'Forks copy code [fork], unlike.');
+  assert.deepEqual(result.citations, [{ slug: 'fork', term: 'Fork' }]);
+  assert.deepEqual(result.rejected, ['hard-fork']);
+});
+
+test('buildRetrievalQuery: searches the previous question along with a follow-up', () => {
+  assert.equal(buildRetrievalQuery('What is LGTM?', []), 'What is LGTM?');
+  const history = [
+    { role: 'user', content: 'What is copyleft?' },
+    { role: 'assistant', content: 'A licensing principle [copyleft].' },
+  ];
+  assert.equal(buildRetrievalQuery('Who coined it?', history), 'What is copyleft?\nWho coined it?');
+});
+
+test('createConversation: keeps history and re-retrieves terms every turn', async () => {
+  const provider = scriptedProvider([
+    'A licensing principle [copyleft].',
+    'Richard Stallman [copyleft]; see [fork].',
+  ]);
+  const conversation = createConversation({ terms: sampleTerms, provider });
+
+  const first = await conversation.ask('What is copyleft?');
+  assert.equal(first.sources[0].slug, 'copyleft');
+  assert.deepEqual(first.citations, [{ slug: 'copyleft', term: 'Copyleft' }]);
+
+  const second = await conversation.ask('Who coined it? Is it like a fork?');
+  const slugs = second.sources.map((source) => source.slug);
+  assert.ok(slugs.includes('copyleft') && slugs.includes('fork'));
+  assert.deepEqual(
+    provider.requests[1].slice(1, 3).map((message) => message.content),
+    ['What is copyleft?', 'A licensing principle [copyleft].']
+  );
+  assert.equal(conversation.history.length, 4);
+
+  conversation.reset();
+  assert.equal(conversation.history.length, 0);
+});
+
+test('createConversation: skips the model when nothing matches and bounds history', async () => {
+  const answers = new Array(MAX_HISTORY_TURNS + 1).fill('A copy [fork].');
+  const provider = scriptedProvider(answers);
+  const conversation = createConversation({ terms: sampleTerms, provider });
+
+  const miss = await conversation.ask('quantum physics');
+  assert.equal(miss.answer, null);
+  assert.equal(provider.requests.length, 0);
+
+  for (let i = 0; i < answers.length; i += 1) {
+    await conversation.ask('What is a fork?');
+  }
+  assert.equal(conversation.history.length, MAX_HISTORY_TURNS * 2);
+});
+
+test('runRepl: answers one question per line and prints JSON lines', async () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', (chunk) => {
+    written += chunk;
+  });
+  const conversation = createConversation({
+    terms: sampleTerms,
+    provider: scriptedProvider(['A copy [fork].']),
+  });
+
+  input.end('What is a fork?\n\n/reset\n/exit\nignored\n');
+  const answered = await runRepl(conversation, { input, output, json: true });
+
+  const lines = written.trim().split('\n').map(JSON.parse);
+  assert.equal(answered, 1);
+  assert.equal(lines[0].answer, 'A copy [fork].');
+  assert.deepEqual(lines[0].citations, [{ slug: 'fork', term: 'Fork' }]);
+  assert.deepEqual(lines[1], { reset: true });
+  assert.equal(lines.length, 2);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  BADGE_CATALOGUE,
+  countReferences,
+  findMostReferenced,
+  collectTranslationCredits,
+  buildBadgeDocument,
+} = require('../scripts/badges');
+
+const terms = [
+  { slug: 'alpha', term: 'Alpha', definition: 'First.', see_also: ['Beta'] },
+  { slug: 'beta', term: 'Beta', definition: 'Second.', see_also: ['old-gamma'] },
+  { slug: 'gamma', term: 'Gamma', definition: 'Third.', see_also: ['beta', 'missing'] },
+];
+const redirects = { 'old-gamma': 'gamma' };
+
+function contributor(name, slugs, longest = 1) {
+  return { name, terms_count: slugs.length, terms: slugs, streak: { current: 0, longest } };
+}
+
+test('BADGE_CATALOGUE: every badge has an id, icon, name, and description', () => {
+  const ids = BADGE_CATALOGUE.map((badge) => badge.id);
+  assert.equal(new Set(ids).size, ids.length);
+  for (const badge of BADGE_CATALOGUE) {
+    assert.ok(badge.icon && badge.name && badge.description, badge.id);
+  }
+});
+
+test('countReferences: counts resolved see_also links including aliases and redirects', () => {
+  const counts = countReferences(terms, redirects);
+  assert.equal(counts.get('beta'), 2);
+  assert.equal(counts.get('gamma'), 1);
+  assert.equal(counts.has('alpha'), false);
+});
+
+test('findMostReferenced: returns every top slug and nothing when no links exist', () => {
+  assert.deepEqual(findMostReferenced(countReferences(terms, redirects)), ['beta']);
+  assert.deepEqual(
+    findMostReferenced(
+      new Map([
+        ['b', 2],
+        ['a', 2],
+        ['c', 1],
+      ])
+    ),
+    ['a', 'b']
+  );
+  assert.deepEqual(findMostReferenced(new Map()), []);
+});
+
+test('buildBadgeDocument: awards term, streak, reference, and translation badges', () => {
+  const leaderboard = {
+    generated_at: '2024-06-01T00:00:00.000Z',
+    contributors: [
+      contributor('Ada', ['alpha', 'gamma', 'a', 'b', 'c'], 3),
+      contributor('Grace', ['beta']),
+    ],
+  };
+  const translations = new Map([
+    ['Linus', 4],
+    ['github-actions[bot]', 10],
+  ]);
+
+  const document = buildBadgeDocument(leaderboard, { terms, redirects, translations });
+
+  assert.equal(document.version, 1);
+  assert.equal(document.generated_at, '2024-06-01T00:00:00.000Z');
+  assert.deepEqual(document.contributors, [
+    { name: 'Ada', badges: ['first-term', 'high-five', 'monthly-regular'] },
+    { name: 'Grace', badges: ['first-term', 'most-referenced'] },
+    { name: 'Linus', badges: ['first-translation'] },
+  ]);
+
+  const holders = Object.fromEntries(document.catalogue.map((badge) => [badge.id, badge.holders]));
+  assert.deepEqual(holders['first-term'], ['Ada', 'Grace']);
+  assert.deepEqual(holders['first-translation'], ['Linus']);
+  assert.ok(document.catalogue.every((badge) => !('rule' in badge)));
+});
+
+test('buildBadgeDocument: lists the full catalogue even without contributors', () => {
+  const document = buildBadgeDocument({ contributors: [] }, { terms: [] });
+  assert.equal(document.catalogue.length, BADGE_CATALOGUE.length);
+  assert.ok(document.catalogue.every((badge) => badge.holders.length === 0));
+  assert.deepEqual(document.contributors, []);
+});
+
+test('collectTranslationCredits: returns an empty map without translation files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'badges-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'terms.yaml'), 'terms: []\n');
+    assert.equal(collectTranslationCredits(dir).size, 0);
+    assert.equal(collectTranslationCredits(path.join(dir, 'missing')).size, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildReferenceIndex,
+  resolveReference,
+  resolveSeeAlso,
+  resolveRedirectTarget,
+} = require('../utils/crossReferences');
+const { normalizeName } = require('../utils/normalization');
+
+const terms = [
+  {
+    slug: 'bus-factor',
+    term: 'Bus Factor',
+    aliases: ['Truck Factor'],
+    see_also: ['Single Point of Failure', 'truck factor', 'Maintainer Burnout'],
+  },
+  {
+    slug: 'maintainer-burnout',
+    term: 'Maintainer Burnout',
+    see_also: ['Bus-Factor', 'bus factor', 'Legacy Name'],
+  },
+];
+const redirects = { 'legacy-name': 'bus-factor' };
+
+test('buildReferenceIndex: indexes names, aliases, slugs, and redirects', () => {
+  const index = buildReferenceIndex(terms, redirects);
+  assert.equal(index.get(normalizeName('Bus Factor')), 'bus-factor');
+  assert.equal(index.get(normalizeName('Truck Factor')), 'bus-factor');
+  assert.equal(index.get(normalizeName('Maintainer Burnout')), 'maintainer-burnout');
+  assert.equal(index.get(normalizeName('legacy-name')), 'bus-factor');
+});
+
+test('buildReferenceIndex: active terms win over redirects with the same name', () => {
+  const index = buildReferenceIndex(terms, { 'bus-factor-old': 'x', 'truck-factor': 'x' });
+  assert.equal(index.get(normalizeName('Truck Factor')), 'bus-factor');
+});
+
+test('resolveReference: normalizes punctuation and case', () => {
+  const index = buildReferenceIndex(terms, redirects);
+  assert.equal(resolveReference('BUS-factor!', index), 'bus-factor');
+  assert.equal(resolveReference('Unknown', index), null);
+  assert.equal(resolveReference('', index), null);
+});
+
+test('resolveSeeAlso: resolves entries, drops self-references and duplicates', () => {
+  const { resolved, dangling } = resolveSeeAlso(terms, redirects);
+
+  assert.deepEqual(resolved.get('bus-factor'), ['maintainer-burnout']);
+  assert.deepEqual(resolved.get('maintainer-burnout'), ['bus-factor']);
+  assert.deepEqual(dangling, [
+    { slug: 'bus-factor', index: 0, entryIndex: 0, entry: 'Single Point of Failure' },
+  ]);
+});
+
+test('resolveSeeAlso: tolerates malformed terms', () => {
+  const { resolved, dangling } = resolveSeeAlso([null, { slug: 'x', see_also: 'nope' }]);
+  assert.equal(resolved.size, 0);
+  assert.equal(dangling.length, 0);
+});
+
+test('resolveRedirectTarget: follows chains and rejects dangling or cyclic ones', () => {
+  const slugs = new Set(['final-term']);
+  const redirects = { a: 'b', b: 'final-term', loop: 'again', again: 'loop', lost: 'gone' };
+
+  assert.equal(resolveRedirectTarget('a', redirects, slugs), 'final-term');
+  assert.equal(resolveRedirectTarget('b', redirects, slugs), 'final-term');
+  assert.equal(resolveRedirectTarget('loop', redirects, slugs), null);
+  assert.equal(resolveRedirectTarget('lost', redirects, slugs), null);
+  assert.equal(resolveRedirectTarget('final-term', redirects, slugs), null);
+});
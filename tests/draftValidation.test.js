@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDraftTerm } = require('../utils/draftValidation');
+
+const DEFINITION =
+  'A long enough definition that explains the idea clearly for readers who are new to open source.';
+
+const glossary = {
+  terms: [
+    {
+      slug: 'bus-factor',
+      term: 'Bus Factor',
+      aliases: ['Truck Factor'],
+      definition: DEFINITION,
+    },
+  ],
+  redirects: { 'lottery-factor': 'bus-factor' },
+  tombstones: { 'spam-term': { reason: 'Spam submission', date: '2024-01-01', category: 'spam' } },
+};
+
+function draft(fields) {
+  return { slug: 'fork', term: 'Fork', definition: DEFINITION, ...fields };
+}
+
+function ruleIds(problems) {
+  return problems.map((problem) => problem.ruleId);
+}
+
+test('validateDraftTerm: accepts a new term', () => {
+  assert.deepEqual(validateDraftTerm(draft(), glossary), []);
+  assert.deepEqual(validateDraftTerm(draft()), []);
+});
+
+test('validateDraftTerm: reports schema errors with pointers', () => {
+  const problems = validateDraftTerm({ slug: 'Not A Slug', term: 'Fork' }, glossary);
+
+  assert.ok(problems.length >= 2);
+  assert.ok(problems.every((problem) => problem.level === 'error'));
+  assert.ok(problems.some((problem) => problem.pointer === '/slug'));
+  assert.ok(problems.some((problem) => /definition/.test(problem.message)));
+});
+
+test('validateDraftTerm: rejects slugs used by terms, redirects, and tombstones', () => {
+  assert.deepEqual(ruleIds(validateDraftTerm(draft({ slug: 'bus-factor' }), glossary)), [
+    'duplicate-slug',
+  ]);
+  assert.match(
+    validateDraftTerm(draft({ slug: 'lottery-factor' }), glossary)[0].message,
+    /redirects to 'bus-factor'/
+  );
+  assert.deepEqual(ruleIds(validateDraftTerm(draft({ slug: 'spam-term' }), glossary)), [
+    'tombstoned-slug',
+  ]);
+  assert.deepEqual(
+    ruleIds(
+      validateDraftTerm(draft({ slug: 'spam-term' }), { tombstones: [{ slug: 'spam-term' }] })
+    ),
+    ['tombstoned-slug']
+  );
+});
+
+test('validateDraftTerm: a slug named after an Object.prototype member is not a redirect', () => {
+  assert.deepEqual(validateDraftTerm(draft({ slug: 'constructor' }), glossary), []);
+  assert.deepEqual(validateDraftTerm(draft({ slug: 'constructor' }), {}), []);
+});
+
+test('validateDraftTerm: rejects names and aliases that match existing terms', () => {
+  const problems = validateDraftTerm(
+    draft({ slug: 'truck-factor', term: 'bus  factor', aliases: ['Forking', 'truck factor'] }),
+    glossary
+  );
+
+  assert.deepEqual(
+    problems.map((problem) => [problem.ruleId, problem.pointer]),
+    [
+      ['duplicate-name', '/term'],
+      ['duplicate-name', '/aliases/1'],
+    ]
+  );
+  assert.match(problems[0].message, /conflicts with 'Bus Factor' \(bus-factor\)/);
+});
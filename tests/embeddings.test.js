@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  termEmbeddingText,
+  hashTermContent,
+  cosineSimilarity,
+  hashEmbedding,
+  createEmbedder,
+  buildEmbeddingIndex,
+  rankBySimilarity,
+} = require('../utils/embeddings');
+const { createReplayProvider } = require('../utils/llm');
+const { parseArgs, buildEmbeddingsDocument } = require('../scripts/exportEmbeddings');
+const { retrieveHybridTerms, retrieveTerms } = require('../scripts/askGlossary');
+
+const terms = [
+  {
+    slug: 'bus-factor',
+    term: 'Bus Factor',
+    tags: ['community'],
+    definition: 'How many maintainers can leave before a project stalls.',
+  },
+  {
+    slug: 'yak-shaving',
+    term: 'Yak Shaving',
+    definition: 'Solving a chain of side problems before the real task.',
+  },
+];
+
+// Embedder that records what it was asked to embed
+function countingEmbedder(model = 'test-model') {
+  const calls = [];
+  return {
+    backend: 'llm',
+    model,
+    usage: null,
+    calls,
+    async embed(texts) {
+      calls.push(texts);
+      return texts.map((text) => [text.length, 1]);
+    },
+  };
+}
+
+test('termEmbeddingText and hashTermContent: cover the descriptive fields only', () => {
+  assert.equal(
+    termEmbeddingText(terms[0]),
+    'Bus Factor\nTags: community\nHow many maintainers can leave before a project stalls.'
+  );
+  const hash = hashTermContent(terms[0]);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.equal(hashTermContent({ ...terms[0], humor: 'Beep beep.' }), hash);
+  assert.notEqual(hashTermContent({ ...terms[0], definition: 'Changed.' }), hash);
+});
+
+test('cosineSimilarity: handles parallel, orthogonal, and mismatched vectors', () => {
+  assert.equal(cosineSimilarity([1, 0], [2, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 3]), 0);
+  assert.equal(cosineSimilarity([1, 0], [1, 0, 0]), 0);
+  assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test('hashEmbedding: is deterministic and favours shared words', () => {
+  const vector = hashEmbedding('maintainers leave the project');
+  assert.deepEqual(vector, hashEmbedding('maintainers leave the project'));
+  assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9);
+  assert.ok(
+    cosineSimilarity(vector, hashEmbedding('when maintainers leave')) >
+      cosineSimilarity(vector, hashEmbedding('shaving a yak'))
+  );
+});
+
+test('createEmbedder: selects backends and rejects providers without embeddings', async () => {
+  const hash = createEmbedder({ backend: 'hash' });
+  assert.equal(hash.model, 'hash-256');
+  assert.equal((await hash.embed(['a text']))[0].length, 256);
+
+  assert.throws(() => createEmbedder({ backend: 'magic' }), /Unknown embeddings backend/);
+  assert.throws(
+    () => createEmbedder({ backend: 'llm', provider: createReplayProvider({ fixtures: {} }) }),
+    /cannot create embeddings/
+  );
+});
+
+test('createEmbedder: llm backend embeds through the provider in batches', async () => {
+  const batches = [];
+  const provider = {
+    name: 'openai',
+    embeddingModel: 'embed-small',
+    usage: {},
+    async embed(texts) {
+      batches.push(texts.length);
+      return texts.map(() => [1, 0]);
+    },
+  };
+  const embedder = createEmbedder({ backend: 'llm', provider });
+  const vectors = await embedder.embed(new Array(70).fill('text'));
+
+  assert.equal(embedder.model, 'embed-small');
+  assert.equal(vectors.length, 70);
+  assert.deepEqual(batches, [64, 6]);
+});
+
+test('buildEmbeddingIndex: only embeds terms whose content changed', async () => {
+  const embedder = countingEmbedder();
+  const first = await buildEmbeddingIndex(terms, embedder);
+  assert.deepEqual(first.stats, { embedded: 2, reused: 0 });
+  assert.equal(first.index.dimensions, 2);
+
+  const changed = [terms[0], { ...terms[1], definition: 'Now about something else entirely.' }];
+  const second = await buildEmbeddingIndex(changed, embedder, { cache: first.index });
+  assert.deepEqual(second.stats, { embedded: 1, reused: 1 });
+  assert.equal(embedder.calls[1].length, 1);
+  assert.deepEqual(second.index.terms[0].vector, first.index.terms[0].vector);
+
+  const otherModel = await buildEmbeddingIndex(terms, countingEmbedder('other-model'), {
+    cache: first.index,
+  });
+  assert.deepEqual(otherModel.stats, { embedded: 2, reused: 0 });
+});
+
+test('rankBySimilarity: orders slugs by cosine similarity', () => {
+  const index = {
+    terms: [
+      { slug: 'a', vector: [0, 1] },
+      { slug: 'b', vector: [1, 0] },
+    ],
+  };
+  assert.deepEqual(
+    rankBySimilarity([1, 0.1], index).map((entry) => entry.slug),
+    ['b', 'a']
+  );
+});
+
+test('exportEmbeddings: parses flags and stamps the export version', async () => {
+  assert.deepEqual(parseArgs(['--backend', 'hash', '--out=out.json']), {
+    outPath: 'out.json',
+    cachePath: '.cache/term-embeddings.json',
+    backend: 'hash',
+  });
+  assert.throws(() => parseArgs(['--backend', 'magic']), /--backend must be one of/);
+  assert.throws(() => parseArgs(['--cache']), /Missing value for --cache/);
+
+  const { document } = await buildEmbeddingsDocument(
+    { version: 'abc123', generated_at: '2024-01-01T00:00:00.000Z', terms },
+    createEmbedder({ backend: 'hash' })
+  );
+  assert.equal(document.version, 'abc123');
+  assert.equal(document.backend, 'hash');
+  assert.deepEqual(
+    document.terms.map((entry) => entry.slug),
+    ['bus-factor', 'yak-shaving']
+  );
+});
+
+test('retrieveHybridTerms: finds paraphrased questions through similarity', () => {
+  const index = {
+    backend: 'llm',
+    model: 'test-model',
+    terms: [
+      { slug: 'bus-factor', vector: [1, 0] },
+      { slug: 'yak-shaving', vector: [0, 1] },
+    ],
+  };
+  const question = 'who keeps the project alive if the lead quits?';
+  const results = retrieveHybridTerms(question, terms, index, [0.9, 0.1], 5);
+
+  assert.equal(results[0].term.slug, 'bus-factor');
+  assert.ok(results[0].similarity > 0.9);
+  assert.ok(results.every((result) => result.score > 0));
+});
+
+test('retrieveTerms: falls back to keyword search when the index does not fit', async () => {
+  const question = 'What is a bus factor?';
+  const index = { backend: 'llm', model: 'test-model', terms: [] };
+
+  const noIndex = await retrieveTerms(question, terms, { topK: 5, index: null });
+  assert.equal(noIndex.mode, 'keyword');
+  assert.equal(noIndex.results[0].term.slug, 'bus-factor');
+
+  const mismatch = await retrieveTerms(question, terms, {
+    topK: 5,
+    index,
+    embedder: countingEmbedder('other-model'),
+  });
+  assert.equal(mismatch.mode, 'keyword');
+  assert.match(mismatch.notice, /built with test-model/);
+
+  const failing = await retrieveTerms(question, terms, {
+    topK: 5,
+    index,
+    embedder: {
+      model: 'test-model',
+      embed: async () => {
+        throw new Error('offline');
+      },
+    },
+  });
+  assert.equal(failing.mode, 'keyword');
+  assert.match(failing.notice, /offline/);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  buildTermGraph,
+  analyzeGraph,
+  buildGraphJsonld,
+  serializeGraph,
+  formatGraphSummary,
+} = require('../scripts/exportGraph');
+const { buildDocument, parseArgs, ExporterError } = require('../scripts/exportTerms');
+
+function makeDefinition(id) {
+  return `Definition ${id} `.padEnd(90, 'x');
+}
+
+function makeDocument() {
+  return buildDocument(
+    [
+      {
+        slug: 'fork',
+        term: 'Fork',
+        definition: makeDefinition('fork'),
+        tags: ['git', 'community'],
+        see_also: ['Pull Request'],
+      },
+      {
+        slug: 'pull-request',
+        term: 'Pull Request',
+        definition: makeDefinition('pr'),
+        aliases: ['PR'],
+        tags: ['git'],
+        see_also: ['fork'],
+      },
+      {
+        slug: 'merge',
+        term: 'Merge <& "Squash">',
+        definition: makeDefinition('merge'),
+        see_also: ['PR'],
+      },
+    ],
+    {
+      version: 'abc1234',
+      generatedAt: new Date('2024-01-01T00:00:00.000Z'),
+      redirects: { 'old-fork': 'fork', gone: 'missing' },
+    }
+  );
+}
+
+const redirects = { 'old-fork': 'fork', gone: 'missing' };
+
+test('buildTermGraph: emits term, tag, and redirect nodes with typed edges', () => {
+  const graph = buildTermGraph(makeDocument(), { redirects });
+
+  assert.deepEqual(
+    graph.nodes.map((node) => node.id),
+    [
+      'term:fork',
+      'term:pull-request',
+      'term:merge',
+      'tag:community',
+      'tag:git',
+      'redirect:old-fork',
+    ]
+  );
+  assert.deepEqual(graph.nodes[1].aliases, ['PR']);
+  assert.deepEqual(
+    graph.edges.filter((edge) => edge.relation === 'see_also'),
+    [
+      { source: 'term:fork', target: 'term:pull-request', relation: 'see_also' },
+      { source: 'term:pull-request', target: 'term:fork', relation: 'see_also' },
+      { source: 'term:merge', target: 'term:pull-request', relation: 'see_also' },
+    ]
+  );
+  assert.equal(graph.edges.filter((edge) => edge.relation === 'tagged').length, 3);
+  assert.deepEqual(graph.edges[graph.edges.length - 1], {
+    source: 'redirect:old-fork',
+    target: 'term:fork',
+    relation: 'redirect',
+  });
+});
+
+test('analyzeGraph: reports orphans and hubs by incoming see_also links', () => {
+  const graph = buildTermGraph(makeDocument(), { redirects });
+
+  assert.deepEqual(analyzeGraph(graph), { orphans: ['merge'], hubs: [] });
+  assert.deepEqual(analyzeGraph(graph, { hubMinIncoming: 1 }).hubs, [
+    { slug: 'pull-request', incoming: 2 },
+    { slug: 'fork', incoming: 1 },
+  ]);
+});
+
+test('serializeGraph: graphml escapes labels and flags orphans', () => {
+  const graph = buildTermGraph(makeDocument(), { redirects });
+  const output = serializeGraph(graph, 'graphml');
+
+  assert.ok(output.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<graphml'));
+  assert.ok(output.includes('<data key="label">Merge &lt;&amp; &quot;Squash&quot;&gt;</data>'));
+  assert.ok(
+    output.includes(
+      '<node id="term:merge">\n      <data key="label">Merge &lt;&amp; &quot;Squash&quot;&gt;</data>\n      <data key="kind">term</data>\n      <data key="orphan">true</data>'
+    )
+  );
+  assert.ok(output.includes('<edge id="e0" source="term:fork" target="term:pull-request">'));
+  assert.ok(output.endsWith('</graphml>\n'));
+});
+
+test('serializeGraph: dot quotes identifiers and styles node kinds', () => {
+  const graph = buildTermGraph(makeDocument(), { redirects });
+  const analysis = analyzeGraph(graph, { hubMinIncoming: 2 });
+  const output = serializeGraph(graph, 'dot', { analysis });
+
+  assert.ok(output.startsWith('digraph "foss-glossary" {\n'));
+  assert.ok(
+    output.includes('"term:merge" [label="Merge <& \\"Squash\\">", shape=box, style=dashed];')
+  );
+  assert.ok(output.includes('"term:pull-request" [label="Pull Request", shape=box, penwidth=3];'));
+  assert.ok(output.includes('"tag:git" [label="git", shape=ellipse];'));
+  assert.ok(
+    output.includes('"redirect:old-fork" -> "term:fork" [label="redirect", style=dashed];')
+  );
+  assert.ok(output.endsWith('}\n'));
+});
+
+test('buildGraphJsonld: links terms with seeAlso, keywords, and sameAs', () => {
+  const graph = buildTermGraph(makeDocument(), { redirects });
+  const document = buildGraphJsonld(graph, analyzeGraph(graph));
+  const byId = Object.fromEntries(document['@graph'].map((item) => [item['@id'], item]));
+
+  assert.equal(document['@context'].seeAlso['@id'], 'rdfs:seeAlso');
+  assert.deepEqual(byId['term:fork'], {
+    '@id': 'term:fork',
+    '@type': 'DefinedTerm',
+    name: 'Fork',
+    orphan: false,
+    hub: false,
+    seeAlso: ['term:pull-request'],
+    keywords: ['tag:git', 'tag:community'],
+  });
+  assert.deepEqual(byId['term:pull-request'].alternateName, ['PR']);
+  assert.equal(byId['tag:git']['@type'], 'CategoryCode');
+  assert.deepEqual(byId['redirect:old-fork'].sameAs, ['term:fork']);
+
+  const serialized = serializeGraph(graph, 'jsonld', { pretty: true });
+  assert.deepEqual(JSON.parse(serialized), document);
+});
+
+test('serializeGraph: rejects unknown formats', () => {
+  const graph = buildTermGraph(makeDocument());
+  assert.throws(() => serializeGraph(graph, 'yaml'), /Unsupported graph format 'yaml'/);
+});
+
+test('formatGraphSummary: lists hubs and orphans', () => {
+  assert.deepEqual(
+    formatGraphSummary({ orphans: ['a', 'b'], hubs: [{ slug: 'c', incoming: 4 }] }),
+    ['🔗 Hubs (1): c (4)', '🏝️ Orphans (2): a, b']
+  );
+  assert.deepEqual(formatGraphSummary({ orphans: [], hubs: [] }), [
+    '🔗 Hubs (0): none',
+    '🏝️ Orphans (0): none',
+  ]);
+});
+
+test('parseArgs: supports --format with per-format default output paths', () => {
+  assert.equal(parseArgs([]).format, 'json');
+  assert.equal(parseArgs([]).outPath, 'docs/terms.json');
+  assert.equal(parseArgs(['--format', 'graphml']).outPath, 'docs/terms.graphml');
+  assert.equal(parseArgs(['--format=dot']).outPath, 'docs/terms.dot');
+  assert.equal(parseArgs(['--format', 'jsonld']).outPath, 'docs/terms.graph.jsonld');
+  assert.equal(parseArgs(['--format', 'dot', '--out', 'graph.gv']).outPath, 'graph.gv');
+
+  assert.throws(() => parseArgs(['--format', 'yaml']), {
+    name: 'Error',
+    message: /Unsupported --format 'yaml'. Use one of: json, graphml, dot, jsonld/,
+  });
+  assert.throws(() => parseArgs(['--format']), ExporterError);
+  assert.throws(() => parseArgs(['--format', 'dot', '--sharded']), /--sharded only supports/);
+});
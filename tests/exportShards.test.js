@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getShardKey, buildShardedExport, listShardedFiles } = require('../scripts/exportShards');
+const {
+  buildDocument,
+  buildShardedFiles,
+  writeShardedFiles,
+  parseArgs,
+  ExporterError,
+} = require('../scripts/exportTerms');
+const { scoreTerm } = require('../scripts/scoring');
+
+function makeDefinition(id) {
+  return `Definition ${id} `.padEnd(90, 'x');
+}
+
+function makeDocument() {
+  return buildDocument(
+    [
+      {
+        slug: 'bus-factor',
+        term: 'Bus Factor',
+        definition: makeDefinition('bus'),
+        humor: 'Lottery factor for optimists',
+        tags: ['risk'],
+        aliases: ['Truck Factor'],
+      },
+      { slug: 'branch', term: 'Branch', definition: makeDefinition('branch') },
+      { slug: '10x-engineer', term: '10x Engineer', definition: makeDefinition('ten') },
+    ],
+    { version: 'abc1234', generatedAt: new Date('2024-01-01T00:00:00.000Z') }
+  );
+}
+
+test('getShardKey: uses the first letter and groups digits', () => {
+  assert.equal(getShardKey('bus-factor'), 'b');
+  assert.equal(getShardKey('zombie-dependencies'), 'z');
+  assert.equal(getShardKey('10x-engineer'), '0-9');
+});
+
+test('buildShardedExport: manifest carries lightweight entries and shard references', () => {
+  const { manifest, shards, searchIndex } = buildShardedExport(makeDocument());
+
+  assert.equal(manifest.terms_count, 3);
+  assert.equal(manifest.shard_strategy, 'first-letter');
+  assert.deepEqual(Object.keys(manifest.shards), ['0-9', 'b']);
+  assert.deepEqual(manifest.shards.b, { path: 'shards/b.json', terms_count: 2 });
+
+  const bus = manifest.terms.find((t) => t.slug === 'bus-factor');
+  assert.deepEqual(Object.keys(bus), [
+    'slug',
+    'term',
+    'aliases',
+    'tags',
+    'score',
+    'status',
+    'shard',
+  ]);
+  assert.equal(bus.definition, undefined);
+  assert.equal(typeof bus.score, 'number');
+
+  assert.equal(shards.b.terms.length, 2);
+  assert.equal(
+    shards.b.terms.find((t) => t.slug === 'branch').definition,
+    makeDefinition('branch')
+  );
+  assert.equal(searchIndex.version, 'abc1234');
+  assert.equal(searchIndex.format, 'bm25f-1');
+  assert.deepEqual([...searchIndex.slugs].sort(), ['10x-engineer', 'branch', 'bus-factor']);
+  assert.ok(searchIndex.postings.lottery, 'humor is indexed even though the manifest omits it');
+  assert.equal(manifest.tombstones, undefined);
+});
+
+test('buildShardedExport: manifest carries the export tombstones', () => {
+  const document = {
+    ...makeDocument(),
+    tombstones: [{ slug: 'spam-term', reason: 'Test entry', date: '2025-01-15', category: 'spam' }],
+  };
+  const { manifest } = buildShardedExport(document);
+
+  assert.deepEqual(manifest.tombstones, document.tombstones);
+});
+
+test('buildShardedExport: scores manifest entries with the same quality rules as quickScore', () => {
+  const terms = [
+    {
+      slug: 'fork',
+      term: 'Fork',
+      definition: makeDefinition('fork'),
+      see_also: ['Old Fork', 'Nope'],
+    },
+    { slug: 'branch', term: 'Branch', definition: makeDefinition('branch') },
+  ];
+  const redirects = { 'old-fork': 'branch' };
+  const document = buildDocument(terms, { version: 'abc1234', redirects });
+  const { manifest } = buildShardedExport(document, { redirects });
+
+  const fork = manifest.terms.find((t) => t.slug === 'fork');
+  assert.equal(fork.score, scoreTerm(terms[0], { quality: { terms, redirects } }).score);
+  assert.ok(fork.score < scoreTerm(terms[0]).score, 'the dangling see_also earns nothing');
+});
+
+test('listShardedFiles: lists manifest, search index, then shards', () => {
+  const files = listShardedFiles(buildShardedExport(makeDocument()));
+  assert.deepEqual(
+    files.map((f) => f.path),
+    ['manifest.json', 'search-index.json', 'shards/0-9.json', 'shards/b.json']
+  );
+});
+
+test('writeShardedFiles: writes files and clears stale shards', () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sharded-export-'));
+  try {
+    fs.mkdirSync(path.join(outDir, 'shards'), { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'shards', 'q.json'), '{}');
+
+    writeShardedFiles(outDir, buildShardedFiles(makeDocument(), { pretty: true }));
+
+    assert.ok(fs.existsSync(path.join(outDir, 'manifest.json')));
+    assert.ok(fs.existsSync(path.join(outDir, 'shards', 'b.json')));
+    assert.ok(!fs.existsSync(path.join(outDir, 'shards', 'q.json')));
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
+
+test('parseArgs: supports --sharded and --out-dir', () => {
+  const options = parseArgs(['--sharded', '--out-dir', 'public/index']);
+  assert.equal(options.sharded, true);
+  assert.equal(options.outDir, 'public/index');
+  assert.equal(parseArgs(['--out-dir=x']).outDir, 'x');
+  assert.throws(() => parseArgs(['--out-dir']), ExporterError);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  SCHEME_ID,
+  bundledContext,
+  buildSkosDocument,
+  validateSkosDocument,
+} = require('../scripts/exportSkos');
+const { buildDocument, parseArgs } = require('../scripts/exportTerms');
+
+function makeDefinition(id) {
+  return `Definition ${id} `.padEnd(90, 'x');
+}
+
+const redirects = { 'old-fork': 'fork', 'older-fork': 'old-fork', gone: 'missing' };
+
+function makeSkos() {
+  const document = buildDocument(
+    [
+      {
+        slug: 'fork',
+        term: 'Fork',
+        definition: makeDefinition('fork'),
+        explanation: 'Copying a project to take it in a new direction.',
+        aliases: ['Hard Fork'],
+        tags: ['git', 'community'],
+        see_also: ['Pull Request'],
+      },
+      {
+        slug: 'pull-request',
+        term: 'Pull Request',
+        definition: makeDefinition('pr'),
+        tags: ['git'],
+      },
+    ],
+    { version: 'abc1234', generatedAt: new Date('2024-01-01T00:00:00.000Z'), redirects }
+  );
+  return buildSkosDocument(document, { redirects });
+}
+
+function findNode(skos, id) {
+  return skos['@graph'].find((node) => node['@id'] === id);
+}
+
+test('buildSkosDocument: describes the glossary as a ConceptScheme and DefinedTermSet', () => {
+  const skos = makeSkos();
+
+  assert.deepEqual(skos['@context'], bundledContext['@context']);
+  assert.deepEqual(skos['@graph'][0], {
+    '@id': SCHEME_ID,
+    '@type': ['ConceptScheme', 'DefinedTermSet'],
+    prefLabel: 'FOSS Glossary',
+    name: 'FOSS Glossary',
+    version: 'abc1234',
+    dateModified: '2024-01-01T00:00:00.000Z',
+    hasTopConcept: ['term:fork', 'term:pull-request'],
+    hasDefinedTerm: ['term:fork', 'term:pull-request'],
+  });
+});
+
+test('buildSkosDocument: maps term fields onto SKOS and schema.org properties', () => {
+  assert.deepEqual(findNode(makeSkos(), 'term:fork'), {
+    '@id': 'term:fork',
+    '@type': ['Concept', 'DefinedTerm'],
+    termCode: 'fork',
+    prefLabel: 'Fork',
+    name: 'Fork',
+    altLabel: ['Hard Fork'],
+    definition: makeDefinition('fork'),
+    description: makeDefinition('fork'),
+    scopeNote: 'Copying a project to take it in a new direction.',
+    inScheme: [SCHEME_ID, 'tag:git', 'tag:community'],
+    inDefinedTermSet: SCHEME_ID,
+    related: ['term:pull-request'],
+  });
+  assert.equal(findNode(makeSkos(), 'term:pull-request').related, undefined);
+});
+
+test('buildSkosDocument: turns tags into concept schemes', () => {
+  const skos = makeSkos();
+  assert.deepEqual(findNode(skos, 'tag:git'), {
+    '@id': 'tag:git',
+    '@type': 'ConceptScheme',
+    prefLabel: 'git',
+    hasTopConcept: ['term:fork', 'term:pull-request'],
+  });
+  assert.deepEqual(findNode(skos, 'tag:community').hasTopConcept, ['term:fork']);
+});
+
+test('buildSkosDocument: emits redirects as deprecated exactMatch concepts', () => {
+  const skos = makeSkos();
+  assert.deepEqual(findNode(skos, 'term:old-fork'), {
+    '@id': 'term:old-fork',
+    '@type': 'Concept',
+    termCode: 'old-fork',
+    deprecated: true,
+    exactMatch: 'term:fork',
+    inScheme: SCHEME_ID,
+  });
+  assert.equal(findNode(skos, 'term:older-fork').exactMatch, 'term:fork');
+  assert.equal(findNode(skos, 'term:gone'), undefined);
+});
+
+test('validateSkosDocument: accepts generated documents', () => {
+  assert.deepEqual(validateSkosDocument(makeSkos()), []);
+});
+
+test('validateSkosDocument: reports undefined properties, types, and dangling references', () => {
+  const skos = makeSkos();
+  const fork = findNode(skos, 'term:fork');
+  fork.broader = ['term:pull-request'];
+  fork['@type'] = ['Concept', 'Thing'];
+  fork.related = ['term:missing'];
+  skos['@graph'].push({ '@id': 'unknown:thing' });
+
+  const errors = validateSkosDocument(skos);
+  assert.ok(errors.some((error) => error.includes("property 'broader' not defined")));
+  assert.ok(errors.some((error) => error.includes("@type 'Thing' not defined")));
+  assert.ok(errors.some((error) => error.includes("related 'term:missing' does not resolve")));
+  assert.ok(errors.some((error) => error.includes("@id 'unknown:thing' does not expand")));
+});
+
+test('validateSkosDocument: rejects a document without the bundled context', () => {
+  const skos = { ...makeSkos(), '@context': { '@vocab': 'https://schema.org/' } };
+  assert.ok(validateSkosDocument(skos).includes('@context does not match the bundled context'));
+  assert.deepEqual(validateSkosDocument({}), ['document must contain an @graph array']);
+});
+
+test('parseArgs: --format skos writes docs/terms.skos.jsonld by default', () => {
+  assert.equal(parseArgs(['--format', 'skos']).outPath, 'docs/terms.skos.jsonld');
+  assert.equal(parseArgs(['--format=skos', '--out', 'out.jsonld']).outPath, 'out.jsonld');
+});
@@ -12,10 +12,15 @@ const {
   serializeDocument,
   checkSizeLimit,
   sortTerms,
+  applyTermHistory,
+  applySeeAlsoSlugs,
   hasNewTerms,
+  hasContentChanges,
   extractSlugsFromYaml,
   normalizeArray,
   normalizeString,
+  getSearchIndexPath,
+  serializeSearchIndex,
   SIZE_WARN_THRESHOLD_BYTES,
 } = require('../scripts/exportTerms');
 
@@ -288,7 +293,7 @@ test('serializeDocument with pretty flag produces deterministic order', () => {
 
   assert.deepEqual(
     document.terms.map((term) => Object.keys(term)),
-    [['slug', 'term', 'definition', 'tags']]
+    [['slug', 'term', 'definition', 'tags', 'status']]
   );
 });
 
@@ -301,3 +306,152 @@ test('check mode validation passes without writing file', () => {
   const serialized = serializeDocument(document, { pretty: false });
   assert.ok(serialized.includes('"terms"'));
 });
+
+test('buildDocument emits revision history fields when history is provided', () => {
+  const history = new Map([
+    [
+      'alpha',
+      {
+        created_at: '2024-01-01T00:00:00.000Z',
+        created_commit: 'a'.repeat(40),
+        created_by: 'Ada',
+        updated_at: '2024-02-01T00:00:00.000Z',
+        updated_commit: 'b'.repeat(40),
+        updated_by: 'Grace',
+      },
+    ],
+  ]);
+  const document = buildDocument(
+    [
+      { slug: 'alpha', term: 'Alpha', definition: makeDefinition('alpha') },
+      { slug: 'beta', term: 'Beta', definition: makeDefinition('beta') },
+    ],
+    { version: 'v', generatedAt: new Date('2024-03-01T00:00:00.000Z'), history }
+  );
+
+  assert.equal(document.terms[0].created_at, '2024-01-01T00:00:00.000Z');
+  assert.equal(document.terms[0].updated_commit, 'b'.repeat(40));
+  assert.equal(document.terms[0].created_by, undefined, 'authors are not exported');
+  assert.equal(document.terms[1].created_at, undefined, 'uncommitted terms have no history');
+});
+
+test('applyTermHistory returns input unchanged without history', () => {
+  const terms = [{ slug: 'alpha', term: 'Alpha', definition: makeDefinition('alpha') }];
+  assert.equal(applyTermHistory(terms, new Map()), terms);
+  assert.equal(applyTermHistory(terms, undefined), terms);
+});
+
+test('buildDocument rejects malformed revision commits', () => {
+  const history = new Map([['alpha', { created_commit: 'not-a-sha' }]]);
+  assert.throws(
+    () =>
+      buildDocument([{ slug: 'alpha', term: 'Alpha', definition: makeDefinition('alpha') }], {
+        version: 'v',
+        history,
+      }),
+    ExporterError
+  );
+});
+
+test('buildExportDocumentFromYaml emits resolved see_also_slugs', () => {
+  const yamlText = [
+    'redirects:',
+    '  old-alpha: alpha',
+    'terms:',
+    '  - slug: alpha',
+    '    term: Alpha',
+    `    definition: ${makeDefinition('alpha')}`,
+    '    see_also: [Beta, Nowhere]',
+    '  - slug: beta',
+    '    term: Beta',
+    `    definition: ${makeDefinition('beta')}`,
+    '    see_also: [Old Alpha]',
+  ].join('\n');
+  const document = buildExportDocumentFromYaml(yamlText, { version: 'v' });
+
+  assert.deepEqual(document.terms[0].see_also_slugs, ['beta']);
+  assert.deepEqual(document.terms[1].see_also_slugs, ['alpha']);
+});
+
+test('applySeeAlsoSlugs omits the field when nothing resolves', () => {
+  const [term] = applySeeAlsoSlugs([
+    { slug: 'alpha', term: 'Alpha', definition: makeDefinition('alpha'), see_also: ['Nowhere'] },
+  ]);
+  assert.equal(term.see_also_slugs, undefined);
+});
+
+test('buildExportDocumentFromYaml emits tombstones sorted by slug', () => {
+  const yamlText = [
+    'terms:',
+    '  - slug: alpha',
+    '    term: Alpha',
+    `    definition: ${makeDefinition('alpha')}`,
+    'tombstones:',
+    '  zeta:',
+    '    reason: Accidentally merged test entry',
+    "    date: '2025-02-01'",
+    '    category: spam',
+    '  beta:',
+    '    reason: Removed after a DMCA takedown notice',
+    "    date: '2025-01-15'",
+    '    category: legal',
+  ].join('\n');
+  const document = buildExportDocumentFromYaml(yamlText, { version: 'v' });
+
+  assert.deepEqual(document.tombstones, [
+    {
+      slug: 'beta',
+      reason: 'Removed after a DMCA takedown notice',
+      date: '2025-01-15',
+      category: 'legal',
+    },
+    {
+      slug: 'zeta',
+      reason: 'Accidentally merged test entry',
+      date: '2025-02-01',
+      category: 'spam',
+    },
+  ]);
+  assert.equal(buildDocument([], { version: 'v' }).tombstones, undefined);
+  assert.throws(
+    () =>
+      buildDocument([], {
+        version: 'v',
+        tombstones: { gamma: { reason: 'Too vague?', date: 'yesterday', category: 'spam' } },
+      }),
+    ExporterError
+  );
+});
+
+test('hasContentChanges detects edits and deletions that add no slugs', () => {
+  const prevYaml = `terms:\n  - slug: alpha\n    term: Alpha\n    definition: ${makeDefinition('alpha')}\n`;
+  const editedYaml = prevYaml.replace('term: Alpha', 'term: Alpha Term');
+  const tombstonedYaml = `${prevYaml}tombstones:\n  beta:\n    reason: Accidental test entry\n    date: '2025-01-15'\n    category: spam\n`;
+  const reformattedYaml = `# Glossary\nterms:\n  - term: Alpha\n    definition: ${makeDefinition('alpha')}\n    slug: alpha\n`;
+
+  assert.equal(hasContentChanges(editedYaml, prevYaml), true);
+  assert.equal(hasContentChanges(tombstonedYaml, prevYaml), true);
+  assert.equal(hasContentChanges(prevYaml, tombstonedYaml), true);
+  assert.equal(hasContentChanges(prevYaml, prevYaml), false);
+  assert.equal(hasContentChanges(reformattedYaml, prevYaml), false, 'key order and comments');
+  assert.equal(hasContentChanges(prevYaml, null), true);
+});
+
+test('serializeSearchIndex writes a versioned index next to terms.json', () => {
+  const document = buildDocument(
+    [
+      { slug: 'fork', term: 'Fork', definition: makeDefinition('fork') },
+      { slug: 'bus-factor', term: 'Bus Factor', definition: makeDefinition('bus') },
+    ],
+    { version: 'abc1234', generatedAt: new Date('2024-01-01T00:00:00.000Z') }
+  );
+  const index = JSON.parse(serializeSearchIndex(document));
+
+  assert.equal(index.version, 'abc1234');
+  assert.deepEqual(
+    index.slugs,
+    document.terms.map((term) => term.slug)
+  );
+  assert.ok(index.postings.fork);
+  assert.equal(getSearchIndexPath('docs/terms.json'), path.join('docs', 'search-index.json'));
+});
@@ -58,6 +58,16 @@ test('loadYaml: loads valid YAML file', () => {
   assert.ok(Array.isArray(result.terms));
 });
 
+test('loadYaml: returns positions and source when requested', () => {
+  const result = loadYaml('terms.yaml', { positions: true });
+  assert.ok(Array.isArray(result.data.terms));
+  assert.equal(typeof result.source, 'string');
+
+  const position = result.positions.get('/terms/0/slug');
+  assert.ok(position.line > 1);
+  assert.match(result.source.split('\n')[position.line - 1], /slug:/);
+});
+
 test('loadYaml: loads schema.json as YAML', () => {
   const result = loadYaml('config/schema.json');
   assert.ok(result);
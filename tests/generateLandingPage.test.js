@@ -229,6 +229,22 @@ test('generateLandingPage: contains all expected HTML sections', () => {
   );
 });
 
+test('generateLandingPage: renders contributor achievements and writes docs/badges.json', () => {
+  const result = runScript();
+
+  assert.equal(result.exitCode, 0, 'Script should exit with code 0');
+
+  const html = fs.readFileSync(indexPath, 'utf8');
+  assert.ok(html.includes('Contributor Achievements'), 'Should have achievements section');
+  assert.ok(html.includes('First Term'), 'Should list catalogue badges');
+
+  const badgesPath = path.join(docsPath, 'badges.json');
+  assert.ok(fs.existsSync(badgesPath), 'Should create docs/badges.json');
+  const badges = JSON.parse(fs.readFileSync(badgesPath, 'utf8'));
+  assert.equal(badges.version, 1);
+  assert.ok(badges.catalogue.every((badge) => badge.icon && badge.description));
+});
+
 test('generateLandingPage: XSS protection - escapes malicious term names', () => {
   const backupPath = `${termsPath}.backup-test`;
 
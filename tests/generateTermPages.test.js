@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseArgs,
+  serializeJsonLd,
+  buildTermPages,
+  writeTermPages,
+} = require('../scripts/generateTermPages');
+
+const definition =
+  'A definition that is comfortably longer than the eighty character schema minimum.';
+
+const terms = [
+  {
+    slug: 'bus-factor',
+    term: 'Bus Factor',
+    definition,
+    aliases: ['Truck Factor'],
+    tags: ['community'],
+    see_also: ['Maintainer Burnout', 'Old Burnout', 'Nothing Here'],
+  },
+  { slug: 'maintainer-burnout', term: 'Maintainer </script> Burnout', definition },
+];
+const redirects = {
+  'old-burnout': 'maintainer-burnout',
+  'older-burnout': 'old-burnout',
+  'bus-factor': 'maintainer-burnout',
+  dangling: 'missing-term',
+  'Bad Slug': 'bus-factor',
+};
+const tombstones = {
+  'spam-term': {
+    reason: 'Added as a test entry by mistake.',
+    date: '2025-03-01',
+    category: 'spam',
+  },
+  'old-burnout': { reason: 'Shadowed by the redirect.', date: '2025-03-01', category: 'duplicate' },
+};
+
+test('parseArgs: accepts --out-dir and rejects unknown flags', () => {
+  assert.deepEqual(parseArgs([]), { outDir: 'docs/terms' });
+  assert.deepEqual(parseArgs(['--out-dir', 'out']), { outDir: 'out' });
+  assert.deepEqual(parseArgs(['--out-dir=out']), { outDir: 'out' });
+  assert.throws(() => parseArgs(['--out-dir']), /Missing value for --out-dir/);
+  assert.throws(() => parseArgs(['--pretty']), /Unknown argument: --pretty/);
+});
+
+test('buildTermPages: builds canonical meta tags and cross-reference links', () => {
+  const { pages } = buildTermPages(terms, redirects);
+  const busFactor = pages.find((page) => page.slug === 'bus-factor').data;
+  const burnout = pages.find((page) => page.slug === 'maintainer-burnout').data;
+
+  assert.equal(
+    busFactor.canonicalUrl,
+    'https://luminlynx.github.io/FOSS-Glossary/terms/bus-factor/'
+  );
+  assert.equal(busFactor.title, 'Bus Factor | FOSS Glossary');
+  assert.deepEqual(busFactor.metaTags.og.slice(0, 3), [
+    { property: 'og:type', content: 'article' },
+    { property: 'og:url', content: busFactor.canonicalUrl },
+    { property: 'og:title', content: 'Bus Factor | FOSS Glossary' },
+  ]);
+  assert.deepEqual(busFactor.seeAlso, [
+    { label: 'Maintainer </script> Burnout', href: '../maintainer-burnout/' },
+    { label: 'Maintainer </script> Burnout', href: '../maintainer-burnout/' },
+    { label: 'Nothing Here', href: null },
+  ]);
+  assert.deepEqual(burnout.referencedBy, [{ label: 'Bus Factor', href: '../bus-factor/' }]);
+  assert.equal(burnout.appUrl, '../../pwa/#maintainer-burnout');
+});
+
+test('buildTermPages: stubs every resolvable redirect that is not a live slug', () => {
+  const { stubs } = buildTermPages(terms, redirects);
+
+  assert.deepEqual(
+    stubs.map((stub) => [stub.slug, stub.data.targetHref]),
+    [
+      ['old-burnout', '../maintainer-burnout/'],
+      ['older-burnout', '../maintainer-burnout/'],
+    ]
+  );
+});
+
+test('buildTermPages: builds tombstone pages for deleted slugs that are not redirected', () => {
+  const { tombstones: removed } = buildTermPages(terms, redirects, tombstones);
+
+  assert.deepEqual(removed, [
+    {
+      slug: 'spam-term',
+      data: {
+        slug: 'spam-term',
+        reason: 'Added as a test entry by mistake.',
+        date: '2025-03-01',
+        categoryLabel: 'spam or test data',
+        policyUrl: 'https://github.com/LuminLynx/FOSS-Glossary/blob/main/docs/deletion-policy.md',
+        homeUrl: '../../',
+      },
+    },
+  ]);
+});
+
+test('serializeJsonLd: escapes < so term text cannot close the script element', () => {
+  const json = serializeJsonLd({ name: 'a </script> b' });
+  assert.ok(!json.includes('</script>'));
+  assert.deepEqual(JSON.parse(json), { name: 'a </script> b' });
+});
+
+test('writeTermPages: renders pages and meta-refresh stubs into the output directory', () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'term-pages-'));
+  try {
+    fs.mkdirSync(path.join(outDir, 'removed-term'));
+    const counts = writeTermPages({ terms, redirects, tombstones }, outDir);
+    assert.deepEqual(counts, { pages: 2, stubs: 2, tombstones: 1 });
+    assert.ok(!fs.existsSync(path.join(outDir, 'removed-term')));
+
+    const page = fs.readFileSync(path.join(outDir, 'bus-factor', 'index.html'), 'utf8');
+    assert.ok(
+      page.includes(
+        '<link rel="canonical" href="https://luminlynx.github.io/FOSS-Glossary/terms/bus-factor/" />'
+      )
+    );
+    assert.ok(
+      page.includes('<a href="../maintainer-burnout/">Maintainer &lt;/script&gt; Burnout</a>')
+    );
+    assert.ok(page.includes('"@type": "DefinedTerm"'));
+
+    const stub = fs.readFileSync(path.join(outDir, 'old-burnout', 'index.html'), 'utf8');
+    assert.ok(
+      stub.includes('<meta http-equiv="refresh" content="0; url=../maintainer-burnout/" />')
+    );
+    assert.ok(stub.includes('<meta name="robots" content="noindex" />'));
+
+    const tombstone = fs.readFileSync(path.join(outDir, 'spam-term', 'index.html'), 'utf8');
+    assert.ok(tombstone.includes('Removed on 2025-03-01 (spam or test data)'));
+  } finally {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+});
@@ -1,6 +1,11 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { getGitSha } = require('../utils/git');
+const {
+  getGitSha,
+  getFileRevisions,
+  readFileAtRevision,
+  getBlameAuthors,
+} = require('../utils/git');
 
 test('getGitSha: returns a string', () => {
   const sha = getGitSha();
@@ -28,3 +33,33 @@ test('getGitSha: default parameter is "unknown"', () => {
   const sha = getGitSha();
   assert.equal(typeof sha, 'string');
 });
+
+test('getFileRevisions: returns commits oldest first with ISO dates', () => {
+  const revisions = getFileRevisions('terms.yaml');
+  assert.ok(Array.isArray(revisions));
+  for (const revision of revisions) {
+    assert.match(revision.sha, /^[0-9a-f]{40}$/);
+    assert.equal(revision.date, new Date(revision.date).toISOString());
+  }
+  const dates = revisions.map((r) => Date.parse(r.date));
+  assert.deepEqual(
+    dates,
+    [...dates].sort((a, b) => a - b)
+  );
+});
+
+test('readFileAtRevision: returns null for unknown revisions', () => {
+  assert.equal(readFileAtRevision('0000000000000000000000000000000000000000', 'terms.yaml'), null);
+});
+
+test('getBlameAuthors: maps every line of a tracked file to an author', () => {
+  const authors = getBlameAuthors('terms.yaml');
+  assert.ok(authors instanceof Map);
+  if (authors.size > 0) {
+    assert.equal(typeof authors.get(1), 'string');
+  }
+});
+
+test('getBlameAuthors: returns an empty map for untracked files', () => {
+  assert.equal(getBlameAuthors('does-not-exist.yaml').size, 0);
+});
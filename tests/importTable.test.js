@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, importTable } = require('../scripts/importTable');
+const { parseArgs: parseExportArgs } = require('../scripts/exportTable');
+const { diffTerms, hasChanges, formatDiffReport } = require('../utils/termDiff');
+const { serializeTable } = require('../utils/termTable');
+
+const definition =
+  'A definition that is comfortably longer than the eighty character schema minimum.';
+
+const currentData = {
+  terms: [
+    { slug: 'alpha', term: 'Alpha', definition, tags: ['one'] },
+    { slug: 'beta', term: 'Beta', definition },
+  ],
+  redirects: { 'old-alpha': 'alpha' },
+};
+
+test('diffTerms: reports added, removed, and changed fields', () => {
+  const diff = diffTerms(currentData.terms, [
+    { slug: 'alpha', term: 'Alpha', definition, tags: ['one', 'two'] },
+    { slug: 'gamma', term: 'Gamma', definition },
+  ]);
+
+  assert.deepEqual(diff, {
+    added: ['gamma'],
+    removed: ['beta'],
+    changed: [{ slug: 'alpha', fields: ['tags'] }],
+    unchanged: 0,
+  });
+  assert.equal(hasChanges(diff), true);
+  assert.deepEqual(formatDiffReport(diff), [
+    '📋 1 added, 1 changed, 1 removed, 0 unchanged',
+    '  + gamma',
+    '  ~ alpha (tags)',
+    '  - beta',
+  ]);
+  assert.equal(hasChanges(diffTerms(currentData.terms, currentData.terms)), false);
+});
+
+test('importTable: an exported table round-trips without changes', () => {
+  for (const format of ['csv', 'tsv', 'md']) {
+    const text = serializeTable(currentData.terms, format);
+    const { data, diff, errors } = importTable(text, format, currentData);
+
+    assert.deepEqual(errors, []);
+    assert.equal(hasChanges(diff), false);
+    assert.deepEqual(data.redirects, currentData.redirects);
+    assert.deepEqual(data.terms, currentData.terms);
+  }
+});
+
+test('importTable: normalizes edited rows and keeps table order', () => {
+  const text = [
+    'slug,term,definition,tags',
+    `beta,Beta,${definition},`,
+    `alpha,  Alpha  ,${definition},one; two`,
+  ].join('\n');
+  const { data, diff, errors } = importTable(text, 'csv', currentData);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    data.terms.map((term) => term.slug),
+    ['beta', 'alpha']
+  );
+  assert.deepEqual(data.terms[1].tags, ['one', 'two']);
+  assert.deepEqual(diff.changed, [{ slug: 'alpha', fields: ['term', 'tags'] }]);
+});
+
+test('importTable: keeps provenance blocks that the table has no column for', () => {
+  const provenance = {
+    generator: 'scripts/draftTerm.js',
+    model: 'gpt-4o',
+    prompt_hash: 'a'.repeat(64),
+    generated_at: '2025-01-15T12:00:00.000Z',
+  };
+  const withProvenance = {
+    ...currentData,
+    terms: [{ ...currentData.terms[0], provenance }, currentData.terms[1]],
+  };
+  const text = serializeTable(withProvenance.terms, 'csv');
+  const { data, diff, errors } = importTable(text, 'csv', withProvenance);
+
+  assert.deepEqual(errors, []);
+  assert.equal(hasChanges(diff), false);
+  assert.deepEqual(data.terms[0].provenance, provenance);
+  assert.equal(data.terms[1].provenance, undefined);
+});
+
+test('importTable: reports normalization, duplicate, and schema errors by row', () => {
+  const text = [
+    'slug,term,definition,tags,controversy_level',
+    `alpha,Alpha,${definition},,`,
+    'beta,Beta,Too short,,',
+    `alpha,Alpha again,${definition},,`,
+    `gamma,Gamma,${definition},Not Kebab,`,
+    `delta,Delta,${definition},,extreme`,
+  ].join('\n');
+  const { errors } = importTable(text, 'csv', currentData);
+
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /^Row 3 \(beta\): Definition for 'beta' must be at least 80 characters/);
+  assert.equal(errors[1], 'Row 4 (alpha): duplicate slug, already used in row 2');
+  assert.match(errors[2], /^Row 6 \(delta\): Controversy level 'extreme'/);
+  assert.match(errors[3], /^Row 5 \(gamma\): .*tags\/0/);
+});
+
+test('importTable: refuses to delete terms unless removals are allowed', () => {
+  const text = serializeTable([currentData.terms[0]], 'csv');
+
+  const refused = importTable(text, 'csv', currentData);
+  assert.equal(refused.errors.length, 1);
+  assert.match(refused.errors[0], /^1 term\(s\) are missing from the table \(beta\)/);
+  assert.match(refused.errors[0], /--allow-removals/);
+
+  const allowed = importTable(text, 'csv', currentData, { allowRemovals: true });
+  assert.deepEqual(allowed.errors, []);
+  assert.deepEqual(allowed.diff.removed, ['beta']);
+  assert.deepEqual(
+    allowed.data.terms.map((term) => term.slug),
+    ['alpha']
+  );
+});
+
+test('parseArgs: infers table formats from file extensions', () => {
+  assert.deepEqual(parseArgs(['review.tsv', '--write']), {
+    inputPath: 'review.tsv',
+    format: 'tsv',
+    write: true,
+    allowRemovals: false,
+  });
+  assert.equal(parseArgs(['a.csv', '--allow-removals']).allowRemovals, true);
+  assert.equal(parseArgs(['review.txt', '--format', 'md']).format, 'md');
+  assert.throws(() => parseArgs([]), /Missing table file/);
+  assert.throws(() => parseArgs(['review.txt']), /Cannot infer the table format/);
+  assert.throws(() => parseArgs(['a.csv', '--format=xlsx']), /Unsupported --format 'xlsx'/);
+
+  assert.deepEqual(parseExportArgs([]), { format: 'csv', outPath: null });
+  assert.equal(parseExportArgs(['--out', 'review.md']).format, 'md');
+  assert.throws(() => parseExportArgs(['--format', 'xlsx']), /Unsupported --format/);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeStreaks,
+  attributeTerms,
+  buildLeaderboard,
+  serializeLeaderboard,
+  renderLeaderboardMarkdown,
+} = require('../scripts/leaderboard');
+
+const definition = 'A definition that is long enough to be taken seriously by the scorer.';
+
+const terms = [
+  { slug: 'alpha', term: 'Alpha', definition, tags: ['one', 'two'] },
+  {
+    slug: 'beta',
+    term: 'Beta',
+    definition,
+    explanation: 'Beta shows up in tests that need a second, better-scoring term.',
+    controversy_level: 'high',
+  },
+  { slug: 'gamma', term: 'Gamma', definition },
+  { slug: 'delta', term: 'Delta', definition },
+];
+
+const attribution = new Map([
+  ['alpha', { author: 'Ada', created_at: '2024-01-10T00:00:00.000Z' }],
+  ['beta', { author: 'Grace', created_at: '2024-02-01T00:00:00.000Z' }],
+  ['gamma', { author: 'Ada', created_at: '2024-02-20T00:00:00.000Z' }],
+  ['delta', { author: 'github-actions[bot]', created_at: '2024-03-01T00:00:00.000Z' }],
+]);
+
+test('computeStreaks: counts consecutive months with contributions', () => {
+  const dates = [
+    '2024-01-05T00:00:00Z',
+    '2024-02-10T00:00:00Z',
+    '2024-02-11T00:00:00Z',
+    '2024-03-01T00:00:00Z',
+    '2024-06-01T00:00:00Z',
+    '2024-07-01T00:00:00Z',
+  ];
+  assert.deepEqual(computeStreaks(dates, '2024-08-15T00:00:00Z'), { current: 2, longest: 3 });
+  assert.deepEqual(computeStreaks(dates, '2024-10-01T00:00:00Z'), { current: 0, longest: 3 });
+  assert.deepEqual(computeStreaks(['2023-12-31T00:00:00Z', '2024-01-01T00:00:00Z'], '2024-01-02'), {
+    current: 2,
+    longest: 2,
+  });
+  assert.deepEqual(computeStreaks([], '2024-01-01T00:00:00Z'), { current: 0, longest: 0 });
+});
+
+test('attributeTerms: prefers history and falls back to blame on the slug line', () => {
+  const history = new Map([['alpha', { created_by: 'Ada', created_at: '2024-01-10T00:00:00Z' }]]);
+  const positions = new Map([
+    ['/terms/0/slug', { line: 2, column: 5 }],
+    ['/terms/1/slug', { line: 6, column: 5 }],
+  ]);
+  const authors = new Map([
+    [2, 'Someone Else'],
+    [6, 'Grace'],
+  ]);
+
+  const result = attributeTerms(terms, history, { authors, positions });
+  assert.deepEqual(result.get('alpha'), { author: 'Ada', created_at: '2024-01-10T00:00:00Z' });
+  assert.deepEqual(result.get('beta'), { author: 'Grace', created_at: null });
+  assert.equal(result.has('gamma'), false);
+});
+
+test('buildLeaderboard: ranks contributors by total score and skips bots', () => {
+  const board = buildLeaderboard(terms, attribution, { generatedAt: '2024-03-15T00:00:00.000Z' });
+
+  assert.equal(board.contributors_count, 2);
+  assert.equal(board.unattributed_terms, 0);
+  assert.deepEqual(
+    board.contributors.map((c) => [c.rank, c.name, c.terms_count]),
+    [
+      [1, 'Ada', 2],
+      [2, 'Grace', 1],
+    ]
+  );
+
+  const [ada, grace] = board.contributors;
+  assert.equal(ada.total_score, 46);
+  assert.equal(ada.average_score, 23);
+  assert.deepEqual(ada.top_term, { slug: 'alpha', term: 'Alpha', score: 26 });
+  assert.deepEqual(ada.streak, { current: 2, longest: 2 });
+  assert.equal(ada.first_contribution_at, '2024-01-10T00:00:00.000Z');
+  assert.deepEqual(ada.terms, ['alpha', 'gamma']);
+  assert.deepEqual(grace.badges, { '🔥 Flame Warrior': 1 });
+});
+
+test('buildLeaderboard: counts terms without an author as unattributed', () => {
+  const board = buildLeaderboard(terms, new Map(), { generatedAt: '2024-03-15T00:00:00.000Z' });
+  assert.equal(board.contributors_count, 0);
+  assert.equal(board.unattributed_terms, 4);
+});
+
+test('renderLeaderboardMarkdown: renders medals, totals, and active streaks', () => {
+  const board = buildLeaderboard(terms, attribution, { generatedAt: '2024-03-15T00:00:00.000Z' });
+  assert.equal(
+    renderLeaderboardMarkdown(board),
+    '🥇 Ada (2 terms, 46 pts, 🔥 2-month streak) | 🥈 Grace (1 term, 40 pts)'
+  );
+  assert.equal(renderLeaderboardMarkdown({ contributors: [] }), 'Be the first contributor!');
+});
+
+test('serializeLeaderboard: keeps the previous timestamp when the standings are unchanged', () => {
+  const attribution = new Map([['alpha', { author: 'Ada', created_at: '2024-01-10T00:00:00Z' }]]);
+  const build = (generatedAt) => buildLeaderboard(terms, attribution, { generatedAt });
+  const first = serializeLeaderboard(build('2024-02-01T00:00:00.000Z'));
+
+  assert.equal(serializeLeaderboard(build('2024-02-02T00:00:00.000Z'), first), first);
+
+  const changed = buildLeaderboard(
+    terms,
+    new Map([...attribution, ['beta', { author: 'Ada', created_at: '2024-02-01T00:00:00Z' }]]),
+    { generatedAt: '2024-02-02T00:00:00.000Z' }
+  );
+  assert.equal(JSON.parse(serializeLeaderboard(changed, first)).generated_at, changed.generated_at);
+  assert.equal(serializeLeaderboard(changed, 'not json'), serializeLeaderboard(changed));
+});
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  LlmError,
+  loadLlmConfig,
+  createProvider,
+  createReplayProvider,
+  hashMessages,
+  retryDelay,
+  formatUsage,
+} = require('../utils/llm');
+
+const messages = [{ role: 'user', content: 'Define Bus Factor' }];
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  };
+}
+
+function completion(content, usage) {
+  return { choices: [{ message: { content } }], usage };
+}
+
+test('loadLlmConfig: script variables win over LLM_* variables and the config file', () => {
+  const config = loadLlmConfig('askGlossary', {
+    env: {
+      GITHUB_TOKEN: 'token',
+      LLM_MODEL: 'shared-model',
+      LLM_TIMEOUT: '1000',
+      ASK_GLOSSARY_MODEL: 'ask-model',
+    },
+  });
+
+  assert.equal(config.provider, 'openai');
+  assert.equal(config.baseUrl, 'https://models.inference.ai.azure.com');
+  assert.equal(config.model, 'ask-model');
+  assert.equal(config.timeoutMs, 1000);
+  assert.equal(config.apiKey, 'token');
+});
+
+test('loadLlmConfig: applies scope overrides from the config file', () => {
+  const config = loadLlmConfig('generateTerm', { env: { GITHUB_MODELS_API_KEY: 'key' } });
+  assert.equal(config.model, 'gpt-4o-mini');
+  assert.equal(config.apiKey, 'key');
+});
+
+test('loadLlmConfig: local endpoints need no API key, remote ones do', () => {
+  const local = loadLlmConfig('draftTerm', {
+    env: { LLM_BASE_URL: 'http://localhost:11434/v1', LLM_MODEL: 'llama3.1' },
+  });
+  assert.equal(local.apiKey, undefined);
+  assert.equal(local.model, 'llama3.1');
+
+  assert.throws(
+    () => loadLlmConfig('draftTerm', { env: {} }),
+    (error) => error instanceof LlmError && /GITHUB_TOKEN environment variable/.test(error.message)
+  );
+  assert.throws(() => loadLlmConfig('draftTerm', { env: { LLM_PROVIDER: 'magic' } }), /magic/);
+});
+
+test('loadLlmConfig: reads the file named by LLM_CONFIG', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-'));
+  try {
+    const configPath = path.join(dir, 'llm.json');
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        base_url: 'http://127.0.0.1:8080/v1',
+        model: 'local',
+        max_retries: 0,
+        scopes: { trendWatcher: { model: 'local-large' } },
+      })
+    );
+    const config = loadLlmConfig('trendWatcher', { env: { LLM_CONFIG: configPath } });
+    assert.equal(config.baseUrl, 'http://127.0.0.1:8080/v1');
+    assert.equal(config.model, 'local-large');
+    assert.equal(config.maxRetries, 0);
+
+    assert.throws(
+      () => loadLlmConfig('trendWatcher', { env: { LLM_CONFIG: path.join(dir, 'missing.json') } }),
+      /Cannot read LLM config/
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('openai provider: posts chat completions and counts tokens', async () => {
+  const requests = [];
+  const provider = createProvider('askGlossary', {
+    env: { LLM_API_KEY: 'secret', LLM_BASE_URL: 'https://llm.example/v1/' },
+    fetch: async (url, init) => {
+      requests.push({ url, init });
+      return jsonResponse(
+        completion('  An answer  ', { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 })
+      );
+    },
+  });
+
+  const result = await provider.complete({ messages, temperature: 0.2, maxTokens: 50 });
+  await provider.complete({ messages });
+
+  assert.equal(result.content, 'An answer');
+  assert.equal(requests[0].url, 'https://llm.example/v1/chat/completions');
+  assert.equal(requests[0].init.headers.Authorization, 'Bearer secret');
+  assert.deepEqual(JSON.parse(requests[0].init.body), {
+    model: 'gpt-4o',
+    messages,
+    temperature: 0.2,
+    max_tokens: 50,
+  });
+  assert.deepEqual(provider.usage, {
+    requests: 2,
+    prompt_tokens: 20,
+    completion_tokens: 10,
+    total_tokens: 30,
+  });
+  assert.equal(
+    formatUsage(provider.usage),
+    '🔢 LLM usage: 2 requests, 20 prompt + 10 completion = 30 tokens'
+  );
+});
+
+test('openai provider: retries rate limits and server errors with backoff', async () => {
+  const statuses = [429, 503, 200];
+  const delays = [];
+  const provider = createProvider('askGlossary', {
+    env: { LLM_API_KEY: 'secret' },
+    fetch: async () => {
+      const status = statuses.shift();
+      return status === 200
+        ? jsonResponse(completion('ok'))
+        : jsonResponse({ error: 'busy' }, status, status === 429 ? { 'retry-after': '5' } : {});
+    },
+    sleep: async (ms) => delays.push(ms),
+  });
+
+  const result = await provider.complete({ messages });
+  assert.equal(result.content, 'ok');
+  assert.deepEqual(delays, [5000, 2000]);
+  assert.equal(provider.usage.requests, 1);
+});
+
+test('openai provider: does not retry client errors and explains them', async () => {
+  let calls = 0;
+  const provider = createProvider('askGlossary', {
+    env: { LLM_API_KEY: 'secret' },
+    fetch: async () => {
+      calls += 1;
+      return jsonResponse({ error: 'bad token' }, 401);
+    },
+    sleep: async () => {},
+  });
+
+  await assert.rejects(provider.complete({ messages }), (error) => {
+    assert.ok(error instanceof LlmError);
+    assert.equal(error.status, 401);
+    assert.match(error.message, /Authentication failed/);
+    return true;
+  });
+  assert.equal(calls, 1);
+});
+
+test('openai provider: rejects responses without content', async () => {
+  const provider = createProvider('askGlossary', {
+    env: { LLM_API_KEY: 'secret' },
+    fetch: async () => jsonResponse({ choices: [] }),
+  });
+  await assert.rejects(provider.complete({ messages }), /did not contain any choices/);
+});
+
+test('openai provider: embeds texts in input order', async () => {
+  let body;
+  const provider = createProvider('embeddings', {
+    env: { LLM_API_KEY: 'secret', LLM_EMBEDDING_MODEL: 'embed-small' },
+    fetch: async (url, init) => {
+      body = JSON.parse(init.body);
+      assert.match(url, /\/embeddings$/);
+      return jsonResponse({
+        data: [
+          { index: 1, embedding: [0, 1] },
+          { index: 0, embedding: [1, 0] },
+        ],
+        usage: { prompt_tokens: 4, total_tokens: 4 },
+      });
+    },
+  });
+
+  assert.deepEqual(await provider.embed(['first', 'second']), [
+    [1, 0],
+    [0, 1],
+  ]);
+  assert.deepEqual(body, { model: 'embed-small', input: ['first', 'second'] });
+  assert.equal(provider.usage.total_tokens, 4);
+});
+
+test('retryDelay: doubles per attempt, honours Retry-After, and is capped', () => {
+  assert.equal(retryDelay(0, 1000), 1000);
+  assert.equal(retryDelay(2, 1000), 4000);
+  assert.equal(retryDelay(0, 1000, 7000), 7000);
+  assert.equal(retryDelay(10, 1000), 30000);
+});
+
+test('replay provider: answers deterministically from fixtures', async () => {
+  const provider = createReplayProvider({
+    fixtures: {
+      responses: [
+        { match: hashMessages(messages), content: 'exact' },
+        { match: 'Fork', content: { definition: 'A copy' }, usage: { total_tokens: 3 } },
+      ],
+    },
+  });
+
+  assert.equal((await provider.complete({ messages })).content, 'exact');
+  const forked = await provider.complete({ messages: [{ role: 'user', content: 'Define Fork' }] });
+  assert.equal(forked.content, '{"definition":"A copy"}');
+  assert.equal(provider.usage.requests, 2);
+  assert.equal(provider.usage.total_tokens, 3);
+  await assert.rejects(
+    provider.complete({ messages: [{ role: 'user', content: 'Define Toil' }] }),
+    /No LLM fixture matches/
+  );
+});
+
+test('replay provider: loads fixtures from LLM_FIXTURES', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-'));
+  try {
+    const fixtures = path.join(dir, 'fixtures.json');
+    fs.writeFileSync(fixtures, JSON.stringify({ responses: [{ content: 'fallback' }] }));
+    const provider = createProvider('suggestLinks', {
+      env: { LLM_PROVIDER: 'replay', LLM_FIXTURES: fixtures },
+    });
+
+    assert.equal(provider.name, 'replay');
+    assert.equal((await provider.complete({ messages })).content, 'fallback');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
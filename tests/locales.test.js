@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getLanguageName,
+  localeFilePath,
+  listLocaleFiles,
+  hashSourceTerm,
+  checkLocale,
+} = require('../utils/locales');
+const { parseArgs, validateLocale } = require('../scripts/validateLocales');
+const { buildLocaleDocument, buildLocaleIndex } = require('../scripts/exportLocales');
+const { buildTermHistory } = require('../utils/termHistory');
+
+const DEFINITION =
+  'A definition that is comfortably longer than eighty characters for validation purposes.';
+
+const terms = [
+  { slug: 'alpha', term: 'Alpha', definition: DEFINITION },
+  { slug: 'beta', term: 'Beta', definition: DEFINITION, humor: 'Beta jokes.' },
+  { slug: 'gamma', term: 'Gamma', definition: DEFINITION },
+];
+
+function translation(term, fields = {}) {
+  return { definition: `ES: ${term.definition}`, source_hash: hashSourceTerm(term), ...fields };
+}
+
+test('getLanguageName: falls back to the base language and then the code', () => {
+  assert.equal(getLanguageName('es'), 'Spanish');
+  assert.equal(getLanguageName('pt-BR'), 'Portuguese');
+  assert.equal(getLanguageName('nl'), 'NL');
+});
+
+test('listLocaleFiles: finds terms.<locale>.yaml files sorted by locale', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locales-'));
+  try {
+    for (const file of ['terms.yaml', 'terms.fr.yaml', 'terms.pt-BR.yaml', 'terms.es.yml']) {
+      fs.writeFileSync(path.join(dir, file), '');
+    }
+    assert.deepEqual(listLocaleFiles(dir), [
+      { locale: 'fr', path: localeFilePath('fr', dir) },
+      { locale: 'pt-BR', path: localeFilePath('pt-BR', dir) },
+    ]);
+    assert.deepEqual(listLocaleFiles(path.join(dir, 'missing')), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('hashSourceTerm: changes with translatable fields only', () => {
+  const base = hashSourceTerm(terms[0]);
+  assert.match(base, /^[0-9a-f]{64}$/);
+  assert.equal(hashSourceTerm({ ...terms[0], definition: `${DEFINITION}\n` }), base);
+  assert.equal(hashSourceTerm({ ...terms[0], tags: ['community'] }), base);
+  assert.notEqual(hashSourceTerm({ ...terms[0], explanation: 'More context.' }), base);
+});
+
+test('checkLocale: reports coverage, missing, stale, and orphaned slugs', () => {
+  const report = checkLocale(
+    {
+      alpha: translation(terms[0]),
+      beta: { ...translation(terms[1]), source_hash: hashSourceTerm(terms[0]) },
+      'old-slug': translation(terms[0]),
+    },
+    terms
+  );
+
+  assert.deepEqual(report, {
+    total: 3,
+    translated: 1,
+    coverage: 33.3,
+    missing: ['gamma'],
+    stale: ['beta'],
+    orphaned: ['old-slug'],
+  });
+});
+
+test('validateLocales parseArgs: reads locale, coverage, and strict flags', () => {
+  assert.deepEqual(parseArgs(['--locale', 'pt-BR', '--min-coverage=80', '--strict']), {
+    locale: 'pt-BR',
+    minCoverage: 80,
+    strict: true,
+  });
+  assert.throws(() => parseArgs(['--locale', 'Spanish']), /Invalid locale/);
+  assert.throws(() => parseArgs(['--min-coverage', '120']), /0 to 100/);
+  assert.throws(() => parseArgs(['--min-coverage']), /Missing value/);
+  assert.throws(() => parseArgs(['--fix']), /Unknown argument/);
+});
+
+test('validateLocale: orphaned translations are errors and point at redirects', () => {
+  const data = {
+    locale: 'es',
+    translations: { alpha: translation(terms[0]), 'old-beta': translation(terms[1]) },
+  };
+  const { errors, warnings } = validateLocale(data, 'es', {
+    terms,
+    redirects: { 'old-beta': 'beta' },
+  });
+
+  assert.deepEqual(errors, ["Translation 'old-beta' is for a renamed term; move it to 'beta'"]);
+  assert.deepEqual(warnings, []);
+});
+
+test('validateLocale: stale translations warn, or fail with --strict', () => {
+  const data = {
+    locale: 'es',
+    translations: { alpha: { ...translation(terms[0]), source_hash: '0'.repeat(64) } },
+  };
+
+  const lenient = validateLocale(data, 'es', { terms });
+  assert.equal(lenient.errors.length, 0);
+  assert.match(lenient.warnings[0], /'alpha' is stale/);
+
+  const strict = validateLocale(data, 'es', { terms }, { strict: true });
+  assert.match(strict.errors[0], /'alpha' is stale/);
+});
+
+test('validateLocale: checks schema, file name, and minimum coverage', () => {
+  const invalid = validateLocale(
+    { locale: 'es', translations: { alpha: { definition: 'Sin hash' } } },
+    'es',
+    { terms }
+  );
+  assert.equal(invalid.report, null);
+  assert.ok(invalid.errors.some((message) => message.includes('source_hash')));
+
+  const data = { locale: 'fr', translations: { alpha: translation(terms[0]) } };
+  const { errors } = validateLocale(data, 'es', { terms }, { minCoverage: 50 });
+  assert.deepEqual(errors, [
+    "locale 'fr' does not match the file name (terms.es.yaml)",
+    'Coverage 33.3% is below the required 50%',
+  ]);
+});
+
+test('buildLocaleDocument: exports translated fields and flags stale entries', () => {
+  const document = { version: 'abc123', generated_at: '2024-01-01T00:00:00.000Z', terms };
+  const localeDocument = buildLocaleDocument(
+    {
+      locale: 'es',
+      translations: {
+        alpha: translation(terms[0], { term: 'Alfa' }),
+        beta: { ...translation(terms[1]), source_hash: '0'.repeat(64) },
+      },
+    },
+    document
+  );
+
+  assert.deepEqual(localeDocument, {
+    version: 'abc123',
+    generated_at: '2024-01-01T00:00:00.000Z',
+    locale: 'es',
+    source_locale: 'en',
+    terms_count: 2,
+    coverage: 33.3,
+    translations: {
+      alpha: { term: 'Alfa', definition: `ES: ${DEFINITION}` },
+      beta: { definition: `ES: ${DEFINITION}`, stale: true },
+    },
+  });
+
+  assert.deepEqual(buildLocaleIndex([localeDocument], document), {
+    version: 'abc123',
+    generated_at: '2024-01-01T00:00:00.000Z',
+    source_locale: 'en',
+    locales: [
+      { locale: 'es', name: 'Spanish', path: 'terms.es.json', terms_count: 2, coverage: 33.3 },
+    ],
+  });
+});
+
+test('buildTermHistory: tracks translation entries keyed by slug', () => {
+  const history = buildTermHistory([
+    {
+      sha: 'c1',
+      date: '2024-01-01T00:00:00.000Z',
+      author: 'Ada',
+      content: 'locale: es\ntranslations:\n  alpha:\n    definition: Uno\n',
+    },
+    {
+      sha: 'c2',
+      date: '2024-02-01T00:00:00.000Z',
+      author: 'Grace',
+      content: 'locale: es\ntranslations:\n  alpha:\n    definition: Dos\n',
+    },
+  ]);
+
+  assert.equal(history.get('alpha').created_by, 'Ada');
+  assert.equal(history.get('alpha').updated_by, 'Grace');
+});
@@ -168,14 +168,23 @@ test('integration: duplicate names fail validation', () => {
 test('integration: fully populated term scores correctly', () => {
   const termsData = {
     terms: [
+      ...['Ref One', 'Ref Two', 'Ref Three', 'Ref Four'].map((term) => ({
+        slug: term.toLowerCase().replace(' ', '-'),
+        term,
+        definition: 'x'.repeat(80),
+      })),
       {
         slug: 'full-term',
         term: 'Full Term',
-        definition: 'x'.repeat(80),
-        explanation: 'x'.repeat(50),
-        humor: 'x'.repeat(150),
+        definition:
+          'A glossary entry that fills in every optional field so it can earn each scoring component.',
+        explanation:
+          'Used in tests to check that substantive content scores highly once quality checks run.',
+        humor:
+          'The overachiever of the glossary: it brought snacks, wrote the docs, and still asked ' +
+          'whether there was any extra credit available before the maintainers went home.',
         tags: ['tag1', 'tag2', 'tag3', 'tag4'],
-        see_also: ['ref1', 'ref2', 'ref3', 'ref4'],
+        see_also: ['Ref One', 'Ref Two', 'Ref Three', 'Ref Four'],
         aliases: ['Alias 1', 'Alias 2'],
         controversy_level: 'high',
       },
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { hashPrompt, buildProvenance, isAiAssisted } = require('../utils/provenance');
+const { generateTerm } = require('../scripts/draftTerm');
+const { createReplayProvider } = require('../utils/llm');
+const { buildDocument } = require('../scripts/exportTerms');
+const { buildShardedExport } = require('../scripts/exportShards');
+const schema = require('../config/schema.json');
+
+const definition =
+  'A definition that is comfortably longer than the eighty character schema minimum.';
+
+function validateTerms(terms) {
+  const ajv = new Ajv({ allErrors: true });
+  addFormats(ajv);
+  const validate = ajv.compile(schema);
+  return validate({ terms }) ? [] : validate.errors.map((error) => error.instancePath);
+}
+
+test('hashPrompt returns the SHA-256 hex digest', () => {
+  assert.equal(
+    hashPrompt('abc'),
+    'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+  );
+});
+
+test('buildProvenance produces a block the schema accepts', () => {
+  const provenance = buildProvenance({
+    generator: 'scripts/draftTerm.js',
+    model: 'gpt-4o',
+    prompt: 'Define Bus Factor',
+    generatedAt: new Date('2025-01-15T12:00:00.000Z'),
+  });
+
+  assert.deepEqual(provenance, {
+    generator: 'scripts/draftTerm.js',
+    model: 'gpt-4o',
+    prompt_hash: hashPrompt('Define Bus Factor'),
+    generated_at: '2025-01-15T12:00:00.000Z',
+  });
+  const term = { slug: 'bus-factor', term: 'Bus Factor', definition, provenance };
+  assert.deepEqual(validateTerms([term]), []);
+  assert.deepEqual(
+    validateTerms([{ ...term, provenance: { ...provenance, reviewed_by: 'ada-lovelace' } }]),
+    []
+  );
+  assert.deepEqual(validateTerms([{ ...term, provenance: { ...provenance, prompt_hash: 'x' } }]), [
+    '/terms/0/provenance/prompt_hash',
+  ]);
+});
+
+test('provenance: model and reviewed_by reject markup', () => {
+  const provenance = {
+    generator: 'scripts/draftTerm.js',
+    model: 'meta/llama-3.1-70b-instruct',
+    prompt_hash: hashPrompt('Define Bus Factor'),
+    generated_at: '2025-01-15T12:00:00.000Z',
+  };
+  const term = { slug: 'bus-factor', term: 'Bus Factor', definition, provenance };
+  assert.deepEqual(validateTerms([term]), []);
+  assert.deepEqual(
+    validateTerms([{ ...term, provenance: { ...provenance, model: 'x" onmouseover="alert(1)' } }]),
+    ['/terms/0/provenance/model']
+  );
+  assert.deepEqual(
+    validateTerms([{ ...term, provenance: { ...provenance, reviewed_by: '<b>ada</b>' } }]),
+    ['/terms/0/provenance/reviewed_by']
+  );
+});
+
+test('isAiAssisted checks for a provenance block', () => {
+  assert.equal(isAiAssisted({ slug: 'a' }), false);
+  assert.equal(isAiAssisted({ slug: 'a', provenance: { model: 'm' } }), true);
+});
+
+test('generateTerm records provenance and ignores one from the model', async () => {
+  const provider = createReplayProvider({
+    model: 'gpt-4o',
+    fixtures: {
+      responses: [
+        {
+          match: 'Bus Factor',
+          content: { definition, tags: ['Open Source'], provenance: { model: 'made-up' } },
+        },
+      ],
+    },
+  });
+  let prompt;
+  const complete = provider.complete;
+  provider.complete = (request) => {
+    prompt = request.messages[0].content;
+    return complete(request);
+  };
+
+  const term = await generateTerm('Bus Factor', provider);
+  assert.equal(term.provenance.generator, 'scripts/draftTerm.js');
+  assert.equal(term.provenance.model, 'gpt-4o');
+  assert.equal(term.provenance.prompt_hash, hashPrompt(prompt));
+  assert.ok(!Number.isNaN(Date.parse(term.provenance.generated_at)));
+});
+
+test('exports keep provenance and flag AI-assisted terms in the manifest', () => {
+  const provenance = buildProvenance({ generator: 'g', model: 'm', prompt: 'p' });
+  const document = buildDocument(
+    [
+      { slug: 'drafted', term: 'Drafted', definition, provenance },
+      { slug: 'written', term: 'Written', definition },
+    ],
+    { version: 'v', generatedAt: new Date('2024-01-01T00:00:00.000Z') }
+  );
+
+  assert.deepEqual(document.terms[0].provenance, provenance);
+  const { manifest } = buildShardedExport(document);
+  assert.deepEqual(
+    manifest.terms.map((entry) => [entry.slug, entry.ai_assisted]),
+    [
+      ['drafted', true],
+      ['written', undefined],
+    ]
+  );
+});
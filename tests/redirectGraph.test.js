@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  walkRedirects,
+  analyzeRedirects,
+  collapseRedirectChains,
+  rewriteRedirectTargets,
+} = require('../utils/redirectGraph');
+const { parseYamlWithPositions, locate } = require('../utils/yamlPositions');
+
+const slugs = ['final-term', 'other-term'];
+const redirects = {
+  direct: 'final-term',
+  'one-hop': 'direct',
+  'two-hops': 'one-hop',
+  'loop-b': 'loop-a',
+  'loop-a': 'loop-b',
+  'into-loop': 'loop-a',
+  'to-nowhere': 'missing-term',
+  'via-nowhere': 'to-nowhere',
+};
+
+test('walkRedirects: records the path and where the walk ends', () => {
+  const slugSet = new Set(slugs);
+  assert.deepEqual(walkRedirects('two-hops', redirects, slugSet), {
+    path: ['two-hops', 'one-hop', 'direct', 'final-term'],
+    target: 'final-term',
+    cyclic: false,
+  });
+  assert.equal(walkRedirects('loop-a', redirects, slugSet).cyclic, true);
+  assert.deepEqual(walkRedirects('to-nowhere', redirects, slugSet).path, [
+    'to-nowhere',
+    'missing-term',
+  ]);
+});
+
+test('analyzeRedirects: finds chains, cycles, and dangling targets', () => {
+  const analysis = analyzeRedirects(redirects, slugs);
+
+  assert.deepEqual(analysis.chains, [
+    { source: 'into-loop', path: ['into-loop', 'loop-a', 'loop-b', 'loop-a'], target: null },
+    { source: 'one-hop', path: ['one-hop', 'direct', 'final-term'], target: 'final-term' },
+    {
+      source: 'two-hops',
+      path: ['two-hops', 'one-hop', 'direct', 'final-term'],
+      target: 'final-term',
+    },
+    { source: 'via-nowhere', path: ['via-nowhere', 'to-nowhere', 'missing-term'], target: null },
+  ]);
+  assert.deepEqual(analysis.cycles, [['loop-a', 'loop-b', 'loop-a']]);
+  assert.deepEqual(analysis.dangling, [{ source: 'to-nowhere', target: 'missing-term' }]);
+  assert.deepEqual(analyzeRedirects({ self: 'self' }, []).cycles, [['self', 'self']]);
+});
+
+test('analyzeRedirects: reports base slugs and redirects that disappeared', () => {
+  const analysis = analyzeRedirects({ renamed: 'final-term' }, slugs, {
+    slugs: ['final-term', 'renamed', 'deleted-term'],
+    redirects: { renamed: 'final-term', 'dropped-redirect': 'other-term' },
+  });
+
+  assert.deepEqual(analysis.removedSlugs, ['deleted-term']);
+  assert.deepEqual(analysis.removedRedirects, ['dropped-redirect']);
+});
+
+test('collapseRedirectChains: only rewrites chains that reach a term', () => {
+  assert.deepEqual(collapseRedirectChains(redirects, slugs), {
+    'one-hop': 'final-term',
+    'two-hops': 'final-term',
+  });
+});
+
+test('rewriteRedirectTargets: replaces values and keeps quotes and comments', () => {
+  const source = [
+    'terms: []',
+    'redirects:',
+    "  one-hop: 'direct' # renamed in 2024",
+    '  direct: final-term',
+    '  flow: { nested: value }',
+    '',
+  ].join('\n');
+  const { data, positions } = parseYamlWithPositions(source);
+  const result = rewriteRedirectTargets(
+    source,
+    { ...data.redirects, flow: 'direct' },
+    { 'one-hop': 'final-term', flow: 'final-term' },
+    (slug) => locate(positions, `/redirects/${slug}`)
+  );
+
+  assert.deepEqual(result.applied, ['one-hop']);
+  assert.deepEqual(result.skipped, ['flow']);
+  assert.equal(result.source.split('\n')[2], "  one-hop: 'final-term' # renamed in 2024");
+  assert.equal(result.source.split('\n')[3], '  direct: final-term');
+});
@@ -335,3 +335,45 @@ test('scoreTerm and getScoreBreakdown: total matches', () => {
     'Score from scoreTerm should match sum of breakdown components'
   );
 });
+
+test('scoreTerm: quality option ignores padded humor', () => {
+  const term = {
+    term: 'Padded Term',
+    definition: 'A definition that is long enough to be taken seriously by the scorer.',
+    humor: 'x'.repeat(150),
+  };
+
+  assert.equal(scoreTerm(term).score, 50, 'Raw scoring rewards length');
+
+  const result = scoreTerm(term, { quality: true });
+  assert.equal(result.score, 20, 'Quality scoring ignores filler humor');
+  assert.ok(!result.badges.includes('😂 Comedy Gold'), 'Filler does not earn Comedy Gold');
+  assert.equal(result.issues[0].code, 'filler-text');
+});
+
+test('getScoreBreakdown: quality option reports per-component deductions', () => {
+  const terms = [{ slug: 'real-term', term: 'Real Term' }];
+  const term = {
+    term: 'New Term',
+    definition: 'A definition that is long enough to be taken seriously by the scorer.',
+    tags: ['a', 'b', 'a'],
+    see_also: ['Real Term', 'Imaginary Term'],
+  };
+
+  const breakdown = getScoreBreakdown(term, { quality: { terms } });
+  assert.equal(breakdown.tags, 6);
+  assert.equal(breakdown.crossReferences, 5);
+
+  const deductions = Object.fromEntries(
+    breakdown.components.map((component) => [component.id, component.deduction])
+  );
+  assert.deepEqual(deductions, {
+    base: 0,
+    humor: 0,
+    explanation: 0,
+    tags: 3,
+    crossReferences: 5,
+  });
+  assert.equal(breakdown.issues.length, 2);
+  assert.equal(scoreTerm(term, { quality: { terms } }).score, 31);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  validateScoringConfig,
+  loadScoringConfig,
+  createScoringEngine,
+} = require('../utils/scoringEngine');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'scoring.json');
+
+function minimalConfig(overrides = {}) {
+  return {
+    max_score: 100,
+    components: [
+      {
+        id: 'base',
+        label: 'Base',
+        type: 'presence',
+        fields: ['term', 'definition'],
+        points: 20,
+        max: 20,
+      },
+    ],
+    ...overrides,
+  };
+}
+
+test('validateScoringConfig: accepts the bundled config', () => {
+  const config = JSON.parse(fs.readFileSync(DEFAULT_CONFIG_PATH, 'utf8'));
+  assert.deepEqual(validateScoringConfig(config), []);
+});
+
+test('validateScoringConfig: reports schema errors', () => {
+  const config = minimalConfig({
+    components: [{ id: 'humor', label: 'Humor', type: 'length', field: 'humor', points: 1 }],
+  });
+  const errors = validateScoringConfig(config);
+  assert.ok(errors.some((error) => /missing required property 'chars_per_point'/.test(error)));
+
+  assert.ok(validateScoringConfig(minimalConfig({ components: [] })).length > 0);
+  assert.ok(validateScoringConfig(minimalConfig({ extra: true })).length > 0);
+});
+
+test('validateScoringConfig: rejects duplicate and reserved component ids', () => {
+  const base = minimalConfig().components[0];
+  const errors = validateScoringConfig(
+    minimalConfig({ components: [base, base, { ...base, id: 'maxScores' }] })
+  );
+  assert.deepEqual(errors, [
+    "component id 'base' is used more than once",
+    "component id 'maxScores' is reserved",
+  ]);
+});
+
+test('validateScoringConfig: requires score badges in descending order', () => {
+  const errors = validateScoringConfig(
+    minimalConfig({
+      score_badges: [
+        { label: 'Low', min_score: 10 },
+        { label: 'High', min_score: 90 },
+      ],
+    })
+  );
+  assert.deepEqual(errors, ['score_badges must be ordered from highest to lowest min_score']);
+});
+
+test('loadScoringConfig: throws with the file path on invalid config', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-config-'));
+  const configPath = path.join(tmpDir, 'scoring.json');
+  try {
+    fs.writeFileSync(configPath, JSON.stringify({ max_score: 0, components: [] }));
+    assert.throws(() => loadScoringConfig(configPath), /Invalid scoring config .*scoring\.json/);
+
+    fs.writeFileSync(configPath, '{ not json');
+    assert.throws(() => loadScoringConfig(configPath), /Failed to read scoring config/);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('createScoringEngine: rewards aliases and penalizes missing explanations', () => {
+  const engine = createScoringEngine(
+    minimalConfig({
+      components: [
+        ...minimalConfig().components,
+        { id: 'aliases', label: 'Aliases', type: 'count', field: 'aliases', points: 4, max: 8 },
+        {
+          id: 'noExplanation',
+          label: 'No explanation',
+          type: 'missing',
+          field: 'explanation',
+          points: -5,
+        },
+      ],
+    })
+  );
+
+  const withAliases = engine.evaluate({ term: 'T', definition: 'D', aliases: ['a', 'b', 'c'] });
+  assert.equal(withAliases.score, 23);
+  assert.deepEqual(
+    withAliases.components.map(({ id, points, max }) => [id, points, max]),
+    [
+      ['base', 20, 20],
+      ['aliases', 8, 8],
+      ['noExplanation', -5, 0],
+    ]
+  );
+
+  const explained = engine.evaluate({ term: 'T', definition: 'D', explanation: 'Because.' });
+  assert.equal(explained.score, 20);
+});
+
+test('createScoringEngine: clamps the total to 0..max_score', () => {
+  const engine = createScoringEngine(
+    minimalConfig({
+      max_score: 10,
+      components: [
+        ...minimalConfig().components,
+        { id: 'penalty', label: 'Penalty', type: 'missing', field: 'humor', points: -50 },
+      ],
+    })
+  );
+  assert.equal(engine.evaluate({ term: 'T', definition: 'D', humor: 'ha' }).score, 10);
+  assert.equal(engine.evaluate({ term: 'T', definition: 'D' }).score, 0);
+});
+
+test('createScoringEngine: awards field badges then the first matching score badge', () => {
+  const engine = createScoringEngine(
+    minimalConfig({
+      badges: [
+        { label: 'Long', field: 'definition', min_length: 3 },
+        { label: 'Hot', field: 'controversy_level', equals: 'high' },
+      ],
+      score_badges: [
+        { label: 'Great', min_score: 20 },
+        { label: 'Good', min_score: 10 },
+      ],
+    })
+  );
+  const { badges } = engine.evaluate({
+    term: 'T',
+    definition: 'Defined',
+    controversy_level: 'high',
+  });
+  assert.deepEqual(badges, ['Long', 'Hot', 'Great']);
+});
@@ -0,0 +1,108 @@
+// cspell:ignore licens licnes fatcor maint burnuot
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  stem,
+  tokenize,
+  editDistance,
+  buildSearchIndex,
+  createSearchEngine,
+} = require('../docs/pwa/search');
+
+const terms = [
+  {
+    slug: 'bus-factor',
+    term: 'Bus Factor',
+    aliases: ['Truck Factor'],
+    tags: ['risk'],
+    definition: 'How many maintainers can leave before a project stalls.',
+    humor: 'Lottery factor for optimists.',
+  },
+  {
+    slug: 'maintainer-burnout',
+    term: 'Maintainer Burnout',
+    tags: ['community'],
+    definition: 'Exhaustion from maintaining a project alone.',
+  },
+  {
+    slug: 'fork',
+    term: 'Fork',
+    aliases: ['Forking'],
+    definition: 'A copy of a project that continues separately.',
+    humor: 'Mentioning the lottery is optional.',
+  },
+];
+
+function slugs(results) {
+  return results.map((result) => result.slug);
+}
+
+test('stem: maps common inflections onto one token', () => {
+  assert.equal(stem('maintainers'), stem('maintaining'));
+  assert.equal(stem('licensing'), stem('license'));
+  assert.equal(stem('forked'), 'fork');
+  assert.equal(stem('dependencies'), 'dependency');
+  assert.equal(stem('status'), 'status');
+  assert.equal(stem('bus'), 'bus');
+});
+
+test('tokenize: lowercases, strips accents and stop words, and keeps repeats', () => {
+  assert.deepEqual(tokenize('What is the Café café?'), ['caf', 'caf']);
+  assert.deepEqual(tokenize(['Truck Factor', 'CI/CD']), ['truck', 'factor', 'ci', 'cd']);
+  assert.deepEqual(tokenize(undefined), []);
+});
+
+test('editDistance: counts swaps as one edit and stops past the limit', () => {
+  assert.equal(editDistance('licens', 'licnes', 2), 1);
+  assert.equal(editDistance('factor', 'fatcor', 1), 1);
+  assert.equal(editDistance('fork', 'forks', 1), 1);
+  assert.equal(editDistance('fork', 'burnout', 2), 3);
+});
+
+test('buildSearchIndex: records postings per field and document lengths', () => {
+  const index = buildSearchIndex(terms, { version: 'abc123' });
+
+  assert.equal(index.version, 'abc123');
+  assert.equal(index.format, 'bm25f-1');
+  assert.deepEqual(index.slugs, ['bus-factor', 'maintainer-burnout', 'fork']);
+  assert.deepEqual(index.postings.factor, [
+    [0, 0, 1],
+    [0, 1, 1],
+    [0, 5, 1],
+  ]);
+  assert.deepEqual(index.lengths[0], [2, 2, 1, 6, 0, 3]);
+  assert.deepEqual(Object.keys(index.postings), [...Object.keys(index.postings)].sort());
+  assert.deepEqual(JSON.parse(JSON.stringify(index)), index);
+});
+
+test('search: weights term names above humor', () => {
+  const engine = createSearchEngine(buildSearchIndex(terms));
+  assert.deepEqual(slugs(engine.search('lottery fork')), ['fork', 'bus-factor']);
+  assert.deepEqual(slugs(engine.search('what is a bus factor?')), ['bus-factor']);
+  assert.deepEqual(engine.search('quantum physics'), []);
+});
+
+test('search: matches prefixes while typing and tolerates typos', () => {
+  const engine = createSearchEngine(buildSearchIndex(terms));
+  assert.equal(slugs(engine.search('maint'))[0], 'maintainer-burnout');
+  assert.deepEqual(slugs(engine.search('burnuot')), ['maintainer-burnout']);
+  assert.deepEqual(engine.search('fo'), []);
+
+  const exact = engine.search('burnout')[0].score;
+  assert.ok(engine.search('burnuot')[0].score < exact, 'typos rank below exact matches');
+});
+
+test('search: honours the limit and custom field weights', () => {
+  const index = buildSearchIndex(terms);
+  assert.equal(createSearchEngine(index).search('project', { limit: 2 }).length, 2);
+
+  const humorOnly = createSearchEngine(index, { weights: { humor: 1 } });
+  assert.deepEqual(slugs(humorOnly.search('fork')), []);
+});
+
+test('createSearchEngine: rejects indexes in another format', () => {
+  assert.throws(
+    () => createSearchEngine({ version: 'abc', index: {} }),
+    /Unsupported search index format/
+  );
+});
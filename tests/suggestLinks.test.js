@@ -9,21 +9,26 @@ const {
   applySuggestions,
   displaySuggestions,
   truncateForLogging,
-  DEFAULT_BASE_URL,
-  DEFAULT_MODEL,
   DEFAULT_TEMPERATURE,
   DEFAULT_MAX_TOKENS,
-  DEFAULT_TIMEOUT,
   DEFINITION_PREVIEW_LENGTH,
   MAX_SUGGESTIONS,
 } = require('../scripts/suggestLinks');
+const { loadLlmConfig } = require('../utils/llm');
 
-test('constants: DEFAULT_BASE_URL is set correctly', () => {
-  assert.equal(DEFAULT_BASE_URL, 'https://models.inference.ai.azure.com');
+test('config: uses the shared GitHub Models endpoint and model by default', () => {
+  const config = loadLlmConfig('suggestLinks', { env: { GITHUB_TOKEN: 'token' } });
+  assert.equal(config.baseUrl, 'https://models.inference.ai.azure.com');
+  assert.equal(config.model, 'gpt-4o');
+  assert.ok(config.timeoutMs > 0);
 });
 
-test('constants: DEFAULT_MODEL is set correctly', () => {
-  assert.equal(DEFAULT_MODEL, 'gpt-4o');
+test('config: SUGGEST_LINKS_* variables override the shared settings', () => {
+  const config = loadLlmConfig('suggestLinks', {
+    env: { GITHUB_TOKEN: 'token', SUGGEST_LINKS_MODEL: 'gpt-4o-mini', SUGGEST_LINKS_TIMEOUT: '5' },
+  });
+  assert.equal(config.model, 'gpt-4o-mini');
+  assert.equal(config.timeoutMs, 5);
 });
 
 test('constants: DEFAULT_TEMPERATURE is a valid number', () => {
@@ -36,11 +41,6 @@ test('constants: DEFAULT_MAX_TOKENS is a positive integer', () => {
   assert.ok(DEFAULT_MAX_TOKENS > 0);
 });
 
-test('constants: DEFAULT_TIMEOUT is a positive integer', () => {
-  assert.equal(typeof DEFAULT_TIMEOUT, 'number');
-  assert.ok(DEFAULT_TIMEOUT > 0);
-});
-
 test('constants: DEFINITION_PREVIEW_LENGTH is a positive integer', () => {
   assert.equal(typeof DEFINITION_PREVIEW_LENGTH, 'number');
   assert.ok(DEFINITION_PREVIEW_LENGTH > 0);
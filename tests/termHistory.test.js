@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTermHistory, collectTermHistory } = require('../utils/termHistory');
+
+const DEFINITION =
+  'A definition that is comfortably longer than eighty characters for validation purposes.';
+
+function snapshot(sha, date, author, terms) {
+  const content = [
+    'terms:',
+    ...terms.map((t) => `  - slug: ${t.slug}\n    term: ${t.term}\n    definition: ${DEFINITION}`),
+  ].join('\n');
+  return { sha, date, author, content };
+}
+
+test('buildTermHistory: records creation and last change per slug', () => {
+  const history = buildTermHistory([
+    snapshot('c1', '2024-01-01T00:00:00.000Z', 'Ada', [{ slug: 'alpha', term: 'Alpha' }]),
+    snapshot('c2', '2024-02-01T00:00:00.000Z', 'Grace', [
+      { slug: 'alpha', term: 'Alpha' },
+      { slug: 'beta', term: 'Beta' },
+    ]),
+    snapshot('c3', '2024-03-01T00:00:00.000Z', 'Linus', [
+      { slug: 'alpha', term: 'Alpha Prime' },
+      { slug: 'beta', term: 'Beta' },
+    ]),
+  ]);
+
+  assert.deepEqual(history.get('alpha'), {
+    created_at: '2024-01-01T00:00:00.000Z',
+    created_commit: 'c1',
+    created_by: 'Ada',
+    updated_at: '2024-03-01T00:00:00.000Z',
+    updated_commit: 'c3',
+    updated_by: 'Linus',
+  });
+  assert.equal(history.get('beta').created_commit, 'c2');
+  assert.equal(history.get('beta').updated_commit, 'c2');
+});
+
+test('buildTermHistory: ignores formatting-only changes', () => {
+  const first = snapshot('c1', '2024-01-01T00:00:00.000Z', 'Ada', [
+    { slug: 'alpha', term: 'Alpha' },
+  ]);
+  const reformatted = {
+    sha: 'c2',
+    date: '2024-02-01T00:00:00.000Z',
+    author: 'Grace',
+    content: `terms:\n- definition: ${DEFINITION}\n  term: Alpha\n  slug: alpha\n`,
+  };
+
+  const history = buildTermHistory([first, reformatted]);
+  assert.equal(history.get('alpha').updated_commit, 'c1');
+});
+
+test('buildTermHistory: skips unparsable snapshots', () => {
+  const history = buildTermHistory([
+    { sha: 'c1', date: '2024-01-01T00:00:00.000Z', author: 'Ada', content: 'terms: [' },
+    snapshot('c2', '2024-02-01T00:00:00.000Z', 'Grace', [{ slug: 'alpha', term: 'Alpha' }]),
+  ]);
+  assert.equal(history.get('alpha').created_commit, 'c2');
+});
+
+test('collectTermHistory: returns a map for the repository terms file', () => {
+  const history = collectTermHistory('terms.yaml');
+  assert.ok(history instanceof Map);
+  for (const entry of history.values()) {
+    assert.match(entry.created_commit, /^[0-9a-f]{40}$/);
+    assert.ok(!Number.isNaN(Date.parse(entry.updated_at)));
+  }
+});
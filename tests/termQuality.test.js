@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectFillerText,
+  textSimilarity,
+  findDuplicateTags,
+  analyzeTermQuality,
+} = require('../utils/termQuality');
+
+const definition =
+  'A software component that is no longer maintained but still shipped as a dependency.';
+
+test('detectFillerText: flags placeholder text, character runs, and repeated words', () => {
+  assert.match(detectFillerText('Lorem ipsum dolor sit amet, and so on.'), /lorem ipsum/);
+  assert.match(detectFillerText('wow' + '!'.repeat(20)), /repeated character/);
+  assert.match(detectFillerText('so funny so funny so funny so funny so funny'), /repeats/);
+});
+
+test('detectFillerText: accepts normal prose and short text', () => {
+  assert.equal(
+    detectFillerText('It is alive, technically, in the same way a houseplant on vacation is.'),
+    null
+  );
+  assert.equal(detectFillerText('ha ha'), null);
+  assert.equal(detectFillerText(undefined), null);
+});
+
+test('textSimilarity: scores identical text as 1 and unrelated text near 0', () => {
+  assert.equal(textSimilarity(definition, definition), 1);
+  assert.ok(textSimilarity(definition, 'Nobody has touched the repo since 2014.') < 0.1);
+  assert.equal(textSimilarity('', definition), 0);
+});
+
+test('findDuplicateTags: ignores case and surrounding whitespace', () => {
+  assert.deepEqual(findDuplicateTags(['security', 'Security ', 'ops', 'security']), [
+    'Security ',
+    'security',
+  ]);
+  assert.deepEqual(findDuplicateTags('not-an-array'), []);
+});
+
+test('analyzeTermQuality: removes filler and copied text from the scored copy', () => {
+  const term = {
+    term: 'Zombie Dependency',
+    definition,
+    humor: 'lol '.repeat(30),
+    explanation: `${definition} Really.`,
+  };
+
+  const { issues, term: cleaned } = analyzeTermQuality(term);
+  assert.deepEqual(
+    issues.map((issue) => [issue.field, issue.code]),
+    [
+      ['humor', 'filler-text'],
+      ['explanation', 'copied-definition'],
+    ]
+  );
+  assert.equal(cleaned.humor, undefined);
+  assert.equal(cleaned.explanation, undefined);
+  assert.equal(term.humor, 'lol '.repeat(30), 'Original term is not modified');
+});
+
+test('analyzeTermQuality: dedupes tags and drops unresolved see_also entries', () => {
+  const terms = [
+    { slug: 'bus-factor', term: 'Bus Factor' },
+    { slug: 'zombie-dependency', term: 'Zombie Dependency' },
+  ];
+  const term = {
+    ...terms[1],
+    definition,
+    tags: ['maintenance', 'Maintenance'],
+    see_also: ['Bus Factor', 'Old Name', 'Made Up Thing'],
+  };
+
+  const { issues, term: cleaned } = analyzeTermQuality(term, {
+    terms,
+    redirects: { 'old-name': 'bus-factor' },
+  });
+  assert.deepEqual(
+    issues.map((issue) => issue.code),
+    ['duplicate-tag', 'unresolved-see-also']
+  );
+  assert.deepEqual(cleaned.tags, ['maintenance']);
+  assert.deepEqual(cleaned.see_also, ['Bus Factor', 'Old Name']);
+});
+
+test('analyzeTermQuality: skips see_also checks without the term list', () => {
+  const term = { term: 'T', definition, see_also: ['Anything'] };
+  assert.deepEqual(analyzeTermQuality(term).issues, []);
+});
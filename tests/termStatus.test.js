@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TERM_STATUSES, getTermStatus, isAllowedStatusTransition } = require('../utils/termStatus');
+const { normalizeTerm } = require('../utils/normalization');
+const { applyTermStatus } = require('../scripts/exportTerms');
+
+test('getTermStatus defaults to stable', () => {
+  assert.equal(getTermStatus({ slug: 'example' }), 'stable');
+  assert.equal(getTermStatus({ slug: 'example', status: 'draft' }), 'draft');
+  assert.equal(getTermStatus(null), 'stable');
+});
+
+test('isAllowedStatusTransition follows the lifecycle', () => {
+  const allowed = [];
+  for (const from of TERM_STATUSES) {
+    for (const to of TERM_STATUSES) {
+      if (from !== to && isAllowedStatusTransition(from, to)) {
+        allowed.push(`${from}→${to}`);
+      }
+    }
+  }
+  assert.deepEqual(allowed, [
+    'draft→stable',
+    'draft→deprecated',
+    'stable→deprecated',
+    'deprecated→stable',
+  ]);
+  assert.equal(isAllowedStatusTransition('stable', 'stable'), true);
+});
+
+test('normalizeTerm keeps a valid status and rejects unknown ones', () => {
+  const definition = 'Definition '.padEnd(90, 'x');
+  const term = normalizeTerm({ slug: 'example', term: 'Example', definition, status: 'draft' });
+  assert.equal(term.status, 'draft');
+
+  assert.throws(
+    () => normalizeTerm({ slug: 'example', term: 'Example', definition, status: 'retired' }),
+    /Status 'retired' for 'example' must be one of: draft, stable, deprecated/
+  );
+});
+
+test('applyTermStatus makes every status explicit', () => {
+  const terms = applyTermStatus([{ slug: 'a' }, { slug: 'b', status: 'deprecated' }]);
+  assert.deepEqual(
+    terms.map((term) => term.status),
+    ['stable', 'deprecated']
+  );
+});
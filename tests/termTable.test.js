@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TABLE_COLUMNS,
+  joinArrayCell,
+  splitArrayCell,
+  serializeTable,
+  parseTable,
+} = require('../utils/termTable');
+
+const tricky = {
+  slug: 'tricky-term',
+  term: 'Tricky, "Quoted" | Term',
+  definition: 'Line one\nLine two\twith a tab and a back\\slash',
+  see_also: ['A; B', 'C\\D'],
+  tags: ['one', 'two'],
+  controversy_level: 'low',
+};
+const plain = { slug: 'plain-term', term: 'Plain', definition: 'Nothing special here.' };
+
+test('joinArrayCell/splitArrayCell: round-trip entries containing separators', () => {
+  const cell = joinArrayCell(['A; B', 'C\\D', 'E']);
+  assert.equal(cell, 'A\\; B; C\\\\D; E');
+  assert.deepEqual(splitArrayCell(cell), ['A; B', 'C\\D', 'E']);
+  assert.deepEqual(splitArrayCell(' x ;; y '), ['x', 'y']);
+});
+
+for (const format of ['csv', 'tsv', 'md']) {
+  test(`serializeTable/parseTable: ${format} round-trips special characters`, () => {
+    const text = serializeTable([tricky, plain], format);
+    const { terms, errors } = parseTable(text, format);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      terms.map((entry) => entry.row),
+      [2, 3]
+    );
+    assert.deepEqual(terms[0].term, tricky);
+    assert.deepEqual(terms[1].term, plain);
+  });
+}
+
+const formulas = {
+  slug: 'formula-term',
+  term: '=HYPERLINK("http://example.com", "Click")',
+  definition: "+1 for formulas; '@SUM(A1) is already prefixed",
+  humor: "'=already quoted",
+  tags: ['-negative', '@mention'],
+};
+
+test('serializeTable: csv and tsv neutralize cells that spreadsheets run as formulas', () => {
+  const csv = serializeTable([formulas], 'csv').split('\r\n')[1];
+  assert.ok(csv.includes(`,"'=HYPERLINK(""http://example.com"", ""Click"")"`));
+  assert.ok(csv.includes(",'+1 for formulas;"));
+  assert.ok(csv.includes(",''=already quoted,"));
+  assert.ok(csv.includes(",'-negative; @mention,"));
+
+  const tsv = serializeTable([formulas], 'tsv').split('\n')[1].split('\t');
+  assert.equal(tsv[1], `'${formulas.term}`);
+  assert.equal(tsv[6], "'-negative; @mention");
+});
+
+for (const format of ['csv', 'tsv', 'md']) {
+  test(`serializeTable/parseTable: ${format} round-trips formula-like cells`, () => {
+    const { terms, errors } = parseTable(serializeTable([formulas, plain], format), format);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(terms[0].term, formulas);
+    assert.deepEqual(terms[1].term, plain);
+  });
+}
+
+test('serializeTable: csv quotes only cells that need it', () => {
+  const text = serializeTable([plain], 'csv');
+  assert.equal(
+    text,
+    `${TABLE_COLUMNS.join(',')}\r\nplain-term,Plain,Nothing special here.,,,,,,,\r\n`
+  );
+});
+
+test('serializeTable: md escapes pipes and newlines', () => {
+  const text = serializeTable([tricky], 'md');
+  const row = text.split('\n')[2];
+  assert.ok(row.includes('Tricky, "Quoted" \\| Term'));
+  assert.ok(row.includes('Line one<br>Line two'));
+});
+
+test('parseTable: accepts columns in any order and omits empty cells', () => {
+  const { terms } = parseTable('term,slug,tags,definition\nPlain,plain-term,,Text\n', 'csv');
+  assert.deepEqual(terms[0].term, { slug: 'plain-term', term: 'Plain', definition: 'Text' });
+});
+
+test('parseTable: rejects unknown and missing columns', () => {
+  assert.throws(
+    () => parseTable('slug,term,definition,score\n', 'csv'),
+    /Unknown column\(s\): score/
+  );
+  assert.throws(() => parseTable('slug,term\n', 'csv'), /Missing required column\(s\): definition/);
+  assert.throws(() => parseTable('', 'csv'), /Table is empty/);
+  assert.throws(() => parseTable('slug\n"open', 'csv'), /Unterminated quoted CSV cell/);
+});
+
+test('parseTable: reports rows with the wrong number of cells', () => {
+  const { terms, errors } = parseTable('slug,term,definition\na,b\nc,d,e\n', 'csv');
+  assert.deepEqual(errors, ['Row 2: expected 3 cells, found 2']);
+  assert.equal(terms.length, 1);
+  assert.equal(terms[0].row, 3);
+});
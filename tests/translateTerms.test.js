@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseArgs,
+  planTranslations,
+  markReviewed,
+  mergeTranslations,
+  DEFAULT_LANGUAGE,
+} = require('../scripts/translateTerms');
+const { hashSourceTerm, checkLocale } = require('../utils/locales');
+
+const DEFINITION =
+  'A definition that is comfortably longer than eighty characters for validation purposes.';
+
+const terms = [
+  { slug: 'alpha', term: 'Alpha', definition: DEFINITION },
+  { slug: 'beta', term: 'Beta', definition: DEFINITION },
+  { slug: 'gamma', term: 'Gamma', definition: DEFINITION },
+  { slug: 'delta', term: 'Delta', definition: DEFINITION },
+];
+
+const OUTDATED = '0'.repeat(64);
+
+function entry(term, fields = {}) {
+  return { definition: `ES: ${term.term}`, source_hash: hashSourceTerm(term), ...fields };
+}
+
+function pendingSlugs(plan) {
+  return plan.pending.map(({ term, reason }) => `${term.slug}:${reason}`);
+}
+
+test('parseArgs: reads language, slugs, and dry run', () => {
+  assert.deepEqual(parseArgs([]), {
+    language: DEFAULT_LANGUAGE,
+    slugs: null,
+    dryRun: false,
+    markReviewed: null,
+    reviewer: null,
+  });
+  assert.deepEqual(parseArgs(['FR', '--slug', 'alpha,beta', '--slug=gamma', '--dry-run']), {
+    language: 'fr',
+    slugs: ['alpha', 'beta', 'gamma'],
+    dryRun: true,
+    markReviewed: null,
+    reviewer: null,
+  });
+  assert.deepEqual(
+    parseArgs(['--mark-reviewed', 'alpha,beta', '--reviewer=ada-lovelace']).markReviewed,
+    ['alpha', 'beta']
+  );
+  assert.throws(() => parseArgs(['--mark-reviewed', 'alpha']), /needs --reviewer/);
+  assert.equal(parseArgs(['--lang', 'pt-BR']).language, 'pt-br');
+  assert.throws(() => parseArgs(['--slug']), /Missing value for --slug/);
+  assert.throws(() => parseArgs(['--force']), /Unknown argument/);
+  assert.throws(() => parseArgs(['spanish']), /Invalid language code/);
+});
+
+test('planTranslations: only new and changed terms are translated', () => {
+  const existing = {
+    alpha: entry(terms[0]),
+    beta: entry(terms[1], { source_hash: OUTDATED }),
+    gamma: entry(terms[2], { source_hash: OUTDATED, reviewed_by: 'ada-lovelace' }),
+  };
+  const plan = planTranslations(terms, existing);
+
+  assert.deepEqual(pendingSlugs(plan), ['beta:changed', 'delta:new']);
+  assert.deepEqual(plan.current, ['alpha']);
+  assert.deepEqual(plan.reviewed, ['gamma']);
+});
+
+test('planTranslations: --slug limits the run and re-translates current entries', () => {
+  const existing = {
+    alpha: entry(terms[0]),
+    gamma: entry(terms[2], { reviewed_by: 'ada-lovelace' }),
+  };
+  const plan = planTranslations(terms, existing, { slugs: ['alpha', 'gamma'] });
+
+  assert.deepEqual(pendingSlugs(plan), ['alpha:requested']);
+  assert.deepEqual(plan.current, ['gamma']);
+  assert.throws(
+    () => planTranslations(terms, existing, { slugs: ['alpha', 'missing'] }),
+    /Unknown slug\(s\): missing/
+  );
+});
+
+test('markReviewed: re-stamps the source hash so edited reviewed translations are current', () => {
+  const existing = {
+    alpha: entry(terms[0], { source_hash: OUTDATED, reviewed_by: 'ada-lovelace' }),
+    beta: entry(terms[1], { source_hash: OUTDATED }),
+  };
+  assert.deepEqual(checkLocale(existing, terms).stale, ['alpha', 'beta']);
+
+  const updates = markReviewed(terms, existing, ['alpha', 'beta'], 'grace-hopper');
+  assert.deepEqual(updates.beta, {
+    definition: 'ES: Beta',
+    reviewed_by: 'grace-hopper',
+    source_hash: hashSourceTerm(terms[1]),
+  });
+  assert.equal(updates.alpha.reviewed_by, 'grace-hopper');
+  assert.deepEqual(checkLocale(mergeTranslations(existing, updates, terms), terms).stale, []);
+  assert.equal(existing.beta.source_hash, OUTDATED, 'existing entries are not mutated');
+
+  assert.throws(
+    () => markReviewed(terms, existing, ['missing'], 'x'),
+    /Unknown slug\(s\): missing/
+  );
+  assert.throws(() => markReviewed(terms, existing, ['gamma'], 'x'), /No translation .*: gamma/);
+});
+
+test('mergeTranslations: keeps existing entries and follows terms.yaml order', () => {
+  const existing = {
+    gamma: entry(terms[2], { reviewed_by: 'ada-lovelace' }),
+    alpha: entry(terms[0], { source_hash: OUTDATED }),
+    'old-slug': entry(terms[1]),
+  };
+  const merged = mergeTranslations(existing, { alpha: entry(terms[0]) }, terms);
+
+  assert.deepEqual(Object.keys(merged), ['alpha', 'gamma', 'old-slug']);
+  assert.equal(merged.alpha.source_hash, hashSourceTerm(terms[0]));
+  assert.equal(merged.gamma.reviewed_by, 'ada-lovelace');
+});
@@ -9,7 +9,7 @@ const TERMS_PATH = path.join(__dirname, '..', 'terms.yaml');
 const SCHEMA_PATH = path.join(__dirname, '..', 'config', 'schema.json');
 const VALIDATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'validateTerms.js');
 
-function runValidation(termsData, baseTermsData = null) {
+function runValidation(termsData, baseTermsData = null, extraArgs = []) {
   const tmpDir = fs.mkdtempSync('/tmp/validate-test-');
   const tmpTermsPath = path.join(tmpDir, 'terms.yaml');
   const tmpSchemaPath = path.join(tmpDir, 'config/schema.json');
@@ -26,6 +26,7 @@ function runValidation(termsData, baseTermsData = null) {
       fs.writeFileSync(baseTermsPath, yaml.dump(baseTermsData));
       args.push('--base', baseTermsPath);
     }
+    args.push(...extraArgs);
 
     const result = spawnSync('node', args, {
       cwd: tmpDir,
@@ -34,7 +35,7 @@ function runValidation(termsData, baseTermsData = null) {
     });
 
     if (result.status === 0) {
-      return { success: true, output: result.stdout };
+      return { success: true, output: result.stdout, warnings: result.stderr };
     } else {
       return { success: false, output: result.stdout || result.stderr };
     }
@@ -343,3 +344,352 @@ test('validateTerms: handles missing file gracefully', () => {
     fs.rmSync(tmpDir, { recursive: true, force: true });
   }
 });
+
+test('validateTerms: warns about dangling see_also references', () => {
+  const termsData = {
+    terms: [
+      {
+        slug: 'term-one',
+        term: 'First Term',
+        definition:
+          'A test definition that is long enough to pass validation requirements. Adding more text here.',
+        see_also: ['Second Term', 'Nowhere To Be Found'],
+      },
+      {
+        slug: 'term-two',
+        term: 'Second Term',
+        definition:
+          'Another test definition that is long enough to pass validation requirements. More text.',
+      },
+    ],
+  };
+
+  const result = runValidation(termsData);
+  assert.equal(result.success, true);
+  assert.match(result.warnings, /see_also 'Nowhere To Be Found' does not resolve/);
+  assert.doesNotMatch(result.warnings, /'Second Term' does not resolve/);
+});
+
+test('validateTerms: --strict fails on dangling see_also references', () => {
+  const termsData = {
+    terms: [
+      {
+        slug: 'term-one',
+        term: 'First Term',
+        definition:
+          'A test definition that is long enough to pass validation requirements. Adding more text here.',
+        see_also: ['Old Name'],
+      },
+    ],
+  };
+
+  assert.equal(runValidation(termsData, null, ['--strict']).success, false);
+
+  // Redirect sources count as valid targets
+  const withRedirect = { ...termsData, redirects: { 'old-name': 'term-one' } };
+  assert.equal(runValidation(withRedirect, null, ['--strict']).success, true);
+});
+
+test('validateTerms: --format json reports rule, slug, term index, and YAML position', () => {
+  const termsData = {
+    terms: [
+      {
+        slug: 'test-term',
+        term: 'Test Term',
+        definition:
+          'A test definition that is long enough to pass validation requirements. Adding more text here.',
+      },
+      {
+        slug: 'test-term',
+        term: 'Another Term',
+        definition:
+          'Another test definition that is long enough to pass validation requirements. More text.',
+      },
+    ],
+  };
+
+  const result = runValidation(termsData, null, ['--format', 'json']);
+  assert.equal(result.success, false);
+
+  const report = JSON.parse(result.output);
+  assert.equal(report.valid, false);
+  assert.equal(report.error_count, 1);
+
+  const [problem] = report.problems;
+  assert.equal(problem.rule_id, 'duplicate-slug');
+  assert.equal(problem.slug, 'test-term');
+  assert.equal(problem.term_index, 1);
+  assert.equal(problem.pointer, '/terms/1/slug');
+  assert.equal(
+    problem.line,
+    yaml.dump(termsData).split('\n').lastIndexOf('  - slug: test-term') + 1
+  );
+  assert.ok(problem.fix);
+});
+
+test('validateTerms: --format=sarif reports schema errors with suggested fixes', () => {
+  const termsData = {
+    terms: [
+      {
+        slug: 'Bad_Slug',
+        term: 'Bad Slug',
+        definition:
+          'A test definition that is long enough to pass validation requirements. Adding more text here.',
+      },
+    ],
+  };
+
+  const result = runValidation(termsData, null, ['--format=sarif']);
+  assert.equal(result.success, false);
+
+  const log = JSON.parse(result.output);
+  const patternResult = log.runs[0].results.find((entry) => entry.ruleId === 'schema/pattern');
+  assert.ok(patternResult, 'Should report the slug pattern violation');
+  assert.equal(patternResult.properties.termIndex, 0);
+  assert.match(patternResult.properties.suggestedFix, /kebab-case/);
+  assert.equal(patternResult.locations[0].physicalLocation.region.startLine, 2);
+});
+
+test('validateTerms: --format json passes with warnings only', () => {
+  const termsData = {
+    terms: [
+      {
+        slug: 'term-one',
+        term: 'First Term',
+        definition:
+          'A test definition that is long enough to pass validation requirements. Adding more text here.',
+        see_also: ['Nowhere To Be Found'],
+      },
+    ],
+  };
+
+  const result = runValidation(termsData, null, ['--format', 'json']);
+  assert.equal(result.success, true);
+
+  const report = JSON.parse(result.output);
+  assert.equal(report.valid, true);
+  assert.equal(report.warning_count, 1);
+  assert.equal(report.problems[0].rule_id, 'dangling-see-also');
+  assert.equal(report.problems[0].pointer, '/terms/0/see_also/0');
+});
+
+test('validateTerms: rejects unsupported --format values', () => {
+  const result = runValidation({ terms: [] }, null, ['--format', 'xml']);
+  assert.equal(result.success, false);
+  assert.match(result.output, /Unsupported --format 'xml'/);
+});
+
+test('validateTerms: text errors include a code frame pointing at terms.yaml', () => {
+  const termsData = {
+    terms: [
+      {
+        slug: 'test-term',
+        term: 'Test Term',
+        definition:
+          'A test definition that is long enough to pass validation requirements. Adding more text here.',
+      },
+      {
+        slug: 'test-term',
+        term: 'Another Term',
+        definition:
+          'Another test definition that is long enough to pass validation requirements. More text.',
+      },
+    ],
+  };
+  const line = yaml.dump(termsData).split('\n').lastIndexOf('  - slug: test-term') + 1;
+
+  const result = runValidation(termsData);
+  assert.equal(result.success, false);
+  assert.match(result.output, new RegExp(`at terms\\.yaml:${line}:5`));
+  assert.match(result.output, new RegExp(`→ ${line}:   - slug: test-term`));
+});
+
+test('validateTerms: schema errors include the YAML line in text output', () => {
+  const termsData = {
+    terms: [{ slug: 'short-def', term: 'Short Definition', definition: 'Too short' }],
+  };
+
+  const result = runValidation(termsData);
+  assert.equal(result.success, false);
+  assert.match(result.output, /Schema validation failed/);
+  assert.match(result.output, /at terms\.yaml:\d+:5/);
+  assert.match(result.output, /→ \d+: +definition: Too short/);
+});
+
+test('validateTerms: slug immutability errors point at both files', () => {
+  const definition =
+    'A test definition that is long enough to pass validation requirements. Adding more text here.';
+  const baseTermsData = { terms: [{ slug: 'old-slug', term: 'Stable Name', definition }] };
+  const termsData = { terms: [{ slug: 'new-slug', term: 'Stable Name', definition }] };
+
+  const result = runValidation(termsData, baseTermsData);
+  assert.equal(result.success, false);
+  assert.match(result.output, /Slug immutability violation/);
+  assert.match(result.output, /at terms\.yaml:2:5/);
+  assert.match(result.output, /previously base-terms\.yaml:2:5/);
+  assert.match(result.output, /→ 2: {3}- slug: old-slug/);
+});
+
+test('validateTerms: reports redirect chains and cycles', () => {
+  const definition =
+    'A test definition that is long enough to pass validation requirements. Adding more text here.';
+  const termsData = {
+    terms: [{ slug: 'final-term', term: 'Final Term', definition }],
+    redirects: {
+      'old-term': 'middle-term',
+      'middle-term': 'final-term',
+      'loop-a': 'loop-b',
+      'loop-b': 'loop-a',
+    },
+  };
+
+  const result = runValidation(termsData);
+  assert.equal(result.success, false);
+  assert.match(result.output, /Redirect chain old-term → middle-term → final-term/);
+  assert.match(result.output, /Redirect cycle loop-a → loop-b → loop-a never reaches a term/);
+  assert.doesNotMatch(result.output, /Redirect target 'middle-term' does not exist/);
+});
+
+test('validateTerms: fails when a base slug or redirect disappears', () => {
+  const definition =
+    'A test definition that is long enough to pass validation requirements. Adding more text here.';
+  const baseTermsData = {
+    terms: [
+      { slug: 'kept-term', term: 'Kept Term', definition },
+      { slug: 'deleted-term', term: 'Deleted Term', definition },
+      { slug: 'merged-term', term: 'Merged Term', definition },
+    ],
+    redirects: { 'ancient-term': 'kept-term' },
+  };
+  const termsData = {
+    terms: [{ slug: 'kept-term', term: 'Kept Term', definition }],
+    redirects: { 'merged-term': 'kept-term' },
+  };
+
+  const result = runValidation(termsData, baseTermsData, ['--format', 'json']);
+  assert.equal(result.success, false);
+  const report = JSON.parse(result.output);
+  const rules = report.problems.map((problem) => `${problem.rule_id}:${problem.message}`);
+  assert.deepEqual(rules, [
+    "slug-removed:Slug 'deleted-term' was removed without a redirect or tombstone",
+    "redirect-removed:Redirect 'ancient-term' was removed; redirects must be kept indefinitely",
+  ]);
+});
+
+test('validateTerms: --fix collapses redirect chains in terms.yaml', () => {
+  const tmpDir = fs.mkdtempSync('/tmp/validate-test-');
+  const source = [
+    'terms:',
+    '  - slug: final-term',
+    '    term: Final Term',
+    '    definition: >-',
+    '      A test definition that is long enough to pass validation requirements. Adding more text here.',
+    'redirects:',
+    '  # kept for old links',
+    '  old-term: middle-term',
+    '  middle-term: final-term',
+    '',
+  ].join('\n');
+  fs.mkdirSync(path.join(tmpDir, 'config'));
+  fs.copyFileSync(SCHEMA_PATH, path.join(tmpDir, 'config/schema.json'));
+  fs.writeFileSync(path.join(tmpDir, 'terms.yaml'), source);
+
+  try {
+    const result = spawnSync('node', [VALIDATE_SCRIPT, '--fix'], { cwd: tmpDir, encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Collapsed 1 redirect chain\(s\)/);
+    assert.equal(
+      fs.readFileSync(path.join(tmpDir, 'terms.yaml'), 'utf8'),
+      source.replace('old-term: middle-term', 'old-term: final-term')
+    );
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('validateTerms: a tombstone accounts for a deleted slug', () => {
+  const definition =
+    'A test definition that is long enough to pass validation requirements. Adding more text here.';
+  const tombstone = {
+    reason: 'Accidentally merged test entry',
+    date: '2025-01-15',
+    category: 'spam',
+  };
+  const baseTermsData = {
+    terms: [
+      { slug: 'kept-term', term: 'Kept Term', definition },
+      { slug: 'test-entry', term: 'Test Entry', definition },
+    ],
+    tombstones: { 'ancient-entry': tombstone },
+  };
+
+  const deleted = runValidation(
+    {
+      terms: [{ slug: 'kept-term', term: 'Kept Term', definition }],
+      tombstones: { 'test-entry': tombstone, 'ancient-entry': tombstone },
+    },
+    baseTermsData
+  );
+  assert.equal(deleted.success, true, deleted.output);
+
+  const dropped = runValidation(
+    {
+      terms: [{ slug: 'kept-term', term: 'Kept Term', definition }],
+      tombstones: { 'test-entry': tombstone },
+    },
+    baseTermsData
+  );
+  assert.equal(dropped.success, false);
+  assert.match(dropped.output, /Tombstone 'ancient-entry' was removed/);
+});
+
+test('validateTerms: rejects tombstones for live slugs and unknown categories', () => {
+  const definition =
+    'A test definition that is long enough to pass validation requirements. Adding more text here.';
+  const termsData = {
+    terms: [{ slug: 'kept-term', term: 'Kept Term', definition }],
+    tombstones: {
+      'kept-term': { reason: 'Marked as deleted by mistake', date: '2025-01-15', category: 'spam' },
+    },
+  };
+
+  const conflict = runValidation(termsData);
+  assert.equal(conflict.success, false);
+  assert.match(conflict.output, /Tombstone 'kept-term' conflicts with an active term slug/);
+
+  termsData.tombstones = {
+    'old-term': { reason: 'Not a policy category', date: '2025-01-15', category: 'boredom' },
+  };
+  const schema = runValidation(termsData);
+  assert.equal(schema.success, false);
+  assert.match(schema.output, /Schema validation failed/);
+});
+
+test('validateTerms: enforces status lifecycle transitions against the base', () => {
+  const definition =
+    'A test definition that is long enough to pass validation requirements. Adding more text here.';
+  const baseTermsData = {
+    terms: [
+      { slug: 'draft-term', term: 'Draft Term', definition, status: 'draft' },
+      { slug: 'stable-term', term: 'Stable Term', definition },
+      { slug: 'old-term', term: 'Old Term', definition, status: 'deprecated' },
+    ],
+  };
+  const termsData = {
+    terms: [
+      { slug: 'draft-term', term: 'Draft Term', definition, status: 'stable' },
+      { slug: 'stable-term', term: 'Stable Term', definition, status: 'draft' },
+      { slug: 'old-term', term: 'Old Term', definition },
+      { slug: 'new-term', term: 'New Term', definition, status: 'deprecated' },
+    ],
+  };
+
+  const result = runValidation(termsData, baseTermsData, ['--format', 'json']);
+  assert.equal(result.success, false);
+  const report = JSON.parse(result.output);
+  assert.deepEqual(
+    report.problems.map((problem) => `${problem.rule_id}:${problem.message}`),
+    ["status-transition:Status of 'stable-term' cannot change from 'stable' to 'draft'"]
+  );
+  assert.equal(report.problems[0].fix, 'Set status to one of: stable, deprecated');
+});
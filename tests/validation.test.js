@@ -1,6 +1,11 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { formatAjvError } = require('../utils/validation');
+const {
+  formatAjvError,
+  getAjvErrorPointer,
+  suggestAjvFix,
+  describeAjvError,
+} = require('../utils/validation');
 
 // Tests for formatAjvError with array of errors (exportTerms.js style)
 test('formatAjvError: handles empty array', () => {
@@ -131,3 +136,55 @@ test('formatAjvError: handles error with null params', () => {
   const result = formatAjvError(error);
   assert.equal(result, '/terms/0 must NOT have additional properties');
 });
+
+// Tests for structured AJV error descriptions (validateTerms.js --format json/sarif)
+
+test('getAjvErrorPointer: points additionalProperties errors at the property', () => {
+  const error = {
+    keyword: 'additionalProperties',
+    instancePath: '/terms/0',
+    params: { additionalProperty: 'extra' },
+  };
+  assert.equal(getAjvErrorPointer(error), '/terms/0/extra');
+  assert.equal(getAjvErrorPointer({ keyword: 'required', instancePath: '' }), '');
+});
+
+test('getAjvErrorPointer: escapes ~ and / in additional property names', () => {
+  const error = {
+    keyword: 'additionalProperties',
+    instancePath: '/terms/0',
+    params: { additionalProperty: 'see/also~old' },
+  };
+  assert.equal(getAjvErrorPointer(error), '/terms/0/see~1also~0old');
+});
+
+test('suggestAjvFix: suggests fixes for common schema keywords', () => {
+  assert.equal(
+    suggestAjvFix({ keyword: 'required', params: { missingProperty: 'definition' } }),
+    "Add the 'definition' property"
+  );
+  assert.match(
+    suggestAjvFix({ keyword: 'pattern', params: { pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' } }),
+    /kebab-case/
+  );
+  assert.equal(
+    suggestAjvFix({ keyword: 'minLength', params: { limit: 80 } }),
+    'Expand the value to at least 80 characters'
+  );
+  assert.equal(suggestAjvFix({ keyword: 'format', params: { format: 'uri' } }), null);
+});
+
+test('describeAjvError: returns rule id, pointer, message, and fix', () => {
+  const error = {
+    keyword: 'minLength',
+    instancePath: '/terms/2/definition',
+    params: { limit: 80 },
+    message: 'must NOT have fewer than 80 characters',
+  };
+  assert.deepEqual(describeAjvError(error), {
+    ruleId: 'schema/minLength',
+    pointer: '/terms/2/definition',
+    message: '/terms/2/definition must NOT have fewer than 80 characters (minLength 80)',
+    fix: 'Expand the value to at least 80 characters',
+  });
+});
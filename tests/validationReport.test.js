@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  describeRule,
+  countProblems,
+  formatJsonReport,
+  formatSarifReport,
+} = require('../utils/validationReport');
+
+const problems = [
+  {
+    ruleId: 'duplicate-slug',
+    level: 'error',
+    message: "term #2 slug 'a' duplicates term #1",
+    file: 'terms.yaml',
+    line: 7,
+    column: 5,
+    pointer: '/terms/1/slug',
+    slug: 'a',
+    termIndex: 1,
+    fix: 'Choose a unique slug',
+  },
+  {
+    ruleId: 'dangling-see-also',
+    level: 'warning',
+    message: "term #1 'a' see_also 'X' does not resolve",
+    file: 'terms.yaml',
+  },
+];
+
+test('describeRule: describes known, schema, and unknown rules', () => {
+  assert.match(describeRule('duplicate-slug'), /unique/);
+  assert.match(describeRule('redirect-chain'), /directly at a term/);
+  assert.match(describeRule('redirect-cycle'), /loop/);
+  assert.match(describeRule('slug-removed'), /redirect or a tombstone/);
+  assert.match(describeRule('redirect-removed'), /kept indefinitely/);
+  assert.match(describeRule('tombstone-conflict'), /active term slug/);
+  assert.match(describeRule('tombstone-removed'), /kept indefinitely/);
+  assert.match(describeRule('status-transition'), /lifecycle/);
+  assert.match(describeRule('schema/required'), /'required'/);
+  assert.equal(describeRule('custom-rule'), 'custom-rule');
+});
+
+test('countProblems: counts errors and warnings', () => {
+  assert.deepEqual(countProblems(problems), { errorCount: 1, warningCount: 1 });
+  assert.deepEqual(countProblems([]), { errorCount: 0, warningCount: 0 });
+});
+
+test('formatJsonReport: summarizes problems with null for missing fields', () => {
+  const report = JSON.parse(formatJsonReport(problems, { termsCount: 2 }));
+  assert.equal(report.valid, false);
+  assert.equal(report.terms_count, 2);
+  assert.equal(report.error_count, 1);
+  assert.equal(report.warning_count, 1);
+  assert.equal(report.problems[0].line, 7);
+  assert.equal(report.problems[0].term_index, 1);
+  assert.equal(report.problems[1].line, null);
+  assert.equal(report.problems[1].fix, null);
+});
+
+test('formatJsonReport: is valid when only warnings are present', () => {
+  const report = JSON.parse(formatJsonReport([problems[1]]));
+  assert.equal(report.valid, true);
+  assert.equal(report.terms_count, null);
+});
+
+test('formatSarifReport: emits a SARIF 2.1.0 run with rules and regions', () => {
+  const log = JSON.parse(formatSarifReport(problems));
+  assert.equal(log.version, '2.1.0');
+
+  const [run] = log.runs;
+  assert.deepEqual(
+    run.tool.driver.rules.map((rule) => rule.id),
+    ['dangling-see-also', 'duplicate-slug']
+  );
+
+  const [duplicate, dangling] = run.results;
+  assert.equal(duplicate.ruleIndex, 1);
+  assert.deepEqual(duplicate.locations[0].physicalLocation.region, {
+    startLine: 7,
+    startColumn: 5,
+  });
+  assert.deepEqual(duplicate.properties, {
+    slug: 'a',
+    termIndex: 1,
+    pointer: '/terms/1/slug',
+    suggestedFix: 'Choose a unique slug',
+  });
+  assert.match(duplicate.message.text, /Fix: Choose a unique slug$/);
+
+  assert.equal(dangling.level, 'warning');
+  assert.equal(dangling.locations[0].physicalLocation.region, undefined);
+  assert.deepEqual(dangling.properties, {});
+});
+
+test('formatSarifReport: includes related locations', () => {
+  const problem = {
+    ...problems[0],
+    ruleId: 'slug-immutability',
+    related: [{ message: 'previously', file: 'base.yaml', line: 3, column: 5 }],
+  };
+  const [result] = JSON.parse(formatSarifReport([problem])).runs[0].results;
+  assert.deepEqual(result.relatedLocations, [
+    {
+      id: 0,
+      message: { text: 'previously' },
+      physicalLocation: {
+        artifactLocation: { uri: 'base.yaml' },
+        region: { startLine: 3, startColumn: 5 },
+      },
+    },
+  ]);
+
+  const report = JSON.parse(formatJsonReport([problem]));
+  assert.equal(report.problems[0].related[0].file, 'base.yaml');
+});
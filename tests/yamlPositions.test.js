@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  escapePointerSegment,
+  parseYamlWithPositions,
+  locate,
+  formatCodeFrame,
+} = require('../utils/yamlPositions');
+
+const SOURCE = [
+  'terms:',
+  '  - slug: first-term',
+  '    term: First Term',
+  '    aliases:',
+  '      - One',
+  '      - Uno',
+  '  - slug: second-term',
+  '    definition: >-',
+  '      Folded text',
+  'redirects:',
+  '  old/name: first-term',
+  '',
+].join('\n');
+
+test('parseYamlWithPositions: returns the parsed document', () => {
+  const { data } = parseYamlWithPositions(SOURCE);
+  assert.equal(data.terms.length, 2);
+  assert.equal(data.terms[1].definition, 'Folded text');
+});
+
+test('parseYamlWithPositions: maps mapping properties to their keys', () => {
+  const { positions } = parseYamlWithPositions(SOURCE);
+  assert.deepEqual(positions.get(''), { line: 1, column: 1 });
+  assert.deepEqual(positions.get('/terms'), { line: 1, column: 1 });
+  assert.deepEqual(positions.get('/terms/0/term'), { line: 3, column: 5 });
+  assert.deepEqual(positions.get('/terms/1/definition'), { line: 8, column: 5 });
+});
+
+test('parseYamlWithPositions: maps sequence items to the item itself', () => {
+  const { positions } = parseYamlWithPositions(SOURCE);
+  assert.deepEqual(positions.get('/terms/0/aliases/1'), { line: 6, column: 9 });
+  assert.equal(positions.get('/terms/1').line, 7);
+});
+
+test('parseYamlWithPositions: escapes keys containing slashes', () => {
+  const { positions } = parseYamlWithPositions(SOURCE);
+  assert.deepEqual(positions.get('/redirects/old~1name'), { line: 11, column: 3 });
+});
+
+test('parseYamlWithPositions: throws on invalid YAML', () => {
+  assert.throws(() => parseYamlWithPositions('terms:\n  - slug: a\n bad: indent'), {
+    name: 'YAMLException',
+  });
+});
+
+test('escapePointerSegment: escapes ~ and / per RFC 6901', () => {
+  assert.equal(escapePointerSegment('a/b~c'), 'a~1b~0c');
+  assert.equal(escapePointerSegment(3), '3');
+});
+
+test('locate: falls back to the nearest ancestor', () => {
+  const { positions } = parseYamlWithPositions(SOURCE);
+  assert.deepEqual(locate(positions, '/terms/0/missing'), { line: 2, column: 5 });
+  assert.deepEqual(locate(positions, '/terms/0/aliases/1'), { line: 6, column: 9 });
+  assert.equal(locate(null, '/terms/0'), null);
+});
+
+test('formatCodeFrame: marks the line and points a caret at the column', () => {
+  const frame = formatCodeFrame(SOURCE, 3, { column: 5 });
+  assert.equal(
+    frame,
+    [
+      '  2:   - slug: first-term',
+      '→ 3:     term: First Term',
+      '         ^',
+      '  4:     aliases:',
+      '  5:       - One',
+    ].join('\n')
+  );
+});
+
+test('formatCodeFrame: clamps context to the file bounds', () => {
+  const frame = formatCodeFrame('only: line', 1, { before: 3, after: 3 });
+  assert.equal(frame, '→ 1: only: line');
+});
@@ -9,6 +9,29 @@ export interface FOSSGlossaryTerms {
      */
     [k: string]: string;
   };
+  /**
+   * Map of deleted slugs to the record of why they were removed (see docs/deletion-policy.md)
+   */
+  tombstones?: {
+    /**
+     * This interface was referenced by `undefined`'s JSON-Schema definition
+     * via the `patternProperty` "^[a-z0-9]+(?:-[a-z0-9]+)*$".
+     */
+    [k: string]: {
+      /**
+       * Why the term was removed, ideally linking the approval issue
+       */
+      reason: string;
+      /**
+       * Removal date (YYYY-MM-DD, quoted in YAML)
+       */
+      date: string;
+      /**
+       * Deletion policy category
+       */
+      category: 'duplicate' | 'policy-violation' | 'spam' | 'legal';
+    };
+  };
   terms: {
     /**
      * Stable identifier for the glossary term
@@ -46,5 +69,31 @@ export interface FOSSGlossaryTerms {
      * How controversial is this term?
      */
     controversy_level?: 'low' | 'medium' | 'high';
+    /**
+     * Lifecycle status: draft terms are not yet vetted; stable when omitted
+     */
+    status?: 'draft' | 'stable' | 'deprecated';
+    /**
+     * Set by tools that generate content with a model; marks the term as AI-assisted
+     */
+    provenance?: {
+      /**
+       * Script or endpoint that generated the content
+       */
+      generator: string;
+      /**
+       * Model name (letters, digits, and . _ : / @ + -)
+       */
+      model: string;
+      /**
+       * SHA-256 hex digest of the prompt
+       */
+      prompt_hash: string;
+      generated_at: string;
+      /**
+       * GitHub username of the human who reviewed the content
+       */
+      reviewed_by?: string;
+    };
   }[];
 }
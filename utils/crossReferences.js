@@ -0,0 +1,120 @@
+/**
+ * Cross-reference resolution for FOSS Glossary
+ *
+ * This module maps free-text `see_also` entries to term slugs by comparing
+ * normalized names against every term name, alias, slug, and redirect.
+ */
+
+const { normalizeName } = require('./normalization');
+
+/**
+ * Build a lookup of normalized names to the slug they refer to
+ * Term names and aliases win over slugs, and slugs win over redirect sources,
+ * so an active term is never shadowed by a redirect with a similar name
+ *
+ * @param {Object[]} terms - Array of term objects
+ * @param {Object<string, string>} [redirects={}] - Map of old slugs to current slugs
+ * @returns {Map<string, string>} Map of normalized name to slug
+ */
+function buildReferenceIndex(terms, redirects = {}) {
+  const index = new Map();
+  const add = (name, slug) => {
+    const key = normalizeName(name);
+    if (key && !index.has(key)) {
+      index.set(key, slug);
+    }
+  };
+
+  const validTerms = (terms || []).filter(
+    (term) => term && typeof term === 'object' && typeof term.slug === 'string' && term.slug
+  );
+
+  for (const term of validTerms) {
+    add(term.term, term.slug);
+    if (Array.isArray(term.aliases)) {
+      term.aliases.forEach((alias) => add(alias, term.slug));
+    }
+  }
+  for (const term of validTerms) {
+    add(term.slug, term.slug);
+  }
+  for (const [oldSlug, newSlug] of Object.entries(redirects || {})) {
+    add(oldSlug, newSlug);
+  }
+
+  return index;
+}
+
+/**
+ * Resolve a single cross-reference entry to a slug
+ *
+ * @param {string} entry - Free-text see_also entry (e.g. "Single Point of Failure")
+ * @param {Map<string, string>} index - Lookup built by buildReferenceIndex()
+ * @returns {string|null} Resolved slug, or null if the entry is dangling
+ */
+function resolveReference(entry, index) {
+  const key = normalizeName(entry);
+  return (key && index.get(key)) || null;
+}
+
+/**
+ * Resolve the see_also entries of every term
+ * Self-references and duplicates are dropped from the resolved slug lists
+ *
+ * @param {Object[]} terms - Array of term objects
+ * @param {Object<string, string>} [redirects={}] - Map of old slugs to current slugs
+ * @returns {Object} Object with `resolved` (Map of slug to resolved slugs) and
+ *   `dangling` (array of { slug, index, entryIndex, entry } for entries that match nothing)
+ */
+function resolveSeeAlso(terms, redirects = {}) {
+  const index = buildReferenceIndex(terms, redirects);
+  const resolved = new Map();
+  const dangling = [];
+
+  (terms || []).forEach((term, termIndex) => {
+    if (!term || typeof term !== 'object' || !Array.isArray(term.see_also)) {
+      return;
+    }
+
+    const slugs = [];
+    term.see_also.forEach((entry, entryIndex) => {
+      const slug = resolveReference(entry, index);
+      if (!slug) {
+        dangling.push({ slug: term.slug, index: termIndex, entryIndex, entry });
+      } else if (slug !== term.slug && !slugs.includes(slug)) {
+        slugs.push(slug);
+      }
+    });
+    resolved.set(term.slug, slugs);
+  });
+
+  return { resolved, dangling };
+}
+
+/**
+ * Follow a redirect chain to the slug of an existing term
+ *
+ * @param {string} slug - Redirect source slug
+ * @param {Object<string, string>} redirects - Map of old slugs to current slugs
+ * @param {Set<string>} slugs - Slugs of existing terms
+ * @returns {string|null} Current slug, or null for dangling or cyclic chains
+ */
+function resolveRedirectTarget(slug, redirects, slugs) {
+  const seen = new Set();
+  let current = slug;
+  while (Object.prototype.hasOwnProperty.call(redirects || {}, current) && !seen.has(current)) {
+    seen.add(current);
+    current = redirects[current];
+    if (slugs.has(current)) {
+      return current;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  buildReferenceIndex,
+  resolveReference,
+  resolveSeeAlso,
+  resolveRedirectTarget,
+};
@@ -0,0 +1,102 @@
+/**
+ * Validation of a single draft term against the glossary
+ *
+ * Checks a submission before it becomes a pull request: the draft must match
+ * the term schema in config/schema.json, and its slug, name, and aliases must
+ * not collide with the glossary's terms, redirects, or tombstones. Problems use
+ * the { ruleId, level, message, pointer, fix } shape of scripts/validateTerms.js,
+ * with pointers relative to the draft.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const schema = require('../config/schema.json');
+const { describeAjvError } = require('./validation');
+const { normalizeName } = require('./normalization');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validateTermSchema = ajv.compile(schema.properties.terms.items);
+
+/**
+ * Validate a draft term
+ *
+ * @param {*} draft - Draft term object
+ * @param {Object} [glossary] - Existing glossary to check for duplicates
+ * @param {Object[]} [glossary.terms=[]] - Existing terms
+ * @param {Object<string, string>} [glossary.redirects={}] - Map of old slugs to current slugs
+ * @param {Object<string, Object>|Object[]} [glossary.tombstones={}] - Deleted slugs, as the
+ *   terms.yaml map or the export's array of { slug, ... } records
+ * @returns {Object[]} Problems, empty if the draft is valid
+ */
+function validateDraftTerm(draft, { terms = [], redirects = {}, tombstones = {} } = {}) {
+  if (!validateTermSchema(draft)) {
+    return validateTermSchema.errors.map((error) => ({
+      level: 'error',
+      ...describeAjvError(error),
+    }));
+  }
+
+  const problems = [];
+  const existing = terms.find((term) => term.slug === draft.slug);
+  const tombstoned = Array.isArray(tombstones)
+    ? tombstones.some((tombstone) => tombstone.slug === draft.slug)
+    : Object.prototype.hasOwnProperty.call(tombstones || {}, draft.slug);
+
+  if (existing) {
+    problems.push({
+      ruleId: 'duplicate-slug',
+      level: 'error',
+      message: `slug '${draft.slug}' is already used by term '${existing.term}'`,
+      pointer: '/slug',
+      fix: `Choose a unique slug; '${draft.slug}' is already used by '${existing.term}'`,
+    });
+  } else if (Object.prototype.hasOwnProperty.call(redirects || {}, draft.slug)) {
+    problems.push({
+      ruleId: 'duplicate-slug',
+      level: 'error',
+      message: `slug '${draft.slug}' redirects to '${redirects[draft.slug]}'`,
+      pointer: '/slug',
+      fix: `Choose another slug; old slugs keep redirecting to the terms that replaced them`,
+    });
+  } else if (tombstoned) {
+    problems.push({
+      ruleId: 'tombstoned-slug',
+      level: 'error',
+      message: `slug '${draft.slug}' belongs to a deleted term`,
+      pointer: '/slug',
+      fix: 'Choose another slug; deleted slugs are never reused (see docs/deletion-policy.md)',
+    });
+  }
+
+  const names = new Map();
+  for (const term of terms) {
+    for (const name of [term.term, ...(term.aliases || [])]) {
+      const key = normalizeName(name);
+      if (key && !names.has(key)) {
+        names.set(key, { slug: term.slug, label: name });
+      }
+    }
+  }
+
+  const checkName = (raw, label, pointer) => {
+    const match = names.get(normalizeName(raw));
+    if (match) {
+      problems.push({
+        ruleId: 'duplicate-name',
+        level: 'error',
+        message: `${label} '${raw}' conflicts with '${match.label}' (${match.slug})`,
+        pointer,
+        fix: `Remove or rename the ${label}, or improve the existing term '${match.slug}' instead`,
+      });
+    }
+  };
+  checkName(draft.term, 'term', '/term');
+  (draft.aliases || []).forEach((alias, index) => checkName(alias, 'alias', `/aliases/${index}`));
+
+  return problems;
+}
+
+module.exports = {
+  validateDraftTerm,
+};
@@ -0,0 +1,234 @@
+/**
+ * Term embeddings for semantic retrieval
+ *
+ * Each term is embedded from its name, aliases, tags, definition, and
+ * explanation. The index stores one vector per slug together with a hash of
+ * that text, so rebuilding it only re-embeds terms whose content changed.
+ *
+ * Embeddings come from a pluggable backend:
+ * - 'llm': the embeddings endpoint of the configured LLM provider
+ *   (config/llm.json `embedding_model`, including local servers)
+ * - 'hash': deterministic feature hashing that needs no model, for tests and
+ *   offline use (it only captures shared words, not meaning)
+ */
+
+const crypto = require('crypto');
+const { createProvider } = require('./llm');
+
+const EMBEDDING_BACKENDS = ['llm', 'hash'];
+const DEFAULT_BACKEND = 'llm';
+const HASH_DIMENSIONS = 256;
+const EMBED_BATCH_SIZE = 64;
+const VECTOR_PRECISION = 1e6;
+
+/**
+ * Build the text a term is embedded from
+ *
+ * @param {Object} term - Term object
+ * @returns {string} Text describing the term
+ */
+function termEmbeddingText(term) {
+  return [
+    term.term,
+    term.aliases && term.aliases.length > 0 ? `Also known as: ${term.aliases.join(', ')}` : '',
+    term.tags && term.tags.length > 0 ? `Tags: ${term.tags.join(', ')}` : '',
+    term.definition,
+    term.explanation,
+  ]
+    .filter(Boolean)
+    .map((part) => String(part).trim())
+    .join('\n');
+}
+
+/**
+ * Hash the embedded text of a term (the embedding cache key)
+ *
+ * @param {Object} term - Term object
+ * @returns {string} Lowercase hex SHA-256 digest
+ */
+function hashTermContent(term) {
+  return crypto.createHash('sha256').update(termEmbeddingText(term), 'utf8').digest('hex');
+}
+
+/**
+ * Scale a vector to unit length
+ *
+ * @param {number[]} vector - Vector
+ * @returns {number[]} Normalized vector (unchanged if all zeros)
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length === 0 ? vector : vector.map((value) => value / length);
+}
+
+/**
+ * Cosine similarity of two vectors
+ *
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} Similarity from -1 to 1 (0 if either vector is empty or all zeros)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Embed a text by hashing its words and word pairs into a fixed number of buckets
+ *
+ * @param {string} text - Text to embed
+ * @param {number} [dimensions=HASH_DIMENSIONS] - Vector length
+ * @returns {number[]} Unit-length vector
+ */
+function hashEmbedding(text, dimensions = HASH_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 2);
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  for (const feature of features) {
+    const digest = crypto.createHash('sha256').update(feature, 'utf8').digest();
+    const bucket = digest.readUInt32BE(0) % dimensions;
+    vector[bucket] += digest[4] & 1 ? 1 : -1;
+  }
+  return normalizeVector(vector);
+}
+
+/**
+ * Create an embedder for the given backend
+ *
+ * @param {Object} [options] - Embedder options
+ * @param {string} [options.backend] - 'llm' or 'hash' (defaults to EMBEDDINGS_BACKEND or 'llm')
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {Object} [options.provider] - LLM provider to use for the 'llm' backend
+ * @returns {Object} Embedder with backend, model, usage (llm only), and embed(texts)
+ * @throws {Error} If the backend is unknown or the provider cannot create embeddings
+ */
+function createEmbedder({ backend, env = process.env, provider } = {}) {
+  const name = backend || env.EMBEDDINGS_BACKEND || DEFAULT_BACKEND;
+  if (!EMBEDDING_BACKENDS.includes(name)) {
+    throw new Error(
+      `Unknown embeddings backend '${name}' (expected one of: ${EMBEDDING_BACKENDS.join(', ')})`
+    );
+  }
+
+  if (name === 'hash') {
+    return {
+      backend: 'hash',
+      model: `hash-${HASH_DIMENSIONS}`,
+      usage: null,
+      embed: async (texts) => texts.map((text) => hashEmbedding(text)),
+    };
+  }
+
+  const llm = provider || createProvider('embeddings', { env });
+  if (typeof llm.embed !== 'function') {
+    throw new Error(
+      `The '${llm.name}' LLM provider cannot create embeddings; set EMBEDDINGS_BACKEND=hash`
+    );
+  }
+  return {
+    backend: 'llm',
+    model: llm.embeddingModel,
+    usage: llm.usage,
+    async embed(texts) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+        vectors.push(...(await llm.embed(texts.slice(i, i + EMBED_BATCH_SIZE))));
+      }
+      return vectors;
+    },
+  };
+}
+
+/**
+ * Round vector components so the index stays small and diffs stay stable
+ *
+ * @param {number[]} vector - Vector
+ * @returns {number[]} Rounded vector
+ */
+function roundVector(vector) {
+  return vector.map((value) => Math.round(value * VECTOR_PRECISION) / VECTOR_PRECISION);
+}
+
+/**
+ * Build an embeddings index for the terms
+ * Vectors from the cache (a previous index) are reused when the term's content
+ * hash and the embedding model are unchanged; only the rest are embedded.
+ *
+ * @param {Object[]} terms - Terms to index
+ * @param {Object} embedder - Embedder from createEmbedder()
+ * @param {Object} [options] - Build options
+ * @param {Object} [options.cache] - Previous index to reuse vectors from
+ * @returns {Promise<Object>} Object with index ({ backend, model, dimensions, terms:
+ *   [{ slug, content_hash, vector }] }) and stats ({ embedded, reused })
+ */
+async function buildEmbeddingIndex(terms, embedder, { cache } = {}) {
+  const cached = new Map();
+  if (cache && cache.backend === embedder.backend && cache.model === embedder.model) {
+    for (const entry of cache.terms || []) {
+      cached.set(entry.content_hash, entry.vector);
+    }
+  }
+
+  const entries = terms.map((term) => ({
+    slug: term.slug,
+    content_hash: hashTermContent(term),
+    text: termEmbeddingText(term),
+  }));
+  const pending = entries.filter((entry) => !cached.has(entry.content_hash));
+  const vectors =
+    pending.length > 0 ? await embedder.embed(pending.map((entry) => entry.text)) : [];
+  pending.forEach((entry, i) => cached.set(entry.content_hash, roundVector(vectors[i])));
+
+  const indexTerms = entries.map(({ slug, content_hash }) => ({
+    slug,
+    content_hash,
+    vector: cached.get(content_hash),
+  }));
+  return {
+    index: {
+      backend: embedder.backend,
+      model: embedder.model,
+      dimensions: indexTerms.length > 0 ? indexTerms[0].vector.length : 0,
+      terms: indexTerms,
+    },
+    stats: { embedded: pending.length, reused: entries.length - pending.length },
+  };
+}
+
+/**
+ * Rank indexed terms by similarity to a query vector
+ *
+ * @param {number[]} queryVector - Embedded query
+ * @param {Object} index - Index from buildEmbeddingIndex()
+ * @returns {Object[]} Array of { slug, similarity } sorted by similarity descending
+ */
+function rankBySimilarity(queryVector, index) {
+  return index.terms
+    .map((entry) => ({ slug: entry.slug, similarity: cosineSimilarity(queryVector, entry.vector) }))
+    .sort((a, b) => b.similarity - a.similarity || a.slug.localeCompare(b.slug));
+}
+
+module.exports = {
+  EMBEDDING_BACKENDS,
+  HASH_DIMENSIONS,
+  termEmbeddingText,
+  hashTermContent,
+  cosineSimilarity,
+  hashEmbedding,
+  createEmbedder,
+  buildEmbeddingIndex,
+  rankBySimilarity,
+};
@@ -8,6 +8,7 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const { parseYamlWithPositions } = require('./yamlPositions');
 
 /**
  * Ensure that the directory for a given file path exists
@@ -24,14 +25,22 @@ function ensureDirectoryForFile(filePath) {
 
 /**
  * Load and parse a YAML file
+ * With `positions: true`, also returns a JSON pointer → line/column map and the
+ * raw source so callers can point errors at the exact line
  *
  * @param {string} filePath - Path to the YAML file
- * @returns {*} Parsed YAML content
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.positions=false] - Return { data, positions, source } instead of data
+ * @returns {*} Parsed YAML content, or { data, positions, source } when positions are requested
  * @throws {Error} If file cannot be read or parsed
  */
-function loadYaml(filePath) {
+function loadYaml(filePath, options = {}) {
   try {
-    return yaml.load(fs.readFileSync(filePath, 'utf8'));
+    const source = fs.readFileSync(filePath, 'utf8');
+    if (options.positions) {
+      return { ...parseYamlWithPositions(source), source };
+    }
+    return yaml.load(source);
   } catch (error) {
     console.error(`❌ Error: Failed to read ${filePath}:`, error.message);
     process.exit(1);
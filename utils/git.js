@@ -7,6 +7,10 @@
 
 const { execSync } = require('child_process');
 
+// Field and record separators used to parse `git log` output unambiguously
+const LOG_FIELD_SEPARATOR = '\x1f';
+const LOG_RECORD_SEPARATOR = '\x1e';
+
 /**
  * Get the short Git SHA of the current HEAD commit
  * Returns a default value if Git is not available or the command fails
@@ -22,6 +26,88 @@ function getGitSha(defaultValue = 'unknown') {
   }
 }
 
+/**
+ * List the commits that touched a file, oldest first
+ * Returns an empty array if Git is not available or the file has no history
+ *
+ * @param {string} filePath - Repository-relative path of the file
+ * @returns {Object[]} Array of commits with sha, date (ISO-8601 UTC) and author
+ */
+function getFileRevisions(filePath) {
+  let output;
+  try {
+    output = execSync(
+      `git log --reverse --format=%H${LOG_FIELD_SEPARATOR}%cI${LOG_FIELD_SEPARATOR}%an${LOG_RECORD_SEPARATOR} -- "${filePath}"`,
+      { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 }
+    );
+  } catch {
+    return [];
+  }
+
+  return output
+    .split(LOG_RECORD_SEPARATOR)
+    .map((record) => record.trim())
+    .filter(Boolean)
+    .map((record) => {
+      const [sha, date, author] = record.split(LOG_FIELD_SEPARATOR);
+      return { sha, date: new Date(date).toISOString(), author };
+    });
+}
+
+/**
+ * Read the contents of a file as it existed at a given commit
+ *
+ * @param {string} sha - Commit SHA to read from
+ * @param {string} filePath - Repository-relative path of the file
+ * @returns {string|null} File contents, or null if the file did not exist at that commit
+ */
+function readFileAtRevision(sha, filePath) {
+  try {
+    return execSync(`git show ${sha}:"${filePath}"`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the author of every line of a file according to `git blame`
+ * Returns an empty map if Git is not available or the file is not tracked
+ *
+ * @param {string} filePath - Repository-relative path of the file
+ * @returns {Map<number, string>} Map of 1-based line number to author name
+ */
+function getBlameAuthors(filePath) {
+  let output;
+  try {
+    output = execSync(`git blame --line-porcelain -- "${filePath}"`, {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch {
+    return new Map();
+  }
+
+  const authors = new Map();
+  let line = null;
+  for (const row of output.split('\n')) {
+    const header = /^[0-9a-f]{40} \d+ (\d+)/.exec(row);
+    if (header) {
+      line = Number(header[1]);
+    } else if (line !== null && row.startsWith('author ')) {
+      authors.set(line, row.slice('author '.length));
+    }
+  }
+  return authors;
+}
+
 module.exports = {
   getGitSha,
+  getFileRevisions,
+  readFileAtRevision,
+  getBlameAuthors,
 };
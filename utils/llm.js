@@ -0,0 +1,481 @@
+/**
+ * Shared LLM provider layer for FOSS Glossary
+ *
+ * Every AI script gets its client from createProvider(scope) instead of
+ * building its own. Settings come from config/llm.json (or the file named by
+ * LLM_CONFIG), with per-scope overrides under `scopes`, and can be overridden
+ * per run with environment variables:
+ *
+ * - LLM_PROVIDER: 'openai' (any OpenAI-compatible endpoint) or 'replay'
+ * - LLM_BASE_URL, LLM_MODEL, LLM_EMBEDDING_MODEL, LLM_API_KEY, LLM_TIMEOUT, LLM_MAX_RETRIES
+ * - LLM_FIXTURES: fixture file for the replay provider
+ * - <SCRIPT>_BASE_URL, <SCRIPT>_MODEL, <SCRIPT>_TIMEOUT: per-script overrides
+ *   (e.g. ASK_GLOSSARY_MODEL), which win over the LLM_* variables
+ *
+ * Local servers such as llama.cpp (http://localhost:8080/v1) or Ollama
+ * (http://localhost:11434/v1) need no API key.
+ *
+ * Providers expose complete({ messages, temperature, maxTokens }) and, when the
+ * endpoint supports it, embed(texts), and keep a running token count in
+ * provider.usage.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const defaultConfig = require('../config/llm.json');
+
+const PROVIDER_NAMES = ['openai', 'replay'];
+
+// Legacy per-script environment variable prefixes
+const ENV_PREFIXES = {
+  askGlossary: 'ASK_GLOSSARY',
+  draftTerm: 'DRAFT_TERM',
+  suggestLinks: 'SUGGEST_LINKS',
+  translateTerms: 'TRANSLATE_TERMS',
+  generateChallenge: 'CHALLENGE_GENERATOR',
+  generateScenario: 'SCENARIO_GENERATOR',
+  trendWatcher: 'TREND_WATCHER',
+};
+
+const RETRYABLE_STATUSES = new Set([408, 409, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'ETIMEDOUT']);
+const MAX_RETRY_DELAY = 30000;
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]', '0.0.0.0']);
+
+class LlmError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status of the failed request
+   * @param {string} [details.code] - Network error code
+   * @param {number} [details.retryAfter] - Delay requested by the server (ms)
+   */
+  constructor(message, { status, code, retryAfter } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Parse a positive integer from an environment variable
+ *
+ * @param {string|undefined} value - Raw value
+ * @returns {number|undefined} Parsed integer, or undefined if unset or invalid
+ */
+function parseInteger(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+/**
+ * Return the first value that is not undefined, null, or an empty string
+ *
+ * @param {...*} values - Candidate values in priority order
+ * @returns {*} First defined value
+ */
+function firstDefined(...values) {
+  return values.find((value) => value !== undefined && value !== null && value !== '');
+}
+
+/**
+ * Check whether an endpoint is a local server that needs no API key
+ *
+ * @param {string} baseUrl - Endpoint base URL
+ * @returns {boolean} True for localhost addresses
+ */
+function isLocalEndpoint(baseUrl) {
+  try {
+    return LOCAL_HOSTS.has(new URL(baseUrl).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolve the LLM settings for a script
+ *
+ * @param {string} scope - Script name (e.g. 'askGlossary'); selects `scopes.<scope>` and
+ *   the legacy <SCRIPT>_* environment variables
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.configPath] - Config file path (defaults to LLM_CONFIG or
+ *   config/llm.json)
+ * @returns {Object} Config with provider, baseUrl, apiKey, model, embeddingModel, timeoutMs,
+ *   maxRetries, retryDelayMs, and fixtures
+ * @throws {LlmError} If the config file cannot be read, the provider is unknown, or a
+ *   remote endpoint has no API key
+ */
+function loadLlmConfig(scope, { env = process.env, configPath = env.LLM_CONFIG } = {}) {
+  let file = defaultConfig;
+  if (configPath) {
+    try {
+      file = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new LlmError(`Cannot read LLM config ${configPath}: ${error.message}`);
+    }
+  }
+  const settings = { ...file, ...((file.scopes && file.scopes[scope]) || {}) };
+  const prefix = ENV_PREFIXES[scope];
+  const scoped = (name) => (prefix ? env[`${prefix}_${name}`] : undefined);
+
+  const config = {
+    provider: firstDefined(env.LLM_PROVIDER, settings.provider, 'openai'),
+    baseUrl: firstDefined(scoped('BASE_URL'), env.LLM_BASE_URL, settings.base_url),
+    model: firstDefined(scoped('MODEL'), env.LLM_MODEL, settings.model),
+    embeddingModel: firstDefined(env.LLM_EMBEDDING_MODEL, settings.embedding_model),
+    timeoutMs: firstDefined(
+      parseInteger(scoped('TIMEOUT')),
+      parseInteger(env.LLM_TIMEOUT),
+      settings.timeout_ms
+    ),
+    maxRetries: firstDefined(parseInteger(env.LLM_MAX_RETRIES), settings.max_retries, 0),
+    retryDelayMs: firstDefined(settings.retry_delay_ms, 1000),
+    fixtures: firstDefined(env.LLM_FIXTURES, settings.fixtures),
+    apiKey: firstDefined(env.LLM_API_KEY, settings.api_key_env && env[settings.api_key_env]),
+  };
+
+  if (!PROVIDER_NAMES.includes(config.provider)) {
+    throw new LlmError(
+      `Unknown LLM provider '${config.provider}' (expected one of: ${PROVIDER_NAMES.join(', ')})`
+    );
+  }
+  if (config.provider === 'openai') {
+    if (!config.baseUrl || !config.model) {
+      throw new LlmError('LLM config needs a base_url and a model');
+    }
+    if (!config.apiKey && settings.api_key_env && !isLocalEndpoint(config.baseUrl)) {
+      throw new LlmError(
+        `${settings.api_key_env} environment variable is required for ${config.baseUrl} ` +
+          '(or set LLM_API_KEY)'
+      );
+    }
+  }
+  return config;
+}
+
+/**
+ * Create an empty token usage counter
+ *
+ * @returns {Object} Usage with requests, prompt_tokens, completion_tokens, total_tokens
+ */
+function createUsage() {
+  return { requests: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+}
+
+/**
+ * Add one response's token usage to a running total
+ * Servers that do not report usage only increase the request count
+ *
+ * @param {Object} total - Usage counter (mutated)
+ * @param {Object} [usage] - Usage from the response
+ */
+function addUsage(total, usage) {
+  total.requests += 1;
+  if (!usage) {
+    return;
+  }
+  const prompt = usage.prompt_tokens || 0;
+  const completion = usage.completion_tokens || 0;
+  total.prompt_tokens += prompt;
+  total.completion_tokens += completion;
+  total.total_tokens += usage.total_tokens || prompt + completion;
+}
+
+/**
+ * Format a usage counter for logs
+ *
+ * @param {Object} usage - Usage counter from provider.usage
+ * @returns {string} Summary line
+ */
+function formatUsage(usage) {
+  const requests = `${usage.requests} request${usage.requests === 1 ? '' : 's'}`;
+  return (
+    `🔢 LLM usage: ${requests}, ${usage.prompt_tokens} prompt + ` +
+    `${usage.completion_tokens} completion = ${usage.total_tokens} tokens`
+  );
+}
+
+/**
+ * Compute the delay before a retry (exponential backoff, capped)
+ *
+ * @param {number} attempt - Retry number, starting at 0
+ * @param {number} baseDelayMs - Delay before the first retry
+ * @param {number} [retryAfterMs] - Delay requested by the server, which wins if longer
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempt, baseDelayMs, retryAfterMs = 0) {
+  return Math.min(Math.max(baseDelayMs * 2 ** attempt, retryAfterMs), MAX_RETRY_DELAY);
+}
+
+/**
+ * Check whether a failed request is worth retrying
+ *
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean} True for rate limits, server errors, timeouts, and network errors
+ */
+function isRetryable(error) {
+  return RETRYABLE_STATUSES.has(error.status) || RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Run a request with retries and exponential backoff
+ *
+ * @param {Function} request - Async function performing one attempt
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.retryDelayMs - Delay before the first retry
+ * @param {Function} [options.sleep] - Async delay function (injectable for tests)
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error once retries are exhausted or the error is not retryable
+ */
+async function withRetries(request, { maxRetries, retryDelayMs, sleep = defaultSleep }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        throw error;
+      }
+      await sleep(retryDelay(attempt, retryDelayMs, error.retryAfter));
+    }
+  }
+}
+
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Turn an HTTP or network failure into an LlmError with an actionable message
+ *
+ * @param {Object} failure - Failure details
+ * @param {number} [failure.status] - HTTP status
+ * @param {string} [failure.code] - Network error code
+ * @param {string} [failure.detail] - Response body or error message
+ * @param {number} [failure.retryAfter] - Delay requested by the server (ms)
+ * @param {Object} config - Provider config
+ * @returns {LlmError} Error to throw
+ */
+function describeFailure({ status, code, detail, retryAfter }, config) {
+  let message;
+  if (status === 401 || status === 403) {
+    message = `Authentication failed for ${config.baseUrl}. Please check your API key.`;
+  } else if (status === 429) {
+    message = 'Rate limit exceeded. Please wait a moment and try again.';
+  } else if (status >= 500) {
+    message = `AI service temporarily unavailable (HTTP ${status}). Please try again later.`;
+  } else if (status) {
+    message = `AI API error (HTTP ${status}): ${detail}`;
+  } else if (code === 'ETIMEDOUT') {
+    message = `Request timed out after ${config.timeoutMs}ms. The AI service may be busy.`;
+  } else {
+    message = `Network error calling ${config.baseUrl}: ${detail}`;
+  }
+  return new LlmError(message, { status, code, retryAfter });
+}
+
+/**
+ * Extract the message content from a chat completion response
+ *
+ * @param {Object} response - Parsed chat completion response
+ * @returns {string} Trimmed message content
+ * @throws {LlmError} If the response has no choices or no content
+ */
+function readCompletion(response) {
+  if (!response || !Array.isArray(response.choices) || response.choices.length === 0) {
+    throw new LlmError('AI response did not contain any choices');
+  }
+  const content = response.choices[0].message?.content;
+  if (!content) {
+    throw new LlmError('AI response did not contain message content');
+  }
+  return content.trim();
+}
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions endpoint
+ *
+ * @param {Object} config - Config from loadLlmConfig()
+ * @param {Object} [deps] - Injectable dependencies
+ * @param {Function} [deps.fetch=globalThis.fetch] - fetch implementation
+ * @param {Function} [deps.sleep] - Async delay used between retries
+ * @returns {Object} Provider with name, model, embeddingModel, usage, complete(), and embed()
+ */
+function createOpenAiProvider(config, { fetch = globalThis.fetch, sleep } = {}) {
+  const baseUrl = config.baseUrl.replace(/\/+$/, '');
+  const usage = createUsage();
+
+  async function attempt(endpoint, body) {
+    let response;
+    try {
+      response = await fetch(`${baseUrl}/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}),
+        },
+        body: JSON.stringify(body),
+        signal: config.timeoutMs ? AbortSignal.timeout(config.timeoutMs) : undefined,
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      const code = timedOut ? 'ETIMEDOUT' : error.cause?.code || 'ECONNRESET';
+      throw describeFailure({ code, detail: error.cause?.message || error.message }, config);
+    }
+
+    if (!response.ok) {
+      const retryAfter = Number(response.headers?.get?.('retry-after')) * 1000 || undefined;
+      const detail = await response.text().catch(() => '');
+      throw describeFailure({ status: response.status, detail, retryAfter }, config);
+    }
+    return response.json();
+  }
+
+  return {
+    name: 'openai',
+    model: config.model,
+    embeddingModel: config.embeddingModel,
+    usage,
+    /**
+     * Run a chat completion
+     *
+     * @param {Object} request - Completion request
+     * @param {Object[]} request.messages - Chat messages ({ role, content })
+     * @param {number} [request.temperature] - Sampling temperature
+     * @param {number} [request.maxTokens] - Maximum completion tokens
+     * @returns {Promise<Object>} Object with content (trimmed text) and usage (this request)
+     */
+    async complete({ messages, temperature, maxTokens }) {
+      const body = { model: config.model, messages };
+      if (temperature !== undefined) body.temperature = temperature;
+      if (maxTokens !== undefined) body.max_tokens = maxTokens;
+
+      const response = await withRetries(() => attempt('chat/completions', body), {
+        maxRetries: config.maxRetries,
+        retryDelayMs: config.retryDelayMs,
+        sleep,
+      });
+      addUsage(usage, response.usage);
+      return { content: readCompletion(response), usage: response.usage || null };
+    },
+    /**
+     * Embed texts with the configured embedding model
+     *
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text, in input order
+     * @throws {LlmError} If no embedding model is configured or the response is malformed
+     */
+    async embed(texts) {
+      if (!config.embeddingModel) {
+        throw new LlmError('LLM config needs an embedding_model to create embeddings');
+      }
+      const body = { model: config.embeddingModel, input: texts };
+      const response = await withRetries(() => attempt('embeddings', body), {
+        maxRetries: config.maxRetries,
+        retryDelayMs: config.retryDelayMs,
+        sleep,
+      });
+      addUsage(usage, response.usage);
+      if (!response || !Array.isArray(response.data) || response.data.length !== texts.length) {
+        throw new LlmError(`Embedding response did not contain ${texts.length} vectors`);
+      }
+      return [...response.data]
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map((item) => item.embedding);
+    },
+  };
+}
+
+/**
+ * Hash a request's messages so fixtures can be matched exactly
+ *
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} Lowercase hex SHA-256 digest
+ */
+function hashMessages(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages), 'utf8').digest('hex');
+}
+
+/**
+ * Create a deterministic provider that answers from fixtures instead of a model
+ *
+ * Fixtures are { responses: [{ match?, content, usage? }] } (or the file named by
+ * config.fixtures). A response is used when its `match` is the request hash (see
+ * hashMessages()) or a substring of the prompt; entries without `match` answer any
+ * request. The first matching entry wins, so the same prompt always gets the same
+ * answer. Object contents are returned as JSON.
+ *
+ * @param {Object} config - Config from loadLlmConfig(), or { model, fixtures }
+ * @returns {Object} Provider with name, model, usage, and complete()
+ * @throws {LlmError} If the fixture file cannot be read
+ */
+function createReplayProvider(config) {
+  let fixtures = config.fixtures;
+  if (typeof fixtures === 'string') {
+    try {
+      fixtures = JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+    } catch (error) {
+      throw new LlmError(`Cannot read LLM fixtures ${config.fixtures}: ${error.message}`);
+    }
+  }
+  const responses = (fixtures && fixtures.responses) || [];
+  const usage = createUsage();
+
+  return {
+    name: 'replay',
+    model: config.model || 'replay',
+    usage,
+    async complete({ messages }) {
+      const hash = hashMessages(messages);
+      const prompt = messages.map((message) => message.content).join('\n\n');
+      const fixture = responses.find(
+        ({ match }) => !match || match === hash || prompt.includes(match)
+      );
+      if (!fixture) {
+        throw new LlmError(`No LLM fixture matches this request (hash ${hash})`);
+      }
+      const content =
+        typeof fixture.content === 'string' ? fixture.content : JSON.stringify(fixture.content);
+      addUsage(usage, fixture.usage);
+      return { content: readCompletion({ choices: [{ message: { content } }] }), usage: null };
+    },
+  };
+}
+
+/**
+ * Create the provider configured for a script
+ *
+ * @param {string} scope - Script name (see loadLlmConfig())
+ * @param {Object} [options] - Provider options
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {Object} [options.config] - Pre-resolved config (skips loadLlmConfig())
+ * @param {Function} [options.fetch] - fetch implementation for the openai provider
+ * @param {Function} [options.sleep] - Async delay used between retries
+ * @returns {Object} Provider with name, model, usage, and complete()
+ * @throws {LlmError} If the configuration is invalid
+ */
+function createProvider(scope, { env = process.env, config, fetch, sleep } = {}) {
+  const resolved = config || loadLlmConfig(scope, { env });
+  if (resolved.provider === 'replay') {
+    return createReplayProvider(resolved);
+  }
+  return createOpenAiProvider(resolved, { fetch, sleep });
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  ENV_PREFIXES,
+  LlmError,
+  loadLlmConfig,
+  createProvider,
+  createOpenAiProvider,
+  createReplayProvider,
+  hashMessages,
+  withRetries,
+  retryDelay,
+  isRetryable,
+  formatUsage,
+};
@@ -0,0 +1,162 @@
+/**
+ * Locale (translation) files for FOSS Glossary
+ *
+ * Translations live next to terms.yaml in terms.<locale>.yaml files:
+ *
+ *   locale: es
+ *   translations:
+ *     bus-factor:
+ *       definition: ...
+ *       source_hash: <sha256 of the English fields it was translated from>
+ *
+ * Entries are keyed by slug. `source_hash` records which version of the English
+ * term a translation was made from, so a translation goes stale as soon as the
+ * source definition, explanation, humor, or name changes. Entries with
+ * `reviewed_by` were checked or corrected by a human and are never overwritten
+ * by machine translation.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_LOCALE = 'en';
+const LOCALE_PATTERN = /^[a-z]{2}(?:-[A-Za-z]{2,4})?$/;
+const LOCALE_FILE_PATTERN = /^terms\.([a-z]{2}(?:-[A-Za-z]{2,4})?)\.yaml$/;
+
+// Fields a translation may override; everything else comes from terms.yaml
+const TRANSLATABLE_FIELDS = ['term', 'definition', 'explanation', 'humor'];
+
+// Language display names for user-friendly output
+const LANGUAGE_NAMES = {
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+  it: 'Italian',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+  ru: 'Russian',
+  ar: 'Arabic',
+};
+
+/**
+ * Get the display name for a locale code
+ *
+ * @param {string} locale - Locale code (e.g. 'es' or 'pt-BR')
+ * @returns {string} Human-readable language name
+ */
+function getLanguageName(locale) {
+  return LANGUAGE_NAMES[locale] || LANGUAGE_NAMES[locale.split('-')[0]] || locale.toUpperCase();
+}
+
+/**
+ * Get the path of a locale file
+ *
+ * @param {string} locale - Locale code
+ * @param {string} [dir='.'] - Directory containing terms.yaml
+ * @returns {string} Path to terms.<locale>.yaml
+ */
+function localeFilePath(locale, dir = '.') {
+  return path.join(dir, `terms.${locale}.yaml`);
+}
+
+/**
+ * List the locale files in a directory
+ *
+ * @param {string} [dir='.'] - Directory containing terms.yaml
+ * @returns {Object[]} Array of { locale, path } sorted by locale
+ */
+function listLocaleFiles(dir = '.') {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return files
+    .map((file) => LOCALE_FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map((match) => ({ locale: match[1], path: path.join(dir, match[0]) }))
+    .sort((a, b) => a.locale.localeCompare(b.locale));
+}
+
+/**
+ * Hash the English fields a translation is made from
+ * Values are trimmed so YAML block-scalar formatting does not make a translation stale
+ *
+ * @param {Object} term - Source term from terms.yaml
+ * @returns {string} Lowercase hex SHA-256 digest
+ */
+function hashSourceTerm(term) {
+  const source = TRANSLATABLE_FIELDS.map((field) => String(term[field] || '').trim());
+  return crypto.createHash('sha256').update(JSON.stringify(source), 'utf8').digest('hex');
+}
+
+/**
+ * Compare a locale's translations with the source terms
+ *
+ * @param {Object<string, Object>} translations - Translations keyed by slug
+ * @param {Object[]} terms - Source terms from terms.yaml
+ * @returns {Object} Report with total (source terms), translated (current translations),
+ *   coverage (0-100, one decimal), missing, stale, and orphaned slug arrays
+ */
+function checkLocale(translations, terms) {
+  const entries = translations || {};
+  const bySlug = new Map(
+    (terms || []).filter((term) => term && term.slug).map((term) => [term.slug, term])
+  );
+  const missing = [];
+  const stale = [];
+
+  for (const [slug, term] of bySlug) {
+    const entry = entries[slug];
+    if (!entry) {
+      missing.push(slug);
+    } else if (entry.source_hash !== hashSourceTerm(term)) {
+      stale.push(slug);
+    }
+  }
+
+  const orphaned = Object.keys(entries).filter((slug) => !bySlug.has(slug));
+  const translated = bySlug.size - missing.length - stale.length;
+  const coverage = bySlug.size === 0 ? 100 : Math.round((translated / bySlug.size) * 1000) / 10;
+
+  return {
+    total: bySlug.size,
+    translated,
+    coverage,
+    missing: missing.sort(),
+    stale: stale.sort(),
+    orphaned: orphaned.sort(),
+  };
+}
+
+/**
+ * Format a one-line coverage summary for a locale
+ *
+ * @param {string} locale - Locale code
+ * @param {Object} report - Report produced by checkLocale()
+ * @returns {string} Summary such as "🌐 es (Spanish): 20/28 translated (71.4%), 3 stale, 5 missing"
+ */
+function formatLocaleSummary(locale, report) {
+  return (
+    `🌐 ${locale} (${getLanguageName(locale)}): ${report.translated}/${report.total} translated ` +
+    `(${report.coverage}%), ${report.stale.length} stale, ${report.missing.length} missing`
+  );
+}
+
+module.exports = {
+  SOURCE_LOCALE,
+  LOCALE_PATTERN,
+  LOCALE_FILE_PATTERN,
+  TRANSLATABLE_FIELDS,
+  LANGUAGE_NAMES,
+  getLanguageName,
+  localeFilePath,
+  listLocaleFiles,
+  hashSourceTerm,
+  checkLocale,
+  formatLocaleSummary,
+};
@@ -6,6 +6,8 @@
  * data processing throughout the application.
  */
 
+const { TERM_STATUSES } = require('./termStatus');
+
 /**
  * Normalize a string value by trimming whitespace
  * Returns undefined for null, undefined, or empty strings
@@ -50,7 +52,8 @@ function normalizeArray(value) {
 /**
  * Normalize a glossary term object
  * Required fields: slug, term, definition
- * Optional fields: explanation, humor, tags, see_also, aliases, controversy_level
+ * Optional fields: explanation, humor, tags, see_also, aliases, controversy_level, status,
+ * provenance (copied as-is; its shape is checked by the schema)
  *
  * @param {Object} rawTerm - Raw term object to normalize
  * @returns {Object} Normalized term object
@@ -135,6 +138,20 @@ function normalizeTerm(rawTerm) {
     normalized.controversy_level = controversy;
   }
 
+  const status = normalizeString(rawTerm.status);
+  if (status) {
+    if (!TERM_STATUSES.includes(status)) {
+      throw new Error(
+        `Status '${status}' for '${slug}' must be one of: ${TERM_STATUSES.join(', ')}`
+      );
+    }
+    normalized.status = status;
+  }
+
+  if (rawTerm.provenance && typeof rawTerm.provenance === 'object') {
+    normalized.provenance = { ...rawTerm.provenance };
+  }
+
   return normalized;
 }
 
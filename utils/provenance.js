@@ -0,0 +1,61 @@
+/**
+ * Provenance metadata for AI-generated FOSS Glossary content
+ *
+ * Tools that draft terms with a model attach a `provenance` block recording the
+ * generator script, model name, a hash of the prompt, when the content was
+ * generated, and (once someone has checked it) the human reviewer. The prompt
+ * itself is not stored, only its SHA-256 hash, so audits can match a term to
+ * the prompt template and input that produced it.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a prompt for provenance records
+ *
+ * @param {string} prompt - Full prompt text sent to the model
+ * @returns {string} Lowercase hex SHA-256 digest
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt, 'utf8').digest('hex');
+}
+
+/**
+ * Build a provenance block for generated content
+ *
+ * @param {Object} options - Provenance details
+ * @param {string} options.generator - Script or endpoint that generated the content
+ * @param {string} options.model - Model name
+ * @param {string} options.prompt - Full prompt text
+ * @param {Date} [options.generatedAt=new Date()] - Generation time
+ * @param {string} [options.reviewedBy] - GitHub username of the human reviewer
+ * @returns {Object} Provenance block matching the schema
+ */
+function buildProvenance({ generator, model, prompt, generatedAt = new Date(), reviewedBy }) {
+  const provenance = {
+    generator,
+    model,
+    prompt_hash: hashPrompt(prompt),
+    generated_at: generatedAt.toISOString(),
+  };
+  if (reviewedBy) {
+    provenance.reviewed_by = reviewedBy;
+  }
+  return provenance;
+}
+
+/**
+ * Check whether a term was written with a model
+ *
+ * @param {Object} term - Term object
+ * @returns {boolean} True if the term carries a provenance block
+ */
+function isAiAssisted(term) {
+  return Boolean(term && term.provenance && typeof term.provenance === 'object');
+}
+
+module.exports = {
+  hashPrompt,
+  buildProvenance,
+  isAiAssisted,
+};
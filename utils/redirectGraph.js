@@ -0,0 +1,175 @@
+/**
+ * Redirect graph analysis for FOSS Glossary
+ *
+ * Treats the `redirects` mapping in terms.yaml as a graph of old slug → new slug
+ * edges and finds the shapes the deletion policy forbids: chains (a → b where b
+ * is itself redirected), cycles, targets that are not terms, and slugs from a
+ * base file that disappeared without a redirect.
+ */
+
+/**
+ * Walk a redirect chain from a source slug
+ *
+ * @param {string} source - Redirect source slug
+ * @param {Object<string, string>} redirects - Map of old slugs to current slugs
+ * @param {Set<string>} slugs - Slugs of existing terms
+ * @returns {{path: string[], target: string|null, cyclic: boolean}} Slugs visited
+ *   (source first), the term slug the chain reaches (null if none), and whether
+ *   the walk returned to a slug it had already visited
+ */
+function walkRedirects(source, redirects, slugs) {
+  const path = [source];
+  const seen = new Set(path);
+  let current = source;
+
+  while (Object.prototype.hasOwnProperty.call(redirects, current)) {
+    current = redirects[current];
+    if (slugs.has(current)) {
+      return { path: [...path, current], target: current, cyclic: false };
+    }
+    if (seen.has(current)) {
+      return { path: [...path, current], target: null, cyclic: true };
+    }
+    seen.add(current);
+    path.push(current);
+  }
+
+  return { path, target: null, cyclic: false };
+}
+
+/**
+ * Analyze the redirect graph
+ * Redirect sources that are also active slugs are left to the caller, as they
+ * are reported by their own rule
+ *
+ * @param {Object<string, string>} redirects - Map of old slugs to current slugs
+ * @param {Iterable<string>} slugs - Slugs of existing terms
+ * @param {Object} [base] - Base file to compare against
+ * @param {Iterable<string>} [base.slugs=[]] - Term slugs in the base file
+ * @param {Object<string, string>} [base.redirects={}] - Redirects in the base file
+ * @returns {Object} Analysis with:
+ *   - chains: [{ source, path, target }] for redirects whose target is itself redirected
+ *     (target is the term the chain ends at, or null if it never reaches one)
+ *   - cycles: arrays of slugs forming a redirect loop, each starting at its smallest slug
+ *   - dangling: [{ source, target }] for redirects whose target is neither a term nor redirected
+ *   - removedSlugs: base term slugs that are neither terms nor redirect sources any more
+ *   - removedRedirects: base redirect sources that are neither terms nor redirect sources any more
+ */
+function analyzeRedirects(redirects, slugs, base = {}) {
+  const redirectMap = redirects || {};
+  const slugSet = new Set(slugs);
+  const has = (slug) => Object.prototype.hasOwnProperty.call(redirectMap, slug);
+  const chains = [];
+  const dangling = [];
+  const cycles = new Map();
+
+  for (const source of Object.keys(redirectMap).sort()) {
+    const target = redirectMap[source];
+    if (slugSet.has(target)) {
+      continue;
+    }
+    if (!has(target)) {
+      dangling.push({ source, target });
+      continue;
+    }
+
+    const walk = walkRedirects(source, redirectMap, slugSet);
+    if (walk.cyclic) {
+      const loopStart = walk.path.indexOf(walk.path[walk.path.length - 1]);
+      const loop = walk.path.slice(loopStart, -1);
+      if (loopStart === 0) {
+        const first = loop.indexOf([...loop].sort()[0]);
+        const ordered = [...loop.slice(first), ...loop.slice(0, first)];
+        cycles.set(ordered.join(' → '), [...ordered, ordered[0]]);
+        continue;
+      }
+    }
+    chains.push({ source, path: walk.path, target: walk.target });
+  }
+
+  const live = (slug) => slugSet.has(slug) || has(slug);
+  const removedSlugs = [...new Set(base.slugs || [])].filter((slug) => !live(slug)).sort();
+  const removedRedirects = Object.keys(base.redirects || {})
+    .filter((slug) => !live(slug))
+    .sort();
+
+  return {
+    chains,
+    cycles: [...cycles.values()],
+    dangling,
+    removedSlugs,
+    removedRedirects,
+  };
+}
+
+/**
+ * Collapse redirect chains so every source points straight at its final term
+ * Chains that never reach a term (cycles or dangling ends) are left unchanged
+ *
+ * @param {Object<string, string>} redirects - Map of old slugs to current slugs
+ * @param {Iterable<string>} slugs - Slugs of existing terms
+ * @returns {Object<string, string>} Map of source slug to its new target, for changed entries only
+ */
+function collapseRedirectChains(redirects, slugs) {
+  const updates = {};
+  for (const { source, target } of analyzeRedirects(redirects, slugs).chains) {
+    if (target) {
+      updates[source] = target;
+    }
+  }
+  return updates;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ *
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite redirect targets in YAML source text
+ * Only the value on each redirect's own line is replaced, so comments and the
+ * rest of the file keep their formatting
+ *
+ * @param {string} source - Raw terms.yaml content
+ * @param {Object<string, string>} redirects - Current redirects map
+ * @param {Object<string, string>} updates - Map of source slug to new target
+ * @param {function(string): ({line: number, column: number}|null)} locateRedirect -
+ *   Returns the position of a redirect key by source slug
+ * @returns {{source: string, applied: string[], skipped: string[]}} Updated text and
+ *   the redirect sources that were and were not rewritten
+ */
+function rewriteRedirectTargets(source, redirects, updates, locateRedirect) {
+  const lines = source.split('\n');
+  const applied = [];
+  const skipped = [];
+
+  for (const [slug, target] of Object.entries(updates)) {
+    const position = locateRedirect(slug);
+    const line = position ? lines[position.line - 1] : undefined;
+    const pattern = new RegExp(
+      `(:[ \\t]*)(['"]?)${escapeRegExp(redirects[slug])}\\2(?=[ \\t]*(#|$))`
+    );
+    if (line === undefined || !pattern.test(line.slice(position.column - 1))) {
+      skipped.push(slug);
+      continue;
+    }
+    const keyStart = line.slice(0, position.column - 1);
+    lines[position.line - 1] =
+      keyStart + line.slice(position.column - 1).replace(pattern, `$1$2${target}$2`);
+    applied.push(slug);
+  }
+
+  return { source: lines.join('\n'), applied, skipped };
+}
+
+module.exports = {
+  walkRedirects,
+  analyzeRedirects,
+  collapseRedirectChains,
+  rewriteRedirectTargets,
+};
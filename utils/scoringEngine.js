@@ -0,0 +1,276 @@
+/**
+ * Declarative scoring rules engine for FOSS Glossary
+ *
+ * Scoring components, caps, and badge thresholds live in a JSON config
+ * (config/scoring.json by default). This module validates that config and
+ * turns it into a scorer used by both scoreTerm() and getScoreBreakdown().
+ *
+ * Component types:
+ * - presence: `points` when every field in `fields` is truthy
+ * - length: `points` per `chars_per_point` characters of a string field
+ * - threshold: `points` when a string field has at least `min_length` characters
+ * - count: `points` per item of an array field
+ * - missing: `points` (usually negative) when a field is absent or empty
+ *
+ * Each component's value is capped at its optional `max`; the total is
+ * clamped to 0..max_score.
+ */
+
+const fs = require('fs');
+const Ajv = require('ajv');
+const { formatAjvError } = require('./validation');
+
+const COMPONENT_TYPES = ['presence', 'length', 'threshold', 'count', 'missing'];
+
+// Keys getScoreBreakdown() uses alongside the per-component points
+const RESERVED_COMPONENT_IDS = ['maxScores', 'components', 'maxScore', 'issues'];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const fieldName = { type: 'string', minLength: 1 };
+
+const scoringConfigSchema = {
+  type: 'object',
+  required: ['max_score', 'components'],
+  additionalProperties: false,
+  properties: {
+    $schema: { type: 'string' },
+    max_score: { type: 'integer', minimum: 1 },
+    components: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'label', 'type', 'points'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9]*$' },
+          label: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: COMPONENT_TYPES },
+          field: fieldName,
+          fields: { type: 'array', minItems: 1, items: fieldName },
+          points: { type: 'number' },
+          max: { type: 'number', minimum: 0 },
+          chars_per_point: { type: 'integer', minimum: 1 },
+          min_length: { type: 'integer', minimum: 0 },
+        },
+        allOf: [
+          {
+            if: { properties: { type: { const: 'presence' } } },
+            then: { required: ['fields'] },
+            else: { required: ['field'] },
+          },
+          {
+            if: { properties: { type: { const: 'length' } } },
+            then: { required: ['chars_per_point'] },
+          },
+          {
+            if: { properties: { type: { const: 'threshold' } } },
+            then: { required: ['min_length'] },
+          },
+        ],
+      },
+    },
+    badges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label', 'field'],
+        additionalProperties: false,
+        properties: {
+          label: { type: 'string', minLength: 1 },
+          field: fieldName,
+          equals: { type: ['string', 'number', 'boolean'] },
+          min_length: { type: 'integer', minimum: 0 },
+        },
+        oneOf: [{ required: ['equals'] }, { required: ['min_length'] }],
+      },
+    },
+    score_badges: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['label', 'min_score'],
+        additionalProperties: false,
+        properties: {
+          label: { type: 'string', minLength: 1 },
+          min_score: { type: 'number', minimum: 0 },
+        },
+      },
+    },
+  },
+};
+
+const validateSchema = ajv.compile(scoringConfigSchema);
+
+/**
+ * Validate a scoring config
+ * Checks the JSON schema plus rules a schema cannot express: unique component
+ * (non-reserved) ids and score badges ordered from highest to lowest threshold
+ *
+ * @param {Object} config - Parsed scoring config
+ * @returns {string[]} Array of error messages (empty if the config is valid)
+ */
+function validateScoringConfig(config) {
+  if (!validateSchema(config)) {
+    return validateSchema.errors.map((error) => formatAjvError(error));
+  }
+
+  const errors = [];
+  const seen = new Set();
+  for (const component of config.components) {
+    if (seen.has(component.id)) {
+      errors.push(`component id '${component.id}' is used more than once`);
+    }
+    if (RESERVED_COMPONENT_IDS.includes(component.id)) {
+      errors.push(`component id '${component.id}' is reserved`);
+    }
+    seen.add(component.id);
+  }
+
+  const thresholds = (config.score_badges || []).map((badge) => badge.min_score);
+  for (let i = 1; i < thresholds.length; i++) {
+    if (thresholds[i] >= thresholds[i - 1]) {
+      errors.push('score_badges must be ordered from highest to lowest min_score');
+      break;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load and validate a scoring config file
+ *
+ * @param {string} filePath - Path to the scoring config JSON
+ * @returns {Object} Validated scoring config
+ * @throws {Error} If the file cannot be read, parsed, or fails validation
+ */
+function loadScoringConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read scoring config ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateScoringConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid scoring config ${filePath}: ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * Check whether a term field is absent or empty
+ *
+ * @param {*} value - Field value
+ * @returns {boolean} True for missing values, empty strings, and empty arrays
+ */
+function isEmpty(value) {
+  if (Array.isArray(value)) {
+    return value.length === 0;
+  }
+  if (typeof value === 'string') {
+    return value.trim() === '';
+  }
+  return value === undefined || value === null;
+}
+
+/**
+ * Compute the uncapped points a component awards for a term
+ *
+ * @param {Object} component - Component definition from the scoring config
+ * @param {Object} term - The term object to score
+ * @returns {number} Raw points
+ */
+function evaluateComponent(component, term) {
+  const value = component.field ? term[component.field] : undefined;
+
+  switch (component.type) {
+    case 'presence':
+      return component.fields.every((field) => term[field]) ? component.points : 0;
+    case 'length':
+      return typeof value === 'string'
+        ? Math.floor(value.length / component.chars_per_point) * component.points
+        : 0;
+    case 'threshold':
+      return typeof value === 'string' && value.length >= component.min_length
+        ? component.points
+        : 0;
+    case 'count':
+      return Array.isArray(value) ? value.length * component.points : 0;
+    case 'missing':
+      return isEmpty(value) ? component.points : 0;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Check whether a field badge applies to a term
+ *
+ * @param {Object} badge - Badge definition from the scoring config
+ * @param {Object} term - The term object
+ * @returns {boolean} True if the badge is earned
+ */
+function matchesBadge(badge, term) {
+  const value = term[badge.field];
+  if (badge.min_length !== undefined) {
+    return typeof value === 'string' && value.length >= badge.min_length;
+  }
+  return value === badge.equals;
+}
+
+/**
+ * Create a scorer from a validated scoring config
+ *
+ * @param {Object} config - Scoring config (see config/scoring.json)
+ * @returns {Object} Engine with evaluate(term) and the config's maxScore
+ */
+function createScoringEngine(config) {
+  const maxScore = config.max_score;
+
+  /**
+   * Score a term against every component and badge rule
+   *
+   * @param {Object} term - The term object to score
+   * @returns {Object} Object with score, badges, and components
+   *   ({ id, label, points, max } for each configured component)
+   */
+  const evaluate = (term) => {
+    const components = config.components.map((component) => {
+      const raw = evaluateComponent(component, term);
+      const points = component.max === undefined ? raw : Math.min(component.max, raw);
+      return {
+        id: component.id,
+        label: component.label,
+        points,
+        max: component.max === undefined ? Math.max(0, component.points) : component.max,
+      };
+    });
+
+    const total = components.reduce((sum, component) => sum + component.points, 0);
+    const score = Math.max(0, Math.min(maxScore, total));
+
+    const badges = (config.badges || [])
+      .filter((badge) => matchesBadge(badge, term))
+      .map((badge) => badge.label);
+    const scoreBadge = (config.score_badges || []).find((badge) => score >= badge.min_score);
+    if (scoreBadge) {
+      badges.push(scoreBadge.label);
+    }
+
+    return { score, badges, components };
+  };
+
+  return { maxScore, evaluate };
+}
+
+module.exports = {
+  COMPONENT_TYPES,
+  scoringConfigSchema,
+  validateScoringConfig,
+  loadScoringConfig,
+  createScoringEngine,
+};
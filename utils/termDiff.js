@@ -0,0 +1,94 @@
+/**
+ * Term set diffing for FOSS Glossary
+ *
+ * Compares two term lists by slug and reports which terms were added,
+ * removed, or changed (and which fields changed). Used to review bulk
+ * edits, such as a spreadsheet import, before they are written.
+ */
+
+/**
+ * Compare two field values (strings or string arrays)
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function valuesEqual(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Diff two term lists by slug
+ *
+ * @param {Object[]} before - Current terms
+ * @param {Object[]} after - Proposed terms
+ * @returns {Object} Object with added and removed (slug arrays), changed
+ *   ({ slug, fields } entries), and unchanged (count)
+ */
+function diffTerms(before, after) {
+  const previous = new Map((before || []).map((term) => [term.slug, term]));
+  const next = new Map((after || []).map((term) => [term.slug, term]));
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const [slug, term] of next) {
+    const old = previous.get(slug);
+    if (!old) {
+      diff.added.push(slug);
+      continue;
+    }
+    const fields = [...new Set([...Object.keys(old), ...Object.keys(term)])].filter(
+      (field) => !valuesEqual(old[field], term[field])
+    );
+    if (fields.length > 0) {
+      diff.changed.push({ slug, fields });
+    } else {
+      diff.unchanged += 1;
+    }
+  }
+
+  for (const slug of previous.keys()) {
+    if (!next.has(slug)) {
+      diff.removed.push(slug);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Check whether a diff contains any changes
+ *
+ * @param {Object} diff - Result of diffTerms()
+ * @returns {boolean} True if any term was added, removed, or changed
+ */
+function hasChanges(diff) {
+  return diff.added.length + diff.removed.length + diff.changed.length > 0;
+}
+
+/**
+ * Format a diff as human-readable report lines
+ *
+ * @param {Object} diff - Result of diffTerms()
+ * @returns {string[]} Report lines
+ */
+function formatDiffReport(diff) {
+  const lines = [
+    `📋 ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged`,
+  ];
+  for (const slug of diff.added) {
+    lines.push(`  + ${slug}`);
+  }
+  for (const { slug, fields } of diff.changed) {
+    lines.push(`  ~ ${slug} (${fields.join(', ')})`);
+  }
+  for (const slug of diff.removed) {
+    lines.push(`  - ${slug}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  diffTerms,
+  hasChanges,
+  formatDiffReport,
+};
@@ -0,0 +1,125 @@
+/**
+ * Per-term revision history for FOSS Glossary
+ *
+ * This module walks the Git history of terms.yaml and works out, for every
+ * slug, the commit that introduced it and the commit that last changed it.
+ */
+
+const yaml = require('js-yaml');
+const { getFileRevisions, readFileAtRevision } = require('./git');
+
+/**
+ * Build a stable fingerprint of a term so formatting-only YAML edits
+ * (indentation, key order) are not counted as content changes
+ *
+ * @param {*} value - Parsed YAML value
+ * @returns {string} Deterministic JSON representation
+ */
+function fingerprint(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(fingerprint).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${fingerprint(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Index the terms of a YAML snapshot by slug
+ * Locale files (terms.<locale>.yaml) are indexed by the keys of their
+ * `translations` map. Returns null if the snapshot cannot be parsed so callers
+ * can skip it
+ *
+ * @param {string} yamlText - Raw YAML content of terms.yaml or a locale file
+ * @returns {Map<string, string>|null} Map of slug to term fingerprint
+ */
+function indexSnapshot(yamlText) {
+  let parsed;
+  try {
+    parsed = yaml.load(yamlText);
+  } catch {
+    return null;
+  }
+  if (parsed && parsed.translations && typeof parsed.translations === 'object') {
+    return new Map(
+      Object.entries(parsed.translations).map(([slug, entry]) => [slug, fingerprint(entry)])
+    );
+  }
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.terms)) {
+    return null;
+  }
+
+  const index = new Map();
+  for (const term of parsed.terms) {
+    if (term && typeof term === 'object' && typeof term.slug === 'string' && term.slug) {
+      index.set(term.slug, fingerprint(term));
+    }
+  }
+  return index;
+}
+
+/**
+ * Compute per-slug history from a list of terms.yaml snapshots
+ * Snapshots must be ordered oldest first. A slug that disappears and later
+ * reappears keeps its original creation commit; the reappearance counts as an update.
+ *
+ * @param {Object[]} snapshots - Array of { sha, date, author, content } objects
+ * @returns {Map<string, Object>} Map of slug to history entry with created_at,
+ *   created_commit, created_by, updated_at, updated_commit and updated_by
+ */
+function buildTermHistory(snapshots) {
+  const history = new Map();
+  let previous = new Map();
+
+  for (const snapshot of snapshots) {
+    const current = indexSnapshot(snapshot.content);
+    if (!current) {
+      continue;
+    }
+
+    for (const [slug, print] of current) {
+      const entry = history.get(slug);
+      if (!entry) {
+        history.set(slug, {
+          created_at: snapshot.date,
+          created_commit: snapshot.sha,
+          created_by: snapshot.author,
+          updated_at: snapshot.date,
+          updated_commit: snapshot.sha,
+          updated_by: snapshot.author,
+        });
+      } else if (previous.get(slug) !== print) {
+        entry.updated_at = snapshot.date;
+        entry.updated_commit = snapshot.sha;
+        entry.updated_by = snapshot.author;
+      }
+    }
+
+    previous = current;
+  }
+
+  return history;
+}
+
+/**
+ * Collect per-slug history for a terms file from the local Git repository
+ * Returns an empty map when Git metadata is unavailable
+ *
+ * @param {string} [filePath='terms.yaml'] - Repository-relative path of the terms file
+ * @returns {Map<string, Object>} Map of slug to history entry
+ */
+function collectTermHistory(filePath = 'terms.yaml') {
+  const snapshots = getFileRevisions(filePath)
+    .map((revision) => ({ ...revision, content: readFileAtRevision(revision.sha, filePath) }))
+    .filter((snapshot) => snapshot.content !== null);
+
+  return buildTermHistory(snapshots);
+}
+
+module.exports = {
+  buildTermHistory,
+  collectTermHistory,
+  fingerprint,
+};
@@ -0,0 +1,214 @@
+/**
+ * Term quality analysis for FOSS Glossary
+ *
+ * Scoring rewards length and counts, which padding can game. This module
+ * flags content that adds length without substance so scoring can ignore it:
+ * - filler text (lorem ipsum, long runs of one character, heavily repeated words)
+ * - humor or explanation that is a near-copy of the definition
+ * - duplicate tags
+ * - see_also entries that do not resolve to a term, alias, or redirect
+ */
+
+const { buildReferenceIndex, resolveReference } = require('./crossReferences');
+
+// Free-text fields checked for filler and copied definitions
+const TEXT_FIELDS = ['humor', 'explanation'];
+
+const FILLER_PATTERN = /\b(lorem|ipsum|dolor sit amet|consectetur adipiscing)\b/i;
+const REPEATED_CHARACTER_PATTERN = /(\S)\1{9,}/;
+
+// Repetition is only judged once a text has enough words to be meaningful
+const MIN_WORDS_FOR_REPETITION = 8;
+const MIN_UNIQUE_WORD_RATIO = 0.5;
+
+// Word-bigram Jaccard similarity at which text counts as a copy of the definition
+const NEAR_COPY_SIMILARITY = 0.6;
+
+/**
+ * Split text into lowercase words
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]} Words in order of appearance
+ */
+function toWords(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Detect filler text
+ *
+ * @param {string} text - Text to check
+ * @returns {string|null} Reason the text looks like filler, or null
+ */
+function detectFillerText(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+  if (FILLER_PATTERN.test(text)) {
+    return 'contains placeholder (lorem ipsum) text';
+  }
+  if (REPEATED_CHARACTER_PATTERN.test(text)) {
+    return 'contains a long run of a repeated character';
+  }
+
+  const words = toWords(text);
+  if (words.length >= MIN_WORDS_FOR_REPETITION) {
+    const ratio = new Set(words).size / words.length;
+    if (ratio < MIN_UNIQUE_WORD_RATIO) {
+      return `repeats the same words (${Math.round(ratio * 100)}% unique)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the set of adjacent word pairs in a text
+ * Single-word texts fall back to the word itself
+ *
+ * @param {string} text - Text to split
+ * @returns {Set<string>} Word bigrams
+ */
+function toBigrams(text) {
+  const words = toWords(text);
+  if (words.length < 2) {
+    return new Set(words);
+  }
+  const bigrams = new Set();
+  for (let i = 1; i < words.length; i++) {
+    bigrams.add(`${words[i - 1]} ${words[i]}`);
+  }
+  return bigrams;
+}
+
+/**
+ * Measure how similar two texts are
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Jaccard similarity of word bigrams (0-1)
+ */
+function textSimilarity(a, b) {
+  const left = toBigrams(a);
+  const right = toBigrams(b);
+  if (left.size === 0 || right.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const bigram of left) {
+    if (right.has(bigram)) {
+      shared += 1;
+    }
+  }
+  return shared / (left.size + right.size - shared);
+}
+
+/**
+ * Find tags that repeat an earlier tag (case-insensitive)
+ *
+ * @param {*} tags - Tags value from a term
+ * @returns {string[]} Duplicate tags in order of appearance
+ */
+function findDuplicateTags(tags) {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  const seen = new Set();
+  const duplicates = [];
+  for (const tag of tags) {
+    if (typeof tag !== 'string') {
+      continue;
+    }
+    const key = tag.trim().toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push(tag);
+    }
+    seen.add(key);
+  }
+  return duplicates;
+}
+
+/**
+ * Analyze a term for low-substance content
+ * see_also entries are only checked when the full term list is provided
+ *
+ * @param {Object} term - The term object to analyze
+ * @param {Object} [context] - Glossary context
+ * @param {Object[]} [context.terms] - All terms, used to resolve see_also entries
+ * @param {Object<string, string>} [context.redirects] - Redirect map from terms.yaml
+ * @returns {Object} Object with `issues` (array of { field, code, message }) and
+ *   `term` (a copy with flagged content removed, for scoring)
+ */
+function analyzeTermQuality(term, context = {}) {
+  const issues = [];
+  const cleaned = { ...term };
+
+  for (const field of TEXT_FIELDS) {
+    const text = term[field];
+    if (typeof text !== 'string' || !text.trim()) {
+      continue;
+    }
+
+    const filler = detectFillerText(text);
+    if (filler) {
+      issues.push({ field, code: 'filler-text', message: `${field} ${filler}` });
+      delete cleaned[field];
+      continue;
+    }
+
+    if (
+      typeof term.definition === 'string' &&
+      textSimilarity(text, term.definition) >= NEAR_COPY_SIMILARITY
+    ) {
+      issues.push({
+        field,
+        code: 'copied-definition',
+        message: `${field} is a near-copy of the definition`,
+      });
+      delete cleaned[field];
+    }
+  }
+
+  const duplicateTags = findDuplicateTags(term.tags);
+  if (duplicateTags.length > 0) {
+    for (const tag of duplicateTags) {
+      issues.push({ field: 'tags', code: 'duplicate-tag', message: `tag '${tag}' is repeated` });
+    }
+    const seen = new Set();
+    cleaned.tags = term.tags.filter((tag) => {
+      const key = typeof tag === 'string' ? tag.trim().toLowerCase() : tag;
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  if (Array.isArray(context.terms) && Array.isArray(term.see_also)) {
+    const index = buildReferenceIndex(context.terms, context.redirects);
+    const resolved = term.see_also.filter((entry) => {
+      if (resolveReference(entry, index)) {
+        return true;
+      }
+      issues.push({
+        field: 'see_also',
+        code: 'unresolved-see-also',
+        message: `see_also '${entry}' does not resolve to any term, alias, or redirect`,
+      });
+      return false;
+    });
+    cleaned.see_also = resolved;
+  }
+
+  return { issues, term: cleaned };
+}
+
+module.exports = {
+  detectFillerText,
+  textSimilarity,
+  findDuplicateTags,
+  analyzeTermQuality,
+};
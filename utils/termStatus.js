@@ -0,0 +1,48 @@
+/**
+ * Term lifecycle status for FOSS Glossary
+ *
+ * Every term is a draft (merged early, not yet vetted), stable (the default
+ * when no status is given), or deprecated (kept for history, no longer
+ * recommended). Status may only move forward through the lifecycle, except
+ * that a deprecated term can be reinstated as stable.
+ */
+
+const TERM_STATUSES = ['draft', 'stable', 'deprecated'];
+const DEFAULT_TERM_STATUS = 'stable';
+
+// Allowed status changes between the base file and the head file
+const STATUS_TRANSITIONS = {
+  draft: ['stable', 'deprecated'],
+  stable: ['deprecated'],
+  deprecated: ['stable'],
+};
+
+/**
+ * Get the effective status of a term
+ *
+ * @param {Object} term - Term object
+ * @returns {string} The term's status, or 'stable' when none is set
+ */
+function getTermStatus(term) {
+  return (term && term.status) || DEFAULT_TERM_STATUS;
+}
+
+/**
+ * Check whether a status change is allowed
+ * Keeping the same status is always allowed
+ *
+ * @param {string} from - Status in the base file
+ * @param {string} to - Status in the head file
+ * @returns {boolean} True if the change is allowed
+ */
+function isAllowedStatusTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+module.exports = {
+  TERM_STATUSES,
+  DEFAULT_TERM_STATUS,
+  STATUS_TRANSITIONS,
+  getTermStatus,
+  isAllowedStatusTransition,
+};
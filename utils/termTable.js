@@ -0,0 +1,397 @@
+/**
+ * Tabular (CSV / TSV / Markdown) conversion for FOSS Glossary terms
+ *
+ * One row per term, one column per schema field. Array fields (tags,
+ * see_also, aliases) are joined with '; ' into a single cell; a literal ';'
+ * or '\' inside an entry is escaped with a backslash so the cell splits
+ * back into the same entries.
+ *
+ * - csv: RFC 4180 (cells quoted when they contain a comma, quote, or newline)
+ * - tsv: tab-separated, with \t, \n, \r, and \\ escaped inside cells
+ * - md: GitHub-flavored Markdown table, with '|' escaped and newlines as <br>
+ *
+ * CSV and TSV cells that a spreadsheet would run as a formula (starting with
+ * =, +, -, @, tab, or carriage return) are prefixed with a ' on export, and
+ * the prefix is stripped again on import.
+ */
+
+const TABLE_FORMATS = ['csv', 'tsv', 'md'];
+
+const TABLE_COLUMNS = [
+  'slug',
+  'term',
+  'definition',
+  'explanation',
+  'humor',
+  'see_also',
+  'tags',
+  'aliases',
+  'controversy_level',
+  'status',
+];
+const ARRAY_COLUMNS = ['see_also', 'tags', 'aliases'];
+const REQUIRED_COLUMNS = ['slug', 'term', 'definition'];
+
+const ARRAY_SEPARATOR = '; ';
+
+// Cells a spreadsheet would treat as a formula, optionally behind earlier ' prefixes
+// so values that already start with ' round-trip too
+const FORMULA_CELL_PATTERN = /^'*[=+\-@\t\r]/;
+
+// File extension → table format, for --format auto-detection
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.md': 'md',
+  '.markdown': 'md',
+};
+
+/**
+ * Join array entries into one cell, escaping separators inside entries
+ *
+ * @param {string[]} values - Entries to join
+ * @returns {string} Joined cell value
+ */
+function joinArrayCell(values) {
+  return values
+    .map((value) => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;'))
+    .join(ARRAY_SEPARATOR);
+}
+
+/**
+ * Split a cell produced by joinArrayCell() back into entries
+ *
+ * @param {string} cell - Cell value
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function splitArrayCell(cell) {
+  const entries = [];
+  let current = '';
+  for (let i = 0; i < cell.length; i++) {
+    const char = cell[i];
+    if (char === '\\' && i + 1 < cell.length) {
+      current += cell[i + 1];
+      i += 1;
+    } else if (char === ';') {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+  return entries.map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a term to a row of cell strings in TABLE_COLUMNS order
+ *
+ * @param {Object} term - Term object
+ * @returns {string[]} Cell values
+ */
+function termToRow(term) {
+  return TABLE_COLUMNS.map((column) => {
+    const value = term[column];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return Array.isArray(value) ? joinArrayCell(value) : String(value);
+  });
+}
+
+/**
+ * Convert a record of cell strings (keyed by column) to a raw term
+ * Empty cells are left out; array columns are split into entries
+ *
+ * @param {Object<string, string>} record - Cells keyed by column name
+ * @returns {Object} Raw term object (not yet normalized)
+ */
+function recordToTerm(record) {
+  const term = {};
+  for (const column of TABLE_COLUMNS) {
+    const cell = record[column];
+    if (cell === undefined || cell.trim() === '') {
+      continue;
+    }
+    term[column] = ARRAY_COLUMNS.includes(column) ? splitArrayCell(cell) : cell;
+  }
+  return term;
+}
+
+/**
+ * Prefix a cell that a spreadsheet would run as a formula with '
+ *
+ * @param {string} cell - Cell value
+ * @returns {string} Cell that spreadsheets show as text
+ */
+function neutralizeFormulaCell(cell) {
+  return FORMULA_CELL_PATTERN.test(cell) ? `'${cell}` : cell;
+}
+
+/**
+ * Strip the prefix added by neutralizeFormulaCell()
+ *
+ * @param {string} cell - Cell value
+ * @returns {string} Original cell value
+ */
+function restoreFormulaCell(cell) {
+  return cell.startsWith("'") && FORMULA_CELL_PATTERN.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Quote a CSV cell when needed (RFC 4180)
+ *
+ * @param {string} cell - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function quoteCsvCell(cell) {
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+/**
+ * Escape a TSV cell
+ *
+ * @param {string} cell - Cell value
+ * @returns {string} TSV-safe cell
+ */
+function escapeTsvCell(cell) {
+  return cell
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Unescape a TSV cell produced by escapeTsvCell()
+ *
+ * @param {string} cell - Escaped cell
+ * @returns {string} Original cell value
+ */
+function unescapeTsvCell(cell) {
+  const replacements = { t: '\t', r: '\r', n: '\n', '\\': '\\' };
+  return cell.replace(/\\([trn\\])/g, (match, char) => replacements[char]);
+}
+
+/**
+ * Escape a Markdown table cell
+ *
+ * @param {string} cell - Cell value
+ * @returns {string} Markdown-safe cell
+ */
+function escapeMarkdownCell(cell) {
+  return cell.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Unescape a Markdown table cell produced by escapeMarkdownCell()
+ *
+ * @param {string} cell - Escaped cell
+ * @returns {string} Original cell value
+ */
+function unescapeMarkdownCell(cell) {
+  return cell
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/\\([\\|])/g, '$1')
+    .trim();
+}
+
+/**
+ * Serialize terms as a table
+ *
+ * @param {Object[]} terms - Term objects
+ * @param {string} format - One of TABLE_FORMATS
+ * @returns {string} Table text with trailing newline
+ * @throws {Error} If the format is not supported
+ */
+function serializeTable(terms, format) {
+  const rows = terms.map(termToRow);
+  switch (format) {
+    case 'csv':
+      return `${[TABLE_COLUMNS, ...rows]
+        .map((row) => row.map((cell) => quoteCsvCell(neutralizeFormulaCell(cell))).join(','))
+        .join('\r\n')}\r\n`;
+    case 'tsv':
+      return `${[TABLE_COLUMNS, ...rows]
+        .map((row) => row.map((cell) => escapeTsvCell(neutralizeFormulaCell(cell))).join('\t'))
+        .join('\n')}\n`;
+    case 'md': {
+      const line = (cells) => `| ${cells.join(' | ')} |`;
+      return `${[
+        line(TABLE_COLUMNS),
+        line(TABLE_COLUMNS.map(() => '---')),
+        ...rows.map((row) => line(row.map(escapeMarkdownCell))),
+      ].join('\n')}\n`;
+    }
+    default:
+      throw new Error(
+        `Unsupported table format '${format}'. Use one of: ${TABLE_FORMATS.join(', ')}`
+      );
+  }
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180, quoted cells may span lines)
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ * @throws {Error} If a quoted cell is not closed
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted CSV cell');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value !== ''));
+}
+
+/**
+ * Split a Markdown table line into cells on unescaped pipes
+ *
+ * @param {string} line - Table line
+ * @returns {string[]} Raw (still escaped) cells
+ */
+function splitMarkdownRow(line) {
+  const body = line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '');
+  const cells = [];
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\' && i + 1 < body.length) {
+      current += body[i] + body[i + 1];
+      i += 1;
+    } else if (body[i] === '|') {
+      cells.push(current);
+      current = '';
+    } else {
+      current += body[i];
+    }
+  }
+  cells.push(current);
+  return cells;
+}
+
+/**
+ * Parse table text into rows of cells
+ *
+ * @param {string} text - Table text
+ * @param {string} format - One of TABLE_FORMATS
+ * @returns {string[][]} Rows of unescaped cells, header row first
+ * @throws {Error} If the format is not supported or the text is malformed
+ */
+function parseRows(text, format) {
+  const content = text.replace(/^\uFEFF/, '');
+  switch (format) {
+    case 'csv':
+      return parseCsv(content).map((cells) => cells.map(restoreFormulaCell));
+    case 'tsv':
+      return content
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== '')
+        .map((line) => line.split('\t').map((cell) => restoreFormulaCell(unescapeTsvCell(cell))));
+    case 'md':
+      return content
+        .split(/\r?\n/)
+        .filter((line) => line.trim().startsWith('|'))
+        .map(splitMarkdownRow)
+        .filter((cells) => !cells.every((cell) => /^\s*:?-{3,}:?\s*$/.test(cell)))
+        .map((cells) => cells.map(unescapeMarkdownCell));
+    default:
+      throw new Error(
+        `Unsupported table format '${format}'. Use one of: ${TABLE_FORMATS.join(', ')}`
+      );
+  }
+}
+
+/**
+ * Parse a table into raw term records
+ * The header row names the columns; columns may appear in any order
+ *
+ * @param {string} text - Table text
+ * @param {string} format - One of TABLE_FORMATS
+ * @returns {Object} Object with terms (raw term objects) and errors (row-level messages)
+ * @throws {Error} If the header is missing required columns or has unknown ones
+ */
+function parseTable(text, format) {
+  const [header, ...rows] = parseRows(text, format);
+  if (!header) {
+    throw new Error('Table is empty');
+  }
+
+  const columns = header.map((cell) => cell.trim());
+  const unknown = columns.filter((column) => !TABLE_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown column(s): ${unknown.join(', ')}. Allowed columns: ${TABLE_COLUMNS.join(', ')}`
+    );
+  }
+  const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+  }
+
+  const terms = [];
+  const errors = [];
+  rows.forEach((cells, index) => {
+    // Row numbers count the header as row 1, as spreadsheets do
+    const rowNumber = index + 2;
+    if (cells.length !== columns.length) {
+      errors.push(`Row ${rowNumber}: expected ${columns.length} cells, found ${cells.length}`);
+      return;
+    }
+    const record = Object.fromEntries(columns.map((column, i) => [column, cells[i]]));
+    terms.push({ row: rowNumber, term: recordToTerm(record) });
+  });
+
+  return { terms, errors };
+}
+
+module.exports = {
+  TABLE_FORMATS,
+  TABLE_COLUMNS,
+  ARRAY_COLUMNS,
+  FORMAT_EXTENSIONS,
+  joinArrayCell,
+  splitArrayCell,
+  serializeTable,
+  parseTable,
+};
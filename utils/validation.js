@@ -5,6 +5,8 @@
  * used across multiple scripts to reduce code duplication.
  */
 
+const { escapePointerSegment } = require('./yamlPositions');
+
 /**
  * Format AJV validation errors into human-readable messages
  * Handles different error types (additionalProperties, required, minLength, etc.)
@@ -50,6 +52,74 @@ function formatAjvError(errors) {
     .join('; ');
 }
 
+/**
+ * Get the JSON pointer an AJV error is best reported at
+ * additionalProperties errors point at the offending property rather than its parent
+ *
+ * @param {Object} error - Single AJV error object
+ * @returns {string} JSON pointer ('' for the document root)
+ */
+function getAjvErrorPointer(error) {
+  const pointer = error.instancePath || '';
+  if (error.keyword === 'additionalProperties' && error.params?.additionalProperty) {
+    return `${pointer}/${escapePointerSegment(error.params.additionalProperty)}`;
+  }
+  return pointer;
+}
+
+/**
+ * Suggest a fix for an AJV validation error
+ * Covers the keywords used by config/schema.json; returns null for anything else
+ *
+ * @param {Object} error - Single AJV error object
+ * @returns {string|null} Human-readable suggested fix
+ */
+function suggestAjvFix(error) {
+  const params = error.params || {};
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return params.additionalProperty
+        ? `Remove or rename the property '${params.additionalProperty}'`
+        : null;
+    case 'required':
+      return params.missingProperty ? `Add the '${params.missingProperty}' property` : null;
+    case 'minLength':
+      return `Expand the value to at least ${params.limit} characters`;
+    case 'maxLength':
+      return `Shorten the value to at most ${params.limit} characters`;
+    case 'pattern':
+      return params.pattern === '^[a-z0-9]+(?:-[a-z0-9]+)*$'
+        ? 'Use lowercase kebab-case (letters, digits, and single hyphens)'
+        : `Use a value matching ${params.pattern}`;
+    case 'enum':
+      return Array.isArray(params.allowedValues)
+        ? `Use one of: ${params.allowedValues.join(', ')}`
+        : null;
+    case 'type':
+      return params.type ? `Change the value to a ${params.type}` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a single AJV error as a structured validation problem
+ *
+ * @param {Object} error - Single AJV error object
+ * @returns {Object} Object with ruleId (schema/<keyword>), pointer, message, and fix
+ */
+function describeAjvError(error) {
+  return {
+    ruleId: `schema/${error.keyword || 'unknown'}`,
+    pointer: getAjvErrorPointer(error),
+    message: formatAjvError(error),
+    fix: suggestAjvFix(error),
+  };
+}
+
 module.exports = {
   formatAjvError,
+  getAjvErrorPointer,
+  suggestAjvFix,
+  describeAjvError,
 };
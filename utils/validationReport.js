@@ -0,0 +1,182 @@
+/**
+ * Validation report formatting for FOSS Glossary
+ *
+ * This module turns the structured problems collected by validateTerms.js
+ * into machine-readable output (plain JSON or SARIF 2.1.0) so bots and PR
+ * tooling can annotate exact lines of terms.yaml.
+ */
+
+const SUPPORTED_FORMATS = ['text', 'json', 'sarif'];
+
+const SARIF_SCHEMA_URL = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_NAME = 'foss-glossary-validate';
+const TOOL_INFORMATION_URI = 'https://github.com/LuminLynx/FOSS-Glossary';
+
+// Descriptions for every non-schema rule; schema/<keyword> rules are described generically
+const RULE_DESCRIPTIONS = {
+  'yaml-parse': 'The YAML file could not be parsed',
+  'duplicate-slug': 'Each term slug must be unique',
+  'duplicate-name': 'Term names and aliases must be unique after normalization',
+  'slug-immutability': 'Published slugs must not change; add a redirect instead',
+  'redirect-source-conflict': 'A redirect source must not be an active term slug',
+  'redirect-target-missing': 'A redirect target must be an existing term slug',
+  'redirect-chain': 'A redirect must point directly at a term, not at another redirect',
+  'redirect-cycle': 'Redirects must not loop back on themselves',
+  'slug-removed': 'A removed slug needs a redirect or a tombstone',
+  'redirect-removed': 'Redirects must be kept indefinitely',
+  'tombstone-conflict': 'A tombstoned slug must not be an active term slug or redirect',
+  'tombstone-removed': 'Tombstones must be kept indefinitely',
+  'status-transition': 'A term status may only change along the allowed lifecycle transitions',
+  'dangling-see-also': 'Each see_also entry should resolve to a term, alias, or redirect',
+};
+
+/**
+ * Describe a rule id for report metadata
+ *
+ * @param {string} ruleId - Rule identifier (e.g. duplicate-slug or schema/required)
+ * @returns {string} Short description of the rule
+ */
+function describeRule(ruleId) {
+  if (RULE_DESCRIPTIONS[ruleId]) {
+    return RULE_DESCRIPTIONS[ruleId];
+  }
+  if (ruleId.startsWith('schema/')) {
+    return `Schema constraint '${ruleId.slice('schema/'.length)}' from config/schema.json`;
+  }
+  return ruleId;
+}
+
+/**
+ * Count problems by level
+ *
+ * @param {Object[]} problems - Structured validation problems
+ * @returns {{errorCount: number, warningCount: number}} Counts of errors and warnings
+ */
+function countProblems(problems) {
+  const errorCount = problems.filter((problem) => problem.level === 'error').length;
+  return { errorCount, warningCount: problems.length - errorCount };
+}
+
+/**
+ * Format problems as a JSON report
+ *
+ * @param {Object[]} problems - Structured validation problems
+ * @param {Object} [meta] - Extra report metadata
+ * @param {number} [meta.termsCount] - Number of terms validated
+ * @returns {string} Pretty-printed JSON document with trailing newline
+ */
+function formatJsonReport(problems, meta = {}) {
+  const { errorCount, warningCount } = countProblems(problems);
+  const report = {
+    valid: errorCount === 0,
+    terms_count: meta.termsCount ?? null,
+    error_count: errorCount,
+    warning_count: warningCount,
+    problems: problems.map((problem) => ({
+      rule_id: problem.ruleId,
+      level: problem.level,
+      message: problem.message,
+      file: problem.file,
+      line: problem.line ?? null,
+      column: problem.column ?? null,
+      pointer: problem.pointer ?? null,
+      slug: problem.slug ?? null,
+      term_index: problem.termIndex ?? null,
+      fix: problem.fix ?? null,
+      related: (problem.related || []).map((location) => ({
+        message: location.message,
+        file: location.file,
+        line: location.line ?? null,
+        column: location.column ?? null,
+      })),
+    })),
+  };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Build a SARIF physical location for a file position
+ *
+ * @param {Object} location - Object with file and optional line/column
+ * @returns {Object} SARIF physicalLocation
+ */
+function toPhysicalLocation(location) {
+  const region = {};
+  if (location.line) {
+    region.startLine = location.line;
+    if (location.column) {
+      region.startColumn = location.column;
+    }
+  }
+  return {
+    artifactLocation: { uri: location.file },
+    ...(Object.keys(region).length > 0 ? { region } : {}),
+  };
+}
+
+/**
+ * Format problems as a SARIF 2.1.0 log
+ * Suggested fixes, slugs, and term indexes are carried in result properties
+ *
+ * @param {Object[]} problems - Structured validation problems
+ * @returns {string} Pretty-printed SARIF document with trailing newline
+ */
+function formatSarifReport(problems) {
+  const ruleIds = [...new Set(problems.map((problem) => problem.ruleId))].sort();
+
+  const results = problems.map((problem) => {
+    const properties = {};
+    if (problem.slug) properties.slug = problem.slug;
+    if (problem.termIndex !== undefined && problem.termIndex !== null) {
+      properties.termIndex = problem.termIndex;
+    }
+    if (problem.pointer !== undefined && problem.pointer !== null) {
+      properties.pointer = problem.pointer;
+    }
+    if (problem.fix) properties.suggestedFix = problem.fix;
+
+    const result = {
+      ruleId: problem.ruleId,
+      ruleIndex: ruleIds.indexOf(problem.ruleId),
+      level: problem.level,
+      message: { text: problem.fix ? `${problem.message}. Fix: ${problem.fix}` : problem.message },
+      locations: [{ physicalLocation: toPhysicalLocation(problem) }],
+      properties,
+    };
+    if (problem.related && problem.related.length > 0) {
+      result.relatedLocations = problem.related.map((location, index) => ({
+        id: index,
+        message: { text: location.message },
+        physicalLocation: toPhysicalLocation(location),
+      }));
+    }
+    return result;
+  });
+
+  const log = {
+    $schema: SARIF_SCHEMA_URL,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            informationUri: TOOL_INFORMATION_URI,
+            rules: ruleIds.map((id) => ({ id, shortDescription: { text: describeRule(id) } })),
+          },
+        },
+        results,
+      },
+    ],
+  };
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  RULE_DESCRIPTIONS,
+  describeRule,
+  countProblems,
+  formatJsonReport,
+  formatSarifReport,
+};
@@ -0,0 +1,156 @@
+/**
+ * YAML source-position utilities for FOSS Glossary
+ *
+ * This module parses YAML while recording where every node starts, so
+ * validation problems reported against a JSON pointer (e.g. /terms/16/definition)
+ * can be traced back to a line and column in the source file.
+ */
+
+const yaml = require('js-yaml');
+
+/**
+ * Escape a key for use as a JSON pointer segment (RFC 6901)
+ *
+ * @param {string} key - Object key or array index
+ * @returns {string} Escaped pointer segment
+ */
+function escapePointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Convert a listener frame into a 1-based line/column position
+ *
+ * @param {Object} frame - Node frame recorded by the js-yaml listener
+ * @returns {{line: number, column: number}} Position of the node
+ */
+function toPosition(frame) {
+  return { line: frame.line + 1, column: frame.position - frame.lineStart + 1 };
+}
+
+/**
+ * Parse YAML text and build a map of JSON pointers to source positions
+ * Mapping entries point at their key (where contributors look), sequence items
+ * at the item itself. Nodes whose structure cannot be matched reliably (merge
+ * keys, empty sequence items) keep only their parent's position.
+ *
+ * @param {string} text - Raw YAML content
+ * @returns {{data: *, positions: Map<string, {line: number, column: number}>}} Parsed
+ *   document and position map keyed by JSON pointer ('' is the document root)
+ * @throws {YAMLException} If the YAML cannot be parsed
+ */
+function parseYamlWithPositions(text) {
+  const root = { children: [] };
+  const stack = [root];
+
+  const data = yaml.load(text, {
+    listener(event, state) {
+      if (event === 'open') {
+        stack.push({
+          line: state.line,
+          lineStart: state.lineStart,
+          position: state.position,
+          children: [],
+        });
+      } else {
+        const frame = stack.pop();
+        frame.kind = state.kind;
+        frame.result = state.result;
+        stack[stack.length - 1].children.push(frame);
+      }
+    },
+  });
+
+  const positions = new Map([['', { line: 1, column: 1 }]]);
+
+  const visit = (frame, pointer) => {
+    if (!positions.has(pointer)) {
+      positions.set(pointer, toPosition(frame));
+    }
+
+    if (frame.kind === 'mapping' && frame.result && frame.children.length % 2 === 0) {
+      if (frame.children.length / 2 !== Object.keys(frame.result).length) {
+        return;
+      }
+      for (let i = 0; i < frame.children.length; i += 2) {
+        const key = frame.children[i];
+        const childPointer = `${pointer}/${escapePointerSegment(key.result)}`;
+        positions.set(childPointer, toPosition(key));
+        visit(frame.children[i + 1], childPointer);
+      }
+    } else if (frame.kind === 'sequence' && Array.isArray(frame.result)) {
+      if (frame.children.length !== frame.result.length) {
+        return;
+      }
+      frame.children.forEach((child, index) => visit(child, `${pointer}/${index}`));
+    }
+  };
+
+  if (root.children.length > 0) {
+    visit(root.children[0], '');
+  }
+
+  return { data, positions };
+}
+
+/**
+ * Find the source position for a JSON pointer
+ * Falls back to the closest ancestor that has a recorded position
+ *
+ * @param {Map<string, {line: number, column: number}>} positions - Map from parseYamlWithPositions()
+ * @param {string} pointer - JSON pointer such as /terms/3/slug
+ * @returns {{line: number, column: number}|null} Position, or null if the map is empty
+ */
+function locate(positions, pointer) {
+  if (!positions) {
+    return null;
+  }
+  let current = pointer || '';
+  while (!positions.has(current)) {
+    if (current === '') {
+      return null;
+    }
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+  return positions.get(current);
+}
+
+/**
+ * Format a code frame around a source line
+ * The highlighted line is marked with '→'; when a column is given, a caret
+ * underneath points at it
+ *
+ * @param {string} source - Raw file content
+ * @param {number} line - 1-based line to highlight
+ * @param {Object} [options] - Frame options
+ * @param {number} [options.column] - 1-based column to point at
+ * @param {number} [options.before=1] - Lines of context before the highlighted line
+ * @param {number} [options.after=2] - Lines of context after the highlighted line
+ * @returns {string} Code frame, one source line per row
+ */
+function formatCodeFrame(source, line, options = {}) {
+  const { column, before = 1, after = 2 } = options;
+  const lines = source.split(/\r?\n/);
+  const startLine = Math.max(0, line - 1 - before);
+  const endLine = Math.min(lines.length, line + after);
+  const frame = [];
+
+  for (let i = startLine; i < endLine; i++) {
+    const lineNum = i + 1;
+    const marker = lineNum === line ? '→' : ' ';
+    const prefix = `${marker} ${lineNum}: `;
+    frame.push(`${prefix}${lines[i]}`);
+    if (lineNum === line && column) {
+      frame.push(`${' '.repeat(prefix.length + column - 1)}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
+
+module.exports = {
+  escapePointerSegment,
+  parseYamlWithPositions,
+  locate,
+  formatCodeFrame,
+};